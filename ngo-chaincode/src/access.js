@@ -0,0 +1,173 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Role based access control for the chaincode functions, using the attributes in the caller's
+// certificate. The REST API registers users with the Fabric CA with these attributes:
+//
+//    role                  - admin, ngo, donor, employer, verifier or relay. A verifier approves or rejects NGOs on
+//                            behalf of their organisation, i.e. the MSP in their certificate (see approveNGO). A
+//                            relay, e.g. the REST API's own identity, submits anonymous donations for donors, so
+//                            the block does not record the donor's certificate (see createAnonymousDonation)
+//    ngoRegistrationNumber - for role ngo, the NGO the user works for
+//    hf.EnrollmentID       - the user name, added to every certificate by the Fabric CA. It names the approvers
+//                            in an NGO's spend approval policy (see setSpendApprovalPolicy)
+//    donorUserName         - for role donor, the donor the user is
+//    contractNumber        - for role employer, the contract the user administers
+
+'use strict';
+const shim = require('fabric-shim');
+
+/**
+ * The permission matrix. Each function that changes state lists the roles that may call it. Where
+ * an entry names an attribute, the caller's certificate attribute must also match the field of the
+ * same name in the function's JSON arguments, e.g. an NGO user may only record spend for their own NGO.
+ * Where an entry lists excludedFields, a caller permitted by that entry may not pass those fields, e.g. an
+ * NGO user may update their NGO's address but only an admin may change its status.
+ *
+ * Functions that are not listed, i.e. the query functions, may be called by any identity.
+ */
+const permissions = {
+  reindex: [{role: 'admin'}],
+  migratePrivateDetails: [{role: 'admin'}],
+  createDonor: [{role: 'admin'}, {role: 'donor', attribute: 'donorUserName'}],
+  updateDonor: [{role: 'admin'}, {role: 'donor', attribute: 'donorUserName', excludedFields: ['status']}],
+  createNGO: [{role: 'admin'}, {role: 'ngo', attribute: 'ngoRegistrationNumber'}],
+  updateNGO: [{role: 'admin'}, {role: 'ngo', attribute: 'ngoRegistrationNumber', excludedFields: ['status']}],
+  setVerificationPolicy: [{role: 'admin'}],
+  approveNGO: [{role: 'verifier'}],
+  rejectNGO: [{role: 'verifier'}],
+  setAllocationStrategy: [{role: 'admin'}, {role: 'ngo', attribute: 'ngoRegistrationNumber'}],
+  setSpendApprovalPolicy: [{role: 'admin'}],
+  createEmployer: [{role: 'admin'}],
+  updateEmployer: [{role: 'admin'}],
+  createPlan: [{role: 'admin'}],
+  updatePlan: [{role: 'admin'}],
+  setFxRate: [{role: 'admin'}],
+  createMember: [{role: 'employer', attribute: 'contractNumber'}],
+  createDonation: [{role: 'donor', attribute: 'donorUserName'}],
+  createAnonymousDonation: [{role: 'relay'}],
+  reverseDonation: [{role: 'admin'}],
+  createPledge: [{role: 'donor', attribute: 'donorUserName'}],
+  pausePledge: [{role: 'admin'}, {role: 'donor', attribute: 'donorUserName'}],
+  resumePledge: [{role: 'admin'}, {role: 'donor', attribute: 'donorUserName'}],
+  cancelPledge: [{role: 'admin'}, {role: 'donor', attribute: 'donorUserName'}],
+  recordPledgeFailure: [{role: 'admin'}, {role: 'donor', attribute: 'donorUserName'}],
+  createContributionEmployer: [{role: 'employer', attribute: 'contractNumber'}],
+  createWithdrawal: [{role: 'employer', attribute: 'contractNumber'}],
+  createMatchingProgram: [{role: 'admin'}],
+  linkDonorToSponsor: [{role: 'admin'}, {role: 'donor', attribute: 'donorUserName'}],
+  createCampaign: [{role: 'admin'}, {role: 'ngo', attribute: 'ngoRegistrationNumber'}],
+  createSpend: [{role: 'ngo', attribute: 'ngoRegistrationNumber'}],
+  approveSpendProposal: [{role: 'ngo', attribute: 'ngoRegistrationNumber'}],
+  rejectSpendProposal: [{role: 'ngo', attribute: 'ngoRegistrationNumber'}],
+  addSpendEvidence: [{role: 'ngo', attribute: 'ngoRegistrationNumber'}],
+  createGrant: [{role: 'ngo', attribute: 'ngoRegistrationNumber'}],
+  createRating: [{role: 'donor', attribute: 'donorUserName'}],
+  updateRating: [{role: 'donor', attribute: 'donorUserName'}]
+};
+
+/**
+ * The callers who may read the personal details of a record, kept in a private data collection (see
+ * privatedata.js). As for permissions, where an entry names an attribute, the caller's certificate attribute
+ * must match the field of the same name in the record, e.g. a donor may only read their own email.
+ *
+ * The caller's peer must also be a member of the collection, otherwise it does not hold the details.
+ */
+const privateDetailReaders = {
+  donor: [{role: 'admin'}, {role: 'donor', attribute: 'donorUserName'}],
+  member: [{role: 'admin'}, {role: 'employer', attribute: 'contractNumber'}]
+};
+
+/**
+ * Thrown when the caller is not permitted to call a function
+ */
+class AccessDeniedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AccessDeniedError';
+  }
+}
+
+/**
+ * Checks the caller may invoke the function with these arguments, throwing an AccessDeniedError
+ * if they may not
+ *
+ * @param {*} fcn - the name of the chaincode function being invoked
+ * @param {*} args - the arguments passed to the function, i.e. a JSON string
+ */
+function checkAccess(stub, fcn, args) {
+  let allowed = permissions[fcn];
+  if (!allowed) {
+    return;
+  }
+  let cid = new shim.ClientIdentity(stub);
+  let role = cid.getAttributeValue('role');
+  // the caller's certificate ID is not logged, as it names the user
+  console.log('##### checkAccess - function: ' + fcn + ' MSP: ' + cid.getMSPID() + ' role: ' + role);
+
+  let json = null;
+  for (let permission of allowed) {
+    if (role !== permission.role) {
+      continue;
+    }
+    if (!permission.attribute && !permission.excludedFields) {
+      return;
+    }
+    if (json === null) {
+      try {
+        json = JSON.parse(args);
+      }
+      catch (err) {
+        throw new AccessDeniedError('Unable to check access to ' + fcn + ' as its arguments are not JSON: ' + err);
+      }
+    }
+    for (let field of permission.excludedFields || []) {
+      if (json[field] !== undefined) {
+        throw new AccessDeniedError('The caller with role ' + role + ' may not change ' + field + ' using ' + fcn);
+      }
+    }
+    if (!permission.attribute) {
+      return;
+    }
+    let value = cid.getAttributeValue(permission.attribute);
+    if (value !== null && json[permission.attribute] !== undefined && value === String(json[permission.attribute])) {
+      return;
+    }
+    throw new AccessDeniedError('The caller with role ' + role + ' and ' + permission.attribute + ' ' + value +
+      ' may not call ' + fcn + ' for ' + permission.attribute + ' ' + json[permission.attribute]);
+  }
+  throw new AccessDeniedError('The caller with role ' + role + ' may not call ' + fcn +
+    '. Permitted roles are: ' + allowed.map((permission) => permission.role).join(', '));
+}
+
+/**
+ * Returns true if the caller may read the personal details of a record
+ *
+ * @param {*} docType - the docType of the record, i.e. donor or member
+ * @param {*} record - the record as JSON
+ */
+function canReadPrivateDetails(stub, docType, record) {
+  let cid = new shim.ClientIdentity(stub);
+  let role = cid.getAttributeValue('role');
+  return (privateDetailReaders[docType] || []).some((reader) => role === reader.role &&
+    (!reader.attribute || cid.getAttributeValue(reader.attribute) === String(record[reader.attribute])));
+}
+
+exports.permissions = permissions;
+exports.privateDetailReaders = privateDetailReaders;
+exports.checkAccess = checkAccess;
+exports.canReadPrivateDetails = canReadPrivateDetails;
+exports.AccessDeniedError = AccessDeniedError;
@@ -0,0 +1,137 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Allocation strategies decide how a spend is split between the donations that can fund it. Each NGO
+// chooses a strategy, which is stored in the NGO record as allocationStrategy:
+//
+//    even         - split the spend equally between the donations with funds available. A donation
+//                   without enough funds for its share is used up and the rest is split between the others
+//    proRata      - split the spend in proportion to the funds each donation has available
+//    fifo         - use the oldest donations first
+//    lifo         - use the newest donations first
+//    largestFirst - use the donations with the most funds available first
+//
+// A strategy is given the candidate donations, each of which looks like:
+//
+//    {donationId: '2211', donationDate: '2018-09-20T12:41:59.582Z', available: 60}
+//
+// and returns the amount to allocate to each, as [{donationId: '2211', amount: 40}, ...]. Amounts are integer
+// minor units (see money.js), and the amounts returned add up exactly to the amount allocated. Strategies must
+// be deterministic, since every endorsing peer must produce the same allocations. The caller checks the
+// candidates have sufficient funds available to cover the amount.
+
+'use strict';
+const money = require('./money.js');
+
+const defaultStrategy = 'even';
+
+function byDateThenId(a, b) {
+  if (a.donationDate !== b.donationDate) {
+    return a.donationDate < b.donationDate ? -1 : 1;
+  }
+  return a.donationId < b.donationId ? -1 : (a.donationId > b.donationId ? 1 : 0);
+}
+
+/**
+ * Allocate the amount to the donations in the order given, using up each donation before moving on
+ */
+function consumeInOrder(candidates, amount) {
+  let allocations = [];
+  for (let candidate of candidates) {
+    if (amount <= 0) {
+      break;
+    }
+    let allocated = Math.min(candidate.available, amount);
+    if (allocated > 0) {
+      allocations.push({donationId: candidate.donationId, amount: allocated});
+      amount -= allocated;
+    }
+  }
+  return allocations;
+}
+
+function even(candidates, amount) {
+  let allocated = new Map();
+  let remaining = candidates.map((candidate) => ({donationId: candidate.donationId, available: candidate.available}));
+  while (amount > 0) {
+    let active = remaining.filter((candidate) => candidate.available > 0);
+    if (active.length === 0) {
+      throw new Error('##### even - The donations do not have sufficient funds to allocate: ' + amount);
+    }
+    // split what is left equally, handing out the remainder one minor unit at a time in the order of the candidates
+    let shares = money.splitEvenly(amount, active.length);
+    for (let i = 0; i < active.length; i++) {
+      let portion = Math.min(shares[i], active[i].available);
+      if (portion > 0) {
+        active[i].available -= portion;
+        amount -= portion;
+        allocated.set(active[i].donationId, (allocated.get(active[i].donationId) || 0) + portion);
+      }
+    }
+  }
+  return Array.from(allocated, (entry) => ({donationId: entry[0], amount: entry[1]}));
+}
+
+function proRata(candidates, amount) {
+  let funded = candidates.filter((candidate) => candidate.available > 0);
+  let portions = money.splitProportionally(amount, funded.map((candidate) => candidate.available));
+  let allocations = [];
+  for (let i = 0; i < funded.length; i++) {
+    if (portions[i] > 0) {
+      allocations.push({donationId: funded[i].donationId, amount: portions[i]});
+    }
+  }
+  return allocations;
+}
+
+function fifo(candidates, amount) {
+  return consumeInOrder(candidates.slice().sort(byDateThenId), amount);
+}
+
+function lifo(candidates, amount) {
+  return consumeInOrder(candidates.slice().sort(byDateThenId).reverse(), amount);
+}
+
+function largestFirst(candidates, amount) {
+  return consumeInOrder(candidates.slice().sort((a, b) => (b.available - a.available) || byDateThenId(a, b)), amount);
+}
+
+const strategies = {
+  even: even,
+  proRata: proRata,
+  fifo: fifo,
+  lifo: lifo,
+  largestFirst: largestFirst
+};
+
+/**
+ * Allocate an amount between the candidate donations using the named strategy
+ *
+ * @param {*} strategy - the name of the strategy, e.g. 'fifo'
+ * @param {*} candidates - the donations that can fund the amount, as described above
+ * @param {*} amount - the amount to allocate
+ * @returns the amount to allocate to each donation, as [{donationId, amount}]
+ */
+function allocate(strategy, candidates, amount) {
+  if (!strategies.hasOwnProperty(strategy)) {
+    throw new Error('##### allocate - Unknown allocation strategy: ' + strategy + '. Valid strategies are: ' + Object.keys(strategies).join(', '));
+  }
+  return strategies[strategy](candidates, amount);
+}
+
+exports.defaultStrategy = defaultStrategy;
+exports.strategies = strategies;
+exports.allocate = allocate;
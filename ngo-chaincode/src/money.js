@@ -0,0 +1,192 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Money is stored as an integer number of minor units of an ISO 4217 currency, e.g. 1050 USD is
+// $10.50 and 1050 JPY is ¥1050. Integer arithmetic is exact, so amounts that are split, e.g. a spend
+// allocated between donations, always add back up to the original amount. Whenever an amount is
+// divided the remainder is handed out one minor unit at a time, in a deterministic order, so every
+// endorsing peer calculates the same result.
+//
+// Amounts are kept below Number.MAX_SAFE_INTEGER. Products that may exceed it are calculated with
+// mulDiv, which never forms the product directly.
+
+'use strict';
+
+// the number of digits after the decimal point for each supported currency
+const currencies = {
+  AUD: 2,
+  CAD: 2,
+  CHF: 2,
+  CNY: 2,
+  EUR: 2,
+  GBP: 2,
+  HKD: 2,
+  INR: 2,
+  JPY: 0,
+  KRW: 0,
+  KWD: 3,
+  NZD: 2,
+  SGD: 2,
+  USD: 2
+};
+
+const defaultCurrency = 'USD';
+
+// the largest denominator mulDiv supports, so that 2 * remainder stays a safe integer
+const maxDivisor = Math.pow(2, 51);
+
+/**
+ * Returns true if the value is a valid amount in minor units, i.e. a non-negative safe integer
+ */
+function isAmount(value) {
+  return Number.isSafeInteger(value) && value >= 0;
+}
+
+/**
+ * Calculates a * b / c exactly, for non-negative safe integers, returning the integer quotient and the
+ * remainder. The product a * b may exceed Number.MAX_SAFE_INTEGER, so it is formed by binary long
+ * multiplication, keeping the running remainder below c. The quotient must itself be a safe integer.
+ */
+function mulDiv(a, b, c) {
+  if (!(isAmount(a) && isAmount(b) && isAmount(c) && c > 0 && c <= maxDivisor)) {
+    throw new Error('##### mulDiv - Invalid arguments: ' + a + ', ' + b + ', ' + c);
+  }
+  // a = aq * c + ar, so a * b / c = aq * b + ar * b / c
+  let aq = Math.floor(a / c);
+  let ar = a % c;
+  let quotient = aq * b;
+  let remainder = 0;
+  // calculate ar * b / c bit by bit, from the most significant bit of b
+  let bits = b.toString(2);
+  let q = 0;
+  for (let i = 0; i < bits.length; i++) {
+    q *= 2;
+    remainder *= 2;
+    if (remainder >= c) {
+      q += 1;
+      remainder -= c;
+    }
+    if (bits[i] === '1') {
+      remainder += ar;
+      if (remainder >= c) {
+        q += 1;
+        remainder -= c;
+      }
+    }
+  }
+  quotient += q;
+  if (!Number.isSafeInteger(quotient)) {
+    throw new Error('##### mulDiv - The result is too large: ' + a + ' * ' + b + ' / ' + c);
+  }
+  return {quotient: quotient, remainder: remainder};
+}
+
+/**
+ * Calculates a * b / c rounded to the nearest integer, with halves rounded up
+ */
+function mulDivRound(a, b, c) {
+  let result = mulDiv(a, b, c);
+  return result.remainder * 2 >= c ? result.quotient + 1 : result.quotient;
+}
+
+/**
+ * Splits an amount into n parts that add up to the amount. The remainder is given one minor unit
+ * at a time to the first parts, e.g. splitEvenly(100, 3) is [34, 33, 33]
+ */
+function splitEvenly(amount, n) {
+  let share = Math.floor(amount / n);
+  let remainder = amount - share * n;
+  let parts = [];
+  for (let i = 0; i < n; i++) {
+    parts.push(share + (i < remainder ? 1 : 0));
+  }
+  return parts;
+}
+
+/**
+ * Splits an amount in proportion to the weights, using the largest remainder method so the parts
+ * add up to the amount. Ties are given to the earlier weight. No part exceeds amount * weight / total
+ * rounded up, so if the amount is no more than the total of the weights, no part exceeds its weight.
+ */
+function splitProportionally(amount, weights) {
+  let total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total === 0) {
+    throw new Error('##### splitProportionally - The weights add up to 0');
+  }
+  let parts = [];
+  let remainders = [];
+  let allocated = 0;
+  for (let i = 0; i < weights.length; i++) {
+    let result = mulDiv(amount, weights[i], total);
+    parts.push(result.quotient);
+    remainders.push({index: i, remainder: result.remainder});
+    allocated += result.quotient;
+  }
+  remainders.sort((x, y) => (y.remainder - x.remainder) || (x.index - y.index));
+  for (let i = 0; i < amount - allocated; i++) {
+    parts[remainders[i].index] += 1;
+  }
+  return parts;
+}
+
+/**
+ * Parses a decimal string such as '1.0832' into an exact fraction {numerator: 10832, denominator: 10000}
+ */
+function parseDecimal(value) {
+  let match = /^(\d+)(?:\.(\d+))?$/.exec(value);
+  if (!match) {
+    throw new Error('##### parseDecimal - Not a valid decimal: ' + value);
+  }
+  let digits = match[2] || '';
+  let fraction = {numerator: Number(match[1] + digits), denominator: Math.pow(10, digits.length)};
+  if (!Number.isSafeInteger(fraction.numerator) || fraction.denominator > maxDivisor) {
+    throw new Error('##### parseDecimal - The decimal has too many digits: ' + value);
+  }
+  return fraction;
+}
+
+/**
+ * Converts an amount in minor units of one currency into minor units of another, rounding halves up
+ *
+ * @param {*} amount - the amount in minor units of fromCurrency
+ * @param {*} fromCurrency - e.g. 'EUR'
+ * @param {*} toCurrency - e.g. 'USD'
+ * @param {*} rate - the number of units of toCurrency per unit of fromCurrency, as a decimal string, e.g. '1.0832'
+ */
+function convert(amount, fromCurrency, toCurrency, rate) {
+  let fraction = parseDecimal(rate);
+  let numerator = fraction.numerator;
+  let denominator = fraction.denominator;
+  // adjust for the currencies having a different number of minor units, e.g. JPY has none and USD has 2
+  let exponent = currencies[toCurrency] - currencies[fromCurrency];
+  if (exponent > 0) {
+    numerator *= Math.pow(10, exponent);
+  }
+  else {
+    denominator *= Math.pow(10, -exponent);
+  }
+  return mulDivRound(amount, numerator, denominator);
+}
+
+exports.currencies = currencies;
+exports.defaultCurrency = defaultCurrency;
+exports.isAmount = isAmount;
+exports.mulDiv = mulDiv;
+exports.mulDivRound = mulDivRound;
+exports.splitEvenly = splitEvenly;
+exports.splitProportionally = splitProportionally;
+exports.parseDecimal = parseDecimal;
+exports.convert = convert;
@@ -17,6 +17,13 @@
 'use strict';
 const shim = require('fabric-shim');
 const util = require('util');
+const selector = require('./selector.js');
+const schemas = require('./schemas.js');
+const access = require('./access.js');
+const allocation = require('./allocation.js');
+const money = require('./money.js');
+const pledges = require('./pledge.js');
+const privateData = require('./privatedata.js');
 
 /************************************************************************************************
  * 
@@ -42,11 +49,175 @@ async function queryByKey(stub, key) {
   return resultAsBytes;
 }
 
+/**
+ * Secondary indexes maintained for each docType.
+ *
+ * Each index entry is stored in world state as a composite key made up of the index name, the
+ * values of the indexed attributes and, as the final attribute, the world state key of the indexed
+ * record. Queries such as 'all donations for an NGO' can then use a partial composite key lookup
+ * rather than range scanning every record of the docType and filtering in JS.
+ */
+const indexes = {
+  donation: [
+    {name: 'donation~ngo~id', attributes: ['ngoRegistrationNumber']},
+    {name: 'donation~donor~id', attributes: ['donorUserName']},
+    {name: 'donation~pledge~id', attributes: ['pledgeId']},
+    {name: 'donation~campaign~id', attributes: ['campaignId']},
+    {name: 'donation~matchedDonor~id', attributes: ['matchedDonorUserName']},
+    {name: 'donation~grant~id', attributes: ['grantId']},
+    {name: 'donation~commitment~id', attributes: ['donorCommitment']}
+  ],
+  pledge: [
+    {name: 'pledge~donor~id', attributes: ['donorUserName']}
+  ],
+  campaign: [
+    {name: 'campaign~ngo~id', attributes: ['ngoRegistrationNumber']}
+  ],
+  spend: [
+    {name: 'spend~ngo~id', attributes: ['ngoRegistrationNumber']}
+  ],
+  spendEvidence: [
+    {name: 'spendEvidence~spend~id', attributes: ['spendId']}
+  ],
+  spendProposal: [
+    {name: 'spendProposal~ngo~id', attributes: ['ngoRegistrationNumber']}
+  ],
+  grant: [
+    {name: 'grant~ngo~id', attributes: ['ngoRegistrationNumber']},
+    {name: 'grant~recipient~id', attributes: ['recipientNGORegistrationNumber']}
+  ],
+  spendAllocation: [
+    {name: 'spendAllocation~ngo~id', attributes: ['ngoRegistrationNumber']},
+    {name: 'spendAllocation~donation~id', attributes: ['donationId']},
+    {name: 'spendAllocation~spend~id', attributes: ['spendId']},
+    {name: 'spendAllocation~grant~id', attributes: ['grantId']}
+  ],
+  rating: [
+    {name: 'rating~ngo~id', attributes: ['ngoRegistrationNumber']}
+  ],
+  member: [
+    {name: 'member~contract~id', attributes: ['contractNumber']}
+  ],
+  contribution: [
+    {name: 'contribution~member~id', attributes: ['memberId']}
+  ],
+  withdrawal: [
+    {name: 'withdrawal~member~id', attributes: ['memberId']}
+  ]
+};
+
+/**
+ * Writes the index entries for a record. Must be called by every function that creates a record
+ * of an indexed docType, otherwise the record will not be found by queryByIndex.
+ *
+ * @param {*} docType - the docType of the record, used to look up the indexes to maintain
+ * @param {*} key - the world state key the record is stored under
+ * @param {*} record - the record as JSON
+ */
+async function putIndexEntries(stub, docType, key, record) {
+  let docTypeIndexes = indexes[docType] || [];
+  for (let index of docTypeIndexes) {
+    let attributes = [];
+    for (let attribute of index.attributes) {
+      if (record[attribute] === undefined || record[attribute] === null) {
+        break;
+      }
+      attributes.push(String(record[attribute]));
+    }
+    if (attributes.length < index.attributes.length) {
+      console.log('##### putIndexEntries - record: ' + key + ' is missing an attribute required by index: ' + index.name + '. No index entry created');
+      continue;
+    }
+    attributes.push(key);
+    let indexKey = stub.createCompositeKey(index.name, attributes);
+    console.log('##### putIndexEntries - adding index entry to index: ' + index.name + ' for key: ' + key);
+    // the index entry carries no data of its own; a null byte is the convention Fabric uses for this
+    await stub.putState(indexKey, Buffer.from('\u0000'));
+  }
+}
+
+/**
+ * Deletes the index entries for a record, e.g. when it is moved to another key. Takes the same arguments as
+ * putIndexEntries, with the record as it was indexed
+ */
+async function deleteIndexEntries(stub, docType, key, record) {
+  for (let index of indexes[docType] || []) {
+    if (index.attributes.some((attribute) => record[attribute] === undefined || record[attribute] === null)) {
+      continue;
+    }
+    let attributes = index.attributes.map((attribute) => String(record[attribute])).concat([key]);
+    console.log('##### deleteIndexEntries - removing index entry from index: ' + index.name + ' for key: ' + key);
+    await stub.deleteState(stub.createCompositeKey(index.name, attributes));
+  }
+}
+
+/**
+ * Executes a query using a secondary index. Returns the indexed records in the same format as
+ * queryByString, i.e. an array of {Key, Record}
+ *
+ * @param {*} indexName - the name of the index to query, e.g. 'donation~ngo~id'
+ * @param {*} attributes - the leading attribute values to match, e.g. [ngoRegistrationNumber]
+ */
+async function queryByIndex(stub, indexName, attributes) {
+  console.log('============= START : queryByIndex ===========');
+  console.log('##### queryByIndex index: ' + indexName + ' attributes: ' + JSON.stringify(attributes));
+
+  let iterator = await stub.getStateByPartialCompositeKey(indexName, attributes.map(String));
+  let allResults = [];
+  while (true) {
+    let res = await iterator.next();
+
+    if (res.value && res.value.key) {
+      let indexAttributes = stub.splitCompositeKey(res.value.key).attributes;
+      let key = indexAttributes[indexAttributes.length - 1];
+      let resultAsBytes = await stub.getState(key);
+      if (!resultAsBytes || resultAsBytes.toString().length <= 0) {
+        console.log('##### queryByIndex - index entry found for key: ' + key + ' but the record does not exist');
+      }
+      else {
+        let jsonRes = {};
+        jsonRes.Key = key;
+        try {
+          jsonRes.Record = JSON.parse(resultAsBytes.toString('utf8'));
+        }
+        catch (err) {
+          console.log('##### queryByIndex error: ' + err);
+          jsonRes.Record = resultAsBytes.toString('utf8');
+        }
+        allResults.push(jsonRes);
+      }
+    }
+    if (res.done) {
+      await iterator.close();
+      console.log('##### queryByIndex all results: ' + JSON.stringify(allResults));
+      console.log('============= END : queryByIndex ===========');
+      return Buffer.from(JSON.stringify(allResults));
+    }
+  }
+}
+
+/**
+ * Set the first time queryByString is called. Whether rich queries are supported depends on the
+ * state database the peer is configured with, so it does not change while the chaincode is running.
+ */
+let richQuerySupported = null;
+
 /**
  * Executes a query based on a provided queryString
  * 
- * I originally wrote this function to handle rich queries via CouchDB, but subsequently needed
- * to support LevelDB range queries where CouchDB was not available.
+ * The queryString is a CouchDB Mango query, i.e. a JSON object with a selector and, optionally,
+ * sort, fields, skip and limit elements. For example:
+ * 
+ * {"selector": {"docType": "donation", "donationAmount": {"$gt": 100}}, "sort": [{"donationDate": "desc"}], "limit": 10}
+ * 
+ * When the peer uses CouchDB the query is passed to CouchDB as a rich query. When it uses LevelDB,
+ * which does not support rich queries, we range scan all records of the docType and evaluate the
+ * query in the chaincode using selector.js. The selector must therefore always include the docType.
+ * 
+ * Note that CouchDB requires an index for any field used in the sort element. The chaincode ships indexes for
+ * sorting by donationDate, donationAmount, spendDate and spendAmount in META-INF/statedb/couchdb/indexes, which
+ * Fabric creates on each CouchDB peer when the chaincode is instantiated. To sort by another field, add an index
+ * for it there.
  * 
  * @param {*} queryString - the query string to execute
  */
@@ -54,1088 +225,4756 @@ async function queryByString(stub, queryString) {
   console.log('============= START : queryByString ===========');
   console.log("##### queryByString queryString: " + queryString);
 
-  // CouchDB Query
-  // let iterator = await stub.getQueryResult(queryString);
-
-  // Equivalent LevelDB Query. We need to parse queryString to determine what is being queried
-  // In this chaincode, all queries will either query ALL records for a specific docType, or
-  // they will filter ALL the records looking for a specific NGO, Donor, Donation, etc. So far, 
-  // in this chaincode there is a maximum of one filter parameter in addition to the docType.
-  let docType = "";
-  let startKey = "";
-  let endKey = "";
   let jsonQueryString = JSON.parse(queryString);
-  if (jsonQueryString['selector'] && jsonQueryString['selector']['docType']) {
-    docType = jsonQueryString['selector']['docType'];
-    startKey = docType + "0";
-    endKey = docType + "z";
+  if (!(jsonQueryString['selector'] && jsonQueryString['selector']['docType'])) {
+    throw new Error('##### queryByString - Cannot call queryByString without a docType element: ' + queryString);
+  }
+
+  let allResults = [];
+  if (richQuerySupported !== false) {
+    let iterator = null;
+    try {
+      iterator = await stub.getQueryResult(queryString);
+      richQuerySupported = true;
+    }
+    catch (err) {
+      // LevelDB peers reject rich queries. Any other error is a genuine problem with the query
+      if (richQuerySupported === null && err.toString().indexOf('not supported') >= 0) {
+        console.log('##### queryByString - rich queries are not supported by this peer, using LevelDB range queries: ' + err);
+        richQuerySupported = false;
+      }
+      else {
+        throw err;
+      }
+    }
+    if (iterator) {
+      allResults = await iteratorToResults(iterator);
+    }
+  }
+
+  if (richQuerySupported === false) {
+    // Equivalent LevelDB Query. Range scan every record of the docType and filter them using the selector
+    let docType = jsonQueryString['selector']['docType'];
+    if (typeof docType !== 'string') {
+      throw new Error('##### queryByString - The docType element must be a string when rich queries are not supported: ' + queryString);
+    }
+    let iterator = await stub.getStateByRange(docType + '0', docType + 'z');
+    let records = await iteratorToResults(iterator);
+    // the selector also removes records of other docTypes that fall in the same key range,
+    // e.g. 'spendAllocation' keys fall between 'spend0' and 'spendz'
+    allResults = records.filter((record) => selector.matches(record.Record, jsonQueryString['selector']));
+    allResults = selector.applyQueryOptions(allResults, jsonQueryString);
   }
-  else {
-  throw new Error('##### queryByString - Cannot call queryByString without a docType element: ' + queryString);
-}
 
-  let iterator = await stub.getStateByRange(startKey, endKey);
+  console.log('##### queryByString all results: ' + JSON.stringify(allResults));
+  console.log('============= END : queryByString ===========');
+  return Buffer.from(JSON.stringify(allResults));
+}
 
-  // Iterator handling is identical for both CouchDB and LevelDB result sets, with the 
-  // exception of the filter handling in the commented section below
+/**
+ * Reads all entries from a state query iterator, returning them as an array of {Key, Record}
+ * 
+ * @param {*} iterator - the iterator returned by getStateByRange or getQueryResult
+ */
+async function iteratorToResults(iterator) {
   let allResults = [];
   while (true) {
     let res = await iterator.next();
 
     if (res.value && res.value.value.toString()) {
       let jsonRes = {};
-      console.log('##### queryByString iterator: ' + res.value.value.toString('utf8'));
+      console.log('##### iteratorToResults iterator: ' + res.value.value.toString('utf8'));
 
       jsonRes.Key = res.value.key;
       try {
         jsonRes.Record = JSON.parse(res.value.value.toString('utf8'));
       } 
       catch (err) {
-        console.log('##### queryByString error: ' + err);
+        console.log('##### iteratorToResults error: ' + err);
         jsonRes.Record = res.value.value.toString('utf8');
       }
-      // ******************* LevelDB filter handling ******************************************
-      // LevelDB: additional code required to filter out records we don't need
-      // Check that each filter condition in jsonQueryString can be found in the iterator json
-      // If we are using CouchDB, this isn't required as rich query supports selectors
-      let jsonRecord = jsonQueryString['selector'];
-      // If there is only a docType, no need to filter, just return all
-      console.log('##### queryByString jsonRecord - number of JSON keys: ' + Object.keys(jsonRecord).length);
-      if (Object.keys(jsonRecord).length == 1) {
-        allResults.push(jsonRes);
-        continue;
-      }
-      for (var key in jsonRecord) {
-        if (jsonRecord.hasOwnProperty(key)) {
-          console.log('##### queryByString jsonRecord key: ' + key + " value: " + jsonRecord[key]);
-          if (key == "docType") {
-            continue;
-          }
-          console.log('##### queryByString json iterator has key: ' + jsonRes.Record[key]);
-          if (!(jsonRes.Record[key] && jsonRes.Record[key] == jsonRecord[key])) {
-            // we do not want this record as it does not match the filter criteria
-            continue;
-          }
-          allResults.push(jsonRes);
-        }
-      }
-      // ******************* End LevelDB filter handling ******************************************
-      // For CouchDB, push all results
-      // allResults.push(jsonRes);
+      allResults.push(jsonRes);
     }
     if (res.done) {
       await iterator.close();
-      console.log('##### queryByString all results: ' + JSON.stringify(allResults));
-      console.log('============= END : queryByString ===========');
-      return Buffer.from(JSON.stringify(allResults));
+      return allResults;
     }
   }
 }
 
 /**
- * Record spend made by an NGO
- * 
- * This functions allocates the spend amongst the donors, so each donor can see how their 
- * donations are spent. The logic works as follows:
- * 
- *    - Get the donations made to this NGO
- *    - Get the spend per donation, to calculate how much of the donation amount is still available for spending
- *    - Calculate the total amount spent by this NGO
- *    - If there are sufficient donations available, create a SPEND record
- *    - Allocate the spend between all the donations and create SPENDALLOCATION records
+ * Executes a query based on a provided queryString, returning one page of results
  * 
- * @param {*} spend - the spend amount to be recorded. This will be JSON, as follows:
+ * Returns JSON as follows. To fetch the next page, call again passing the bookmark returned. There are 
+ * no more pages when fetchedCount is less than the pageSize requested.
  * {
- *   "docType": "spend",
- *   "spendId": "1234",
- *   "spendAmount": 100,
- *   "spendDate": "2018-09-20T12:41:59.582Z",
- *   "spendDescription": "Delias Dainty Delights",
- *   "ngoRegistrationNumber": "1234"
+ *    "records": [{"Key": "donation2211", "Record": {...}}],
+ *    "bookmark": "donation2212",
+ *    "fetchedCount": 1
  * }
+ * 
+ * As with queryByString, the query is passed to CouchDB when rich queries are supported. With LevelDB
+ * we page through the docType's key range, filtering each page using the selector. Sorting cannot be 
+ * applied across pages of a range query, so sort is not supported with LevelDB.
+ * 
+ * @param {*} queryString - the query string to execute
+ * @param {*} pageSize - the maximum number of records to return
+ * @param {*} bookmark - the bookmark returned with the previous page, or an empty string for the first page
  */
-async function allocateSpend(stub, spend) {
-  console.log('============= START : allocateSpend ===========');
-  console.log('##### allocateSpend - Spend received: ' + JSON.stringify(spend));
+async function queryByStringWithPagination(stub, queryString, pageSize, bookmark) {
+  console.log('============= START : queryByStringWithPagination ===========');
+  console.log('##### queryByStringWithPagination queryString: ' + queryString + ' pageSize: ' + pageSize + ' bookmark: ' + bookmark);
 
-  // validate we have a valid SPEND object and a valid amount
-  if (!(spend && spend['spendAmount'] && typeof spend['spendAmount'] === 'number' && isFinite(spend['spendAmount']))) {
-    throw new Error('##### allocateSpend - Spend Amount is not a valid number: ' + spend['spendAmount']);   
+  if (!(Number.isInteger(pageSize) && pageSize > 0)) {
+    throw new Error('##### queryByStringWithPagination - pageSize must be a positive integer: ' + pageSize);
   }
-  // validate we have a valid SPEND object and a valid SPEND ID
-  if (!(spend && spend['spendId'])) {
-    throw new Error('##### allocateSpend - Spend Id is required but does not exist in the spend message');   
+  bookmark = bookmark || '';
+  let jsonQueryString = JSON.parse(queryString);
+  if (!(jsonQueryString['selector'] && jsonQueryString['selector']['docType'])) {
+    throw new Error('##### queryByStringWithPagination - Cannot call queryByStringWithPagination without a docType element: ' + queryString);
   }
 
-  // validate that we have a valid NGO
-  let ngo = spend['ngoRegistrationNumber'];
-  let ngoKey = 'ngo' + ngo;
-  let ngoQuery = await queryByKey(stub, ngoKey);
-  if (!ngoQuery.toString()) {
-    throw new Error('##### allocateSpend - Cannot create spend allocation record as the NGO does not exist: ' + json['ngoRegistrationNumber']);
+  let records = [];
+  if (richQuerySupported !== false) {
+    let response = null;
+    try {
+      response = await stub.getQueryResultWithPagination(queryString, pageSize, bookmark);
+      richQuerySupported = true;
+    }
+    catch (err) {
+      if (richQuerySupported === null && err.toString().indexOf('not supported') >= 0) {
+        console.log('##### queryByStringWithPagination - rich queries are not supported by this peer, using LevelDB range queries: ' + err);
+        richQuerySupported = false;
+      }
+      else {
+        throw err;
+      }
+    }
+    if (response) {
+      records = await iteratorToResults(response.iterator);
+      bookmark = response.metadata.bookmark;
+    }
   }
 
-  // first, get the total amount of donations donated to this NGO
-  let totalDonations = 0;
-  const donationMap = new Map();
-  let queryString = '{"selector": {"docType": "donation", "ngoRegistrationNumber": "' + ngo + '"}}';
-  let donationsForNGO = await queryByString(stub, queryString);
-  console.log('##### allocateSpend - allocateSpend - getDonationsForNGO: ' + donationsForNGO);
-  donationsForNGO = JSON.parse(donationsForNGO.toString());
-  console.log('##### allocateSpend - getDonationsForNGO as JSON: ' + donationsForNGO);
+  if (richQuerySupported === false) {
+    let docType = jsonQueryString['selector']['docType'];
+    if (typeof docType !== 'string') {
+      throw new Error('##### queryByStringWithPagination - The docType element must be a string when rich queries are not supported: ' + queryString);
+    }
+    if (jsonQueryString['sort']) {
+      throw new Error('##### queryByStringWithPagination - sort is not supported with pagination when rich queries are not supported: ' + queryString);
+    }
+    // the selector may filter out some of the records in a page, so keep fetching until we have a full
+    // page of matching records or run out of records. Each fetch only asks for the number of records 
+    // still needed, so the bookmark always points to the first record we have not yet looked at
+    let startKey = bookmark || docType + '0';
+    bookmark = '';
+    while (records.length < pageSize) {
+      let response = await stub.getStateByRangeWithPagination(startKey, docType + 'z', pageSize - records.length, '');
+      let page = await iteratorToResults(response.iterator);
+      page = page.filter((record) => selector.matches(record.Record, jsonQueryString['selector']));
+      records = records.concat(page);
+      bookmark = response.metadata.bookmark;
+      if (!bookmark) {
+        break;
+      }
+      startKey = bookmark;
+    }
+    if (jsonQueryString['fields']) {
+      records = records.map((record) => ({Key: record.Key, Record: selector.projectFields(record.Record, jsonQueryString['fields'])}));
+    }
+  }
 
-  // store all donations for the NGO in a map. Each entry in the map will look as follows:
-  //
-  // {"Key":"donation2211","Record":{"docType":"donation","donationAmount":100,"donationDate":"2018-09-20T12:41:59.582Z","donationId":"2211","donorUserName":"edge","ngoRegistrationNumber":"6322"}}
-  for (let n = 0; n < donationsForNGO.length; n++) {
-    let donation = donationsForNGO[n];
-    console.log('##### allocateSpend - getDonationsForNGO Donation: ' + JSON.stringify(donation));
-    totalDonations += donation['Record']['donationAmount'];
-    // store the donations made
-    donationMap.set(donation['Record']['donationId'], donation);
-    console.log('##### allocateSpend - donationMap - adding new donation entry for donor: ' + donation['Record']['donationId'] + ', values: ' + JSON.stringify(donation));
+  let result = {
+    records: records,
+    bookmark: bookmark,
+    fetchedCount: records.length
+  };
+  console.log('##### queryByStringWithPagination result: ' + JSON.stringify(result));
+  console.log('============= END : queryByStringWithPagination ===========');
+  return Buffer.from(JSON.stringify(result));
+}
+
+/**
+ * Retrieves one page of all records of a docType. Used by the queryAll...WithPagination functions
+ * 
+ * @param {*} docType - the docType to retrieve
+ * @param {*} args - JSON as follows. bookmark is omitted, or empty, for the first page:
+ * {
+ *    "pageSize": 10,
+ *    "bookmark": "donation2212"
+ * }
+ * @param {*} filter - optional, further conditions on the records as a Mango selector, e.g. {"status": "pending"}
+ */
+async function queryAllWithPagination(stub, docType, args, filter) {
+  // args is passed as a JSON string
+  let json = JSON.parse(args);
+  let queryString = JSON.stringify({selector: Object.assign({docType: docType}, filter)});
+  return queryByStringWithPagination(stub, queryString, Number(json['pageSize']), json['bookmark']);
+}
+
+/**
+ * Fields the update functions may not change, for each docType. The key fields identify the record,
+ * and an NGO's currency cannot change once it holds donations and spend in that currency. The record
+ * of an NGO's verification is written only by approveNGO and rejectNGO, and its spend approval policy
+ * only by setSpendApprovalPolicy, which checks the policy can be met.
+ */
+const immutableFields = {
+  donor: ['donorUserName', 'registeredDate'],
+  ngo: ['ngoRegistrationNumber', 'currency', 'submittedDate', 'approvals', 'rejection', 'verifiedDate', 'spendApprovalPolicy'],
+  employer: ['contractNumber'],
+  plan: ['planId']
+};
+
+/**
+ * The fields of an NGO that createNGO sets or leaves to other functions, and so may not be passed to it,
+ * with the reason given when one is
+ */
+const ngoCreateForbiddenFields = {
+  submittedDate: 'is set to the time of the transaction',
+  approvals: 'is set by verification, in approveNGO',
+  rejection: 'is set by verification, in rejectNGO',
+  verifiedDate: 'is set by verification, in approveNGO',
+  spendApprovalPolicy: 'is set by setSpendApprovalPolicy once the NGO exists'
+};
+
+/**
+ * Returns the status of an NGO, donor, employer or plan: active, suspended or closed. An NGO may also be
+ * pending or rejected (see approveNGO). Records created before the status was introduced do not have one,
+ * and are active
+ *
+ * @param {*} record - the record as JSON
+ */
+function recordStatus(record) {
+  return record['status'] || 'active';
+}
+
+/**
+ * Updates an NGO, donor, employer or plan. The fields in json replace the fields of the same name in
+ * the record, and a field set to null is removed. Fields not in json are unchanged. The record as it will be
+ * after the update must pass validation against the docType's schema. A closed record cannot be changed.
+ *
+ * Every version of the record remains available using queryHistoryForKey.
+ *
+ * @param {*} fcn - the name of the calling function, used in error messages
+ * @param {*} docType - the docType of the record
+ * @param {*} key - the world state key of the record
+ * @param {*} json - the fields to change, including the key field identifying the record
+ * @returns the record as it is after the update
+ */
+async function updateRecord(stub, fcn, docType, key, json) {
+  let recordQuery = await stub.getState(key);
+  if (!recordQuery.toString()) {
+    throw new Error('##### ' + fcn + ' - Cannot update the ' + docType + ' as it does not exist: ' + key);
   }
-  console.log('##### allocateSpend - Total donations for this ngo are: ' + totalDonations);
-  for (let donation of donationMap) {
-    console.log('##### allocateSpend - Total donation for this donation ID: ' + donation[0] + ', amount: ' + donation[1]['Record']['donationAmount'] + ', entry: ' + JSON.stringify(donation[1]));
+  let record = JSON.parse(recordQuery.toString());
+  if (recordStatus(record) === 'closed') {
+    throw new Error('##### ' + fcn + ' - The ' + docType + ' is closed and cannot be changed: ' + key);
   }
 
-  // next, get the spend by Donation, i.e. the amount of each Donation that has already been spent
-  let totalSpend = 0;
-  const donationSpendMap = new Map();
-  queryString = '{"selector": {"docType": "spendAllocation", "ngoRegistrationNumber": "' + ngo + '"}}';
-  let spendAllocations = await queryByString(stub, queryString);
-  spendAllocations = JSON.parse(spendAllocations.toString());
-  for (let n = 0; n < spendAllocations.length; n++) {
-    let spendAllocation = spendAllocations[n]['Record'];
-    totalSpend += spendAllocation['spendAllocationAmount'];
-    // store the spend made per Donation
-    if (donationSpendMap.has(spendAllocation['donationId'])) {
-      let spendAmt = donationSpendMap.get(spendAllocation['donationId']);
-      spendAmt += spendAllocation['spendAllocationAmount'];
-      donationSpendMap.set(spendAllocation['donationId'], spendAmt);
-      console.log('##### allocateSpend - donationSpendMap - updating donation entry for donation ID: ' + spendAllocation['donationId'] + ' amount: ' + spendAllocation['spendAllocationAmount'] + ' total amt: ' + spendAmt);
+  let fixedFields = immutableFields[docType].concat(['docType']);
+  for (let field in json) {
+    if (fixedFields.indexOf(field) >= 0 && json[field] !== record[field]) {
+      throw new Error('##### ' + fcn + ' - The field ' + field + ' cannot be changed. It is: ' + record[field]);
     }
-    else {
-      donationSpendMap.set(spendAllocation['donationId'], spendAllocation['spendAllocationAmount']);
-      console.log('##### allocateSpend - donationSpendMap - adding new donation entry for donation ID: ' + spendAllocation['donationId'] + ' amount: ' + spendAllocation['spendAllocationAmount']);
-    }
-  }
-  console.log('##### allocateSpend - Total spend for this ngo is: ' + totalSpend);
-  for (let donation of donationSpendMap) {
-    console.log('##### allocateSpend - Total spend against this donation ID: ' + donation[0] + ', spend amount: ' + donation[1] + ', entry: ' + donation);  
-    if (donationMap.has(donation[0])) {
-      console.log('##### allocateSpend - The matching donation for this donation ID: ' + donation[0] + ', donation amount: ' + donationMap.get(donation[0]));  
+    if (json[field] === null) {
+      delete record[field];
     }
     else {
-      console.log('##### allocateSpend - ERROR - cannot find the matching donation for this spend record for donation ID: ' + donation[0]);  
+      record[field] = json[field];
     }
   }
+  schemas.validate(docType, record);
 
-  // at this point we have the total amount of donations made by donors to each NGO. We also have the total spend
-  // spent by an NGO with a breakdown per donation. 
+  console.log('##### ' + fcn + ' - updated ' + docType + ': ' + JSON.stringify(record));
+  await stub.putState(key, Buffer.from(JSON.stringify(record)));
+  return record;
+}
 
-  // confirm whether the NGO has sufficient available funds to cover the new spend
-  let totalAvailable = totalDonations - totalSpend;
-  if (spend['spendAmount'] > totalAvailable) {
-    // Execution stops at this point; the transaction fails and rolls back.
-    // Any updates made by the transaction processor function are discarded.
-    // Transaction processor functions are atomic; all changes are committed,
-    // or no changes are committed.
-    console.log('##### allocateSpend - NGO ' + ngo + ' does not have sufficient funds available to cover this spend. Spend amount is: ' + spend['spendAmount'] + '. Available funds are currently: ' + totalAvailable + '. Total donations are: ' + totalDonations + ', total spend is: ' + totalSpend);
-    throw new Error('NGO ' + ngo + ' does not have sufficient funds available to cover this spend. Spend amount is: ' + spend['spendAmount'] + '. Available funds are currently: ' + totalAvailable);
-  }
+/**
+ * Returns the timestamp of the transaction as a Date. The transaction timestamp is set by the client
+ * and is the same on every endorsing peer, so unlike the peer's clock it can be used to decide what
+ * a transaction may do
+ */
+function txDate(stub) {
+  return timestampDate(stub.getTxTimestamp());
+}
 
-  // since the NGO has sufficient funds available, add the new spend record
-  spend['docType'] = 'spend';
-  let key = 'spend' + spend['spendId'];
-  console.log('##### allocateSpend - Adding the spend record to NGOSpend. Spend record is: ' + JSON.stringify(spend) + ' key is: ' + key);
-  await stub.putState(key, Buffer.from(JSON.stringify(spend)));
+/**
+ * Returns a protobuf Timestamp, as used for transactions and in the history of a key, as a Date
+ */
+function timestampDate(timestamp) {
+  let seconds = typeof timestamp.seconds === 'number' ? timestamp.seconds : timestamp.seconds.toNumber();
+  return new Date(seconds * 1000 + Math.floor(timestamp.nanos / 1000000));
+}
 
-  // allocate the spend as equally as possible to all the donations
-  console.log('##### allocateSpend - Allocating the spend amount amongst the donations from donors who donated funds to this NGO');
-  let spendAmount = spend.spendAmount;
-  let numberOfDonations = 0;
-  let spendAmountForDonor = 0;
-  let recordCounter = 0;
+/**
+ * Sets the chaincode event for the transaction, which Fabric publishes to event listeners once the
+ * transaction is committed. Fabric keeps only the last event set in a transaction, so each function sets
+ * one event describing everything it changed. The events are:
+ *
+ *    DonorCreated, DonorUpdated, MemberCreated, NGOCreated, NGOUpdated, VerificationPolicySet, NGOApproved,
+ *    NGOVerified, NGORejected, AllocationStrategySet, EmployerCreated, EmployerUpdated, PlanCreated, PlanUpdated,
+ *    SpendApprovalPolicySet, DonationCreated, DonationRefunded, ContributionsCreated, WithdrawalCreated,
+ *    PledgeCreated, PledgePaused, PledgeResumed, PledgeCancelled, PledgeOccurrenceFailed, CampaignCreated,
+ *    MatchingProgramCreated, DonorLinkedToSponsor, SpendCreated, SpendProposed, SpendProposalApproved,
+ *    SpendProposalRejected, SpendEvidenceAdded, GrantCreated, RatingCreated, RatingUpdated, FxRateSet
+ *
+ * Event payloads are visible to every listener on the channel, so the payloads for donors and members
+ * leave out their personal details
+ *
+ * @param {*} eventName - the name of the event, e.g. DonationCreated
+ * @param {*} payload - the payload as JSON
+ */
+function setEvent(stub, eventName, payload) {
+  console.log('##### setEvent - ' + eventName + ' payload: ' + JSON.stringify(payload));
+  stub.setEvent(eventName, Buffer.from(JSON.stringify(payload)));
+}
 
-  while (true) {
-    // spendAmount will be reduced as the spend is allocated to NGOSpendDonationAllocation records. 
-    // Once it reaches 0 we stop allocating. This caters for cases where the full allocation cannot
-    // be allocated to a donation record. In this case, only the remaining domation amount is allocated 
-    // (see variable amountAllocatedToDonation below).
-    // The remaining amount must be allocated to donation records with sufficient available funds.
-    if (spendAmount <= 0) {
-      break;
+/**
+ * Writes the personal details of a donor or member to the docType's private data collection, under the
+ * same key as the record. See privatedata.js
+ *
+ * @param {*} docType - donor or member
+ * @param {*} key - the world state key of the record
+ * @param {*} details - the personal fields and their salt
+ */
+async function putPrivateDetails(stub, docType, key, details) {
+  let collection = privateData.collections[docType].name;
+  console.log('##### putPrivateDetails - writing the private details of: ' + key + ' to collection: ' + collection);
+  await stub.putPrivateData(collection, key, Buffer.from(JSON.stringify(details)));
+}
+
+/**
+ * Returns the personal details of a donor or member, or null if it has none, or if this peer is not a
+ * member of the collection and so does not hold them
+ *
+ * @param {*} docType - donor or member
+ * @param {*} key - the world state key of the record
+ */
+async function getPrivateDetails(stub, docType, key) {
+  let collection = privateData.collections[docType].name;
+  let detailsQuery;
+  try {
+    detailsQuery = await stub.getPrivateData(collection, key);
+  }
+  catch (err) {
+    console.log('##### getPrivateDetails - unable to read collection: ' + collection + ' on this peer: ' + err);
+    return null;
+  }
+  if (!detailsQuery || !detailsQuery.toString()) {
+    return null;
+  }
+  return JSON.parse(detailsQuery.toString());
+}
+
+/**
+ * Adds the personal details to each donor or member in the results of a query, where the caller may read
+ * them (see access.canReadPrivateDetails) and this peer holds them
+ *
+ * @param {*} docType - donor or member
+ * @param {*} results - the records, as an array of {Key, Record}
+ */
+async function addPrivateDetails(stub, docType, results) {
+  for (let result of results) {
+    if (!access.canReadPrivateDetails(stub, docType, result['Record'])) {
+      continue;
     }
-    // calculate the number of donations still available, i.e. donations which still have funds available for spending. 
-    // as the spending reduces the donations there may be fewer and fewer donations available to split the spending between
-    // 
-    // all donations for the NGO are in donationMap. Each entry in the map will look as follows:
-    //
-    // {"Key":"donation2211","Record":{"docType":"donation","donationAmount":100,"donationDate":"2018-09-20T12:41:59.582Z","donationId":"2211","donorUserName":"edge","ngoRegistrationNumber":"6322"}}
-    numberOfDonations = 0;
-    for (let donation of donationMap) {
-      console.log('##### allocateSpend - Donation record, key is: ' +  donation[0] + ' value is: ' + JSON.stringify(donation[1]));
-      if (donationSpendMap.has(donation[0])) {
-        spendAmountForDonor = donationSpendMap.get(donation[0]);
-      }
-      else {
-        spendAmountForDonor = 0;
-      }
-      let availableAmountForDonor = donation[1]['Record']['donationAmount'] - spendAmountForDonor;
-      console.log('##### allocateSpend - Checking number of donations available for allocation. Donation ID: ' +  donation[0] + ' has spent: ' + spendAmountForDonor + ' and has the following amount available for spending: ' + availableAmountForDonor);
-      if (availableAmountForDonor > 0) {
-        numberOfDonations++;
-      }
+    let details = await getPrivateDetails(stub, docType, result['Key']);
+    if (details) {
+      Object.assign(result['Record'], details);
     }
-    //Validate that we have a valid spendAmount, numberOfDonations and spendAmountForDonor
-    //Invalid values could be caused by a bug in this function, or invalid values passed to this function
-    //that were not caught by the validation process earlier.
-    if (!(spendAmount && typeof spendAmount === 'number' && isFinite(spendAmount))) {
-      throw new Error('##### allocateSpend - spendAmount is not a valid number: ' + spendAmount);   
-    }
-    if (!(numberOfDonations && typeof numberOfDonations === 'number' && numberOfDonations > 0)) {
-      throw new Error('##### allocateSpend - numberOfDonations is not a valid number or is < 1: ' + numberOfDonations);   
-    }
-    //calculate how much spend to allocate to each donation
-    let spendPerDonation = spendAmount / numberOfDonations;
-    console.log('##### allocateSpend - Allocating the total spend amount of: ' + spendAmount + ', to ' + numberOfDonations + ' donations, resulting in ' + spendPerDonation + ' per donation');
-
-    if (!(spendPerDonation && typeof spendPerDonation === 'number' && isFinite(spendPerDonation))) {
-      throw new Error('##### allocateSpend - spendPerDonation is not a valid number: ' + spendPerDonation);   
-    }
-
-    // create the SPENDALLOCATION records. Each record looks as follows:
-    //
-    // {
-    //   "docType":"spendAllocation",
-    //   "spendAllocationId":"c5b39e938a29a80c225d10e8327caaf817f76aecd381c868263c4f59a45daf62-1",
-    //   "spendAllocationAmount":38.5,
-    //   "spendAllocationDate":"2018-09-20T12:41:59.582Z",
-    //   "spendAllocationDescription":"Peter Pipers Poulty Portions for Pets",
-    //   "donationId":"FFF6A68D-DB19-4CD3-97B0-01C1A793ED3B",
-    //   "ngoRegistrationNumber":"D0884B20-385D-489E-A9FD-2B6DBE5FEA43",
-    //   "spendId": "1234"
-    // }
-
-    for (let donation of donationMap) {
-      let donationId = donation[0];
-      let donationInfo = donation[1]['Record'];
-      //calculate how much of the donation's amount remains available for spending
-      let donationAmount = donationInfo['donationAmount'];
-      if (donationSpendMap.has(donationId)) {
-        spendAmountForDonor = donationSpendMap.get(donationId);
-      }
-      else {
-        spendAmountForDonor = 0;
-      }
-      let availableAmountForDonor = donationAmount - spendAmountForDonor;
-      //if the donation does not have sufficient funds to cover their allocation, then allocate
-      //all of the outstanding donation funds
-      let amountAllocatedToDonation = 0;
-      if (availableAmountForDonor >= spendPerDonation) {
-        amountAllocatedToDonation = spendPerDonation;
-        console.log('##### allocateSpend - donation ID ' + donationId + ' has sufficient funds to cover full allocation. Allocating: ' + amountAllocatedToDonation);
-      }
-      else if (availableAmountForDonor > 0) {
-        amountAllocatedToDonation = availableAmountForDonor;
-        // reduce the number of donations available since this donation record is fully allocated
-        numberOfDonations -= 1;
-        console.log('##### allocateSpend - donation ID ' + donationId + ' does not have sufficient funds to cover full allocation. Using all available funds: ' + amountAllocatedToDonation);
-      }
-      else {
-        // reduce the number of donations available since this donation record is fully allocated
-        numberOfDonations -= 1;
-        console.log('##### allocateSpend - donation ID ' + donationId + ' has no funds available at all. Available amount: ' + availableAmountForDonor + '. This donation ID will be ignored');
-        continue;
-      }
-      // add a new spendAllocation record containing the portion of a donation allocated to this spend
-      //
-      // spendAllocationId is (hopefully) using an ID created in a deterministic manner, meaning it should
-      // be identical on all endorsing peer nodes. If it isn't, the transaction validation process will fail
-      // when Fabric compares the write-sets for each transaction and discovers there is are different values.
-      let spendAllocationId = stub.getTxID() + '-' + recordCounter;
-      recordCounter++;
-      let key = 'spendAllocation' + spendAllocationId;
-      let spendAllocationRecord = {
-        docType: 'spendAllocation',
-        spendAllocationId: spendAllocationId,
-        spendAllocationAmount: amountAllocatedToDonation,
-        spendAllocationDate: spend['spendDate'],
-        spendAllocationDescription: spend['spendDescription'],
-        donationId: donationId,
-        ngoRegistrationNumber: ngo,
-        spendId: spend['spendId']
-      }; 
-
-      console.log('##### allocateSpend - creating spendAllocationRecord record: ' + JSON.stringify(spendAllocationRecord));
-      await stub.putState(key, Buffer.from(JSON.stringify(spendAllocationRecord)));
-
-      //reduce the total spend amount by the amount just spent in the NGOSpendDonationAllocation record
-      spendAmount -= amountAllocatedToDonation;
-
-      //update the spending map entry for this NGO. There may be no existing spend, in which case we'll create an entry in the map
-      if (donationSpendMap.has(donationId)) {
-        let spendAmt = donationSpendMap.get(donationId);
-        spendAmt += amountAllocatedToDonation;
-        donationSpendMap.set(donationId, spendAmt);
-        console.log('##### allocateSpend - donationSpendMap - updating spend entry for donation Id: ' + donationId + ' with spent amount allocated to donation: ' + amountAllocatedToDonation + ' - total amount of this donation now spent is: ' + spendAmt);
-      }
-      else {
-        donationSpendMap.set(donationId, amountAllocatedToDonation);
-        console.log('##### allocateSpend - donationSpendMap - adding new spend entry for donation ID: ' + donationId + ' with spent amount allocated to donation: ' + amountAllocatedToDonation);
+  }
+  return results;
+}
+
+/**
+ * Returns the members with an SSN whose private details the caller may read, as an array of {Key, Record}.
+ * A member's SSN is only held in its private details, so these are searched. This peer must be a member of
+ * the collection.
+ *
+ * @param {*} ssn - the SSN
+ */
+async function membersForSsn(stub, ssn) {
+  let collection = privateData.collections['member'].name;
+  let iterator = await stub.getPrivateDataByRange(collection, 'member0', 'memberz');
+  let members = [];
+  while (true) {
+    let res = await iterator.next();
+    // the details are not logged, as the peer's log is not private
+    if (res.value && res.value.value.toString() && JSON.parse(res.value.value.toString('utf8'))['ssn'] === String(ssn)) {
+      let memberQuery = await stub.getState(res.value.key);
+      if (memberQuery.toString() && access.canReadPrivateDetails(stub, 'member', JSON.parse(memberQuery.toString()))) {
+        members.push({Key: res.value.key, Record: JSON.parse(memberQuery.toString())});
       }
     }
+    if (res.done) {
+      await iterator.close();
+      return members;
+    }
   }
-  console.log('============= END : allocateSpend ===========');
-}  
-
-/************************************************************************************************
- * 
- * CHAINCODE
- * 
- ************************************************************************************************/
-
-let Chaincode = class {
+}
 
-  /**
-   * Initialize the state when the chaincode is either instantiated or upgraded
-   * 
-   * @param {*} stub 
-   */
-  async Init(stub) {
-    console.log('=========== Init: Instantiated / Upgraded ngo chaincode ===========');
-    return shim.success();
+/**
+ * Executes a query using an index of a member's records, such as contributions, for the member identified
+ * by memberId or, as a member has a memberId for each of its contracts, for every member with an SSN
+ *
+ * @param {*} indexName - the name of the index, e.g. 'contribution~member~id'
+ * @param {*} json - the arguments, i.e. {memberId} or {ssn}
+ */
+async function queryByMember(stub, indexName, json) {
+  let memberIds = json['memberId'] ? [json['memberId']] :
+    (await membersForSsn(stub, json['ssn'])).map((member) => member['Record']['memberId']);
+  let results = [];
+  for (let memberId of memberIds) {
+    results = results.concat(JSON.parse((await queryByIndex(stub, indexName, [memberId])).toString()));
   }
+  return Buffer.from(JSON.stringify(results));
+}
 
-  /**
-   * The Invoke method will call the methods below based on the method name passed by the calling
-   * program.
-   * 
+/**
+ * Returns the memberId identifying a member in public records, such as contributions. The memberId is a
+ * salted hash of the member's SSN and contract, so it does not reveal the SSN
+ *
+ * @param {*} details - the member's private details, i.e. {ssn, salt, ...}
+ * @param {*} contractNumber - the member's contract
+ */
+function memberIdFor(details, contractNumber) {
+  return privateData.saltedHash(details['salt'], details['ssn'] + ':' + contractNumber);
+}
+
+/**
+ * The fields of each docType that held personal details in world state before the private data collections
+ * were introduced. A member's elective deferral was held in contribAndDeferral, and contributions and
+ * withdrawals named their member by SSN. migratePrivateDetails moves them out of world state, but the earlier
+ * versions of the records, in the history of their keys, still hold them
+ */
+const legacyPrivateFields = {
+  donor: ['email'],
+  member: ['ssn', 'dob', 'salary', 'homePhoneNumber', 'contribAndDeferral'],
+  contribution: ['ssn'],
+  withdrawal: ['ssn']
+};
+
+/**
+ * Returns a version of a record from the history of its key, leaving out the personal details it held in world
+ * state unless the caller may read them (see access.canReadPrivateDetails). A contribution or withdrawal may be
+ * read by the callers who may read its member's details.
+ *
+ * @param {*} docType - the docType of the record
+ * @param {*} record - the version of the record, which is not changed
+ */
+function hidePrivateFields(stub, docType, record) {
+  let fields = legacyPrivateFields[docType];
+  if (!fields || !record || typeof record !== 'object') {
+    return record;
+  }
+  if (access.canReadPrivateDetails(stub, docType === 'donor' ? 'donor' : 'member', record)) {
+    return record;
+  }
+  let hidden = Object.assign({}, record);
+  for (let field of fields) {
+    delete hidden[field];
+  }
+  return hidden;
+}
+
+/**
+ * Returns the records of a docType that still hold personal details in world state, as an array of {Key, Record}.
+ * The records are not logged, as the peer's log is not private
+ *
+ * @param {*} docType - donor, member, contribution or withdrawal
+ */
+async function legacyPrivateRecords(stub, docType) {
+  let iterator = await stub.getStateByRange(docType + '0', docType + 'z');
+  let records = [];
+  while (true) {
+    let res = await iterator.next();
+    if (res.value && res.value.value.toString()) {
+      let record = JSON.parse(res.value.value.toString('utf8'));
+      if (record['docType'] === docType && legacyPrivateFields[docType].some((field) => record[field] !== undefined)) {
+        records.push({Key: res.value.key, Record: record});
+      }
+    }
+    if (res.done) {
+      await iterator.close();
+      return records;
+    }
+  }
+}
+
+/**
+ * Gets the pledge to be paused, resumed or cancelled, checking the pledge belongs to the donor and is
+ * in one of the statuses the change can be made from
+ *
+ * @param {*} fcn - the name of the calling function, used in error messages
+ * @param {*} json - the arguments as JSON, i.e. {pledgeId, donorUserName, changeDate}
+ * @param {*} fromStatuses - the statuses the pledge may be in
+ */
+async function getPledgeForChange(stub, fcn, json, ...fromStatuses) {
+  schemas.validate('pledgeChange', json);
+  let pledgeQuery = await stub.getState('pledge' + json['pledgeId']);
+  if (!pledgeQuery.toString()) {
+    throw new Error('##### ' + fcn + ' - The Pledge does not exist: ' + json['pledgeId']);
+  }
+  let pledge = JSON.parse(pledgeQuery.toString());
+  if (pledge['donorUserName'] !== json['donorUserName']) {
+    throw new Error('##### ' + fcn + ' - The Pledge: ' + json['pledgeId'] + ' was not made by donor: ' + json['donorUserName']);
+  }
+  if (fromStatuses.indexOf(pledge['pledgeStatus']) < 0) {
+    throw new Error('##### ' + fcn + ' - The Pledge: ' + json['pledgeId'] + ' is ' + pledge['pledgeStatus'] +
+      '. It must be ' + fromStatuses.join(' or '));
+  }
+  return pledge;
+}
+
+/**
+ * Checks a donation that fulfils a pledge matches the pledge and fulfils an occurrence that is due,
+ * and copies the pledge's restriction to the donation. The donation ID must be the one given by
+ * pledge.js for the occurrence, so each occurrence can only be fulfilled once.
+ *
+ * @param {*} donation - the donation as JSON, with its currency set
+ */
+async function checkPledgeDonation(stub, donation) {
+  let pledgeQuery = await stub.getState('pledge' + donation['pledgeId']);
+  if (!pledgeQuery.toString()) {
+    throw new Error('##### createDonation - Cannot create donation as the Pledge does not exist: ' + donation['pledgeId']);
+  }
+  let pledge = JSON.parse(pledgeQuery.toString());
+  let occurrence = donation['pledgeOccurrence'];
+  if (!occurrence || donation['donationId'] !== pledges.donationIdFor(pledge, occurrence)) {
+    throw new Error('##### createDonation - A donation for a pledge must have the pledgeOccurrence it fulfils, and the donationId ' +
+      pledges.donationIdFor(pledge, occurrence || 1) + ' for occurrence ' + (occurrence || 1));
+  }
+  for (let field of ['donorUserName', 'ngoRegistrationNumber', 'currency']) {
+    if (donation[field] !== pledge[field]) {
+      throw new Error('##### createDonation - The donation ' + field + ': ' + donation[field] + ' does not match the Pledge: ' + pledge[field]);
+    }
+  }
+  if (donation['donationAmount'] !== pledge['pledgeAmount']) {
+    throw new Error('##### createDonation - The donation amount: ' + donation['donationAmount'] + ' does not match the Pledge amount: ' + pledge['pledgeAmount']);
+  }
+  let due = pledges.dueOccurrences(pledge, txDate(stub)).find((due) => due.occurrence === occurrence);
+  if (!due) {
+    throw new Error('##### createDonation - Occurrence ' + occurrence + ' of the Pledge is not due: ' + pledge['pledgeId']);
+  }
+  if (due.skipped) {
+    throw new Error('##### createDonation - Occurrence ' + occurrence + ' of the Pledge was skipped, as the Pledge was paused: ' + pledge['pledgeId']);
+  }
+  if (failedOccurrences(pledge).indexOf(occurrence) >= 0) {
+    throw new Error('##### createDonation - Occurrence ' + occurrence + ' of the Pledge has been recorded as failed: ' + pledge['pledgeId']);
+  }
+  if (pledge['restriction']) {
+    donation['restriction'] = pledge['restriction'];
+  }
+}
+
+/**
+ * The fields of a pledge that keep track of its occurrences (see pledge.js). They are set by the chaincode as
+ * occurrences are fulfilled, skipped or fail, and cannot be passed to createPledge
+ */
+const pledgeScheduleFields = ['nextOccurrence', 'nextDueDate', 'failedOccurrences'];
+
+/**
+ * Returns the occurrences of a pledge that have been recorded as failed (see recordPledgeFailure)
+ */
+function failedOccurrences(pledge) {
+  return (pledge['failedOccurrences'] || []).map((failure) => failure['occurrence']);
+}
+
+/**
+ * Moves a pledge's nextOccurrence past the occurrences that have fallen due and have been fulfilled, skipped or
+ * failed. Occurrences are usually settled in order, as the scheduler fulfils them, so this reads the donation
+ * for at most the occurrences fulfilled out of order.
+ *
+ * @param {*} pledge - the pledge record, which is changed but not written
+ * @param {*} settled - optional, an occurrence fulfilled by this transaction, whose donation cannot be read back
+ * @returns true if the nextOccurrence or nextDueDate changed
+ */
+async function advancePledge(stub, pledge, settled) {
+  let before = [pledge['nextOccurrence'], pledge['nextDueDate']];
+  let failed = failedOccurrences(pledge);
+  let n = pledge['nextOccurrence'] || 1;
+  for (let due of pledges.dueOccurrences(pledge, txDate(stub), n)) {
+    if (!(due.skipped || due.occurrence === settled || failed.indexOf(due.occurrence) >= 0 ||
+      (await stub.getState('donation' + due.donationId)).toString())) {
+      break;
+    }
+    n = due.occurrence + 1;
+  }
+  pledges.setNextOccurrence(pledge, n);
+  return before[0] !== pledge['nextOccurrence'] || before[1] !== pledge['nextDueDate'];
+}
+
+/**
+ * Records that a donation fulfilled an occurrence of its pledge, moving the pledge's nextOccurrence on
+ *
+ * @param {*} donation - the donation, already checked by checkPledgeDonation
+ */
+async function fulfilPledgeOccurrence(stub, donation) {
+  let key = 'pledge' + donation['pledgeId'];
+  let pledge = JSON.parse((await stub.getState(key)).toString());
+  if (await advancePledge(stub, pledge, donation['pledgeOccurrence'])) {
+    await stub.putState(key, Buffer.from(JSON.stringify(pledge)));
+  }
+}
+
+/**
+ * Checks a donation towards a campaign is to the NGO running the campaign, and that the campaign's deadline
+ * has not passed. The deadline is compared with the transaction time rather than the donationDate, which is
+ * set by the donor
+ *
+ * @param {*} donation - the donation as JSON
+ */
+async function checkCampaignDonation(stub, donation) {
+  let campaignQuery = await stub.getState('campaign' + donation['campaignId']);
+  if (!campaignQuery.toString()) {
+    throw new Error('##### createDonation - Cannot create donation as the Campaign does not exist: ' + donation['campaignId']);
+  }
+  let campaign = JSON.parse(campaignQuery.toString());
+  if (campaign['ngoRegistrationNumber'] !== donation['ngoRegistrationNumber']) {
+    throw new Error('##### createDonation - The Campaign: ' + campaign['campaignId'] + ' is run by NGO: ' + campaign['ngoRegistrationNumber'] +
+      ', not: ' + donation['ngoRegistrationNumber']);
+  }
+  if (txDate(stub) > new Date(campaign['deadline'])) {
+    throw new Error('##### createDonation - The Campaign: ' + campaign['campaignId'] + ' closed to new donations at its deadline: ' + campaign['deadline']);
+  }
+}
+
+/**
+ * The fields createDonation sets on a donation matched by a sponsor, and on the sponsor's matching donation.
+ * A donor may not set them, so a donation cannot pass itself off as a matching gift
+ */
+const matchingFields = ['matchingDonationId', 'matchingGift', 'matchingProgramId', 'matchingYear', 'matchedDonationId', 'matchedDonorUserName'];
+
+/**
+ * The suffix of the ID of a sponsor's matching donation, added to the ID of the donation it matches. No other
+ * donation may have an ID ending with it, so the matching donation's ID is always free
+ */
+const matchingSuffix = '-match';
+
+/**
+ * The fields createGrant sets on the donations it creates for the NGO receiving a grant, linking each to the
+ * donation at the granting NGO that funded it. A donor may not set them, so a donation cannot pass itself off as a grant
+ */
+const grantFields = ['grantId', 'sourceDonationId', 'sourceNGORegistrationNumber', 'sourceSpendAllocationId'];
+
+/**
+ * The fields createAnonymousDonation sets on an anonymous donation. A donor may not set them on a donation made
+ * under their name, so a donation cannot be filed under another donor's commitment
+ */
+const anonymousFields = ['anonymous', 'donorCommitment'];
+
+/**
+ * Checks a donation can be made, i.e. the NGO and the donor exist and are active, any pledge or campaign it is for
+ * accepts it, and it does not already exist. Its ID may not end with matchingSuffix, which is kept for the
+ * matching donations of sponsors (see matchDonation). The currency of the donation defaults to the NGO's, and a donation in
+ * another currency is converted to the NGO's currency.
+ *
+ * @param {*} json - the donation as JSON
+ * @param {*} donorUserName - the donor making the donation, or null for an anonymous donation. The donor of an
+ * anonymous donation is not read, as the keys a transaction reads are recorded in its block
+ */
+async function checkDonation(stub, fcn, json, donorUserName) {
+  if (json['donationId'].endsWith(matchingSuffix)) {
+    throw new Error('##### ' + fcn + ' - The donationId cannot end with ' + matchingSuffix + ', which is kept for matching donations: ' + json['donationId']);
+  }
+
+  // Confirm the NGO exists
+  let ngoKey = 'ngo' + json['ngoRegistrationNumber'];
+  let ngoQuery = await stub.getState(ngoKey);
+  if (!ngoQuery.toString()) {
+    throw new Error('##### ' + fcn + ' - Cannot create donation as the NGO does not exist: ' + json['ngoRegistrationNumber']);
+  }
+  let ngoStatus = recordStatus(JSON.parse(ngoQuery.toString()));
+  if (ngoStatus !== 'active') {
+    throw new Error('##### ' + fcn + ' - Cannot create donation as the NGO is ' + ngoStatus + ': ' + json['ngoRegistrationNumber']);
+  }
+
+  // Confirm the donor exists
+  if (donorUserName !== null) {
+    let donorKey = 'donor' + donorUserName;
+    let donorQuery = await stub.getState(donorKey);
+    if (!donorQuery.toString()) {
+      throw new Error('##### ' + fcn + ' - Cannot create donation as the Donor does not exist: ' + donorUserName);
+    }
+    let donorStatus = recordStatus(JSON.parse(donorQuery.toString()));
+    if (donorStatus !== 'active') {
+      throw new Error('##### ' + fcn + ' - Cannot create donation as the Donor is ' + donorStatus + ': ' + donorUserName);
+    }
+  }
+
+  // Amounts are in minor units. A donation in a currency other than the NGO's is converted to the NGO's currency
+  let ngoCurrency = currencyForNGO(ngoQuery);
+  if (!json['currency']) {
+    json['currency'] = ngoCurrency;
+  }
+  if (json['pledgeId']) {
+    await checkPledgeDonation(stub, json);
+  }
+  if (json['campaignId']) {
+    await checkCampaignDonation(stub, json);
+  }
+  if (json['currency'] !== ngoCurrency) {
+    await convertDonation(stub, json, ngoCurrency);
+  }
+
+  // Check if the Donation already exists
+  let donationQuery = await stub.getState('donation' + json['donationId']);
+  if (donationQuery.toString()) {
+    throw new Error('##### ' + fcn + ' - This Donation already exists: ' + json['donationId']);
+  }
+}
+
+/**
+ * The length of the shortest secret a donor may use for an anonymous donation, so the commitment to their
+ * user name cannot be found by guessing the secret
+ */
+const minDonorSecretLength = 32;
+
+/**
+ * Returns the commitment stored on an anonymous donation in place of the donor's user name, i.e. the hash of the
+ * user name salted with the donor's secret. The commitment cannot be linked to the donor without the secret, from
+ * world state, queries, events or the block holding the transaction (see createAnonymousDonation). A donor who uses
+ * the same secret for several donations gives them all the same commitment, i.e. a pseudonym, while a new secret for
+ * each donation keeps them from being linked to each other.
+ */
+function donorCommitment(donorUserName, donorSecret) {
+  return privateData.saltedHash(donorSecret, donorUserName);
+}
+
+/**
+ * Returns a donor's anonymous donations, found using the commitment of each secret passed in the transient map
+ * under the key donorSecrets, e.g. {"donorSecrets": ["5f1d...", "a3c9..."]}. Secrets are passed in the transient
+ * map as, unlike the arguments, it is not recorded on the ledger. With no secrets, there are none.
+ *
+ * @returns the donations, as returned by queryByIndex, i.e. [{"Key":..., "Record":...}]
+ */
+async function anonymousDonationsForDonor(stub, fcn, donorUserName) {
+  let secrets = privateData.transientValue(stub, 'donorSecrets') || [];
+  if (!Array.isArray(secrets) || secrets.some((secret) => typeof secret !== 'string')) {
+    throw new Error('##### ' + fcn + ' - The donorSecrets in the transient map must be an array of strings');
+  }
+  let donations = [];
+  for (let commitment of new Set(secrets.map((secret) => donorCommitment(donorUserName, secret)))) {
+    donations = donations.concat(JSON.parse((await queryByIndex(stub, 'donation~commitment~id', [commitment])).toString()));
+  }
+  return donations;
+}
+
+/**
+ * Returns the key of the total a matching programme has matched for a donor in a year. The total is stored as:
+ *
+ * {
+ *    "docType":"matchingTotal",
+ *    "programId":"acme-match",
+ *    "donorUserName":"edge",
+ *    "year":2018,
+ *    "matchedAmount":15000
+ * }
+ */
+function matchingTotalKey(programId, donorUserName, year) {
+  return 'matchingTotal' + programId + ':' + donorUserName + ':' + year;
+}
+
+/**
+ * Creates the matching donation from the donor's sponsor, if the donor is linked to a matching programme (see
+ * linkDonorToSponsor). The matching donation is the donation amount multiplied by the programme's matchRatio,
+ * rounded down, and is limited so the total matched for the donor in the calendar year of the transaction does
+ * not exceed the programme's annualCapPerDonor. The year is not taken from the donationDate, which the donor
+ * sets, so a donor cannot date donations into another year to be matched beyond the cap. The year is recorded
+ * on the matching donation as matchingYear, so a refund can give it back to the right year's total.
+ *
+ * Matching never stops the donor's own donation. No match is made if the NGO is not eligible, the donation is
+ * not in the programme's currency once converted to the NGO's currency, the sponsor is not an active donor, the
+ * donor has reached the cap, or a donation already has the matching donation's ID.
+ *
+ * The matching donation has the ID of the donor's donation followed by matchingSuffix, and is flagged with matchingGift
+ * so it can be told apart from the donor's own money. It takes the restriction and campaign of the donor's donation.
+ *
+ * @param {*} donation - the donor's donation as JSON, in the NGO's currency. matchingDonationId is set on it if
+ * a match is made
+ * @returns the matching donation, or null if there is no match
+ */
+async function matchDonation(stub, donation) {
+  let linkQuery = await stub.getState('sponsorLink' + donation['donorUserName']);
+  if (!linkQuery.toString()) {
+    return null;
+  }
+  let programId = JSON.parse(linkQuery.toString())['programId'];
+  let program = JSON.parse((await queryByKey(stub, 'matchingProgram' + programId)).toString());
+
+  if (program['eligibleNGOs'].indexOf(donation['ngoRegistrationNumber']) < 0) {
+    console.log('##### matchDonation - NGO: ' + donation['ngoRegistrationNumber'] + ' is not eligible for matching programme: ' + programId);
+    return null;
+  }
+  if (donation['currency'] !== program['currency']) {
+    console.log('##### matchDonation - The donation is in ' + donation['currency'] + ' but matching programme: ' + programId + ' matches ' + program['currency']);
+    return null;
+  }
+  let sponsorQuery = await stub.getState('donor' + program['sponsorUserName']);
+  if (!sponsorQuery.toString() || recordStatus(JSON.parse(sponsorQuery.toString())) !== 'active') {
+    console.log('##### matchDonation - The sponsor is not an active donor: ' + program['sponsorUserName']);
+    return null;
+  }
+
+  // donations recorded before the suffix was reserved may already have the matching donation's ID
+  let key = 'donation' + donation['donationId'] + matchingSuffix;
+  let matchQuery = await stub.getState(key);
+  if (matchQuery.toString()) {
+    console.log('##### matchDonation - A Donation already exists with the ID of the matching donation: ' + donation['donationId'] + matchingSuffix);
+    return null;
+  }
+
+  let year = txDate(stub).getUTCFullYear();
+  let totalKey = matchingTotalKey(programId, donation['donorUserName'], year);
+  let totalQuery = await stub.getState(totalKey);
+  let total = totalQuery.toString() ? JSON.parse(totalQuery.toString()) :
+    {docType: 'matchingTotal', programId: programId, donorUserName: donation['donorUserName'], year: year, matchedAmount: 0};
+
+  let ratio = money.parseDecimal(program['matchRatio']);
+  let matchAmount = money.mulDiv(donation['donationAmount'], ratio.numerator, ratio.denominator).quotient;
+  matchAmount = Math.min(matchAmount, program['annualCapPerDonor'] - total['matchedAmount']);
+  console.log('##### matchDonation - Matching ' + matchAmount + ' of donation: ' + donation['donationId'] + '. Already matched in ' + year + ': ' + total['matchedAmount']);
+  if (matchAmount <= 0) {
+    return null;
+  }
+
+  let matchingDonation = {
+    docType: 'donation',
+    donationId: donation['donationId'] + matchingSuffix,
+    donationAmount: matchAmount,
+    currency: donation['currency'],
+    donationDate: donation['donationDate'],
+    donorUserName: program['sponsorUserName'],
+    ngoRegistrationNumber: donation['ngoRegistrationNumber'],
+    matchingGift: true,
+    matchingProgramId: programId,
+    matchingYear: year,
+    matchedDonationId: donation['donationId'],
+    matchedDonorUserName: donation['donorUserName']
+  };
+  for (let field of ['restriction', 'campaignId']) {
+    if (donation[field]) {
+      matchingDonation[field] = donation[field];
+    }
+  }
+  total['matchedAmount'] += matchAmount;
+  await stub.putState(totalKey, Buffer.from(JSON.stringify(total)));
+  await stub.putState(key, Buffer.from(JSON.stringify(matchingDonation)));
+  await putIndexEntries(stub, 'donation', key, matchingDonation);
+  donation['matchingDonationId'] = matchingDonation['donationId'];
+  return matchingDonation;
+}
+
+/**
+ * Gives the amount of a refunded matching donation back to the total its programme has matched for the donor in
+ * the year it was matched, so the donor's later donations can be matched up to the cap again. See matchDonation
+ *
+ * @param {*} matchingDonation - the sponsor's matching donation, as JSON
+ */
+async function unmatchDonation(stub, matchingDonation) {
+  // matching donations recorded before matchingYear was added were counted in the year of their donationDate
+  let year = matchingDonation['matchingYear'] || new Date(matchingDonation['donationDate']).getUTCFullYear();
+  let totalKey = matchingTotalKey(matchingDonation['matchingProgramId'], matchingDonation['matchedDonorUserName'], year);
+  let totalQuery = await stub.getState(totalKey);
+  if (!totalQuery.toString()) {
+    return;
+  }
+  let total = JSON.parse(totalQuery.toString());
+  total['matchedAmount'] = Math.max(total['matchedAmount'] - matchingDonation['donationAmount'], 0);
+  console.log('##### unmatchDonation - Matched in ' + year + ' for donor: ' + total['donorUserName'] + ' is now: ' + total['matchedAmount']);
+  await stub.putState(totalKey, Buffer.from(JSON.stringify(total)));
+}
+
+/**
+ * Returns the ID of the transaction that created a record, i.e. the first entry in the history of its key,
+ * or null if the history is not available
+ *
+ * @param {*} key - the world state key of the record
+ */
+async function creatingTxId(stub, key) {
+  let historyIterator = await stub.getHistoryForKey(key);
+  let first = await historyIterator.next();
+  await historyIterator.close();
+  return first.value ? first.value.tx_id : null;
+}
+
+/**
+ * Returns every version of a record, oldest first, with the ID and timestamp of the transaction that wrote it.
+ * record is null for a version that deleted the key
+ *
+ * @param {*} key - the world state key of the record
+ */
+async function keyHistory(stub, key) {
+  let historyIterator = await stub.getHistoryForKey(key);
+  let history = [];
+  while (true) {
+    let historyRecord = await historyIterator.next();
+    if (historyRecord.value) {
+      let value = historyRecord.value.value.toString('utf8');
+      history.push({
+        txId: historyRecord.value.tx_id,
+        timestamp: timestampDate(historyRecord.value.timestamp).toISOString(),
+        isDelete: Boolean(historyRecord.value.is_delete),
+        record: value ? JSON.parse(value) : null
+      });
+    }
+    if (historyRecord.done) {
+      await historyIterator.close();
+      return history;
+    }
+  }
+}
+
+/**
+ * Returns the differences between two versions of a record, field by field, as follows:
+ *
+ * [
+ *    {"field":"address","change":"changed","from":"1 Pet street","to":"2 Pet street"},
+ *    {"field":"spendApprovalPolicy.threshold","change":"changed","from":1000,"to":2000},
+ *    {"field":"contactNumber","change":"removed","from":"555-1234"}
+ * ]
+ *
+ * Fields of nested objects are compared one by one, and named by their path. Arrays are compared as a whole.
+ * Fields are listed in alphabetical order, so every peer returns the same differences.
+ *
+ * @param {*} previous - the earlier version, or null if there is none, i.e. every field was added
+ * @param {*} current - the later version
+ * @param {*} path - the path of the fields being compared, for nested objects
+ */
+function recordChanges(previous, current, path) {
+  let isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  let changes = [];
+  previous = previous || {};
+  let fields = Array.from(new Set(Object.keys(previous).concat(Object.keys(current)))).sort();
+  for (let field of fields) {
+    let name = path ? path + '.' + field : field;
+    if (isObject(previous[field]) && isObject(current[field])) {
+      changes = changes.concat(recordChanges(previous[field], current[field], name));
+    }
+    else if (previous[field] === undefined) {
+      changes.push({field: name, change: 'added', to: current[field]});
+    }
+    else if (current[field] === undefined) {
+      changes.push({field: name, change: 'removed', from: previous[field]});
+    }
+    else if (JSON.stringify(previous[field]) !== JSON.stringify(current[field])) {
+      changes.push({field: name, change: 'changed', from: previous[field], to: current[field]});
+    }
+  }
+  return changes;
+}
+
+/**
+ * Returns a Mango selector for the NGOs with a status. NGOs created before the status was introduced do
+ * not have one, and are active
+ */
+function ngoStatusFilter(status) {
+  if (status === 'active') {
+    return {'$or': [{status: 'active'}, {status: {'$exists': false}}]};
+  }
+  return {status: status};
+}
+
+/**
+ * Returns the verification policy, or throws if the admin has not set one
+ *
+ * @param {*} fcn - the name of the calling function, used in error messages
+ */
+async function verificationPolicy(stub, fcn) {
+  let policyQuery = await stub.getState('verificationPolicy');
+  if (!policyQuery.toString()) {
+    throw new Error('##### ' + fcn + ' - No verification policy has been set. See setVerificationPolicy');
+  }
+  return JSON.parse(policyQuery.toString());
+}
+
+/**
+ * Returns the pending NGO a verifier is approving or rejecting, after checking the verifier's organisation is
+ * one of the verifier organisations in the policy, and has not already approved the NGO
+ *
+ * @param {*} fcn - the name of the calling function, used in error messages
+ * @param {*} policy - the verification policy
+ * @param {*} mspId - the MSP of the verifier's organisation
+ */
+async function ngoAwaitingVerification(stub, fcn, policy, mspId, ngoRegistrationNumber) {
+  if (policy['verifierMSPs'].indexOf(mspId) < 0) {
+    throw new Error('##### ' + fcn + ' - The organisation ' + mspId + ' is not a verifier organisation. Verifier organisations are: ' +
+      policy['verifierMSPs'].join(', '));
+  }
+  let ngo = JSON.parse((await queryByKey(stub, 'ngo' + ngoRegistrationNumber)).toString());
+  if (recordStatus(ngo) !== 'pending') {
+    throw new Error('##### ' + fcn + ' - The NGO is not awaiting verification, as it is ' + recordStatus(ngo) + ': ' + ngoRegistrationNumber);
+  }
+  if (ngo['approvals'].some((approval) => approval['mspId'] === mspId)) {
+    throw new Error('##### ' + fcn + ' - The organisation ' + mspId + ' has already approved the NGO: ' + ngoRegistrationNumber);
+  }
+  return ngo;
+}
+
+/**
+ * Works out how much a campaign has raised from the donations made towards it. Refunded donations are
+ * ignored. Donations are converted to the NGO's currency when they are made, so they are in the same
+ * currency as the goal
+ *
+ * @param {*} campaign - the campaign as JSON
+ * @returns the campaign with its progress added, as follows:
+ * {
+ *    "campaignId":"c1",
+ *    ...
+ *    "progress":{"raised":75000,"donationCount":3,"donorCount":2,"percentOfGoal":75,"open":true}
+ * }
+ */
+async function addCampaignProgress(stub, campaign) {
+  let donations = JSON.parse((await queryByIndex(stub, 'donation~campaign~id', [campaign['campaignId']])).toString());
+  let raised = 0;
+  let donationCount = 0;
+  let donors = new Set();
+  for (let donation of donations) {
+    if (donation['Record']['donationStatus'] === 'refunded') {
+      continue;
+    }
+    raised += donation['Record']['donationAmount'];
+    donationCount++;
+    // an anonymous donation is counted by its commitment, so donations under the same pseudonym count as one donor
+    donors.add(donation['Record']['donorUserName'] || donation['Record']['donorCommitment']);
+  }
+  campaign['progress'] = {
+    raised: raised,
+    donationCount: donationCount,
+    donorCount: donors.size,
+    // rounded to 2 decimal places, so every peer returns the same value
+    percentOfGoal: Math.round(raised * 10000 / campaign['goalAmount']) / 100,
+    open: txDate(stub) <= new Date(campaign['deadline'])
+  };
+  return campaign;
+}
+
+/**
+ * Adds a rating to, or removes a rating from, an NGO's rating summary
+ *
+ * @param {*} summary - the rating summary, see getRatingSummary
+ * @param {*} rating - the rating, from 1 to 5
+ * @param {*} count - 1 to add the rating, -1 to remove it
+ */
+function addToRatingSummary(summary, rating, count) {
+  summary['histogram'][rating] += count;
+  summary['ratingCount'] += count;
+  summary['ratingTotal'] += rating * count;
+  // rounded to 2 decimal places, so every peer stores the same value
+  summary['meanRating'] = summary['ratingCount'] > 0 ? Math.round(summary['ratingTotal'] * 100 / summary['ratingCount']) / 100 : 0;
+}
+
+/**
+ * Gets the rating summary for an NGO, which createRating and updateRating keep up to date so the ratings
+ * do not need to be read to show an NGO's rating. The summary is stored under 'ratingSummary' + ngo, as:
+ *
+ * {
+ *    "docType":"ratingSummary",
+ *    "ngoRegistrationNumber":"6322",
+ *    "ratingCount":3,
+ *    "ratingTotal":11,
+ *    "meanRating":3.67,
+ *    "histogram":{"1":0,"2":0,"3":1,"4":1,"5":1}
+ * }
+ *
+ * Ledgers created before summaries were introduced have ratings but no summary, so in that case the summary
+ * is built from the NGO's ratings
+ *
+ * @param {*} ngo - the ngoRegistrationNumber of the NGO
+ */
+async function getRatingSummary(stub, ngo) {
+  let summaryQuery = await stub.getState('ratingSummary' + ngo);
+  if (summaryQuery.toString()) {
+    return JSON.parse(summaryQuery.toString());
+  }
+  let summary = {
+    docType: 'ratingSummary',
+    ngoRegistrationNumber: ngo,
+    ratingCount: 0,
+    ratingTotal: 0,
+    meanRating: 0,
+    histogram: {1: 0, 2: 0, 3: 0, 4: 0, 5: 0}
+  };
+  let ratings = JSON.parse((await queryByIndex(stub, 'rating~ngo~id', [ngo])).toString());
+  for (let rating of ratings) {
+    addToRatingSummary(summary, rating['Record']['rating'], 1);
+  }
+  return summary;
+}
+
+/**
+ * Adds the rating summary to each NGO in the results of a query
+ *
+ * @param {*} results - the NGOs, as an array of {Key, Record}
+ */
+async function addRatingSummaries(stub, results) {
+  for (let result of results) {
+    result['Record']['ratingSummary'] = await getRatingSummary(stub, result['Record']['ngoRegistrationNumber']);
+  }
+  return results;
+}
+
+/**
+ * Get the donations made to an NGO, and the amount of each donation that has already been spent.
+ * Donations that have been refunded are ignored, as are the spendAllocations that were reversed
+ * when a donation was refunded (see reverseDonation)
+ * 
+ * @param {*} stub 
+ * @param {*} ngo - the ngoRegistrationNumber of the NGO
+ * @returns an object as follows:
+ * {
+ *   donationMap: a Map from donationId to the donation, i.e. {"Key":"donation2211","Record":{...}}
+ *   donationSpendMap: a Map from donationId to the amount of the donation already spent
+ *   totalDonations: the total amount of the donations
+ *   totalSpend: the total amount spent
+ * }
+ */
+async function getDonationBalances(stub, ngo) {
+  // first, get the total amount of donations donated to this NGO
+  let totalDonations = 0;
+  const donationMap = new Map();
+  let donationsForNGO = await queryByIndex(stub, 'donation~ngo~id', [ngo]);
+  console.log('##### getDonationBalances - getDonationsForNGO: ' + donationsForNGO);
+  donationsForNGO = JSON.parse(donationsForNGO.toString());
+  console.log('##### getDonationBalances - getDonationsForNGO as JSON: ' + donationsForNGO);
+
+  // store all donations for the NGO in a map. Each entry in the map will look as follows:
+  //
+  // {"Key":"donation2211","Record":{"docType":"donation","donationAmount":10000,"currency":"USD","donationDate":"2018-09-20T12:41:59.582Z","donationId":"2211","donorUserName":"edge","ngoRegistrationNumber":"6322"}}
+  for (let n = 0; n < donationsForNGO.length; n++) {
+    let donation = donationsForNGO[n];
+    console.log('##### getDonationBalances - getDonationsForNGO Donation: ' + JSON.stringify(donation));
+    if (donation['Record']['donationStatus'] === 'refunded') {
+      console.log('##### getDonationBalances - ignoring refunded donation: ' + donation['Record']['donationId']);
+      continue;
+    }
+    totalDonations += donation['Record']['donationAmount'];
+    // store the donations made
+    donationMap.set(donation['Record']['donationId'], donation);
+    console.log('##### getDonationBalances - donationMap - adding new donation entry for donor: ' + donation['Record']['donationId'] + ', values: ' + JSON.stringify(donation));
+  }
+  console.log('##### getDonationBalances - Total donations for this ngo are: ' + totalDonations);
+  for (let donation of donationMap) {
+    console.log('##### getDonationBalances - Total donation for this donation ID: ' + donation[0] + ', amount: ' + donation[1]['Record']['donationAmount'] + ', entry: ' + JSON.stringify(donation[1]));
+  }
+
+  // next, get the spend by Donation, i.e. the amount of each Donation that has already been spent
+  let totalSpend = 0;
+  const donationSpendMap = new Map();
+  let spendAllocations = await queryByIndex(stub, 'spendAllocation~ngo~id', [ngo]);
+  spendAllocations = JSON.parse(spendAllocations.toString());
+  for (let n = 0; n < spendAllocations.length; n++) {
+    let spendAllocation = spendAllocations[n]['Record'];
+    if (spendAllocation['spendAllocationStatus'] === 'reversed') {
+      continue;
+    }
+    totalSpend += spendAllocation['spendAllocationAmount'];
+    // store the spend made per Donation
+    if (donationSpendMap.has(spendAllocation['donationId'])) {
+      let spendAmt = donationSpendMap.get(spendAllocation['donationId']);
+      spendAmt += spendAllocation['spendAllocationAmount'];
+      donationSpendMap.set(spendAllocation['donationId'], spendAmt);
+      console.log('##### getDonationBalances - donationSpendMap - updating donation entry for donation ID: ' + spendAllocation['donationId'] + ' amount: ' + spendAllocation['spendAllocationAmount'] + ' total amt: ' + spendAmt);
+    }
+    else {
+      donationSpendMap.set(spendAllocation['donationId'], spendAllocation['spendAllocationAmount']);
+      console.log('##### getDonationBalances - donationSpendMap - adding new donation entry for donation ID: ' + spendAllocation['donationId'] + ' amount: ' + spendAllocation['spendAllocationAmount']);
+    }
+  }
+  console.log('##### getDonationBalances - Total spend for this ngo is: ' + totalSpend);
+  for (let donation of donationSpendMap) {
+    console.log('##### getDonationBalances - Total spend against this donation ID: ' + donation[0] + ', spend amount: ' + donation[1] + ', entry: ' + donation);  
+    if (donationMap.has(donation[0])) {
+      console.log('##### getDonationBalances - The matching donation for this donation ID: ' + donation[0] + ', donation amount: ' + donationMap.get(donation[0]));  
+    }
+    else {
+      console.log('##### getDonationBalances - ERROR - cannot find the matching donation for this spend record for donation ID: ' + donation[0]);  
+    }
+  }
+  return {donationMap: donationMap, donationSpendMap: donationSpendMap, totalDonations: totalDonations, totalSpend: totalSpend};
+}
+
+/**
+ * Work out how to allocate an amount of spend between the donations in donationMap, using the NGO's
+ * allocation strategy (see allocation.js). donationSpendMap is updated with the amounts allocated, 
+ * but nothing is written to world state.
+ * 
+ * @param {*} spendAmount - the amount to allocate
+ * @param {*} donationMap - the donations, as returned by getDonationBalances
+ * @param {*} donationSpendMap - the amount spent per donation, as returned by getDonationBalances. This is
+ * updated with the amounts allocated
+ * @param {*} strategy - the name of the allocation strategy
+ * @returns the amount to allocate to each donation, as [{donationId, amount}]
+ */
+function planAllocation(spendAmount, donationMap, donationSpendMap, strategy) {
+  //Validate that we have a valid spendAmount. An invalid value could be caused by a bug, or invalid values passed 
+  //to this function that were not caught by the validation process earlier.
+  if (!(money.isAmount(spendAmount) && spendAmount > 0)) {
+    throw new Error('##### planAllocation - spendAmount is not a valid amount in minor units: ' + spendAmount);   
+  }
+
+  // all donations for the NGO are in donationMap. Each entry in the map will look as follows:
+  //
+  // {"Key":"donation2211","Record":{"docType":"donation","donationAmount":10000,"currency":"USD","donationDate":"2018-09-20T12:41:59.582Z","donationId":"2211","donorUserName":"edge","ngoRegistrationNumber":"6322"}}
+  let candidates = [];
+  for (let donation of donationMap) {
+    let spendAmountForDonor = donationSpendMap.has(donation[0]) ? donationSpendMap.get(donation[0]) : 0;
+    let availableAmountForDonor = donation[1]['Record']['donationAmount'] - spendAmountForDonor;
+    console.log('##### planAllocation - Donation ID: ' +  donation[0] + ' has spent: ' + spendAmountForDonor + ' and has the following amount available for spending: ' + availableAmountForDonor);
+    if (availableAmountForDonor > 0) {
+      candidates.push({donationId: donation[0], donationDate: donation[1]['Record']['donationDate'], available: availableAmountForDonor});
+    }
+  }
+  let plan = allocation.allocate(strategy, candidates, spendAmount);
+  console.log('##### planAllocation - Allocating the spend amount of: ' + spendAmount + ' using strategy: ' + strategy + ' as follows: ' + JSON.stringify(plan));
+
+  for (let entry of plan) {
+    let spendAmt = donationSpendMap.has(entry.donationId) ? donationSpendMap.get(entry.donationId) : 0;
+    donationSpendMap.set(entry.donationId, spendAmt + entry.amount);
+  }
+  return plan;
+}
+
+/**
+ * Create a SPENDALLOCATION record for each portion of a spend allocated to a donation
+ * 
+ * @param {*} stub 
+ * @param {*} spend - the spend record the allocations belong to
+ * @param {*} plan - the amount to allocate to each donation, as returned by planAllocation. An entry with
+ * matchingGift set is for a sponsor's matching donation, and the record is flagged the same way
+ * @param {*} strategy - the name of the allocation strategy used, which is recorded on each record
+ * @param {*} recordCounter - the sequence number to use for the first spendAllocationId. The IDs are the 
+ * transaction ID followed by a sequence number, so the sequence must not be reused within a transaction
+ * @param {*} extraFields - optional fields to add to each SPENDALLOCATION record
+ * @param {*} written - optional array; each SPENDALLOCATION record is pushed onto it once written, so the
+ * caller can include the records in the event it emits
+ * @returns the next unused sequence number
+ */
+async function writeSpendAllocations(stub, spend, plan, strategy, recordCounter, extraFields, written) {
+  // create the SPENDALLOCATION records. Each record looks as follows:
+  //
+  // {
+  //   "docType":"spendAllocation",
+  //   "spendAllocationId":"c5b39e938a29a80c225d10e8327caaf817f76aecd381c868263c4f59a45daf62-1",
+  //   "spendAllocationAmount":3850,
+  //   "currency":"USD",
+  //   "spendAllocationDate":"2018-09-20T12:41:59.582Z",
+  //   "spendAllocationDescription":"Peter Pipers Poulty Portions for Pets",
+  //   "donationId":"FFF6A68D-DB19-4CD3-97B0-01C1A793ED3B",
+  //   "ngoRegistrationNumber":"D0884B20-385D-489E-A9FD-2B6DBE5FEA43",
+  //   "spendId": "1234",
+  //   "allocationStrategy": "even"
+  // }
+  for (let entry of plan) {
+    // spendAllocationId is (hopefully) using an ID created in a deterministic manner, meaning it should
+    // be identical on all endorsing peer nodes. If it isn't, the transaction validation process will fail
+    // when Fabric compares the write-sets for each transaction and discovers there is are different values.
+    let spendAllocationId = stub.getTxID() + '-' + recordCounter;
+    recordCounter++;
+    let key = 'spendAllocation' + spendAllocationId;
+    let spendAllocationRecord = {
+      docType: 'spendAllocation',
+      spendAllocationId: spendAllocationId,
+      spendAllocationAmount: entry.amount,
+      currency: spend['currency'],
+      spendAllocationDate: spend['spendDate'],
+      spendAllocationDescription: spend['spendDescription'],
+      donationId: entry.donationId,
+      ngoRegistrationNumber: spend['ngoRegistrationNumber'],
+      spendId: spend['spendId'],
+      allocationStrategy: strategy
+    }; 
+    if (entry.matchingGift) {
+      spendAllocationRecord['matchingGift'] = true;
+    }
+    Object.assign(spendAllocationRecord, extraFields);
+
+    console.log('##### writeSpendAllocations - creating spendAllocationRecord record: ' + JSON.stringify(spendAllocationRecord));
+    await stub.putState(key, Buffer.from(JSON.stringify(spendAllocationRecord)));
+    await putIndexEntries(stub, 'spendAllocation', key, spendAllocationRecord);
+    if (written) {
+      written.push(spendAllocationRecord);
+    }
+  }
+  return recordCounter;
+}
+
+/**
+ * Returns the name of the allocation strategy an NGO uses to allocate its spend to donations
+ * 
+ * @param {*} ngoQuery - the NGO record, as returned by getState
+ */
+function allocationStrategyForNGO(ngoQuery) {
+  let ngo = JSON.parse(ngoQuery.toString());
+  return ngo['allocationStrategy'] || allocation.defaultStrategy;
+}
+
+/**
+ * Returns the ISO currency code an NGO keeps its accounts in. Donations in other currencies are
+ * converted to this currency, and spend must be in this currency
+ * 
+ * @param {*} ngoQuery - the NGO record, as returned by getState
+ */
+function currencyForNGO(ngoQuery) {
+  let ngo = JSON.parse(ngoQuery.toString());
+  return ngo['currency'] || money.defaultCurrency;
+}
+
+/**
+ * Converts a donation made in a currency other than the NGO's currency, using the FX rate recorded 
+ * on the ledger (see setFxRate). donationAmount and currency are replaced with the amount in the NGO's
+ * currency, and the original amount, currency and the rate used are kept in the donation.
+ * 
+ * @param {*} stub 
+ * @param {*} donation - the donation, with donationAmount and currency
+ * @param {*} ngoCurrency - the NGO's currency
+ */
+async function convertDonation(stub, donation, ngoCurrency) {
+  let fxRateKey = 'fxRate' + donation['currency'] + ':' + ngoCurrency;
+  let fxRateQuery = await stub.getState(fxRateKey);
+  if (!fxRateQuery.toString()) {
+    throw new Error('##### convertDonation - Cannot convert the donation from ' + donation['currency'] + ' to ' + ngoCurrency + ' as there is no FX rate for this currency pair');
+  }
+  let fxRate = JSON.parse(fxRateQuery.toString());
+  let convertedAmount = money.convert(donation['donationAmount'], donation['currency'], ngoCurrency, fxRate['rate']);
+  console.log('##### convertDonation - Converted ' + donation['donationAmount'] + ' ' + donation['currency'] + ' to ' + convertedAmount + ' ' + ngoCurrency + ' at rate: ' + fxRate['rate']);
+  if (convertedAmount <= 0) {
+    throw new Error('##### convertDonation - The donation is worth nothing once converted to ' + ngoCurrency + ': ' + donation['donationAmount'] + ' ' + donation['currency']);
+  }
+  donation['originalDonationAmount'] = donation['donationAmount'];
+  donation['originalCurrency'] = donation['currency'];
+  donation['fxRate'] = fxRate['rate'];
+  donation['fxRateDate'] = fxRate['rateDate'];
+  donation['donationAmount'] = convertedAmount;
+  donation['currency'] = ngoCurrency;
+}
+
+/**
+ * Calculate the amount of the donations in donationMap that is still available for spending
+ * 
+ * @param {*} donationMap - the donations, as returned by getDonationBalances
+ * @param {*} donationSpendMap - the amount spent per donation, as returned by getDonationBalances
+ */
+function availableFunds(donationMap, donationSpendMap) {
+  let available = 0;
+  for (let donation of donationMap) {
+    let spent = donationSpendMap.has(donation[0]) ? donationSpendMap.get(donation[0]) : 0;
+    available += Math.max(donation[1]['Record']['donationAmount'] - spent, 0);
+  }
+  return available;
+}
+
+/**
+ * Find the donations that may fund spend in a category. A donation may be restricted by the donor to a 
+ * category such as 'medical' or 'food', in which case it can only fund spend in that category. A donation 
+ * without a restriction can fund any spend.
+ * 
+ * @param {*} donationMap - the donations, as returned by getDonationBalances
+ * @param {*} spendCategory - the category of the spend, or undefined if the spend has no category
+ * @returns {restricted, unrestricted} - Maps in the same format as donationMap. restricted contains the
+ * donations restricted to spendCategory, unrestricted the donations without a restriction
+ */
+function compatibleDonations(donationMap, spendCategory) {
+  const restricted = new Map();
+  const unrestricted = new Map();
+  for (let donation of donationMap) {
+    let restriction = donation[1]['Record']['restriction'];
+    if (!restriction) {
+      unrestricted.set(donation[0], donation[1]);
+    }
+    else if (spendCategory && restriction === spendCategory) {
+      restricted.set(donation[0], donation[1]);
+    }
+  }
+  return {restricted: restricted, unrestricted: unrestricted};
+}
+
+/**
+ * Work out how to allocate an amount of spend to the donations that are compatible with the spend's category.
+ * Donations restricted to the category are used first, so the NGO's unrestricted funds remain available for
+ * other spend. Any remaining amount is allocated to the unrestricted donations. The caller must have checked
+ * that the compatible donations have sufficient funds available to cover the amount.
+ * 
+ * @param {*} spend - the spend the amount belongs to
+ * @param {*} spendAmount - the amount to allocate
+ * @param {*} balances - the donations and amount spent per donation, as returned by getDonationBalances
+ * @param {*} strategy - the name of the allocation strategy
+ * @returns the amount to allocate to each donation, as [{donationId, amount}]
+ */
+function planCompatibleAllocation(spend, spendAmount, balances, strategy) {
+  let compatible = compatibleDonations(balances.donationMap, spend['spendCategory']);
+  let restrictedAmount = Math.min(spendAmount, availableFunds(compatible.restricted, balances.donationSpendMap));
+  let unrestrictedAmount = spendAmount - restrictedAmount;
+  console.log('##### planCompatibleAllocation - Allocating ' + restrictedAmount + ' to donations restricted to category: ' + 
+    spend['spendCategory'] + ' and ' + unrestrictedAmount + ' to unrestricted donations');
+  let plan = [];
+  if (restrictedAmount > 0) {
+    plan = plan.concat(planAllocation(restrictedAmount, compatible.restricted, balances.donationSpendMap, strategy));
+  }
+  if (unrestrictedAmount > 0) {
+    plan = plan.concat(planAllocation(unrestrictedAmount, compatible.unrestricted, balances.donationSpendMap, strategy));
+  }
+  return plan;
+}
+
+/**
+ * Allocate an amount of spend to the donations that are compatible with the spend's category, creating
+ * SPENDALLOCATION records. See planCompatibleAllocation
+ * 
+ * @param {*} stub 
+ * @param {*} spend - the spend record the amount belongs to
+ * @param {*} spendAmount - the amount to allocate
+ * @param {*} balances - the donations and amount spent per donation, as returned by getDonationBalances
+ * @param {*} strategy - the name of the allocation strategy
+ * @param {*} recordCounter - see writeSpendAllocations
+ * @param {*} extraFields - optional fields to add to each SPENDALLOCATION record
+ * @param {*} written - optional array the SPENDALLOCATION records are pushed onto, see writeSpendAllocations
+ * @returns the next unused sequence number
+ */
+async function allocateToCompatibleDonations(stub, spend, spendAmount, balances, strategy, recordCounter, extraFields, written) {
+  let plan = planCompatibleAllocation(spend, spendAmount, balances, strategy);
+  // spend funded by a sponsor's matching donation is flagged, so it can be told apart from spend of donors' own money
+  for (let entry of plan) {
+    if (balances.donationMap.get(entry.donationId)['Record']['matchingGift']) {
+      entry.matchingGift = true;
+    }
+  }
+  return writeSpendAllocations(stub, spend, plan, strategy, recordCounter, extraFields, written);
+}
+
+/**
+ * Confirm the NGO has sufficient funds available to cover a spend, throwing an error if it does not.
+ * Only donations that are unrestricted, or restricted to the spend's category, are counted
+ * 
+ * @param {*} spend - the spend, with spendAmount, spendCategory and ngoRegistrationNumber
+ * @param {*} balances - the donations and amount spent per donation, as returned by getDonationBalances
+ */
+function checkFundsAvailable(spend, balances) {
+  let ngo = spend['ngoRegistrationNumber'];
+  // confirm whether the NGO has sufficient available funds to cover the new spend. Only donations that are unrestricted,
+  // or restricted to the spend's category, can be used
+  let compatible = compatibleDonations(balances.donationMap, spend['spendCategory']);
+  let restrictedAvailable = availableFunds(compatible.restricted, balances.donationSpendMap);
+  let unrestrictedAvailable = availableFunds(compatible.unrestricted, balances.donationSpendMap);
+  let totalAvailable = restrictedAvailable + unrestrictedAvailable;
+  if (spend['spendCategory'] && spend['spendAmount'] > totalAvailable) {
+    console.log('##### checkFundsAvailable - NGO ' + ngo + ' does not have sufficient funds available for category ' + spend['spendCategory'] + '. Spend amount is: ' + spend['spendAmount'] + '. Restricted funds available are: ' + restrictedAvailable + ', unrestricted funds available are: ' + unrestrictedAvailable);
+    throw new Error('NGO ' + ngo + ' does not have sufficient funds available to cover this spend in category ' + spend['spendCategory'] + '. Spend amount is: ' + spend['spendAmount'] + '. Available funds are currently: ' + totalAvailable + ', of which ' + restrictedAvailable + ' is restricted to this category');
+  }
+  if (spend['spendAmount'] > totalAvailable) {
+    // Execution stops at this point; the transaction fails and rolls back.
+    // Any updates made by the transaction processor function are discarded.
+    // Transaction processor functions are atomic; all changes are committed,
+    // or no changes are committed.
+    console.log('##### checkFundsAvailable - NGO ' + ngo + ' does not have sufficient funds available to cover this spend. Spend amount is: ' + spend['spendAmount'] + '. Available funds are currently: ' + totalAvailable + '. Total donations are: ' + balances.totalDonations + ', total spend is: ' + balances.totalSpend);
+    throw new Error('NGO ' + ngo + ' does not have sufficient funds available to cover this spend. Spend amount is: ' + spend['spendAmount'] + '. Available funds are currently: ' + totalAvailable);
+  }
+}
+
+/**
+ * Record spend made by an NGO
+ * 
+ * This functions allocates the spend amongst the donors, so each donor can see how their 
+ * donations are spent. The logic works as follows:
+ * 
+ *    - Get the donations made to this NGO
+ *    - Get the spend per donation, to calculate how much of the donation amount is still available for spending
+ *    - Calculate the total amount spent by this NGO
+ *    - Find the donations that can fund the spend's category, i.e. unrestricted donations and those restricted to the category
+ *    - If there are sufficient funds available from those donations, create a SPEND record
+ *    - Allocate the spend between those donations using the NGO's allocation strategy and create SPENDALLOCATION records
+ * 
+ * @param {*} spend - the spend amount to be recorded. This will be JSON, as follows. spendCategory is optional:
+ * {
+ *   "docType": "spend",
+ *   "spendId": "1234",
+ *   "spendAmount": 10000,
+ *   "currency": "USD",
+ *   "spendDate": "2018-09-20T12:41:59.582Z",
+ *   "spendDescription": "Delias Dainty Delights",
+ *   "spendCategory": "food",
+ *   "ngoRegistrationNumber": "1234"
+ * }
+ */
+async function allocateSpend(stub, spend) {
+  console.log('============= START : allocateSpend ===========');
+  console.log('##### allocateSpend - Spend received: ' + JSON.stringify(spend));
+
+  // validate we have a valid SPEND object and a valid amount
+  if (!(spend && money.isAmount(spend['spendAmount']) && spend['spendAmount'] > 0)) {
+    throw new Error('##### allocateSpend - Spend Amount is not a valid amount in minor units: ' + spend['spendAmount']);   
+  }
+  // validate we have a valid SPEND object and a valid SPEND ID
+  if (!(spend && spend['spendId'])) {
+    throw new Error('##### allocateSpend - Spend Id is required but does not exist in the spend message');   
+  }
+
+  // validate that we have a valid NGO
+  let ngo = spend['ngoRegistrationNumber'];
+  let ngoKey = 'ngo' + ngo;
+  let ngoQuery = await queryByKey(stub, ngoKey);
+  if (!ngoQuery.toString()) {
+    throw new Error('##### allocateSpend - Cannot create spend allocation record as the NGO does not exist: ' + json['ngoRegistrationNumber']);
+  }
+
+  // get the donations made to this NGO, and the amount of each donation already spent
+  let balances = await getDonationBalances(stub, ngo);
+
+  // at this point we have the total amount of donations made by donors to each NGO. We also have the total spend
+  // spent by an NGO with a breakdown per donation. 
+  checkFundsAvailable(spend, balances);
+
+  // since the NGO has sufficient funds available, add the new spend record
+  spend['docType'] = 'spend';
+  let key = 'spend' + spend['spendId'];
+  console.log('##### allocateSpend - Adding the spend record to NGOSpend. Spend record is: ' + JSON.stringify(spend) + ' key is: ' + key);
+  await stub.putState(key, Buffer.from(JSON.stringify(spend)));
+
+  // allocate the spend to the donations that can fund it, using the NGO's allocation strategy
+  console.log('##### allocateSpend - Allocating the spend amount amongst the donations from donors who donated funds to this NGO');
+  let spendAllocations = [];
+  await allocateToCompatibleDonations(stub, spend, spend.spendAmount, balances, allocationStrategyForNGO(ngoQuery), 0, {}, spendAllocations);
+  console.log('============= END : allocateSpend ===========');
+  return spendAllocations;
+}  
+
+/**
+ * Records a spend and allocates it to the NGO's donations, as createSpend does for spend that does not need
+ * approval, and approveSpendProposal does once a proposal has the approvals it needs
+ *
+ * @param {*} spend - the spend as JSON, already validated and in the NGO's currency
+ * @returns the spendAllocations written
+ */
+async function recordSpend(stub, spend) {
+  let key = 'spend' + spend['spendId'];
+  let spendAllocations = await allocateSpend(stub, spend);
+  await stub.putState(key, Buffer.from(JSON.stringify(spend)));
+  await putIndexEntries(stub, 'spend', key, spend);
+  return spendAllocations;
+}
+
+/**
+ * Returns the spend that funds a grant. A grant is funded in the same way as spend in the category of its
+ * restriction
+ *
+ * @param {*} grant - the grant as JSON, in the granting NGO's currency
+ */
+function grantSpend(grant) {
+  return {
+    ngoRegistrationNumber: grant['ngoRegistrationNumber'],
+    spendAmount: grant['grantAmount'],
+    spendCategory: grant['restriction'],
+    currency: grant['currency'],
+    spendDate: grant['grantDate'],
+    spendDescription: grant['grantDescription'] || 'Grant to NGO ' + grant['recipientNGORegistrationNumber']
+  };
+}
+
+/**
+ * Checks the NGO receiving a grant is active, so it can receive funds
+ *
+ * @param {*} fcn - the name of the calling function, used in error messages
+ * @param {*} recipientQuery - the receiving NGO, as read from the ledger
+ */
+function checkGrantRecipient(fcn, grant, recipientQuery) {
+  let recipientStatus = recordStatus(JSON.parse(recipientQuery.toString()));
+  if (recipientStatus !== 'active') {
+    throw new Error('##### ' + fcn + ' - Cannot make a grant to the NGO as it is ' + recipientStatus + ': ' + grant['recipientNGORegistrationNumber']);
+  }
+}
+
+/**
+ * Records a grant, allocates it to the granting NGO's donations and creates the donations for the receiving NGO,
+ * as createGrant does for a grant that does not need approval, and approveSpendProposal does once a proposed
+ * grant has the approvals it needs. The receiving NGO must still be active, and the granting NGO must still have
+ * the funds
+ *
+ * @param {*} fcn - the name of the calling function, used in error messages
+ * @param {*} grant - the grant as JSON, already validated and in the granting NGO's currency
+ * @returns the spendAllocations and donations written, as {spendAllocations, donations}
+ */
+async function recordGrant(stub, fcn, grant) {
+  let key = 'grant' + grant['grantId'];
+  let ngoQuery = await queryByKey(stub, 'ngo' + grant['ngoRegistrationNumber']);
+  let recipientQuery = await queryByKey(stub, 'ngo' + grant['recipientNGORegistrationNumber']);
+  checkGrantRecipient(fcn, grant, recipientQuery);
+
+  let spend = grantSpend(grant);
+  let balances = await getDonationBalances(stub, grant['ngoRegistrationNumber']);
+  checkFundsAvailable(spend, balances);
+  let spendAllocations = [];
+  await allocateToCompatibleDonations(stub, spend, grant['grantAmount'], balances, allocationStrategyForNGO(ngoQuery), 0,
+    {grantId: grant['grantId']}, spendAllocations);
+  let donations = await writeGrantDonations(stub, grant, spendAllocations, balances.donationMap, currencyForNGO(recipientQuery));
+
+  console.log('##### ' + fcn + ' grant: ' + JSON.stringify(grant));
+  await stub.putState(key, Buffer.from(JSON.stringify(grant)));
+  await putIndexEntries(stub, 'grant', key, grant);
+  return {spendAllocations: spendAllocations, donations: donations};
+}
+
+/**
+ * Creates a spend proposal for spend, or a grant, above the threshold of the NGO's spend approval policy. It is
+ * recorded once the approvers in the policy approve it (see approveSpendProposal). A proposed grant has grantId
+ * and grant in place of spendId and spend, and spend and grants share the IDs of proposals. The funds are checked
+ * now, so the NGO knows straight away, and again when the proposal is approved
+ *
+ * @param {*} fcn - the name of the calling function, used in the log
+ * @param {*} record - the spend or grant as JSON, already validated and in the NGO's currency
+ * @param {*} spend - the spend, or the spend that funds the grant (see grantSpend), used to check the funds
+ * @param {*} policy - the NGO's spend approval policy
+ */
+async function proposeSpend(stub, fcn, record, spend, policy) {
+  checkFundsAvailable(spend, await getDonationBalances(stub, record['ngoRegistrationNumber']));
+  let docType = record['docType'];
+  let key = 'spendProposal' + record[docType + 'Id'];
+  let cid = new shim.ClientIdentity(stub);
+  let proposedDate = txDate(stub);
+  let proposal = {docType: 'spendProposal'};
+  proposal[docType + 'Id'] = record[docType + 'Id'];
+  proposal['ngoRegistrationNumber'] = record['ngoRegistrationNumber'];
+  proposal[docType] = record;
+  Object.assign(proposal, {
+    status: 'pending',
+    proposerUserName: callerUserName(cid),
+    proposerId: cid.getID(),
+    proposedDate: proposedDate.toISOString(),
+    expiryDate: new Date(proposedDate.getTime() + policy['expiryHours'] * 3600000).toISOString(),
+    approvers: policy['approvers'],
+    requiredApprovals: policy['requiredApprovals'],
+    approvals: []
+  });
+  console.log('##### ' + fcn + ' - ' + docType + ' is above the approval threshold: ' + policy['threshold'] + '. Proposal: ' + JSON.stringify(proposal));
+  await stub.putState(key, Buffer.from(JSON.stringify(proposal)));
+  await putIndexEntries(stub, 'spendProposal', key, proposal);
+  setEvent(stub, 'SpendProposed', proposal);
+}
+
+/**
+ * Returns the user name of the caller, i.e. the enrollment ID the Fabric CA adds to every certificate. The
+ * approvers in a spend approval policy are named by user name
+ */
+function callerUserName(cid) {
+  return cid.getAttributeValue('hf.EnrollmentID');
+}
+
+/**
+ * Returns the status of a spend proposal. A proposal still pending after its expiryDate has expired. Nothing
+ * is written when a proposal expires, so its status is worked out from the transaction time whenever it is read
+ *
+ * @param {*} proposal - the spend proposal as JSON
+ */
+function spendProposalStatus(stub, proposal) {
+  if (proposal['status'] === 'pending' && txDate(stub) > new Date(proposal['expiryDate'])) {
+    return 'expired';
+  }
+  return proposal['status'];
+}
+
+/**
+ * Returns the key of a spend proposal. A proposal is keyed by its spendId, or by its grantId for a proposed grant
+ *
+ * @param {*} proposal - the spend proposal as JSON
+ */
+function spendProposalKey(proposal) {
+  return 'spendProposal' + (proposal['grant'] ? proposal['grantId'] : proposal['spendId']);
+}
+
+/**
+ * Returns the spend proposal with the spendId, or the proposed grant with the grantId, given in json. Exactly
+ * one of them must be given
+ *
+ * @param {*} fcn - the name of the calling function, used in error messages
+ * @param {*} json - the arguments to the calling function, with spendId or grantId
+ */
+async function querySpendProposalFor(stub, fcn, json) {
+  if ((json['spendId'] === undefined) === (json['grantId'] === undefined)) {
+    throw new Error('##### ' + fcn + ' - Pass either the spendId of a spend proposal or the grantId of a proposed grant');
+  }
+  let docType = json['grantId'] !== undefined ? 'grant' : 'spend';
+  let proposal = JSON.parse((await queryByKey(stub, 'spendProposal' + json[docType + 'Id'])).toString());
+  if (!proposal[docType]) {
+    throw new Error('##### ' + fcn + ' - No ' + docType + ' has been proposed with ' + docType + 'Id: ' + json[docType + 'Id']);
+  }
+  return proposal;
+}
+
+/**
+ * Returns the pending spend proposal an approver is approving or rejecting, after checking the proposal is the
+ * NGO's, has not expired, names the caller as an approver, was not proposed by the caller and has not already
+ * been approved by them
+ *
+ * @param {*} fcn - the name of the calling function, used in error messages
+ * @param {*} json - the arguments to the calling function, with ngoRegistrationNumber and spendId or grantId
+ */
+async function spendProposalAwaitingDecision(stub, fcn, json, cid) {
+  let proposal = await querySpendProposalFor(stub, fcn, json);
+  let proposalId = json['spendId'] !== undefined ? json['spendId'] : json['grantId'];
+  if (proposal['ngoRegistrationNumber'] !== json['ngoRegistrationNumber']) {
+    throw new Error('##### ' + fcn + ' - The spend proposal: ' + proposalId + ' was not made by NGO: ' + json['ngoRegistrationNumber']);
+  }
+  let status = spendProposalStatus(stub, proposal);
+  if (status !== 'pending') {
+    throw new Error('##### ' + fcn + ' - The spend proposal: ' + proposalId + ' is not awaiting approval, as it is ' + status);
+  }
+  let userName = callerUserName(cid);
+  if (proposal['approvers'].indexOf(userName) < 0) {
+    throw new Error('##### ' + fcn + ' - The user ' + userName + ' is not an approver of the spend proposal: ' + proposalId +
+      '. Approvers are: ' + proposal['approvers'].join(', '));
+  }
+  if (proposal['proposerId'] === cid.getID()) {
+    throw new Error('##### ' + fcn + ' - The user ' + userName + ' proposed the spend: ' + proposalId + ', so cannot approve or reject it');
+  }
+  if (proposal['approvals'].some((approval) => approval['approverUserName'] === userName)) {
+    throw new Error('##### ' + fcn + ' - The user ' + userName + ' has already approved the spend proposal: ' + proposalId);
+  }
+  return proposal;
+}
+
+/**
+ * Creates a donation to the NGO receiving a grant for each portion of the grant allocated to a donation at the
+ * granting NGO. Each donation is from the donor of the donation that funded it, and links back to that donation
+ * and its spendAllocation, so spend by the receiving NGO can be traced to the original donors. A donation funded
+ * by an anonymous donation keeps its donorCommitment in place of the donorUserName, so the donor stays anonymous.
+ * Each donation looks as follows:
+ *
+ * {
+ *    "docType":"donation",
+ *    "donationId":"g1-1",
+ *    "donationAmount":4000,
+ *    "currency":"USD",
+ *    "donationDate":"2018-10-01T00:00:00.000Z",
+ *    "donorUserName":"edge",
+ *    "ngoRegistrationNumber":"6323",
+ *    "restriction":"food",
+ *    "grantId":"g1",
+ *    "sourceDonationId":"2211",
+ *    "sourceNGORegistrationNumber":"6322",
+ *    "sourceSpendAllocationId":"c5b39e93...-0"
+ * }
+ *
+ * @param {*} grant - the grant as JSON
+ * @param {*} spendAllocations - the spendAllocations funding the grant at the granting NGO
+ * @param {*} donationMap - the granting NGO's donations, as returned by getDonationBalances
+ * @param {*} recipientCurrency - the receiving NGO's currency. Donations are converted to it as in createDonation
+ * @returns the donations written
+ */
+async function writeGrantDonations(stub, grant, spendAllocations, donationMap, recipientCurrency) {
+  let donations = [];
+  for (let i = 0; i < spendAllocations.length; i++) {
+    let source = donationMap.get(spendAllocations[i]['donationId'])['Record'];
+    let donation = {
+      docType: 'donation',
+      donationId: grant['grantId'] + '-' + (i + 1),
+      donationAmount: spendAllocations[i]['spendAllocationAmount'],
+      currency: grant['currency'],
+      donationDate: grant['grantDate'],
+      ngoRegistrationNumber: grant['recipientNGORegistrationNumber'],
+      grantId: grant['grantId'],
+      sourceDonationId: source['donationId'],
+      sourceNGORegistrationNumber: grant['ngoRegistrationNumber'],
+      sourceSpendAllocationId: spendAllocations[i]['spendAllocationId']
+    };
+    if (source['anonymous']) {
+      donation['anonymous'] = true;
+      donation['donorCommitment'] = source['donorCommitment'];
+    }
+    else {
+      donation['donorUserName'] = source['donorUserName'];
+    }
+    if (grant['restriction']) {
+      donation['restriction'] = grant['restriction'];
+    }
+    if (source['matchingGift']) {
+      donation['matchingGift'] = true;
+    }
+    if (donation['currency'] !== recipientCurrency) {
+      await convertDonation(stub, donation, recipientCurrency);
+    }
+    let key = 'donation' + donation['donationId'];
+    let donationQuery = await stub.getState(key);
+    if (donationQuery.toString()) {
+      throw new Error('##### createGrant - The Donation for the grant already exists: ' + donation['donationId']);
+    }
+    console.log('##### createGrant - creating donation for the receiving NGO: ' + JSON.stringify(donation));
+    await stub.putState(key, Buffer.from(JSON.stringify(donation)));
+    await putIndexEntries(stub, 'donation', key, donation);
+    donations.push(donation);
+  }
+  return donations;
+}
+
+/************************************************************************************************
+ * 
+ * CHAINCODE
+ * 
+ ************************************************************************************************/
+
+let Chaincode = class {
+
+  /**
+   * Initialize the state when the chaincode is either instantiated or upgraded
+   * 
+   * @param {*} stub 
+   */
+  async Init(stub) {
+    console.log('=========== Init: Instantiated / Upgraded ngo chaincode ===========');
+    return shim.success();
+  }
+
+  /**
+   * The Invoke method will call the methods below based on the method name passed by the calling
+   * program.
+   * 
+   * @param {*} stub 
+   */
+  async Invoke(stub) {
+    console.log('============= START : Invoke ===========');
+    let ret = stub.getFunctionAndParameters();
+    console.log('##### Invoke args: ' + JSON.stringify(ret));
+
+    let method = this[ret.fcn];
+    if (!method) {
+      console.error('##### Invoke - error: no chaincode function with name: ' + ret.fcn + ' found');
+      throw new Error('No chaincode function with name: ' + ret.fcn + ' found');
+    }
+    try {
+      access.checkAccess(stub, ret.fcn, ret.params);
+      let response = await method(stub, ret.params);
+      console.log('##### Invoke response payload: ' + response);
+      return shim.success(response);
+    } catch (err) {
+      console.log('##### Invoke - error: ' + err);
+      return shim.error(err);
+    }
+  }
+
+  /**
+   * Initialize the state. This should be explicitly called if required.
+   * 
+   * @param {*} stub 
+   * @param {*} args 
+   */
+  async initLedger(stub, args) {
+    console.log('============= START : Initialize Ledger ===========');
+    console.log('============= END : Initialize Ledger ===========');
+  }
+
+  /**
+   * Rebuilds the secondary indexes from the records already in world state. This only needs to be
+   * run once, on ledgers created before the indexes were introduced. Running it again is harmless
+   * as it rewrites the same index entries.
+   *
+   * @param {*} stub
+   * @param {*} args - optional JSON as follows. If docType is omitted, all indexed docTypes are rebuilt:
+   * {
+   *    "docType":"donation"
+   * }
+   */
+  async reindex(stub, args) {
+    console.log('============= START : reindex ===========');
+    console.log('##### reindex arguments: ' + JSON.stringify(args));
+
+    let json = {};
+    if (args && args.length > 0 && args[0]) {
+      json = JSON.parse(args);
+    }
+    let docTypes = Object.keys(indexes);
+    if (json['docType']) {
+      if (!indexes[json['docType']]) {
+        throw new Error('##### reindex - There are no indexes defined for docType: ' + json['docType']);
+      }
+      docTypes = [json['docType']];
+    }
+
+    let counts = {};
+    for (let docType of docTypes) {
+      counts[docType] = 0;
+      let iterator = await stub.getStateByRange(docType + '0', docType + 'z');
+      while (true) {
+        let res = await iterator.next();
+        if (res.value && res.value.value.toString()) {
+          let record;
+          try {
+            record = JSON.parse(res.value.value.toString('utf8'));
+          }
+          catch (err) {
+            console.log('##### reindex - ignoring key: ' + res.value.key + ' as its value is not JSON: ' + err);
+          }
+          // the range for one docType can include keys of another, e.g. 'spend' includes 'spendAllocation'
+          if (record && record['docType'] === docType) {
+            await putIndexEntries(stub, docType, res.value.key, record);
+            counts[docType]++;
+          }
+        }
+        if (res.done) {
+          await iterator.close();
+          break;
+        }
+      }
+      console.log('##### reindex - reindexed ' + counts[docType] + ' records of docType: ' + docType);
+    }
+    console.log('============= END : reindex ===========');
+    return Buffer.from(JSON.stringify(counts));
+  }
+
+  /**
+   * Moves the personal details of the donors and members created before the private data collections were
+   * introduced out of world state and into the collections, as createDonor and createMember store them. Each
+   * record gets its own salt, derived from a random migrationSalt passed in the transient map, and world state
+   * holds the salted hashes of its details. A member moves to the key of its new memberId, and the contributions
+   * and withdrawals that named it by SSN are given its memberId, and indexed. Only records that still hold
+   * personal details in world state are changed, so running it again is harmless.
+   * 
+   * The earlier versions of the records, in the history of their keys, still hold the personal details, as the
+   * ledger cannot be changed. queryHistoryForKey and queryRecordAsOf leave them out unless the caller may read them.
+   * 
+   * @param {*} stub
+   * @param {*} args - optional JSON as follows. If docType is omitted, donors, members, contributions and
+   * withdrawals are migrated, in that order. Contributions and withdrawals need their members to be migrated first:
+   * {
+   *    "docType":"member"
+   * }
+   * and in the transient map, under the key migrationSalt, a random salt of at least 16 characters:
+   *    "6c1f0e2d9b8a7f4e3d2c1b0a9f8e7d6c"
+   * @returns the number of records migrated for each docType, e.g. {"donor":2,"member":3,"contribution":7,"withdrawal":1}
+   */
+  async migratePrivateDetails(stub, args) {
+    console.log('============= START : migratePrivateDetails ===========');
+    console.log('##### migratePrivateDetails arguments: ' + JSON.stringify(args));
+
+    let json = {};
+    if (args && args.length > 0 && args[0]) {
+      json = JSON.parse(args);
+    }
+    let docTypes = Object.keys(legacyPrivateFields);
+    if (json['docType']) {
+      if (!legacyPrivateFields[json['docType']]) {
+        throw new Error('##### migratePrivateDetails - There are no personal details to migrate for docType: ' + json['docType']);
+      }
+      docTypes = [json['docType']];
+    }
+    let migrationSalt = privateData.transientValue(stub, 'migrationSalt');
+    if (typeof migrationSalt !== 'string' || migrationSalt.length < privateData.minSaltLength) {
+      throw new Error('##### migratePrivateDetails - A random salt of at least ' + privateData.minSaltLength +
+        ' characters must be passed in the transient map under the key migrationSalt');
+    }
+
+    // the memberId of each member migrated, by SSN and contract, for its contributions and withdrawals
+    let memberIds = new Map();
+    let counts = {};
+    for (let docType of docTypes) {
+      counts[docType] = 0;
+      for (let result of await legacyPrivateRecords(stub, docType)) {
+        let key = result['Key'];
+        let record = result['Record'];
+        if (docType === 'donor' || docType === 'member') {
+          let details = {salt: privateData.saltedHash(migrationSalt, key)};
+          for (let field of privateData.collections[docType].fields) {
+            if (record[field] !== undefined) {
+              details[field] = record[field];
+            }
+          }
+          if (docType === 'member' && record['contribAndDeferral'] && record['contribAndDeferral']['electiveDeferral'] !== undefined) {
+            details['electiveDeferral'] = record['contribAndDeferral']['electiveDeferral'];
+          }
+          for (let field of legacyPrivateFields[docType]) {
+            delete record[field];
+          }
+          privateData.setHashes(docType, record, details);
+          if (docType === 'member') {
+            await deleteIndexEntries(stub, 'member', key, record);
+            await stub.deleteState(key);
+            record['memberId'] = memberIdFor(details, record['contractNumber']);
+            memberIds.set(details['ssn'] + ':' + record['contractNumber'], record['memberId']);
+            key = 'member' + record['memberId'];
+            await putIndexEntries(stub, 'member', key, record);
+          }
+          await stub.putState(key, Buffer.from(JSON.stringify(record)));
+          await putPrivateDetails(stub, docType, key, details);
+        }
+        else {
+          let memberId = memberIds.get(record['ssn'] + ':' + record['contractNumber']);
+          if (!memberId) {
+            let members = (await membersForSsn(stub, record['ssn'])).filter((member) =>
+              member['Record']['contractNumber'] === String(record['contractNumber']));
+            if (members.length === 0) {
+              throw new Error('##### migratePrivateDetails - The member of the ' + docType + ': ' + key + ' has not been migrated');
+            }
+            memberId = members[0]['Record']['memberId'];
+          }
+          delete record['ssn'];
+          record['memberId'] = memberId;
+          await stub.putState(key, Buffer.from(JSON.stringify(record)));
+          await putIndexEntries(stub, docType, key, record);
+        }
+        counts[docType]++;
+      }
+      console.log('##### migratePrivateDetails - migrated ' + counts[docType] + ' records of docType: ' + docType);
+    }
+    console.log('============= END : migratePrivateDetails ===========');
+    return Buffer.from(JSON.stringify(counts));
+  }
+
+  /************************************************************************************************
+   * 
+   * Donor functions 
+   * 
+   ************************************************************************************************/
+
+   /**
+   * Creates a new donor. The donor's email is written to the donorPrivateDetails collection, and world state
+   * holds its salted hash, emailHash. The email and a random salt must be passed in the transient map rather
+   * than in args - see privatedata.js
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "donorUserName":"edge",
+   *    "registeredDate":"2018-10-22T11:52:20.182Z"
+   * }
+   * and in the transient map, under the key privateDetails:
+   * {
+   *    "email":"edge@abc.com",
+   *    "salt":"8f0c1f4e96b2a7d35e0b1c9d4a6f8e21"
+   * }
+   */
+  async createDonor(stub, args) {
+    console.log('============= START : createDonor ===========');
+    console.log('##### createDonor arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    let details = privateData.takePrivateDetails(stub, 'createDonor', 'donor', json, true);
+    schemas.validate('donorPrivateDetails', details);
+    schemas.validate('donor', json);
+    let key = 'donor' + json['donorUserName'];
+    json['docType'] = 'donor';
+    json['status'] = json['status'] || 'active';
+    privateData.setHashes('donor', json, details);
+
+    console.log('##### createDonor payload: ' + JSON.stringify(json));
+
+    // Check if the donor already exists
+    let donorQuery = await stub.getState(key);
+    if (donorQuery.toString()) {
+      throw new Error('##### createDonor - This donor already exists: ' + json['donorUserName']);
+    }
+
+    await stub.putState(key, Buffer.from(JSON.stringify(json)));
+    await putPrivateDetails(stub, 'donor', key, details);
+    setEvent(stub, 'DonorCreated', {donorUserName: json['donorUserName'], status: json['status']});
+    console.log('============= END : createDonor ===========');
+  }
+
+  /**
+   * Updates a donor. Only the fields passed are changed, and a field set to null is removed. donorUserName
+   * identifies the donor and cannot be changed, nor can registeredDate.
+   * 
+   * status is active, suspended or closed, and only an admin may change it. A donor that is not active cannot
+   * make donations. A closed donor cannot be changed again. See updateRecord.
+   * 
+   * A new email is passed in the transient map, as for createDonor, along with a new random salt, and the
+   * hashes in world state are updated.
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "donorUserName":"edge",
+   *    "status":"suspended"
+   * }
+   */
+  async updateDonor(stub, args) {
+    console.log('============= START : updateDonor ===========');
+    console.log('##### updateDonor arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    let key = 'donor' + json['donorUserName'];
+    let changes = privateData.takePrivateDetails(stub, 'updateDonor', 'donor', json, false);
+    let details = null;
+    if (Object.keys(changes).length > 0) {
+      details = Object.assign(await getPrivateDetails(stub, 'donor', key) || {}, changes);
+      schemas.validate('donorPrivateDetails', details);
+      // a hash set to null is removed by updateRecord
+      let hashes = {};
+      privateData.setHashes('donor', hashes, details);
+      for (let field of privateData.collections['donor'].fields) {
+        json[field + 'Hash'] = hashes[field + 'Hash'] || null;
+      }
+    }
+    let donor = await updateRecord(stub, 'updateDonor', 'donor', key, json);
+    if (details) {
+      await putPrivateDetails(stub, 'donor', key, details);
+    }
+    setEvent(stub, 'DonorUpdated', {donorUserName: donor['donorUserName'], status: donor['status']});
+    console.log('============= END : updateDonor ===========');
+  }
+
+  /**
+   * Creates a Member. The member's SSN, date of birth, salary, home phone number and elective deferral are
+   * written to the memberPrivateDetails collection, and world state holds their salted hashes. They must be
+   * passed in the transient map, along with a random salt, rather than in args - see privatedata.js. The member is identified in world state by its
+   * memberId, a salted hash of its SSN and contract, which is returned.
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+      "firstName" : "John",
+      "middleName" : "M",
+      "lastName": "Doe",
+      "contractNumber": "1001"
+    }
+   * and in the transient map, under the key privateDetails:
+   * {
+      "ssn": "123456789",
+      "dob": "1993-01-07",
+      "salary": 6000000,
+      "homePhoneNumber" : 1234567895,
+      "electiveDeferral": 5,
+      "salt": "3b9e07c5d1a2f4689d1c0e7a5b3f2e18"
+    }
+   */
+  async createMember(stub, args) {
+    console.log('============= START : createMember ===========');
+    console.log('##### createMember arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    let details = privateData.takePrivateDetails(stub, 'createMember', 'member', json, true);
+    // the elective deferral was once passed in args as contribAndDeferral, but with the salary it gives the member's
+    // contribution, so it is now one of the private details
+    if (json['contribAndDeferral'] !== undefined) {
+      throw new Error('##### createMember - The field contribAndDeferral cannot be passed in the arguments, which are recorded on the ledger. ' +
+        'Pass electiveDeferral in the transient map under the key privateDetails');
+    }
+    schemas.validate('memberPrivateDetails', details);
+    //the memberId differs for each contract, to accomodate multiple contracts here
+    json['memberId'] = memberIdFor(details, json['contractNumber']);
+    schemas.validate('member', json);
+    let key = 'member' + json['memberId'];
+    json['docType'] = 'member';
+    privateData.setHashes('member', json, details);
+
+    console.log('##### createMember payload: ' + JSON.stringify(json));
+
+    // Check if the member already exists. The memberId depends on the salt, so the SSN is compared with the
+    // private details of the contract's members
+    let contractMembers = JSON.parse((await queryByIndex(stub, 'member~contract~id', [json['contractNumber']])).toString());
+    for (let member of contractMembers) {
+      let memberDetails = await getPrivateDetails(stub, 'member', member['Key']);
+      if (memberDetails && memberDetails['ssn'] === details['ssn']) {
+        throw new Error('##### createMember - This member already exists for contract: ' + json['contractNumber']);
+      }
+    }
+    //adding a create date field for easier sorting
+    json.createDate = new Date();
+    await stub.putState(key, Buffer.from(JSON.stringify(json)));
+    await putPrivateDetails(stub, 'member', key, details);
+    await putIndexEntries(stub, 'member', key, json);
+    setEvent(stub, 'MemberCreated', {memberId: json['memberId'], contractNumber: json['contractNumber'], createDate: json['createDate']});
+    console.log('============= END : createMember ===========');
+    return Buffer.from(JSON.stringify({memberId: json['memberId']}));
+  }
+
+  /**
+   * Retrieves a specfic donor. The donor's email is included if the caller may read it - see
+   * access.canReadPrivateDetails
+   * 
+   * @param {*} stub 
+   * @param {*} args 
+   */
+  async queryDonor(stub, args) {
+    console.log('============= START : queryDonor ===========');
+    console.log('##### queryDonor arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    let key = 'donor' + json['donorUserName'];
+    console.log('##### queryDonor key: ' + key);
+
+    let donors = [{Key: key, Record: JSON.parse((await queryByKey(stub, key)).toString())}];
+    await addPrivateDetails(stub, 'donor', donors);
+    return Buffer.from(JSON.stringify(donors[0]['Record']));
+  }
+
+   /**
+   * Retrieves a specfic member, by memberId, or by SSN and contractNumber. The member's private details
+   * are included if the caller may read them - see access.canReadPrivateDetails
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "memberId":"5d0e...",
+   * }
+   * or
+   * {
+   *    "ssn":"123456789",
+   *    "contractNumber":"1001"
+   * }
+   */
+  async queryMember(stub, args) {
+    console.log('============= START : queryMember ===========');
+    console.log('##### queryMember arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    let members;
+    if (json['memberId']) {
+      let key = 'member' + json['memberId'];
+      console.log('##### queryMember key: ' + key);
+      members = [{Key: key, Record: JSON.parse((await queryByKey(stub, key)).toString())}];
+    }
+    else {
+      members = (await membersForSsn(stub, json['ssn'])).filter((member) =>
+        member['Record']['contractNumber'] === String(json['contractNumber']));
+      if (members.length === 0) {
+        throw new Error('##### queryMember - There is no member with this SSN for contract: ' + json['contractNumber']);
+      }
+    }
+    await addPrivateDetails(stub, 'member', members);
+    return Buffer.from(JSON.stringify(members[0]['Record']));
+  }
+
+  /**
+   * Retrieves all donors, with the emails the caller may read
+   * 
+   * @param {*} stub 
+   * @param {*} args 
+   */
+  async queryAllDonors(stub, args) {
+    console.log('============= START : queryAllDonors ===========');
+    console.log('##### queryAllDonors arguments: ' + JSON.stringify(args));
+ 
+    let queryString = '{"selector": {"docType": "donor"}}';
+    let donors = JSON.parse((await queryByString(stub, queryString)).toString());
+    return Buffer.from(JSON.stringify(await addPrivateDetails(stub, 'donor', donors)));
+  }
+
+  /**
+   * Retrieves one page of all donors - see queryAllWithPagination
+   * 
+   * @param {*} stub 
+   * @param {*} args 
+   */
+  async queryAllDonorsWithPagination(stub, args) {
+    console.log('============= START : queryAllDonorsWithPagination ===========');
+    console.log('##### queryAllDonorsWithPagination arguments: ' + JSON.stringify(args));
+    let page = JSON.parse((await queryAllWithPagination(stub, 'donor', args)).toString());
+    await addPrivateDetails(stub, 'donor', page['records']);
+    return Buffer.from(JSON.stringify(page));
+  }
+
+   /**
+   * Retrieves all members, with the private details the caller may read
+   * 
+   * @param {*} stub 
+   * @param {*} args 
+   */
+  async queryAllMembers(stub, args) {
+    console.log('============= START : queryAllMembers ===========');
+    console.log('##### queryAllMembers arguments: ' + JSON.stringify(args));
+ 
+    let queryString = '{"selector": {"docType": "member"}}';
+    let members = JSON.parse((await queryByString(stub, queryString)).toString());
+    return Buffer.from(JSON.stringify(await addPrivateDetails(stub, 'member', members)));
+  }
+
+  /**
+   * Retrieves one page of all members - see queryAllWithPagination
+   * 
+   * @param {*} stub 
+   * @param {*} args 
+   */
+  async queryAllMembersWithPagination(stub, args) {
+    console.log('============= START : queryAllMembersWithPagination ===========');
+    console.log('##### queryAllMembersWithPagination arguments: ' + JSON.stringify(args));
+    let page = JSON.parse((await queryAllWithPagination(stub, 'member', args)).toString());
+    await addPrivateDetails(stub, 'member', page['records']);
+    return Buffer.from(JSON.stringify(page));
+  }
+
+
+  /************************************************************************************************
+   * 
+   * NGO functions 
+   * 
+   ************************************************************************************************/
+
+  /**
+   * Submits a new NGO for verification. The NGO is pending, and cannot receive donations, until the verifier
+   * organisations have approved it - see approveNGO
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "ngoRegistrationNumber":"6322",
+   *    "ngoName":"Pets In Need",
+   *    "ngoDescription":"We help pets in need",
+   *    "address":"1 Pet street",
+   *    "contactNumber":"82372837",
+   *    "contactEmail":"pets@petco.com",
+   *    "allocationStrategy":"even",
+   *    "currency":"USD",
+   *    "registrationDocuments":[{"documentType":"certificateOfIncorporation","fileName":"incorporation.pdf",
+   *                              "sha256":"9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08"}]
+   * }
+   * 
+   * allocationStrategy is optional and defaults to 'even'. See allocation.js for the strategies.
+   * currency is the ISO code of the currency the NGO keeps its accounts in, and defaults to USD.
+   * registrationDocuments are the documents the verifiers check, such as the NGO's certificate of registration.
+   * At least one is required. The documents themselves are kept off the ledger, which records their SHA-256
+   * hashes so a verifier can check they have the documents that were submitted
+   */
+  async createNGO(stub, args) {
+    console.log('============= START : createNGO ===========');
+    console.log('##### createNGO arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    schemas.validate('ngo', json);
+    if (!json['registrationDocuments'] || json['registrationDocuments'].length === 0) {
+      throw new Error('##### createNGO - An NGO must submit at least one registration document for verification');
+    }
+    if (json['status'] !== undefined && json['status'] !== 'pending') {
+      throw new Error('##### createNGO - An NGO is pending until it is verified, so its status cannot be set to: ' + json['status']);
+    }
+    for (let field of Object.keys(ngoCreateForbiddenFields)) {
+      if (json[field] !== undefined) {
+        throw new Error('##### createNGO - The field ' + field + ' ' + ngoCreateForbiddenFields[field] + ', and cannot be passed');
+      }
+    }
+    let key = 'ngo' + json['ngoRegistrationNumber'];
+    json['docType'] = 'ngo';
+    json['status'] = 'pending';
+    json['submittedDate'] = txDate(stub).toISOString();
+    json['approvals'] = [];
+
+    console.log('##### createNGO payload: ' + JSON.stringify(json));
+
+    // Check if the NGO already exists
+    let ngoQuery = await stub.getState(key);
+    if (ngoQuery.toString()) {
+      throw new Error('##### createNGO - This NGO already exists: ' + json['ngoRegistrationNumber']);
+    }
+
+    await stub.putState(key, Buffer.from(JSON.stringify(json)));
+    setEvent(stub, 'NGOCreated', json);
+    console.log('============= END : createNGO ===========');
+  }
+
+  /**
+   * Updates an NGO. Only the fields passed are changed, and a field set to null is removed. ngoRegistrationNumber
+   * identifies the NGO and cannot be changed, nor can its currency.
+   * 
+   * status is active, suspended or closed, and only an admin may change it. An NGO that is not active cannot
+   * receive donations. A closed NGO cannot be changed again. See updateRecord. The status of an NGO that is
+   * pending or rejected is set only by verification - see approveNGO and rejectNGO.
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "ngoRegistrationNumber":"6322",
+   *    "address":"2 Pet street",
+   *    "contactNumber":"82372838"
+   * }
+   */
+  async updateNGO(stub, args) {
+    console.log('============= START : updateNGO ===========');
+    console.log('##### updateNGO arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    let key = 'ngo' + json['ngoRegistrationNumber'];
+    if (json['status'] !== undefined) {
+      let ngoQuery = await stub.getState(key);
+      let currentStatus = ngoQuery.toString() ? recordStatus(JSON.parse(ngoQuery.toString())) : null;
+      if (['pending', 'rejected'].indexOf(currentStatus) >= 0 || ['pending', 'rejected'].indexOf(json['status']) >= 0) {
+        throw new Error('##### updateNGO - The status of an NGO is set by verification while it is pending or rejected. ' +
+          'It is: ' + currentStatus + ' and cannot be set to: ' + json['status']);
+      }
+    }
+    let ngo = await updateRecord(stub, 'updateNGO', 'ngo', key, json);
+    setEvent(stub, 'NGOUpdated', ngo);
+    console.log('============= END : updateNGO ===========');
+  }
+
+  /**
+   * Sets the verification policy: the organisations on the channel that verify new NGOs, and how many of them
+   * must approve an NGO before it becomes active. Each organisation is identified by its MSP ID. A new policy
+   * applies to NGOs that are still pending, from their next approval.
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "verifierMSPs":["m-B7YYBFY4GREBZLPCO2SUS4GP3I","m-J4OWUPNKMBGF7BDX3OUNGH4T3Y","m-QW7JXNPXXRHG3DOSRHMKZLHUHE"],
+   *    "quorum":2
+   * }
+   */
+  async setVerificationPolicy(stub, args) {
+    console.log('============= START : setVerificationPolicy ===========');
+    console.log('##### setVerificationPolicy arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    schemas.validate('verificationPolicy', json);
+    if (new Set(json['verifierMSPs']).size !== json['verifierMSPs'].length) {
+      throw new Error('##### setVerificationPolicy - verifierMSPs lists an organisation more than once: ' + json['verifierMSPs'].join(', '));
+    }
+    if (json['quorum'] > json['verifierMSPs'].length) {
+      throw new Error('##### setVerificationPolicy - The quorum: ' + json['quorum'] + ' is more than the number of verifier organisations: ' +
+        json['verifierMSPs'].length);
+    }
+    let policy = {docType: 'verificationPolicy', verifierMSPs: json['verifierMSPs'], quorum: json['quorum']};
+    await stub.putState('verificationPolicy', Buffer.from(JSON.stringify(policy)));
+    setEvent(stub, 'VerificationPolicySet', policy);
+    console.log('============= END : setVerificationPolicy ===========');
+  }
+
+  /**
+   * Retrieves the verification policy - see setVerificationPolicy
+   * 
+   * @param {*} stub 
+   * @param {*} args 
+   */
+  async queryVerificationPolicy(stub, args) {
+    console.log('============= START : queryVerificationPolicy ===========');
+    console.log('##### queryVerificationPolicy arguments: ' + JSON.stringify(args));
+    return Buffer.from(JSON.stringify(await verificationPolicy(stub, 'queryVerificationPolicy')));
+  }
+
+  /**
+   * Records a verifier organisation's approval of a pending NGO. The verifier's organisation is the MSP in
+   * their certificate, and each verifier organisation approves an NGO once. When the number of organisations
+   * that have approved reaches the quorum in the verification policy, the NGO becomes active and can receive
+   * donations. The event is NGOVerified when the NGO becomes active, and NGOApproved otherwise.
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows. comment is optional:
+   * {
+   *    "ngoRegistrationNumber":"6322",
+   *    "comment":"Registration confirmed with the charity regulator"
+   * }
+   */
+  async approveNGO(stub, args) {
+    console.log('============= START : approveNGO ===========');
+    console.log('##### approveNGO arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    schemas.validate('ngoApproval', json);
+    let cid = new shim.ClientIdentity(stub);
+    let policy = await verificationPolicy(stub, 'approveNGO');
+    let ngo = await ngoAwaitingVerification(stub, 'approveNGO', policy, cid.getMSPID(), json['ngoRegistrationNumber']);
+
+    let approval = {mspId: cid.getMSPID(), approverId: cid.getID(), approvalDate: txDate(stub).toISOString()};
+    if (json['comment'] !== undefined) {
+      approval['comment'] = json['comment'];
+    }
+    ngo['approvals'].push(approval);
+    let approvingMSPs = ngo['approvals'].filter((entry) => policy['verifierMSPs'].indexOf(entry['mspId']) >= 0);
+    if (approvingMSPs.length >= policy['quorum']) {
+      ngo['status'] = 'active';
+      ngo['verifiedDate'] = approval['approvalDate'];
+    }
+    console.log('##### approveNGO - NGO now has ' + approvingMSPs.length + ' of the ' + policy['quorum'] + ' approvals needed: ' + JSON.stringify(ngo));
+    await stub.putState('ngo' + json['ngoRegistrationNumber'], Buffer.from(JSON.stringify(ngo)));
+    setEvent(stub, ngo['status'] === 'active' ? 'NGOVerified' : 'NGOApproved', ngo);
+    console.log('============= END : approveNGO ===========');
+  }
+
+  /**
+   * Records a verifier organisation's rejection of a pending NGO, with the reason. Any one verifier organisation
+   * may reject an NGO, and a rejected NGO cannot become active. The NGO can apply again with a new
+   * registration number.
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "ngoRegistrationNumber":"6322",
+   *    "reason":"Not registered with the charity regulator"
+   * }
+   */
+  async rejectNGO(stub, args) {
+    console.log('============= START : rejectNGO ===========');
+    console.log('##### rejectNGO arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    schemas.validate('ngoRejection', json);
+    let cid = new shim.ClientIdentity(stub);
+    let policy = await verificationPolicy(stub, 'rejectNGO');
+    let ngo = await ngoAwaitingVerification(stub, 'rejectNGO', policy, cid.getMSPID(), json['ngoRegistrationNumber']);
+
+    ngo['status'] = 'rejected';
+    ngo['rejection'] = {mspId: cid.getMSPID(), rejecterId: cid.getID(), rejectionDate: txDate(stub).toISOString(),
+      reason: json['reason']};
+    await stub.putState('ngo' + json['ngoRegistrationNumber'], Buffer.from(JSON.stringify(ngo)));
+    setEvent(stub, 'NGORejected', ngo);
+    console.log('============= END : rejectNGO ===========');
+  }
+
+  /**
+   * Sets the allocation strategy an NGO uses to allocate its spend to donations. The strategies are
+   * described in allocation.js. Spend already allocated is not changed.
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "ngoRegistrationNumber":"6322",
+   *    "allocationStrategy":"fifo"
+   * }
+   */
+  async setAllocationStrategy(stub, args) {
+    console.log('============= START : setAllocationStrategy ===========');
+    console.log('##### setAllocationStrategy arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    schemas.validate('allocationPolicy', json);
+    let key = 'ngo' + json['ngoRegistrationNumber'];
+
+    // Confirm the NGO exists
+    let ngoQuery = await stub.getState(key);
+    if (!ngoQuery.toString()) {
+      throw new Error('##### setAllocationStrategy - Cannot set the allocation strategy as the NGO does not exist: ' + json['ngoRegistrationNumber']);
+    }
+    let ngo = JSON.parse(ngoQuery.toString());
+    ngo['allocationStrategy'] = json['allocationStrategy'];
+
+    console.log('##### setAllocationStrategy ngo: ' + JSON.stringify(ngo));
+    await stub.putState(key, Buffer.from(JSON.stringify(ngo)));
+    setEvent(stub, 'AllocationStrategySet', {ngoRegistrationNumber: ngo['ngoRegistrationNumber'], allocationStrategy: ngo['allocationStrategy']});
+    console.log('============= END : setAllocationStrategy ===========');
+  }
+
+  /**
+   * Sets the policy for approving an NGO's larger spend, e.g. board sign-off. Spend above the threshold is
+   * created as a proposal, which is recorded once requiredApprovals of the approvers have approved it, and
+   * expires if they have not done so within expiryHours (see createSpend). The threshold is in minor units of
+   * the NGO's currency, and a threshold of 0 means all spend needs approval. Approvers are named by their user
+   * name, i.e. the enrollment ID in their certificate, and must be users of the NGO.
+   * 
+   * Only an admin may set the policy. The NGO's own users are the ones it constrains, so if they could set it
+   * they could lower the threshold or name themselves as approvers to get round it.
+   * 
+   * A new policy applies to spend proposed after it is set. Proposals already made keep the approvers and the
+   * number of approvals they were made with.
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "ngoRegistrationNumber":"6322",
+   *    "threshold":100000,
+   *    "approvers":["alice","bob","carol"],
+   *    "requiredApprovals":2,
+   *    "expiryHours":168
+   * }
+   */
+  async setSpendApprovalPolicy(stub, args) {
+    console.log('============= START : setSpendApprovalPolicy ===========');
+    console.log('##### setSpendApprovalPolicy arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    schemas.validate('spendApprovalPolicy', json);
+    if (new Set(json['approvers']).size !== json['approvers'].length) {
+      throw new Error('##### setSpendApprovalPolicy - approvers lists a user more than once: ' + json['approvers'].join(', '));
+    }
+    if (json['requiredApprovals'] > json['approvers'].length) {
+      throw new Error('##### setSpendApprovalPolicy - The requiredApprovals: ' + json['requiredApprovals'] +
+        ' is more than the number of approvers: ' + json['approvers'].length);
+    }
+    let key = 'ngo' + json['ngoRegistrationNumber'];
+    let ngo = JSON.parse((await queryByKey(stub, key)).toString());
+    ngo['spendApprovalPolicy'] = {threshold: json['threshold'], approvers: json['approvers'],
+      requiredApprovals: json['requiredApprovals'], expiryHours: json['expiryHours']};
+
+    console.log('##### setSpendApprovalPolicy ngo: ' + JSON.stringify(ngo));
+    await stub.putState(key, Buffer.from(JSON.stringify(ngo)));
+    setEvent(stub, 'SpendApprovalPolicySet', Object.assign({ngoRegistrationNumber: ngo['ngoRegistrationNumber']}, ngo['spendApprovalPolicy']));
+    console.log('============= END : setSpendApprovalPolicy ===========');
+  }
+
+  async createEmployer(stub, args) {
+    console.log('============= START : createEmployer ===========');
+    console.log('##### createEmployer arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    schemas.validate('employer', json);
+    let key = 'employer' + json['contractNumber'];
+    json['docType'] = 'employer';
+    json['status'] = json['status'] || 'active';
+
+    console.log('##### createEmployer payload: ' + JSON.stringify(json));
+
+    // Check if the Employer already exists
+    let ngoQuery = await stub.getState(key);
+    if (ngoQuery.toString()) {
+      throw new Error('##### createEmployer - This Employer already exists: ' + json['contractNumber']);
+    }
+
+    await stub.putState(key, Buffer.from(JSON.stringify(json)));
+    setEvent(stub, 'EmployerCreated', json);
+    console.log('============= END : createEmployer ===========');
+  }
+
+  /**
+   * Updates an employer. Only the fields passed are changed, and a field set to null is removed. contractNumber
+   * identifies the employer and cannot be changed.
+   * 
+   * status is active, suspended or closed. An employer that is not active cannot make contributions. A closed
+   * employer cannot be changed again. See updateRecord.
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "contractNumber":"1001",
+   *    "status":"suspended"
+   * }
+   */
+  async updateEmployer(stub, args) {
+    console.log('============= START : updateEmployer ===========');
+    console.log('##### updateEmployer arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    let key = 'employer' + json['contractNumber'];
+    let employer = await updateRecord(stub, 'updateEmployer', 'employer', key, json);
+    setEvent(stub, 'EmployerUpdated', employer);
+    console.log('============= END : updateEmployer ===========');
+  }
+
+  async createPlan(stub, args) {
+    console.log('============= START : createPlan ===========');
+    console.log('##### createPlan arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    schemas.validate('plan', json);
+    let key = 'plan' + json['planId'];
+    json['docType'] = 'plan';
+    json['status'] = json['status'] || 'active';
+
+    console.log('##### createPlan payload: ' + JSON.stringify(json));
+
+    // Check if the NGO already exists
+    let ngoQuery = await stub.getState(key);
+    if (ngoQuery.toString()) {
+      throw new Error('##### createPlan - This Plan already exists: ' + json['planId']);
+    }
+
+    await stub.putState(key, Buffer.from(JSON.stringify(json)));
+    setEvent(stub, 'PlanCreated', json);
+    console.log('============= END : createPlan ===========');
+  }
+
+  /**
+   * Updates a plan, e.g. to change its list of funds. Only the fields passed are changed, and a field set
+   * to null is removed. planId identifies the plan and cannot be changed.
+   * 
+   * status is active, suspended or closed. A closed plan cannot be changed again. See updateRecord.
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "planId":"p1",
+   *    "funds":["Growth fund","Bond fund"]
+   * }
+   */
+  async updatePlan(stub, args) {
+    console.log('============= START : updatePlan ===========');
+    console.log('##### updatePlan arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    let key = 'plan' + json['planId'];
+    let plan = await updateRecord(stub, 'updatePlan', 'plan', key, json);
+    setEvent(stub, 'PlanUpdated', plan);
+    console.log('============= END : updatePlan ===========');
+  }
+
+  /**
+   * Retrieves a specfic ngo
+   * 
+   * @param {*} stub 
+   * @param {*} args 
+   */
+  async queryNGO(stub, args) {
+    console.log('============= START : queryNGO ===========');
+    console.log('##### queryNGO arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    let key = 'ngo' + json['ngoRegistrationNumber'];
+    console.log('##### queryNGO key: ' + key);
+
+    let ngoQuery = await queryByKey(stub, key);
+    // add the funds the NGO has available for spending, split into unrestricted funds and funds
+    // restricted to each category
+    let ngo = JSON.parse(ngoQuery.toString());
+    let balances = await getDonationBalances(stub, json['ngoRegistrationNumber']);
+    let compatible = compatibleDonations(balances.donationMap);
+    let restricted = {};
+    for (let donation of balances.donationMap) {
+      let restriction = donation[1]['Record']['restriction'];
+      if (restriction && !(restriction in restricted)) {
+        restricted[restriction] = availableFunds(compatibleDonations(balances.donationMap, restriction).restricted, balances.donationSpendMap);
+      }
+    }
+    ngo['availableBalances'] = {
+      currency: currencyForNGO(ngoQuery),
+      unrestricted: availableFunds(compatible.unrestricted, balances.donationSpendMap),
+      restricted: restricted
+    };
+    ngo['ratingSummary'] = await getRatingSummary(stub, json['ngoRegistrationNumber']);
+    return Buffer.from(JSON.stringify(ngo));
+  }
+
+  async queryEmployer(stub, args) {
+    console.log('============= START : queryEmployer ===========');
+    console.log('##### queryEmployer arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    let key = 'employer' + json['contractNumber'];
+    console.log('##### queryEmployer key: ' + key);
+
+    return queryByKey(stub, key);
+  }
+
+  async queryPlan(stub, args) {
+    console.log('============= START : queryPlan ===========');
+    console.log('##### queryPlan arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    let key = 'plan' + json['planId'];
+    console.log('##### queryPlan key: ' + key);
+
+    return queryByKey(stub, key);
+  }
+
+  /**
+   * Retrieves all ngos, each with its rating summary
+   * 
+   * @param {*} stub 
+   * @param {*} args - optional JSON as follows. status is optional, and returns only the NGOs with that status,
+   * e.g. the NGOs awaiting verification:
+   * {
+   *    "status":"pending"
+   * }
+   */
+  async queryAllNGOs(stub, args) {
+    console.log('============= START : queryAllNGOs ===========');
+    console.log('##### queryAllNGOs arguments: ' + JSON.stringify(args));
+ 
+    // args is passed as a JSON string, and may be left out to retrieve every NGO
+    let json = {};
+    if (args && args.length > 0 && args[0]) {
+      json = JSON.parse(args);
+    }
+    schemas.validate('ngoFilter', json);
+    let queryString = JSON.stringify({selector: Object.assign({docType: 'ngo'}, json['status'] ? ngoStatusFilter(json['status']) : {})});
+    let ngos = JSON.parse((await queryByString(stub, queryString)).toString());
+    return Buffer.from(JSON.stringify(await addRatingSummaries(stub, ngos)));
+  }
+
+  /**
+   * Retrieves one page of all ngos, each with its rating summary - see queryAllWithPagination. As for
+   * queryAllNGOs, status is optional
+   * 
+   * @param {*} stub 
+   * @param {*} args 
+   */
+  async queryAllNGOsWithPagination(stub, args) {
+    console.log('============= START : queryAllNGOsWithPagination ===========');
+    console.log('##### queryAllNGOsWithPagination arguments: ' + JSON.stringify(args));
+    let json = JSON.parse(args);
+    schemas.validate('ngoFilter', json);
+    let page = JSON.parse((await queryAllWithPagination(stub, 'ngo', args, json['status'] ? ngoStatusFilter(json['status']) : {})).toString());
+    await addRatingSummaries(stub, page['records']);
+    return Buffer.from(JSON.stringify(page));
+  }
+
+  async queryAllEmployers(stub, args) {
+    console.log('============= START : queryAllEmployers ===========');
+    console.log('##### queryAllEmployers arguments: ' + JSON.stringify(args));
+
+    let queryString = '{"selector": {"docType": "employer"}}';
+    return queryByString(stub, queryString);
+  }
+
+  /**
+   * Retrieves one page of all employers - see queryAllWithPagination
+   * 
+   * @param {*} stub 
+   * @param {*} args 
+   */
+  async queryAllEmployersWithPagination(stub, args) {
+    console.log('============= START : queryAllEmployersWithPagination ===========');
+    console.log('##### queryAllEmployersWithPagination arguments: ' + JSON.stringify(args));
+    return queryAllWithPagination(stub, 'employer', args);
+  }
+
+  async queryAllPlans(stub, args) {
+    console.log('============= START : queryAllPlans ===========');
+    console.log('##### queryAllPlans arguments: ' + JSON.stringify(args));
+
+    let queryString = '{"selector": {"docType": "plan"}}';
+    return queryByString(stub, queryString);
+  }
+
+  /**
+   * Retrieves one page of all plans - see queryAllWithPagination
+   * 
+   * @param {*} stub 
+   * @param {*} args 
+   */
+  async queryAllPlansWithPagination(stub, args) {
+    console.log('============= START : queryAllPlansWithPagination ===========');
+    console.log('##### queryAllPlansWithPagination arguments: ' + JSON.stringify(args));
+    return queryAllWithPagination(stub, 'plan', args);
+  }
+
+
+  /************************************************************************************************
+   * 
+   * Donation functions 
+   * 
+   ************************************************************************************************/
+
+  /**
+   * Creates a new Donation
+   * 
+   * The donor may restrict the donation to a category of spend, such as 'medical' or 'food'. A restricted
+   * donation can only fund spend in that category. restriction is optional.
+   * 
+   * donationAmount is in minor units of the currency, e.g. 10000 is $100.00. currency is optional and defaults
+   * to the NGO's currency. A donation in another currency is converted to the NGO's currency using the FX rate
+   * recorded by setFxRate.
+   * 
+   * A donation that fulfils a pledge has the pledgeId and the pledgeOccurrence it fulfils, and must match
+   * the pledge. See createPledge.
+   * 
+   * A donation towards a fundraising campaign has the campaignId, and must be made to the NGO running the
+   * campaign before the campaign's deadline. See createCampaign.
+   * 
+   * If the donor is linked to a sponsor's matching programme, a matching donation from the sponsor is created
+   * alongside the donation, and the donation's matchingDonationId is set. See matchDonation.
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "donationId":"2211",
+   *    "donationAmount":10000,
+   *    "currency":"USD",
+   *    "donationDate":"2018-09-20T12:41:59.582Z",
+   *    "donorUserName":"edge",
+   *    "ngoRegistrationNumber":"6322",
+   *    "restriction":"medical"
+   * }
+   */
+  async createDonation(stub, args) {
+    console.log('============= START : createDonation ===========');
+    console.log('##### createDonation arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    schemas.validate('donation', json);
+    let key = 'donation' + json['donationId'];
+    json['docType'] = 'donation';
+    for (let field of matchingFields) {
+      if (json[field] !== undefined) {
+        throw new Error('##### createDonation - The field ' + field + ' is set by matching, and cannot be passed');
+      }
+    }
+    for (let field of grantFields) {
+      if (json[field] !== undefined) {
+        throw new Error('##### createDonation - The field ' + field + ' is set by createGrant, and cannot be passed');
+      }
+    }
+    for (let field of anonymousFields) {
+      if (json[field] !== undefined) {
+        throw new Error('##### createDonation - The field ' + field + ' is set by createAnonymousDonation, and cannot be passed');
+      }
+    }
+
+    console.log('##### createDonation donation: ' + JSON.stringify(json));
+
+    await checkDonation(stub, 'createDonation', json, json['donorUserName']);
+
+    let matchingDonation = await matchDonation(stub, json);
+
+    await stub.putState(key, Buffer.from(JSON.stringify(json)));
+    await putIndexEntries(stub, 'donation', key, json);
+    if (json['pledgeId']) {
+      await fulfilPledgeOccurrence(stub, json);
+    }
+    setEvent(stub, 'DonationCreated', matchingDonation ? Object.assign({matchingDonation: matchingDonation}, json) : json);
+    console.log('============= END : createDonation ===========');
+  }
+
+  /**
+   * Creates a new anonymous Donation. In place of the donor's user name, the donation has a donorCommitment, the
+   * hash of the user name salted with a secret known only to the donor (see donorCommitment). NGOs and anyone else
+   * querying the chaincode see the donation, its allocation to spend and the NGO's ratings, but not who gave it. The donor
+   * passes their secrets to queryDonationsForDonor and queryDonorStatement to see their anonymous donations, the spend
+   * allocated to them and their tax receipts.
+   * 
+   * The block records the certificate of the transaction's creator, and the keys the transaction read, so the donor
+   * submits the donation through a relay, i.e. an identity with the role relay such as the REST API's own, rather
+   * than with their own certificate. The donor's user name and secret are passed in the transient map, under the keys
+   * donorUserName and donorSecret, as unlike the arguments it is not recorded in the block. The secret must be at least
+   * 32 characters. For the same reason the donor's record is not read, so the chaincode does not check the donor exists
+   * or is active: the relay only submits donations for its own donors. The donor proves a donation is theirs with the
+   * secret alone. They should use a new random secret for each donation, unless they want their donations linked
+   * under a pseudonym.
+   * 
+   * An anonymous donation is otherwise as in createDonation, except it cannot fulfil a pledge or be matched by a
+   * sponsor, as both name the donor.
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "donationId":"2212",
+   *    "donationAmount":10000,
+   *    "currency":"USD",
+   *    "donationDate":"2018-09-20T12:41:59.582Z",
+   *    "ngoRegistrationNumber":"6322",
+   *    "restriction":"medical"
+   * }
+   * and the transient map as follows:
+   * {
+   *    "donorUserName":"edge",
+   *    "donorSecret":"0c4f3b1e..."
+   * }
+   */
+  async createAnonymousDonation(stub, args) {
+    console.log('============= START : createAnonymousDonation ===========');
+    console.log('##### createAnonymousDonation arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    schemas.validate('anonymousDonation', json);
+    let key = 'donation' + json['donationId'];
+    json['docType'] = 'donation';
+    for (let field of ['donorUserName', 'pledgeId', 'pledgeOccurrence'].concat(anonymousFields, matchingFields, grantFields)) {
+      if (json[field] !== undefined) {
+        throw new Error('##### createAnonymousDonation - The field ' + field + ' cannot be passed for an anonymous donation');
+      }
+    }
+    let donorSecret = privateData.transientValue(stub, 'donorSecret');
+    if (typeof donorSecret !== 'string' || donorSecret.length < minDonorSecretLength) {
+      throw new Error('##### createAnonymousDonation - An anonymous donation needs a donorSecret of at least ' + minDonorSecretLength +
+        ' characters in the transient map');
+    }
+    let donorUserName = privateData.transientValue(stub, 'donorUserName');
+    if (typeof donorUserName !== 'string' || donorUserName.length === 0) {
+      throw new Error('##### createAnonymousDonation - An anonymous donation needs the donorUserName in the transient map');
+    }
+
+    await checkDonation(stub, 'createAnonymousDonation', json, null);
+    json['anonymous'] = true;
+    json['donorCommitment'] = donorCommitment(donorUserName, donorSecret);
+    console.log('##### createAnonymousDonation donation: ' + JSON.stringify(json));
+
+    await stub.putState(key, Buffer.from(JSON.stringify(json)));
+    await putIndexEntries(stub, 'donation', key, json);
+    setEvent(stub, 'DonationCreated', json);
+    console.log('============= END : createAnonymousDonation ===========');
+  }
+
+  /**
+   * Reverses a Donation, e.g. for a chargeback or a donation made with the wrong amount. The donation
+   * is marked as refunded and no longer counts towards the NGO's funds. Any spend already allocated to
+   * the donation is re-allocated to the NGO's other donations that have funds available and can fund the
+   * spend's category. If they do not have enough funds, the spend is flagged as underfunded by the amount that could not be
+   * re-allocated.
+   * 
+   * The original SPENDALLOCATION records are not deleted. They are marked as reversed, and the new
+   * records point back to the refunded donation, so the full audit trail can be seen using
+   * queryHistoryForKey.
+   * 
+   * A donation that has been granted on to another NGO, in whole or in part, cannot be reversed, and nor can
+   * the donations a grant creates for the receiving NGO (see createGrant).
+   * 
+   * Reversing a donation matched by a sponsor also reverses the sponsor's matching donation, and reversing a
+   * matching donation gives its amount back to the donor's annual cap (see unmatchDonation).
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "donationId":"2211",
+   *    "refundDate":"2018-09-25T12:41:59.582Z",
+   *    "refundReason":"Chargeback"
+   * }
+   */
+  async reverseDonation(stub, args) {
+    console.log('============= START : reverseDonation ===========');
+    console.log('##### reverseDonation arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    schemas.validate('donationRefund', json);
+    let key = 'donation' + json['donationId'];
+
+    // Confirm the donation exists and has not already been refunded
+    let donationQuery = await stub.getState(key);
+    if (!donationQuery.toString()) {
+      throw new Error('##### reverseDonation - Cannot reverse donation as the Donation does not exist: ' + json['donationId']);
+    }
+    let donation = JSON.parse(donationQuery.toString());
+    if (donation['donationStatus'] === 'refunded') {
+      throw new Error('##### reverseDonation - This Donation has already been refunded: ' + json['donationId']);
+    }
+    if (donation['grantId']) {
+      throw new Error('##### reverseDonation - This Donation is part of the grant: ' + donation['grantId'] + ' from NGO: ' +
+        donation['sourceNGORegistrationNumber'] + ', and cannot be refunded: ' + json['donationId']);
+    }
+
+    // the sponsor gave its matching donation only because of this one, so it is refunded too
+    let matchingDonation = null;
+    if (donation['matchingDonationId']) {
+      let matchQuery = await stub.getState('donation' + donation['matchingDonationId']);
+      if (matchQuery.toString() && JSON.parse(matchQuery.toString())['donationStatus'] !== 'refunded') {
+        matchingDonation = JSON.parse(matchQuery.toString());
+      }
+    }
+    let refunded = matchingDonation ? [donation, matchingDonation] : [donation];
+    for (let refund of refunded) {
+      refund['donationStatus'] = 'refunded';
+      refund['refundDate'] = json['refundDate'];
+      refund['refundReason'] = json['refundReason'];
+      console.log('##### reverseDonation donation: ' + JSON.stringify(refund));
+      await stub.putState('donation' + refund['donationId'], Buffer.from(JSON.stringify(refund)));
+      if (refund['matchingGift']) {
+        await unmatchDonation(stub, refund);
+      }
+    }
+
+    // get the funds available from the NGO's other donations. Fabric does not return the writes made in this
+    // transaction to the reads, so the refunded donations are removed from the balances here
+    let balances = await getDonationBalances(stub, donation['ngoRegistrationNumber']);
+    let strategy = allocationStrategyForNGO(await queryByKey(stub, 'ngo' + donation['ngoRegistrationNumber']));
+    for (let refund of refunded) {
+      balances.donationMap.delete(refund['donationId']);
+      balances.donationSpendMap.delete(refund['donationId']);
+    }
+
+    // reverse the spend allocated to the refunded donations, grouping it by spend
+    const spendMap = new Map();
+    let reversedSpendAllocationIds = [];
+    let spendAllocations = [];
+    for (let refund of refunded) {
+      spendAllocations = spendAllocations.concat(JSON.parse((await queryByIndex(stub, 'spendAllocation~donation~id', [refund['donationId']])).toString()));
+    }
+    for (let n = 0; n < spendAllocations.length; n++) {
+      let spendAllocation = spendAllocations[n]['Record'];
+      if (spendAllocation['spendAllocationStatus'] === 'reversed') {
+        continue;
+      }
+      // the granted funds are now the receiving NGO's donations, so the grant cannot be unpicked by a refund
+      if (spendAllocation['grantId']) {
+        throw new Error('##### reverseDonation - This Donation has been granted to another NGO in the grant: ' + spendAllocation['grantId'] +
+          ', and cannot be refunded: ' + json['donationId']);
+      }
+      spendAllocation['spendAllocationStatus'] = 'reversed';
+      spendAllocation['reversalDate'] = json['refundDate'];
+      console.log('##### reverseDonation - reversing spendAllocation: ' + JSON.stringify(spendAllocation));
+      await stub.putState(spendAllocations[n]['Key'], Buffer.from(JSON.stringify(spendAllocation)));
+      reversedSpendAllocationIds.push(spendAllocation['spendAllocationId']);
+
+      let spendAmt = spendMap.has(spendAllocation['spendId']) ? spendMap.get(spendAllocation['spendId']) : 0;
+      spendMap.set(spendAllocation['spendId'], spendAmt + spendAllocation['spendAllocationAmount']);
+    }
+
+    // re-allocate the reversed spend to the other donations, as far as their available funds allow
+    let recordCounter = 0;
+    let reallocations = [];
+    let underfundedSpend = [];
+    for (let entry of spendMap) {
+      let spendKey = 'spend' + entry[0];
+      let spend = JSON.parse((await stub.getState(spendKey)).toString());
+      let reversedAmount = entry[1];
+      let compatible = compatibleDonations(balances.donationMap, spend['spendCategory']);
+      let available = availableFunds(compatible.restricted, balances.donationSpendMap) + availableFunds(compatible.unrestricted, balances.donationSpendMap);
+      let reallocatedAmount = Math.min(reversedAmount, available);
+      console.log('##### reverseDonation - spend ID ' + entry[0] + ' had ' + reversedAmount + ' allocated to the refunded donation. Re-allocating: ' + reallocatedAmount + ' from available funds of: ' + available);
+      if (reallocatedAmount > 0) {
+        recordCounter = await allocateToCompatibleDonations(stub, spend, reallocatedAmount, balances, strategy, recordCounter,
+          {reallocatedFromDonationId: donation['donationId']}, reallocations);
+      }
+      if (reallocatedAmount < reversedAmount) {
+        spend['underfunded'] = true;
+        spend['underfundedAmount'] = (spend['underfundedAmount'] || 0) + reversedAmount - reallocatedAmount;
+        console.log('##### reverseDonation - spend ID ' + entry[0] + ' is now underfunded by: ' + spend['underfundedAmount']);
+        await stub.putState(spendKey, Buffer.from(JSON.stringify(spend)));
+        underfundedSpend.push({spendId: spend['spendId'], underfundedAmount: spend['underfundedAmount']});
+      }
+    }
+    setEvent(stub, 'DonationRefunded', {
+      donation: donation,
+      matchingDonation: matchingDonation,
+      reversedSpendAllocationIds: reversedSpendAllocationIds,
+      reallocations: reallocations,
+      underfundedSpend: underfundedSpend
+    });
+    console.log('============= END : reverseDonation ===========');
+  }
+
+  //Create contribution EMPLOYER
+  //
+  //contributionAmount, and each member's salary, are integer minor units, e.g. 500000 is $5,000.00
+
+  async createContributionEmployer(stub, args) {
+    console.log('============= START : createContributionEmployer ===========');
+    //console.log('##### createContributionEmployer arguments: ' + JSON.stringify(args));
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    schemas.validate('employerContribution', json);
+
+    let contractNumber = json['contractNumber'];
+
+    // Confirm the Employer exists and is active
+    let employerQuery = await stub.getState('employer' + contractNumber);
+    if (!employerQuery.toString()) {
+      throw new Error('##### createContributionEmployer - Cannot create contribution as the Employer does not exist: ' + contractNumber);
+    }
+    let employerStatus = recordStatus(JSON.parse(employerQuery.toString()));
+    if (employerStatus !== 'active') {
+      throw new Error('##### createContributionEmployer - Cannot create contribution as the Employer is ' + employerStatus + ': ' + contractNumber);
+    }
+
+    let allMembers = JSON.parse((await queryByIndex(stub, 'member~contract~id', [contractNumber])).toString());
+    if (allMembers.length === 0) {
+      throw new Error('##### No members exist for employer: ' + json['contractNumber']);
+    }
+    let employerContribAmount = json['contributionAmount'];
+    console.log('##### createContributionEmployer - Employer contribution amount is: ' + employerContribAmount);
+    let grossAmount = 0;
+    for (let n = 0; n < allMembers.length; n++) {
+      if (grossAmount < employerContribAmount) {
+        let member = allMembers[n]['Record'];
+        console.log('##### createContributionEmployer - Processing for member :' + member['memberId']);
+        // the salary and elective deferral are private details of the member, and are not logged
+        let memberDetails = await getPrivateDetails(stub, 'member', allMembers[n]['Key']);
+        if (!memberDetails) {
+          throw new Error('##### createContributionEmployer - The private details of the member are not available on this peer: ' + member['memberId']);
+        }
+        let salary = memberDetails['salary'];
+        let deferralPercent = memberDetails['electiveDeferral'] || 0;
+        // the deferral percentage is converted to basis points so the amount can be calculated exactly, rounding halves up
+        let deferralBasisPoints = Math.round(deferralPercent * 100);
+        let amount = 0;
+        if (salary > 0 && deferralBasisPoints > 0) {
+          amount = money.mulDivRound(salary, deferralBasisPoints, 10000);
+        }
+        console.log('##### createContributionEmployer - Amount for member is: ' + amount);
+        grossAmount +=amount;
+
+        if (grossAmount > employerContribAmount){
+            throw new Error("Gross amount exceeds employer contrib amount.")
+        }
+        let totalNumberOfInvestments = member.investments.length;
+        // split the amount between the investments so the parts add up exactly to the amount
+        let investmentAmounts = money.splitEvenly(amount, totalNumberOfInvestments);
+        for (let j = 0; j < totalNumberOfInvestments; j++){
+          member.investments[j].dollarVal = investmentAmounts[j];
+        }
+
+        let memberContribution = {
+          docType: 'contribution',
+          memberId: member['memberId'],
+          contractNumber: contractNumber,
+          contributionDate: txDate(stub),
+          investments: member.investments
+        };
+        console.log('##### createContributionEmployer -Final JSON before  createContribution call is: ' + memberContribution);
+        //individual contribution method starts here
+
+        console.log('============= START : createContribution ===========');
+        console.log('##### createContribution arguments: ' + JSON.stringify(memberContribution));
+
+        // args is passed as a JSON string
+        let json1 = memberContribution;
+        // one key per member, unique to the transaction and the same on every endorsing peer
+        let key = 'contribution' + stub.getTxID() + '-' + n;
+        json1['docType'] = 'contribution';
+
+        console.log('##### createContribution : ' + JSON.stringify(json1));
+
+        // Confirm the Member exists
+        let ngoKey = 'member' + json1['memberId'];
+        let ngoQuery = await stub.getState(ngoKey);
+        if (!ngoQuery.toString()) {
+          throw new Error('##### createContribution - Cannot create contribution as the Member does not exist: ' + json1['memberId']);
+        }
+
+        // Confirm the Employer exists
+        let donorKey = 'employer' + json1['contractNumber'];
+        let donorQuery = await stub.getState(donorKey);
+        if (!donorQuery.toString()) {
+          throw new Error('##### createContribution - Cannot create contribution as the Employer does not exist: ' + json1['contractNumber']);
+        }
+
+        // Check if the Contribution already exists
+        let donationQuery = await stub.getState(key);
+        if (donationQuery.toString()) {
+          throw new Error('##### createContribution - This Contribution already exists: ' + json1['contributionKey']);
+        }
+
+        await stub.putState(key, Buffer.from(JSON.stringify(json1)));
+        await putIndexEntries(stub, 'contribution', key, json1);
+        console.log('============= END : createContribution ===========');
+
+      }else {
+        throw new Error("Contribution fund exhausted, make sure you have enough balance before contribution for employer: "+contractNumber)
+      }
+
+    }
+
+    setEvent(stub, 'ContributionsCreated', {
+      contractNumber: contractNumber,
+      contributionAmount: employerContribAmount,
+      grossAmount: grossAmount,
+      memberCount: allMembers.length
+    });
+    console.log('============= END : createContribution ===========');
+  }
+
+  /**
+   * Retrieves contributions by specific member - see queryByMember
+   *
+   * @param {*} stub
+   * @param {*} args - JSON as follows, or {"ssn":"123456789"} for each of the member's contracts:
+   * {
+   *    "memberId":"5d0e..."
+   * }
+   */
+  async queryContributionsByMember(stub, args) {
+    console.log('============= START : queryContributionsByMember ===========');
+    console.log('##### queryContributionsByMember arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    return queryByMember(stub, 'contribution~member~id', json);
+  }
+
+  async queryWithdrawalByMember(stub, args) {
+    console.log('============= START : queryContributionsByMember ===========');
+    console.log('##### queryContributionsByMember arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    return queryByMember(stub, 'withdrawal~member~id', json);
+  }
+  //Create withdrawal for  individual member
+
+  async createWithdrawal(stub, args) {
+    console.log('============= START : createWithdrawal ===========');
+    console.log('##### createWithdrawal arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    // the member is identified by memberId or, for older clients, by SSN, which is not stored with the withdrawal
+    if (!json['memberId'] && json['ssn']) {
+      let members = (await membersForSsn(stub, json['ssn'])).filter((member) =>
+        member['Record']['contractNumber'] === String(json['contractNumber']));
+      if (members.length > 0) {
+        json['memberId'] = members[0]['Record']['memberId'];
+      }
+    }
+    delete json['ssn'];
+    schemas.validate('withdrawal', json);
+    let key = 'withdrawal' + json['withdrawalKey'];
+    json['docType'] = 'withdrawal';
+
+    console.log('##### createWithdrawal : ' + JSON.stringify(json));
+
+    // Confirm the Member exists
+    let ngoKey = 'member' + json['memberId'];
+    let ngoQuery = await stub.getState(ngoKey);
+    if (!ngoQuery.toString() || JSON.parse(ngoQuery.toString())['contractNumber'] !== json['contractNumber']) {
+      throw new Error('##### createWithdrawal - Cannot create withdrawal as the Member does not exist: ' + json['memberId']);
+    }
+
+    // Confirm the Employer exists
+    let donorKey = 'employer' + json['contractNumber'];
+    let donorQuery = await stub.getState(donorKey);
+    if (!donorQuery.toString()) {
+      throw new Error('##### createWithdrawal - Cannot create contribution as the Employer does not exist: ' + json['contractNumber']);
+    }
+
+    // Check if the Contribution already exists
+    let donationQuery = await stub.getState(key);
+    if (donationQuery.toString()) {
+      throw new Error('##### createWithdrawal - This Contribution already exists: ' + json['withdrawalKey']);
+   }
+    await stub.putState(key, Buffer.from(JSON.stringify(json)));
+    await putIndexEntries(stub, 'withdrawal', key, json);
+    setEvent(stub, 'WithdrawalCreated', {
+      withdrawalKey: json['withdrawalKey'],
+      memberId: json['memberId'],
+      contractNumber: json['contractNumber'],
+      withdrawalDate: json['withdrawalDate'],
+      investments: json['investments']
+    });
+    console.log('============= END : createWithdrawal ===========');
+  }
+
+
+  /**
+   * Retrieves a specfic donation
+   * 
    * @param {*} stub 
+   * @param {*} args 
    */
-  async Invoke(stub) {
-    console.log('============= START : Invoke ===========');
-    let ret = stub.getFunctionAndParameters();
-    console.log('##### Invoke args: ' + JSON.stringify(ret));
+  async queryDonation(stub, args) {
+    console.log('============= START : queryDonation ===========');
+    console.log('##### queryDonation arguments: ' + JSON.stringify(args));
 
-    let method = this[ret.fcn];
-    if (!method) {
-      console.error('##### Invoke - error: no chaincode function with name: ' + ret.fcn + ' found');
-      throw new Error('No chaincode function with name: ' + ret.fcn + ' found');
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    let key = 'donation' + json['donationId'];
+    console.log('##### queryDonation key: ' + key);
+    return queryByKey(stub, key);
+  }
+
+  /**
+   * Retrieves donations for a specfic donor. The donor's anonymous donations are included for each secret
+   * passed in the transient map under the key donorSecrets (see createAnonymousDonation)
+   * 
+   * @param {*} stub 
+   * @param {*} args 
+   */
+  async queryDonationsForDonor(stub, args) {
+    console.log('============= START : queryDonationsForDonor ===========');
+    console.log('##### queryDonationsForDonor arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    let donations = JSON.parse((await queryByIndex(stub, 'donation~donor~id', [json['donorUserName']])).toString());
+    donations = donations.concat(await anonymousDonationsForDonor(stub, 'queryDonationsForDonor', json['donorUserName']));
+    console.log('============= END : queryDonationsForDonor ===========');
+    return Buffer.from(JSON.stringify(donations));
+  }
+
+  /**
+   * Builds a donor's annual giving statement, e.g. for a tax receipt. The statement lists the donations the
+   * donor made in the year, by the UTC year of their donationDate, grouped by NGO and in date order. Each
+   * donation has the ID of the transaction that recorded it on the ledger, which anyone can look up as proof
+   * of the donation. Refunded donations are left out, as are the donations created when an NGO grants the donor's
+   * money on to another NGO (see createGrant), as they are not new gifts. The donor's anonymous donations are included,
+   * flagged as anonymous, for each secret passed in the transient map under the key donorSecrets (see createAnonymousDonation).
+   *
+   * Amounts are in minor units of the NGO's currency, so the totals are given for each currency.
+   *
+   * @param {*} stub
+   * @param {*} args - JSON as follows:
+   * {
+   *    "donorUserName":"edge",
+   *    "year":2018
+   * }
+   * @returns JSON as follows:
+   * {
+   *    "donorUserName":"edge",
+   *    "year":2018,
+   *    "generatedDate":"2019-01-15T09:00:00.000Z",
+   *    "donationCount":2,
+   *    "totals":{"USD":15000},
+   *    "ngos":[{"ngoRegistrationNumber":"6322","ngoName":"Pets In Need","currency":"USD","total":15000,
+   *             "donations":[{"donationId":"2211","donationDate":"2018-09-20T12:41:59.582Z","donationAmount":10000,
+   *                           "currency":"USD","txId":"c5b39e93..."}, ...]}]
+   * }
+   */
+  async queryDonorStatement(stub, args) {
+    console.log('============= START : queryDonorStatement ===========');
+    console.log('##### queryDonorStatement arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    schemas.validate('donorStatement', json);
+    let donorUserName = json['donorUserName'];
+    let year = Number(json['year']);
+    await queryByKey(stub, 'donor' + donorUserName);
+
+    let donations = JSON.parse((await queryByIndex(stub, 'donation~donor~id', [donorUserName])).toString())
+      .concat(await anonymousDonationsForDonor(stub, 'queryDonorStatement', donorUserName))
+      .map((result) => result['Record'])
+      .filter((donation) => new Date(donation['donationDate']).getUTCFullYear() === year && donation['donationStatus'] !== 'refunded' &&
+        !donation['grantId']);
+    donations.sort((a, b) => a['ngoRegistrationNumber'].localeCompare(b['ngoRegistrationNumber']) ||
+      new Date(a['donationDate']) - new Date(b['donationDate']) || a['donationId'].localeCompare(b['donationId']));
+
+    let statement = {donorUserName: donorUserName, year: year, generatedDate: txDate(stub).toISOString(),
+      donationCount: donations.length, totals: {}, ngos: []};
+    let ngo = null;
+    for (let donation of donations) {
+      if (!ngo || ngo['ngoRegistrationNumber'] !== donation['ngoRegistrationNumber']) {
+        let ngoRecord = JSON.parse((await queryByKey(stub, 'ngo' + donation['ngoRegistrationNumber'])).toString());
+        ngo = {ngoRegistrationNumber: donation['ngoRegistrationNumber'], ngoName: ngoRecord['ngoName'],
+          currency: donation['currency'], total: 0, donations: []};
+        statement['ngos'].push(ngo);
+      }
+      let line = {
+        donationId: donation['donationId'],
+        donationDate: donation['donationDate'],
+        donationAmount: donation['donationAmount'],
+        currency: donation['currency'],
+        txId: await creatingTxId(stub, 'donation' + donation['donationId'])
+      };
+      for (let field of ['originalDonationAmount', 'originalCurrency', 'restriction', 'campaignId', 'matchingDonationId', 'anonymous']) {
+        if (donation[field] !== undefined) {
+          line[field] = donation[field];
+        }
+      }
+      ngo['donations'].push(line);
+      ngo['total'] += donation['donationAmount'];
+      statement['totals'][donation['currency']] = (statement['totals'][donation['currency']] || 0) + donation['donationAmount'];
     }
-    try {
-      let response = await method(stub, ret.params);
-      console.log('##### Invoke response payload: ' + response);
-      return shim.success(response);
-    } catch (err) {
-      console.log('##### Invoke - error: ' + err);
-      return shim.error(err);
+    console.log('============= END : queryDonorStatement ===========');
+    return Buffer.from(JSON.stringify(statement));
+  }
+
+  /**
+   * Retrieves donations for a specfic ngo
+   * 
+   * @param {*} stub 
+   * @param {*} args 
+   */
+  async queryDonationsForNGO(stub, args) {
+    console.log('============= START : queryDonationsForNGO ===========');
+    console.log('##### queryDonationsForNGO arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    return queryByIndex(stub, 'donation~ngo~id', [json['ngoRegistrationNumber']]);
+  }
+
+    /**
+     * Retrieves members for a specfic employer
+     *
+     * @param {*} stub
+     * @param {*} args
+     */
+    async queryMembersForEmployer(stub, args) {
+        console.log('============= START : queryMembersForEmployer ===========');
+        console.log('##### queryMembersForEmployer arguments: ' + JSON.stringify(args));
+
+        // args is passed as a JSON string
+        let json = JSON.parse(args);
+        let members = JSON.parse((await queryByIndex(stub, 'member~contract~id', [json['contractNumber']])).toString());
+        return Buffer.from(JSON.stringify(await addPrivateDetails(stub, 'member', members)));
     }
+
+  /**
+   * Retrieves the members with an SSN, one for each of their contracts, with their private details - see
+   * membersForSsn
+   *
+   * @param {*} stub
+   * @param {*} args
+   */
+  async queryMembersBySsn(stub, args) {
+    console.log('============= START : queryMembersForEmployer ===========');
+    console.log('##### queryMembersForEmployer arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    let members = await membersForSsn(stub, json['ssn']);
+    return Buffer.from(JSON.stringify(await addPrivateDetails(stub, 'member', members)));
   }
 
   /**
-   * Initialize the state. This should be explicitly called if required.
+   * Retrieves all donations
    * 
    * @param {*} stub 
    * @param {*} args 
    */
-  async initLedger(stub, args) {
-    console.log('============= START : Initialize Ledger ===========');
-    console.log('============= END : Initialize Ledger ===========');
+  async queryAllDonations(stub, args) {
+    console.log('============= START : queryAllDonations ===========');
+    console.log('##### queryAllDonations arguments: ' + JSON.stringify(args)); 
+    let queryString = '{"selector": {"docType": "donation"}}';
+    return queryByString(stub, queryString);
+  }
+
+  /**
+   * Retrieves one page of all donations - see queryAllWithPagination
+   * 
+   * @param {*} stub 
+   * @param {*} args 
+   */
+  async queryAllDonationsWithPagination(stub, args) {
+    console.log('============= START : queryAllDonationsWithPagination ===========');
+    console.log('##### queryAllDonationsWithPagination arguments: ' + JSON.stringify(args));
+    return queryAllWithPagination(stub, 'donation', args);
   }
 
   /************************************************************************************************
    * 
-   * Donor functions 
+   * Pledge functions 
    * 
    ************************************************************************************************/
 
-   /**
-   * Creates a new donor
+  /**
+   * Creates a recurring donation pledge. The donor promises to give pledgeAmount to the NGO at the frequency,
+   * from startDate until endDate, or until the pledge is cancelled. endDate and restriction are optional, and
+   * currency defaults to the NGO's currency. See pledge.js for how the occurrences are scheduled.
+   * 
+   * The pledge does not move any money itself. The REST API fulfils each occurrence as it falls due by creating
+   * a donation as the donor, using the donation ID pledgeId + '-' + occurrence, e.g. 'p2211-3'.
    * 
    * @param {*} stub 
    * @param {*} args - JSON as follows:
    * {
+   *    "pledgeId":"p2211",
    *    "donorUserName":"edge",
-   *    "email":"edge@abc.com",
-   *    "registeredDate":"2018-10-22T11:52:20.182Z"
+   *    "ngoRegistrationNumber":"6322",
+   *    "pledgeAmount":2500,
+   *    "currency":"USD",
+   *    "frequency":"monthly",
+   *    "startDate":"2018-10-01T00:00:00.000Z",
+   *    "endDate":"2019-09-30T00:00:00.000Z",
+   *    "restriction":"medical"
    * }
    */
-  async createDonor(stub, args) {
-    console.log('============= START : createDonor ===========');
-    console.log('##### createDonor arguments: ' + JSON.stringify(args));
+  async createPledge(stub, args) {
+    console.log('============= START : createPledge ===========');
+    console.log('##### createPledge arguments: ' + JSON.stringify(args));
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let key = 'donor' + json['donorUserName'];
-    json['docType'] = 'donor';
+    schemas.validate('pledge', json);
+    let key = 'pledge' + json['pledgeId'];
+    for (let field of pledgeScheduleFields) {
+      if (json[field] !== undefined) {
+        throw new Error('##### createPledge - The field ' + field + ' is set as the Pledge\'s occurrences are settled, and cannot be passed');
+      }
+    }
+    json['docType'] = 'pledge';
+    json['pledgeStatus'] = 'active';
+    json['pauses'] = [];
 
-    console.log('##### createDonor payload: ' + JSON.stringify(json));
+    if (json['endDate'] && new Date(json['endDate']) < new Date(json['startDate'])) {
+      throw new Error('##### createPledge - The endDate: ' + json['endDate'] + ' is before the startDate: ' + json['startDate']);
+    }
 
-    // Check if the donor already exists
-    let donorQuery = await stub.getState(key);
-    if (donorQuery.toString()) {
-      throw new Error('##### createDonor - This donor already exists: ' + json['donorUserName']);
+    // Confirm the NGO exists and is active
+    let ngoQuery = await stub.getState('ngo' + json['ngoRegistrationNumber']);
+    if (!ngoQuery.toString()) {
+      throw new Error('##### createPledge - Cannot create pledge as the NGO does not exist: ' + json['ngoRegistrationNumber']);
+    }
+    let ngoStatus = recordStatus(JSON.parse(ngoQuery.toString()));
+    if (ngoStatus !== 'active') {
+      throw new Error('##### createPledge - Cannot create pledge as the NGO is ' + ngoStatus + ': ' + json['ngoRegistrationNumber']);
+    }
+
+    // Confirm the donor exists and is active
+    let donorQuery = await stub.getState('donor' + json['donorUserName']);
+    if (!donorQuery.toString()) {
+      throw new Error('##### createPledge - Cannot create pledge as the Donor does not exist: ' + json['donorUserName']);
+    }
+    let donorStatus = recordStatus(JSON.parse(donorQuery.toString()));
+    if (donorStatus !== 'active') {
+      throw new Error('##### createPledge - Cannot create pledge as the Donor is ' + donorStatus + ': ' + json['donorUserName']);
+    }
+
+    if (!json['currency']) {
+      json['currency'] = currencyForNGO(ngoQuery);
+    }
+
+    // Check if the Pledge already exists
+    let pledgeQuery = await stub.getState(key);
+    if (pledgeQuery.toString()) {
+      throw new Error('##### createPledge - This Pledge already exists: ' + json['pledgeId']);
     }
 
+    pledges.setNextOccurrence(json, 1);
+    console.log('##### createPledge pledge: ' + JSON.stringify(json));
     await stub.putState(key, Buffer.from(JSON.stringify(json)));
-    console.log('============= END : createDonor ===========');
+    await putIndexEntries(stub, 'pledge', key, json);
+    setEvent(stub, 'PledgeCreated', json);
+    console.log('============= END : createPledge ===========');
   }
 
   /**
-   * Creates a Member
+   * Pauses a pledge. Occurrences that fall due while the pledge is paused are skipped, not made up later.
+   * Only the donor who made the pledge, or an admin, may pause it.
    * 
    * @param {*} stub 
    * @param {*} args - JSON as follows:
    * {
-      "firstName" : "John",
-      "middleName" : "M",
-      "lastName": "Doe",
-      "dob": "01/07/1993",
-      "ssn": "123456789",
-      "homePhoneNumber" : 1234567895
-    }
+   *    "pledgeId":"p2211",
+   *    "donorUserName":"edge",
+   *    "changeDate":"2018-12-01T00:00:00.000Z"
+   * }
    */
-  async createMember(stub, args) {
-    console.log('============= START : createMember ===========');
-    console.log('##### createMember arguments: ' + JSON.stringify(args));
+  async pausePledge(stub, args) {
+    console.log('============= START : pausePledge ===========');
+    console.log('##### pausePledge arguments: ' + JSON.stringify(args));
+
+    let json = JSON.parse(args);
+    let pledge = await getPledgeForChange(stub, 'pausePledge', json, 'active');
+    pledge['pledgeStatus'] = 'paused';
+    pledge['pauses'].push({pausedDate: json['changeDate']});
+
+    console.log('##### pausePledge pledge: ' + JSON.stringify(pledge));
+    await stub.putState('pledge' + pledge['pledgeId'], Buffer.from(JSON.stringify(pledge)));
+    setEvent(stub, 'PledgePaused', pledge);
+    console.log('============= END : pausePledge ===========');
+  }
+
+  /**
+   * Resumes a paused pledge. The occurrences skipped while it was paused are passed over by the scheduler from
+   * now on. Takes the same arguments as pausePledge
+   * 
+   * @param {*} stub 
+   * @param {*} args - see pausePledge
+   */
+  async resumePledge(stub, args) {
+    console.log('============= START : resumePledge ===========');
+    console.log('##### resumePledge arguments: ' + JSON.stringify(args));
+
+    let json = JSON.parse(args);
+    let pledge = await getPledgeForChange(stub, 'resumePledge', json, 'paused');
+    pledge['pledgeStatus'] = 'active';
+    pledge['pauses'][pledge['pauses'].length - 1]['resumedDate'] = json['changeDate'];
+    await advancePledge(stub, pledge);
+
+    console.log('##### resumePledge pledge: ' + JSON.stringify(pledge));
+    await stub.putState('pledge' + pledge['pledgeId'], Buffer.from(JSON.stringify(pledge)));
+    setEvent(stub, 'PledgeResumed', pledge);
+    console.log('============= END : resumePledge ===========');
+  }
+
+  /**
+   * Cancels an active or paused pledge. No occurrence falling due after changeDate will be fulfilled, and a
+   * cancelled pledge cannot be resumed. Takes the same arguments as pausePledge
+   * 
+   * @param {*} stub 
+   * @param {*} args - see pausePledge
+   */
+  async cancelPledge(stub, args) {
+    console.log('============= START : cancelPledge ===========');
+    console.log('##### cancelPledge arguments: ' + JSON.stringify(args));
+
+    let json = JSON.parse(args);
+    let pledge = await getPledgeForChange(stub, 'cancelPledge', json, 'active', 'paused');
+    pledge['pledgeStatus'] = 'cancelled';
+    pledge['cancelledDate'] = json['changeDate'];
+    await advancePledge(stub, pledge);
+
+    console.log('##### cancelPledge pledge: ' + JSON.stringify(pledge));
+    await stub.putState('pledge' + pledge['pledgeId'], Buffer.from(JSON.stringify(pledge)));
+    setEvent(stub, 'PledgeCancelled', pledge);
+    console.log('============= END : cancelPledge ===========');
+  }
+
+  /**
+   * Records that the donation for an occurrence of a pledge cannot be made, e.g. because the NGO or the donor has
+   * been suspended, so the scheduler does not retry it. The occurrence must be due, and not fulfilled or skipped.
+   * A failed occurrence cannot be fulfilled later. Used by the REST API when the chaincode rejects the donation
+   * for an occurrence. Only the donor who made the pledge, or an admin, may record a failure.
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "pledgeId":"p2211",
+   *    "donorUserName":"edge",
+   *    "pledgeOccurrence":3,
+   *    "reason":"Cannot create donation as the NGO is suspended: 6322"
+   * }
+   */
+  async recordPledgeFailure(stub, args) {
+    console.log('============= START : recordPledgeFailure ===========');
+    console.log('##### recordPledgeFailure arguments: ' + JSON.stringify(args));
 
-    // args is passed as a JSON string
     let json = JSON.parse(args);
-    //modifying key to accomodate multiple contracts here
-    let key = 'member' + json['ssn']+':'+json['contractNumber'];
-    json['docType'] = 'member';
-
-    console.log('##### createMember payload: ' + JSON.stringify(json));
-
-    // Check if the member already exists
-    let donorQuery = await stub.getState(key);
-    if (donorQuery.toString()) {
-      throw new Error('##### createMember - This donor already exists: ' + json['ssn']);
+    schemas.validate('pledgeFailure', json);
+    let key = 'pledge' + json['pledgeId'];
+    let pledgeQuery = await stub.getState(key);
+    if (!pledgeQuery.toString()) {
+      throw new Error('##### recordPledgeFailure - The Pledge does not exist: ' + json['pledgeId']);
     }
-    //adding a create date field for easier sorting
-    json.createDate = new Date();
-    await stub.putState(key, Buffer.from(JSON.stringify(json)));
-    console.log('============= END : createMember ===========');
+    let pledge = JSON.parse(pledgeQuery.toString());
+    if (pledge['donorUserName'] !== json['donorUserName']) {
+      throw new Error('##### recordPledgeFailure - The Pledge: ' + json['pledgeId'] + ' was not made by donor: ' + json['donorUserName']);
+    }
+    let occurrence = json['pledgeOccurrence'];
+    let due = pledges.dueOccurrences(pledge, txDate(stub)).find((due) => due.occurrence === occurrence);
+    if (!due) {
+      throw new Error('##### recordPledgeFailure - Occurrence ' + occurrence + ' of the Pledge is not due: ' + pledge['pledgeId']);
+    }
+    if (due.skipped) {
+      throw new Error('##### recordPledgeFailure - Occurrence ' + occurrence + ' of the Pledge was skipped: ' + pledge['pledgeId']);
+    }
+    if (failedOccurrences(pledge).indexOf(occurrence) >= 0) {
+      throw new Error('##### recordPledgeFailure - Occurrence ' + occurrence + ' of the Pledge has already failed: ' + pledge['pledgeId']);
+    }
+    if ((await stub.getState('donation' + due.donationId)).toString()) {
+      throw new Error('##### recordPledgeFailure - Occurrence ' + occurrence + ' of the Pledge has been fulfilled: ' + pledge['pledgeId']);
+    }
+
+    pledge['failedOccurrences'] = (pledge['failedOccurrences'] || []).concat([{
+      occurrence: occurrence,
+      failedDate: txDate(stub).toISOString(),
+      reason: json['reason']
+    }]);
+    await advancePledge(stub, pledge);
+    console.log('##### recordPledgeFailure pledge: ' + JSON.stringify(pledge));
+    await stub.putState(key, Buffer.from(JSON.stringify(pledge)));
+    setEvent(stub, 'PledgeOccurrenceFailed', pledge);
+    console.log('============= END : recordPledgeFailure ===========');
   }
 
   /**
-   * Retrieves a specfic donor
+   * Retrieves a specfic pledge
    * 
    * @param {*} stub 
    * @param {*} args 
    */
-  async queryDonor(stub, args) {
-    console.log('============= START : queryDonor ===========');
-    console.log('##### queryDonor arguments: ' + JSON.stringify(args));
+  async queryPledge(stub, args) {
+    console.log('============= START : queryPledge ===========');
+    console.log('##### queryPledge arguments: ' + JSON.stringify(args));
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let key = 'donor' + json['donorUserName'];
-    console.log('##### queryDonor key: ' + key);
-
+    let key = 'pledge' + json['pledgeId'];
+    console.log('##### queryPledge key: ' + key);
     return queryByKey(stub, key);
   }
 
-   /**
-   * Retrieves a specfic member
+  /**
+   * Retrieves pledges for a specfic donor
    * 
    * @param {*} stub 
    * @param {*} args 
    */
-  async queryMember(stub, args) {
-    console.log('============= START : queryMember ===========');
-    console.log('##### queryMember arguments: ' + JSON.stringify(args));
+  async queryPledgesForDonor(stub, args) {
+    console.log('============= START : queryPledgesForDonor ===========');
+    console.log('##### queryPledgesForDonor arguments: ' + JSON.stringify(args));
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let key = 'member' + json['ssn'];
-    console.log('##### queryMember key: ' + key);
-
-    return queryByKey(stub, key);
+    return queryByIndex(stub, 'pledge~donor~id', [json['donorUserName']]);
   }
 
   /**
-   * Retrieves all donors
+   * Retrieves the fulfilment history of a pledge: every occurrence that has fallen due, and the donation that
+   * fulfilled it. The status of each occurrence is fulfilled, skipped (it fell due while the pledge was
+   * paused) or due (it has not been fulfilled yet)
    * 
    * @param {*} stub 
-   * @param {*} args 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "pledgeId":"p2211"
+   * }
+   * 
+   * @returns JSON as follows:
+   * [
+   *    {"occurrence":1,"dueDate":"2018-10-01T00:00:00.000Z","donationId":"p2211-1","status":"fulfilled",
+   *     "donation":{"docType":"donation","donationId":"p2211-1",...}},
+   *    {"occurrence":2,"dueDate":"2018-11-01T00:00:00.000Z","donationId":"p2211-2","status":"due"}
+   * ]
    */
-  async queryAllDonors(stub, args) {
-    console.log('============= START : queryAllDonors ===========');
-    console.log('##### queryAllDonors arguments: ' + JSON.stringify(args));
- 
-    let queryString = '{"selector": {"docType": "donor"}}';
-    return queryByString(stub, queryString);
+  async queryPledgeFulfilments(stub, args) {
+    console.log('============= START : queryPledgeFulfilments ===========');
+    console.log('##### queryPledgeFulfilments arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    let pledge = JSON.parse((await queryByKey(stub, 'pledge' + json['pledgeId'])).toString());
+
+    let donations = new Map();
+    let donationQuery = JSON.parse((await queryByIndex(stub, 'donation~pledge~id', [pledge['pledgeId']])).toString());
+    for (let donation of donationQuery) {
+      donations.set(donation['Record']['donationId'], donation['Record']);
+    }
+
+    let failed = new Map((pledge['failedOccurrences'] || []).map((failure) => [failure['occurrence'], failure]));
+    let fulfilments = pledges.dueOccurrences(pledge, txDate(stub)).map((due) => {
+      let fulfilment = {occurrence: due.occurrence, dueDate: due.dueDate, donationId: due.donationId};
+      if (donations.has(due.donationId)) {
+        fulfilment['status'] = 'fulfilled';
+        fulfilment['donation'] = donations.get(due.donationId);
+      }
+      else if (failed.has(due.occurrence)) {
+        fulfilment['status'] = 'failed';
+        fulfilment['failure'] = failed.get(due.occurrence);
+      }
+      else {
+        fulfilment['status'] = due.skipped ? 'skipped' : 'due';
+      }
+      return fulfilment;
+    });
+    console.log('##### queryPledgeFulfilments fulfilments: ' + JSON.stringify(fulfilments));
+    return Buffer.from(JSON.stringify(fulfilments));
   }
 
-   /**
-   * Retrieves all members
+  /**
+   * Retrieves the donations that are due to be made for all pledges, i.e. the occurrences that have fallen due
+   * by asOf but have not been fulfilled, skipped or failed. Used by the REST API to fulfil pledges. Each element is
+   * the createDonation arguments that fulfil the occurrence. asOf is optional and defaults to the transaction timestamp.
+   * 
+   * Only the pledges whose nextDueDate has passed are read, and only from their nextOccurrence, so pledges that
+   * have ended or been cancelled, and occurrences already settled, are not worked through again (see pledge.js).
    * 
    * @param {*} stub 
-   * @param {*} args 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "asOf":"2018-12-01T00:00:00.000Z"
+   * }
    */
-  async queryAllMembers(stub, args) {
-    console.log('============= START : queryAllMembers ===========');
-    console.log('##### queryAllMembers arguments: ' + JSON.stringify(args));
- 
-    let queryString = '{"selector": {"docType": "member"}}';
-    return queryByString(stub, queryString);
-  }
+  async queryDuePledgeDonations(stub, args) {
+    console.log('============= START : queryDuePledgeDonations ===========');
+    console.log('##### queryDuePledgeDonations arguments: ' + JSON.stringify(args));
+
+    let json = {};
+    if (args && args.length > 0 && args[0]) {
+      json = JSON.parse(args);
+    }
+    let asOf = txDate(stub);
+    if (json['asOf'] && new Date(json['asOf']) < asOf) {
+      asOf = new Date(json['asOf']);
+    }
 
+    let dueDonations = [];
+    let queryString = JSON.stringify({selector: {docType: 'pledge', nextDueDate: {'$lte': asOf.toISOString()}}});
+    let pledgeQuery = JSON.parse((await queryByString(stub, queryString)).toString());
+    for (let result of pledgeQuery) {
+      let pledge = result['Record'];
+      let failed = failedOccurrences(pledge);
+      for (let due of pledges.dueOccurrences(pledge, asOf, pledge['nextOccurrence'])) {
+        if (due.skipped || failed.indexOf(due.occurrence) >= 0) {
+          continue;
+        }
+        let donationQuery = await stub.getState('donation' + due.donationId);
+        if (donationQuery.toString()) {
+          continue;
+        }
+        let donation = {
+          donationId: due.donationId,
+          donationAmount: pledge['pledgeAmount'],
+          currency: pledge['currency'],
+          donationDate: due.dueDate,
+          donorUserName: pledge['donorUserName'],
+          ngoRegistrationNumber: pledge['ngoRegistrationNumber'],
+          pledgeId: pledge['pledgeId'],
+          pledgeOccurrence: due.occurrence
+        };
+        if (pledge['restriction']) {
+          donation['restriction'] = pledge['restriction'];
+        }
+        dueDonations.push(donation);
+      }
+    }
+    console.log('##### queryDuePledgeDonations due donations: ' + JSON.stringify(dueDonations));
+    return Buffer.from(JSON.stringify(dueDonations));
+  }
 
   /************************************************************************************************
    * 
-   * NGO functions 
+   * Campaign functions 
    * 
    ************************************************************************************************/
 
   /**
-   * Creates a new NGO
-   * 
-   * @param {*} stub 
+   * Creates a fundraising campaign for an NGO. Donors give towards the campaign by passing its campaignId
+   * to createDonation, until the deadline passes. After the deadline the campaign no longer accepts
+   * donations, whether or not it reached its goal.
+   *
+   * goalAmount is in minor units of the NGO's currency. currency is optional, but if it is given it must be
+   * the NGO's currency, as donations in other currencies are converted to it. campaignDescription is optional.
+   *
+   * @param {*} stub
    * @param {*} args - JSON as follows:
    * {
+   *    "campaignId":"c2211",
    *    "ngoRegistrationNumber":"6322",
-   *    "ngoName":"Pets In Need",
-   *    "ngoDescription":"We help pets in need",
-   *    "address":"1 Pet street",
-   *    "contactNumber":"82372837",
-   *    "contactEmail":"pets@petco.com"
+   *    "campaignName":"Winter shelter",
+   *    "campaignDescription":"Heated kennels for the winter",
+   *    "goalAmount":1000000,
+   *    "currency":"USD",
+   *    "deadline":"2018-12-31T23:59:59.000Z"
    * }
    */
-  async createNGO(stub, args) {
-    console.log('============= START : createNGO ===========');
-    console.log('##### createNGO arguments: ' + JSON.stringify(args));
+  async createCampaign(stub, args) {
+    console.log('============= START : createCampaign ===========');
+    console.log('##### createCampaign arguments: ' + JSON.stringify(args));
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let key = 'ngo' + json['ngoRegistrationNumber'];
-    json['docType'] = 'ngo';
+    schemas.validate('campaign', json);
+    let key = 'campaign' + json['campaignId'];
+    json['docType'] = 'campaign';
 
-    console.log('##### createNGO payload: ' + JSON.stringify(json));
+    if (new Date(json['deadline']) < txDate(stub)) {
+      throw new Error('##### createCampaign - The deadline: ' + json['deadline'] + ' has already passed');
+    }
 
-    // Check if the NGO already exists
-    let ngoQuery = await stub.getState(key);
-    if (ngoQuery.toString()) {
-      throw new Error('##### createNGO - This NGO already exists: ' + json['ngoRegistrationNumber']);
+    // Confirm the NGO exists and is active
+    let ngoQuery = await stub.getState('ngo' + json['ngoRegistrationNumber']);
+    if (!ngoQuery.toString()) {
+      throw new Error('##### createCampaign - Cannot create campaign as the NGO does not exist: ' + json['ngoRegistrationNumber']);
+    }
+    let ngoStatus = recordStatus(JSON.parse(ngoQuery.toString()));
+    if (ngoStatus !== 'active') {
+      throw new Error('##### createCampaign - Cannot create campaign as the NGO is ' + ngoStatus + ': ' + json['ngoRegistrationNumber']);
+    }
+
+    // The goal is in the NGO's currency, as the donations towards it are
+    let ngoCurrency = currencyForNGO(ngoQuery);
+    if (!json['currency']) {
+      json['currency'] = ngoCurrency;
+    }
+    if (json['currency'] !== ngoCurrency) {
+      throw new Error('##### createCampaign - The goal must be in the NGO\'s currency: ' + ngoCurrency + ', not: ' + json['currency']);
+    }
+
+    // Check if the Campaign already exists
+    let campaignQuery = await stub.getState(key);
+    if (campaignQuery.toString()) {
+      throw new Error('##### createCampaign - This Campaign already exists: ' + json['campaignId']);
     }
 
+    console.log('##### createCampaign campaign: ' + JSON.stringify(json));
     await stub.putState(key, Buffer.from(JSON.stringify(json)));
-    console.log('============= END : createNGO ===========');
+    await putIndexEntries(stub, 'campaign', key, json);
+    setEvent(stub, 'CampaignCreated', json);
+    console.log('============= END : createCampaign ===========');
   }
 
-  async createEmployer(stub, args) {
-    console.log('============= START : createEmployer ===========');
-    console.log('##### createEmployer arguments: ' + JSON.stringify(args));
+  /**
+   * Retrieves a specfic campaign, with its progress towards its goal. See addCampaignProgress
+   *
+   * @param {*} stub
+   * @param {*} args - JSON as follows:
+   * {
+   *    "campaignId":"c2211"
+   * }
+   */
+  async queryCampaign(stub, args) {
+    console.log('============= START : queryCampaign ===========');
+    console.log('##### queryCampaign arguments: ' + JSON.stringify(args));
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let key = 'employer' + json['contractNumber'];
-    json['docType'] = 'employer';
+    let key = 'campaign' + json['campaignId'];
+    console.log('##### queryCampaign key: ' + key);
+    let campaign = JSON.parse((await queryByKey(stub, key)).toString());
+    return Buffer.from(JSON.stringify(await addCampaignProgress(stub, campaign)));
+  }
 
-    console.log('##### createEmployer payload: ' + JSON.stringify(json));
+  /**
+   * Retrieves the campaigns of a specfic NGO, each with its progress towards its goal
+   *
+   * @param {*} stub
+   * @param {*} args - JSON as follows:
+   * {
+   *    "ngoRegistrationNumber":"6322"
+   * }
+   */
+  async queryCampaignsForNGO(stub, args) {
+    console.log('============= START : queryCampaignsForNGO ===========');
+    console.log('##### queryCampaignsForNGO arguments: ' + JSON.stringify(args));
 
-    // Check if the Employer already exists
-    let ngoQuery = await stub.getState(key);
-    if (ngoQuery.toString()) {
-      throw new Error('##### createEmployer - This Employer already exists: ' + json['contractNumber']);
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    let campaigns = JSON.parse((await queryByIndex(stub, 'campaign~ngo~id', [json['ngoRegistrationNumber']])).toString());
+    for (let campaign of campaigns) {
+      await addCampaignProgress(stub, campaign['Record']);
     }
+    return Buffer.from(JSON.stringify(campaigns));
+  }
 
-    await stub.putState(key, Buffer.from(JSON.stringify(json)));
-    console.log('============= END : createEmployer ===========');
+  /**
+   * Retrieves the donations made towards a specfic campaign
+   *
+   * @param {*} stub
+   * @param {*} args - JSON as follows:
+   * {
+   *    "campaignId":"c2211"
+   * }
+   */
+  async queryDonationsForCampaign(stub, args) {
+    console.log('============= START : queryDonationsForCampaign ===========');
+    console.log('##### queryDonationsForCampaign arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    return queryByIndex(stub, 'donation~campaign~id', [json['campaignId']]);
   }
 
-  async createPlan(stub, args) {
-    console.log('============= START : createPlan ===========');
-    console.log('##### createPlan arguments: ' + JSON.stringify(args));
+  /************************************************************************************************
+   *
+   * Matching programme functions
+   *
+   ************************************************************************************************/
+
+  /**
+   * Creates a corporate matching-gift programme. The sponsor matches the donations its linked donors, e.g. its
+   * employees, make to the eligible NGOs. Each donation is matched at matchRatio, e.g. '1' gives the same again
+   * and '0.5' half as much, up to annualCapPerDonor for each donor in each calendar year. See matchDonation.
+   *
+   * The sponsor makes its matching donations as a donor, so sponsorUserName must be a donor. annualCapPerDonor is
+   * in minor units of currency, which defaults to USD. Only donations to NGOs with this currency are matched.
+   *
+   * @param {*} stub
+   * @param {*} args - JSON as follows:
+   * {
+   *    "programId":"acme-match",
+   *    "sponsorName":"Acme Corporation",
+   *    "sponsorUserName":"acme",
+   *    "matchRatio":"1",
+   *    "annualCapPerDonor":100000,
+   *    "currency":"USD",
+   *    "eligibleNGOs":["6322","6323"]
+   * }
+   */
+  async createMatchingProgram(stub, args) {
+    console.log('============= START : createMatchingProgram ===========');
+    console.log('##### createMatchingProgram arguments: ' + JSON.stringify(args));
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let key = 'plan' + json['planId'];
-    json['docType'] = 'plan';
+    schemas.validate('matchingProgram', json);
+    let key = 'matchingProgram' + json['programId'];
+    json['docType'] = 'matchingProgram';
+    if (!json['currency']) {
+      json['currency'] = money.defaultCurrency;
+    }
 
-    console.log('##### createPlan payload: ' + JSON.stringify(json));
+    // Confirm the sponsor and the eligible NGOs exist
+    let sponsorQuery = await stub.getState('donor' + json['sponsorUserName']);
+    if (!sponsorQuery.toString()) {
+      throw new Error('##### createMatchingProgram - Cannot create matching programme as the sponsor is not a Donor: ' + json['sponsorUserName']);
+    }
+    for (let ngo of json['eligibleNGOs']) {
+      let ngoQuery = await stub.getState('ngo' + ngo);
+      if (!ngoQuery.toString()) {
+        throw new Error('##### createMatchingProgram - Cannot create matching programme as the NGO does not exist: ' + ngo);
+      }
+    }
 
-    // Check if the NGO already exists
-    let ngoQuery = await stub.getState(key);
-    if (ngoQuery.toString()) {
-      throw new Error('##### createPlan - This Plan already exists: ' + json['planId']);
+    // Check if the programme already exists
+    let programQuery = await stub.getState(key);
+    if (programQuery.toString()) {
+      throw new Error('##### createMatchingProgram - This matching programme already exists: ' + json['programId']);
     }
 
+    console.log('##### createMatchingProgram programme: ' + JSON.stringify(json));
     await stub.putState(key, Buffer.from(JSON.stringify(json)));
-    console.log('============= END : createPlan ===========');
+    setEvent(stub, 'MatchingProgramCreated', json);
+    console.log('============= END : createMatchingProgram ===========');
   }
 
   /**
-   * Retrieves a specfic ngo
-   * 
-   * @param {*} stub 
-   * @param {*} args 
+   * Links a donor to the matching programme of their sponsor, e.g. their employer, so the donor's donations are
+   * matched from then on. Donations made before the link are not matched. A donor has one sponsor, so linking
+   * a donor who is already linked moves them to the new programme. Amounts already matched count towards the
+   * cap of the programme that matched them.
+   *
+   * @param {*} stub
+   * @param {*} args - JSON as follows:
+   * {
+   *    "donorUserName":"edge",
+   *    "programId":"acme-match"
+   * }
    */
-  async queryNGO(stub, args) {
-    console.log('============= START : queryNGO ===========');
-    console.log('##### queryNGO arguments: ' + JSON.stringify(args));
+  async linkDonorToSponsor(stub, args) {
+    console.log('============= START : linkDonorToSponsor ===========');
+    console.log('##### linkDonorToSponsor arguments: ' + JSON.stringify(args));
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let key = 'ngo' + json['ngoRegistrationNumber'];
-    console.log('##### queryNGO key: ' + key);
-
-    return queryByKey(stub, key);
-  }
-
-  async queryEmployer(stub, args) {
-    console.log('============= START : queryEmployer ===========');
-    console.log('##### queryEmployer arguments: ' + JSON.stringify(args));
+    schemas.validate('sponsorLink', json);
+    let key = 'sponsorLink' + json['donorUserName'];
+    json['docType'] = 'sponsorLink';
+    json['linkedDate'] = txDate(stub).toISOString();
 
-    // args is passed as a JSON string
-    let json = JSON.parse(args);
-    let key = 'employer' + json['contractNumber'];
-    console.log('##### queryEmployer key: ' + key);
+    // Confirm the donor and the programme exist
+    let donorQuery = await stub.getState('donor' + json['donorUserName']);
+    if (!donorQuery.toString()) {
+      throw new Error('##### linkDonorToSponsor - Cannot link the donor as the Donor does not exist: ' + json['donorUserName']);
+    }
+    let programQuery = await stub.getState('matchingProgram' + json['programId']);
+    if (!programQuery.toString()) {
+      throw new Error('##### linkDonorToSponsor - Cannot link the donor as the matching programme does not exist: ' + json['programId']);
+    }
+    if (JSON.parse(programQuery.toString())['sponsorUserName'] === json['donorUserName']) {
+      throw new Error('##### linkDonorToSponsor - The sponsor cannot match its own donations: ' + json['donorUserName']);
+    }
 
-    return queryByKey(stub, key);
+    console.log('##### linkDonorToSponsor link: ' + JSON.stringify(json));
+    await stub.putState(key, Buffer.from(JSON.stringify(json)));
+    setEvent(stub, 'DonorLinkedToSponsor', json);
+    console.log('============= END : linkDonorToSponsor ===========');
   }
 
-  async queryPlan(stub, args) {
-    console.log('============= START : queryPlan ===========');
-    console.log('##### queryPlan arguments: ' + JSON.stringify(args));
+  /**
+   * Retrieves a specfic matching programme
+   *
+   * @param {*} stub
+   * @param {*} args - JSON as follows:
+   * {
+   *    "programId":"acme-match"
+   * }
+   */
+  async queryMatchingProgram(stub, args) {
+    console.log('============= START : queryMatchingProgram ===========');
+    console.log('##### queryMatchingProgram arguments: ' + JSON.stringify(args));
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let key = 'plan' + json['planId'];
-    console.log('##### queryPlan key: ' + key);
-
+    let key = 'matchingProgram' + json['programId'];
+    console.log('##### queryMatchingProgram key: ' + key);
     return queryByKey(stub, key);
   }
 
   /**
-   * Retrieves all ngos
-   * 
-   * @param {*} stub 
-   * @param {*} args 
+   * Retrieves a donor's matching programme, and how much it has matched for the donor in a year. year is
+   * optional, and defaults to the current year
+   *
+   * @param {*} stub
+   * @param {*} args - JSON as follows:
+   * {
+   *    "donorUserName":"edge",
+   *    "year":2018
+   * }
+   * @returns JSON as follows. programId is null if the donor is not linked to a sponsor:
+   * {
+   *    "donorUserName":"edge",
+   *    "programId":"acme-match",
+   *    "sponsorName":"Acme Corporation",
+   *    "year":2018,
+   *    "annualCapPerDonor":100000,
+   *    "matchedAmount":15000,
+   *    "remaining":85000,
+   *    "currency":"USD"
+   * }
    */
-  async queryAllNGOs(stub, args) {
-    console.log('============= START : queryAllNGOs ===========');
-    console.log('##### queryAllNGOs arguments: ' + JSON.stringify(args));
- 
-    let queryString = '{"selector": {"docType": "ngo"}}';
-    return queryByString(stub, queryString);
-  }
-
-  async queryAllEmployers(stub, args) {
-    console.log('============= START : queryAllEmployers ===========');
-    console.log('##### queryAllEmployers arguments: ' + JSON.stringify(args));
+  async queryMatchingForDonor(stub, args) {
+    console.log('============= START : queryMatchingForDonor ===========');
+    console.log('##### queryMatchingForDonor arguments: ' + JSON.stringify(args));
 
-    let queryString = '{"selector": {"docType": "employer"}}';
-    return queryByString(stub, queryString);
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    let year = json['year'] ? Number(json['year']) : txDate(stub).getUTCFullYear();
+    let result = {donorUserName: json['donorUserName'], programId: null};
+    let linkQuery = await stub.getState('sponsorLink' + json['donorUserName']);
+    if (linkQuery.toString()) {
+      let program = JSON.parse((await queryByKey(stub, 'matchingProgram' + JSON.parse(linkQuery.toString())['programId'])).toString());
+      let totalQuery = await stub.getState(matchingTotalKey(program['programId'], json['donorUserName'], year));
+      let matchedAmount = totalQuery.toString() ? JSON.parse(totalQuery.toString())['matchedAmount'] : 0;
+      result = {
+        donorUserName: json['donorUserName'],
+        programId: program['programId'],
+        sponsorName: program['sponsorName'],
+        year: year,
+        annualCapPerDonor: program['annualCapPerDonor'],
+        matchedAmount: matchedAmount,
+        remaining: Math.max(program['annualCapPerDonor'] - matchedAmount, 0),
+        currency: program['currency']
+      };
+    }
+    return Buffer.from(JSON.stringify(result));
   }
 
-  async queryAllPlans(stub, args) {
-    console.log('============= START : queryAllPlans ===========');
-    console.log('##### queryAllPlans arguments: ' + JSON.stringify(args));
+  /**
+   * Retrieves the matching donations sponsors have made for a specfic donor's donations
+   *
+   * @param {*} stub
+   * @param {*} args - JSON as follows:
+   * {
+   *    "donorUserName":"edge"
+   * }
+   */
+  async queryMatchingDonationsForDonor(stub, args) {
+    console.log('============= START : queryMatchingDonationsForDonor ===========');
+    console.log('##### queryMatchingDonationsForDonor arguments: ' + JSON.stringify(args));
 
-    let queryString = '{"selector": {"docType": "plan"}}';
-    return queryByString(stub, queryString);
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    return queryByIndex(stub, 'donation~matchedDonor~id', [json['donorUserName']]);
   }
 
-
   /************************************************************************************************
    * 
-   * Donation functions 
+   * Spend functions 
    * 
    ************************************************************************************************/
 
   /**
-   * Creates a new Donation
+   * Creates a new Spend
+   * 
+   * spendCategory is optional. Spend with a category is funded by donations restricted to that category
+   * and by unrestricted donations. Spend without a category is only funded by unrestricted donations.
+   * 
+   * spendAmount is in minor units of the NGO's currency, e.g. 3300 is $33.00. currency is optional, but
+   * if it is given it must be the NGO's currency.
+   * 
+   * If the NGO has a spend approval policy and spendAmount is above its threshold, the spend is not recorded.
+   * Instead a spend proposal is created, and the spend is recorded and allocated to donations once the
+   * approvers in the policy approve it (see approveSpendProposal). The event is then SpendProposed rather than
+   * SpendCreated.
    * 
    * @param {*} stub 
    * @param {*} args - JSON as follows:
    * {
-   *    "donationId":"2211",
-   *    "donationAmount":100,
-   *    "donationDate":"2018-09-20T12:41:59.582Z",
-   *    "donorUserName":"edge",
-   *    "ngoRegistrationNumber":"6322"
+   *    "ngoRegistrationNumber":"6322",
+   *    "spendId":"2",
+   *    "spendDescription":"Peter Pipers Poulty Portions for Pets",
+   *    "spendDate":"2018-09-20T12:41:59.582Z",
+   *    "spendAmount":3300,
+   *    "currency":"USD",
+   *    "spendCategory":"food"
    * }
    */
-  async createDonation(stub, args) {
-    console.log('============= START : createDonation ===========');
-    console.log('##### createDonation arguments: ' + JSON.stringify(args));
+  async createSpend(stub, args) {
+    console.log('============= START : createSpend ===========');
+    console.log('##### createSpend arguments: ' + JSON.stringify(args));
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let key = 'donation' + json['donationId'];
-    json['docType'] = 'donation';
+    schemas.validate('spend', json);
+    let key = 'spend' + json['spendId'];
+    json['docType'] = 'spend';
 
-    console.log('##### createDonation donation: ' + JSON.stringify(json));
+    console.log('##### createSpend spend: ' + JSON.stringify(json));
 
     // Confirm the NGO exists
     let ngoKey = 'ngo' + json['ngoRegistrationNumber'];
     let ngoQuery = await stub.getState(ngoKey);
     if (!ngoQuery.toString()) {
-      throw new Error('##### createDonation - Cannot create donation as the NGO does not exist: ' + json['ngoRegistrationNumber']);
+      throw new Error('##### createDonation - Cannot create spend record as the NGO does not exist: ' + json['ngoRegistrationNumber']);
     }
 
-    // Confirm the donor exists
-    let donorKey = 'donor' + json['donorUserName'];
-    let donorQuery = await stub.getState(donorKey);
-    if (!donorQuery.toString()) {
-      throw new Error('##### createDonation - Cannot create donation as the Donor does not exist: ' + json['donorUserName']);
+    // Check if the Spend already exists, or has been proposed
+    let spendQuery = await stub.getState(key);
+    if (spendQuery.toString()) {
+      throw new Error('##### createSpend - This Spend already exists: ' + json['spendId']);
+    }
+    let proposalKey = 'spendProposal' + json['spendId'];
+    let proposalQuery = await stub.getState(proposalKey);
+    if (proposalQuery.toString()) {
+      throw new Error('##### createSpend - This Spend has already been proposed: ' + json['spendId']);
     }
 
-    // Check if the Donation already exists
-    let donationQuery = await stub.getState(key);
-    if (donationQuery.toString()) {
-      throw new Error('##### createDonation - This Donation already exists: ' + json['donationId']);
+    // Spend is funded from donations in the NGO's currency, so it must be in the same currency
+    let ngoCurrency = currencyForNGO(ngoQuery);
+    if (!json['currency']) {
+      json['currency'] = ngoCurrency;
+    }
+    if (json['currency'] !== ngoCurrency) {
+      throw new Error('##### createSpend - The spend must be in the NGO\'s currency: ' + ngoCurrency + ', not: ' + json['currency']);
     }
 
-    await stub.putState(key, Buffer.from(JSON.stringify(json)));
-    console.log('============= END : createDonation ===========');
+    let policy = JSON.parse(ngoQuery.toString())['spendApprovalPolicy'];
+    if (policy && json['spendAmount'] > policy['threshold']) {
+      await proposeSpend(stub, 'createSpend', json, json, policy);
+      console.log('============= END : createSpend ===========');
+      return;
+    }
+
+    let spendAllocations = await recordSpend(stub, json);
+    setEvent(stub, 'SpendCreated', {spend: json, spendAllocations: spendAllocations});
+    console.log('============= END : createSpend ===========');
   }
 
-  //Create contribution EMPLOYER
+  /**
+   * Previews how a spend would be allocated to an NGO's donations, without recording the spend.
+   * The NGO's allocation strategy is used unless a different allocationStrategy is given.
+   * spendCategory and allocationStrategy are optional.
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "ngoRegistrationNumber":"6322",
+   *    "spendAmount":3300,
+   *    "spendCategory":"food",
+   *    "allocationStrategy":"largestFirst"
+   * }
+   * @returns JSON as follows:
+   * {
+   *    "ngoRegistrationNumber":"6322",
+   *    "spendAmount":3300,
+   *    "currency":"USD",
+   *    "spendCategory":"food",
+   *    "allocationStrategy":"largestFirst",
+   *    "spendAllocations":[{"donationId":"2211","spendAllocationAmount":3300}]
+   * }
+   */
+  async previewSpendAllocation(stub, args) {
+    console.log('============= START : previewSpendAllocation ===========');
+    console.log('##### previewSpendAllocation arguments: ' + JSON.stringify(args));
 
-  async createContributionEmployer(stub, args) {
-    console.log('============= START : createContributionEmployer ===========');
-    //console.log('##### createContributionEmployer arguments: ' + JSON.stringify(args));
     // args is passed as a JSON string
     let json = JSON.parse(args);
-
-    let contractNumber = json['contractNumber'];
-    let queryString = '{"selector": {"docType": "member", "contractNumber": "' + json['contractNumber'] + '"}}';
-    let allMembersObj = await queryByString(stub, queryString);
-    if (!allMembersObj.toString()) {
-      throw new Error('##### No members exist for employer: ' + json['contractNumber']);
-    }
-    let allMembers = JSON.parse(allMembersObj.toString());
-    let employerContribAmount = json['contributionAmount'];
-    console.log('##### createContributionEmployer - Employer contribution amount is: ' + employerContribAmount);
-    let grossAmount = 0;
-    for (let n = 0; n < allMembers.length; n++) {
-      if (grossAmount < employerContribAmount) {
-        let member = allMembers[n]['Record'];
-        console.log('##### createContributionEmployer - Processing for member :' + member['ssn']);
-        let contribAndDeferral = member['contribAndDeferral'];
-        let deferralPercent = contribAndDeferral['electiveDeferral'];
-        console.log('##### createContributionEmployer - Elective Deferral for member is: ' + deferralPercent);
-        let salary = member['salary'];
-        console.log('##### createContributionEmployer - Salary for member is: ' + salary);
-        let multiple = salary * deferralPercent;
-        let amount = 0;
-        if (multiple > 0) {
-          amount = multiple/100;
-        }
-        console.log('##### createContributionEmployer - Amount for member is: ' + amount);
-        grossAmount +=amount;
-
-        if (grossAmount > employerContribAmount){
-            throw new Error("Gross amount exceeds employer contrib amount.")
-        }
-        let totalNumberOfInvestments = member.investments.length;
-        for (let j = 0; j < totalNumberOfInvestments; j++){
-          member.investments[j].dollarVal = amount/totalNumberOfInvestments;
-        }
-
-        let memberContribution = {
-          docType: 'contribution',
-          ssn: member['ssn'],
-          contractNumber: contractNumber,
-          contributionDate: new Date(),
-          investments: member.investments
-        };
-        console.log('##### createContributionEmployer -Final JSON before  createContribution call is: ' + memberContribution);
-        //individual contribution method starts here
-
-        console.log('============= START : createContribution ===========');
-        console.log('##### createContribution arguments: ' + JSON.stringify(memberContribution));
-
-        // args is passed as a JSON string
-        let json1 = memberContribution;
-        let today = new Date();
-        let key = 'contribution'+':'+today.getHours()+':'+today.getMinutes();
-        json1['docType'] = 'contribution';
-
-        console.log('##### createContribution : ' + JSON.stringify(json1));
-
-        // Confirm the Member exists
-        let ngoKey = 'member' + json1['ssn']+':'+json1['contractNumber'];
-        let ngoQuery = await stub.getState(ngoKey);
-        if (!ngoQuery.toString()) {
-          throw new Error('##### createContribution - Cannot create contribution as the Member does not exist: ' + json1['ssn']);
-        }
-
-        // Confirm the Employer exists
-        let donorKey = 'employer' + json1['contractNumber'];
-        let donorQuery = await stub.getState(donorKey);
-        if (!donorQuery.toString()) {
-          throw new Error('##### createContribution - Cannot create contribution as the Employer does not exist: ' + json1['contractNumber']);
-        }
-
-        // Check if the Contribution already exists
-        let donationQuery = await stub.getState(key);
-        if (donationQuery.toString()) {
-          throw new Error('##### createContribution - This Contribution already exists: ' + json1['contributionKey']);
-        }
-
-        await stub.putState(key, Buffer.from(JSON.stringify(json1)));
-        console.log('============= END : createContribution ===========');
-
-      }else {
-        throw new Error("Contribution fund exhausted, make sure you have enough balance before contribution for employer: "+json1["contractNumber"])
-      }
-
-    }
-
-
-    console.log('============= END : createContribution ===========');
+    schemas.validate('spendPreview', json);
+    let ngoQuery = await queryByKey(stub, 'ngo' + json['ngoRegistrationNumber']);
+    let strategy = json['allocationStrategy'] || allocationStrategyForNGO(ngoQuery);
+
+    let balances = await getDonationBalances(stub, json['ngoRegistrationNumber']);
+    checkFundsAvailable(json, balances);
+    let plan = planCompatibleAllocation(json, json['spendAmount'], balances, strategy);
+
+    let preview = {
+      ngoRegistrationNumber: json['ngoRegistrationNumber'],
+      spendAmount: json['spendAmount'],
+      currency: currencyForNGO(ngoQuery),
+      spendCategory: json['spendCategory'],
+      allocationStrategy: strategy,
+      spendAllocations: plan.map((entry) => ({donationId: entry.donationId, spendAllocationAmount: entry.amount}))
+    };
+    console.log('============= END : previewSpendAllocation ===========');
+    return Buffer.from(JSON.stringify(preview));
   }
 
   /**
-   * Retrieves contributions by specific member
-   *
-   * @param {*} stub
-   * @param {*} args
+   * Retrieves a specfic spend
+   * 
+   * @param {*} stub 
+   * @param {*} args 
    */
-  async queryContributionsByMember(stub, args) {
-    console.log('============= START : queryContributionsByMember ===========');
-    console.log('##### queryContributionsByMember arguments: ' + JSON.stringify(args));
+  async querySpend(stub, args) {
+    console.log('============= START : querySpend ===========');
+    console.log('##### querySpend arguments: ' + JSON.stringify(args));
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let queryString = '{"selector": {"docType": "contribution", "ssn": "' + json['ssn'] + '"}}';
-    return queryByString(stub, queryString);
+    let key = 'spend' + json['spendId'];
+    console.log('##### querySpend key: ' + key);
+    return queryByKey(stub, key);
   }
 
-  async queryWithdrawalByMember(stub, args) {
-    console.log('============= START : queryContributionsByMember ===========');
-    console.log('##### queryContributionsByMember arguments: ' + JSON.stringify(args));
+  /**
+   * Retrieves spend for a specfic ngo
+   * 
+   * @param {*} stub 
+   * @param {*} args 
+   */
+  async querySpendForNGO(stub, args) {
+    console.log('============= START : querySpendForNGO ===========');
+    console.log('##### querySpendForNGO arguments: ' + JSON.stringify(args));
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let queryString = '{"selector": {"docType": "withdrawal", "ssn": "' + json['ssn'] + '"}}';
+    return queryByIndex(stub, 'spend~ngo~id', [json['ngoRegistrationNumber']]);
+  }
+
+  /**
+   * Retrieves all spend
+   * 
+   * @param {*} stub 
+   * @param {*} args 
+   */
+  async queryAllSpend(stub, args) {
+    console.log('============= START : queryAllSpends ===========');
+    console.log('##### queryAllSpends arguments: ' + JSON.stringify(args)); 
+    let queryString = '{"selector": {"docType": "spend"}}';
     return queryByString(stub, queryString);
   }
-  //Create withdrawal for  individual member
 
-  async createWithdrawal(stub, args) {
-    console.log('============= START : createWithdrawal ===========');
-    console.log('##### createWithdrawal arguments: ' + JSON.stringify(args));
+  /**
+   * Retrieves one page of all spend - see queryAllWithPagination
+   * 
+   * @param {*} stub 
+   * @param {*} args 
+   */
+  async queryAllSpendWithPagination(stub, args) {
+    console.log('============= START : queryAllSpendWithPagination ===========');
+    console.log('##### queryAllSpendWithPagination arguments: ' + JSON.stringify(args));
+    return queryAllWithPagination(stub, 'spend', args);
+  }
+
+  /**
+   * Records evidence for a spend, such as an invoice or a receipt. The file itself is kept off-chain, by the
+   * REST API, and only its SHA-256 hash and metadata are recorded on the ledger. Anyone holding the file can
+   * then check it is the one the NGO recorded, by hashing it and comparing the hash with the ledger. A spend
+   * may have any number of pieces of evidence. description is optional.
+   *
+   * @param {*} stub
+   * @param {*} args - JSON as follows:
+   * {
+   *    "evidenceId":"4f9c2a1e-5d1b-4a8e-9b0e-2c6f1d3e7a10",
+   *    "spendId":"2",
+   *    "ngoRegistrationNumber":"6322",
+   *    "fileName":"invoice-2.pdf",
+   *    "contentType":"application/pdf",
+   *    "size":48213,
+   *    "sha256":"9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08",
+   *    "description":"Invoice from Peter Pipers"
+   * }
+   */
+  async addSpendEvidence(stub, args) {
+    console.log('============= START : addSpendEvidence ===========');
+    console.log('##### addSpendEvidence arguments: ' + JSON.stringify(args));
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let key = 'withdrawal' + json['withdrawalKey'];
-    json['docType'] = 'withdrawal';
-
-    console.log('##### createWithdrawal : ' + JSON.stringify(json));
-
-    // Confirm the Member exists
-    let ngoKey = 'member' + json['ssn']+':'+json['contractNumber'];
-    let ngoQuery = await stub.getState(ngoKey);
-    if (!ngoQuery.toString()) {
-      throw new Error('##### createWithdrawal - Cannot create withdrawal as the Member does not exist: ' + json['ssn']);
+    schemas.validate('spendEvidence', json);
+    let key = 'spendEvidence' + json['evidenceId'];
+    json['docType'] = 'spendEvidence';
+    json['recordedDate'] = txDate(stub).toISOString();
+
+    // Confirm the spend exists and was recorded by the NGO
+    let spendQuery = await stub.getState('spend' + json['spendId']);
+    if (!spendQuery.toString()) {
+      throw new Error('##### addSpendEvidence - Cannot add evidence as the Spend does not exist: ' + json['spendId']);
+    }
+    let spend = JSON.parse(spendQuery.toString());
+    if (spend['ngoRegistrationNumber'] !== json['ngoRegistrationNumber']) {
+      throw new Error('##### addSpendEvidence - The Spend: ' + json['spendId'] + ' was not recorded by NGO: ' + json['ngoRegistrationNumber']);
     }
 
-    // Confirm the Employer exists
-    let donorKey = 'employer' + json['contractNumber'];
-    let donorQuery = await stub.getState(donorKey);
-    if (!donorQuery.toString()) {
-      throw new Error('##### createWithdrawal - Cannot create contribution as the Employer does not exist: ' + json['contractNumber']);
+    // Check if the evidence already exists
+    let evidenceQuery = await stub.getState(key);
+    if (evidenceQuery.toString()) {
+      throw new Error('##### addSpendEvidence - This evidence already exists: ' + json['evidenceId']);
     }
 
-    // Check if the Contribution already exists
-    let donationQuery = await stub.getState(key);
-    if (donationQuery.toString()) {
-      throw new Error('##### createWithdrawal - This Contribution already exists: ' + json['withdrawalKey']);
-   }
+    console.log('##### addSpendEvidence evidence: ' + JSON.stringify(json));
     await stub.putState(key, Buffer.from(JSON.stringify(json)));
-    console.log('============= END : createWithdrawal ===========');
+    await putIndexEntries(stub, 'spendEvidence', key, json);
+    setEvent(stub, 'SpendEvidenceAdded', json);
+    console.log('============= END : addSpendEvidence ===========');
   }
 
-
   /**
-   * Retrieves a specfic donation
-   * 
-   * @param {*} stub 
-   * @param {*} args 
+   * Retrieves the evidence recorded for a specfic spend
+   *
+   * @param {*} stub
+   * @param {*} args - JSON as follows:
+   * {
+   *    "spendId":"2"
+   * }
    */
-  async queryDonation(stub, args) {
-    console.log('============= START : queryDonation ===========');
-    console.log('##### queryDonation arguments: ' + JSON.stringify(args));
+  async querySpendEvidence(stub, args) {
+    console.log('============= START : querySpendEvidence ===========');
+    console.log('##### querySpendEvidence arguments: ' + JSON.stringify(args));
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let key = 'donation' + json['donationId'];
-    console.log('##### queryDonation key: ' + key);
-    return queryByKey(stub, key);
+    return queryByIndex(stub, 'spendEvidence~spend~id', [json['spendId']]);
   }
 
+  /************************************************************************************************
+   * 
+   * SpendProposal functions 
+   * 
+   ************************************************************************************************/
+
+  /**
+   * There is no CREATE SpendProposal - createSpend creates a proposal for spend above the threshold in the
+   * NGO's spend approval policy (see setSpendApprovalPolicy), and createGrant for a grant above it.
+   * 
+   * SPENDPROPOSAL records look as follows. status is pending, approved, rejected or expired. A proposed grant
+   * has grantId and grant in place of spendId and spend:
+   *
+   * {
+   *   "docType":"spendProposal",
+   *   "spendId":"2",
+   *   "ngoRegistrationNumber":"6322",
+   *   "spend":{"docType":"spend","spendId":"2","spendAmount":250000,"currency":"USD",...},
+   *   "status":"pending",
+   *   "proposerUserName":"dave",
+   *   "proposerId":"x509::CN=dave,OU=client::CN=ca.org1.example.com",
+   *   "proposedDate":"2018-09-20T12:41:59.582Z",
+   *   "expiryDate":"2018-09-27T12:41:59.582Z",
+   *   "approvers":["alice","bob","carol"],
+   *   "requiredApprovals":2,
+   *   "approvals":[{"approverUserName":"alice","approverId":"x509::CN=alice,...","mspId":"Org1MSP",
+   *                 "approvalDate":"2018-09-21T09:10:00.000Z","comment":"Approved at the board meeting"}]
+   * }
+   */
+
   /**
-   * Retrieves donations for a specfic donor
+   * Records an approver's approval of a spend proposal. The approver is the caller, who must be one of the
+   * proposal's approvers and not the user who proposed the spend. When the proposal has its required number of
+   * approvals, the spend is recorded and allocated to the NGO's donations, and the event is SpendCreated, with
+   * the proposal included. Otherwise the event is SpendProposalApproved. If the NGO no longer has the funds for
+   * the spend, the final approval fails and the proposal stays pending. comment is optional.
+   * 
+   * A proposed grant is approved with its grantId in place of spendId. On the final approval the grant is
+   * recorded as createGrant records it, and the event is GrantCreated, with the proposal included.
    * 
    * @param {*} stub 
-   * @param {*} args 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "ngoRegistrationNumber":"6322",
+   *    "spendId":"2",
+   *    "comment":"Approved at the board meeting"
+   * }
    */
-  async queryDonationsForDonor(stub, args) {
-    console.log('============= START : queryDonationsForDonor ===========');
-    console.log('##### queryDonationsForDonor arguments: ' + JSON.stringify(args));
+  async approveSpendProposal(stub, args) {
+    console.log('============= START : approveSpendProposal ===========');
+    console.log('##### approveSpendProposal arguments: ' + JSON.stringify(args));
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let queryString = '{"selector": {"docType": "donation", "donorUserName": "' + json['donorUserName'] + '"}}';
-    return queryByString(stub, queryString);
+    schemas.validate('spendProposalApproval', json);
+    let cid = new shim.ClientIdentity(stub);
+    let proposal = await spendProposalAwaitingDecision(stub, 'approveSpendProposal', json, cid);
+
+    let approval = {approverUserName: callerUserName(cid), approverId: cid.getID(), mspId: cid.getMSPID(),
+      approvalDate: txDate(stub).toISOString()};
+    if (json['comment'] !== undefined) {
+      approval['comment'] = json['comment'];
+    }
+    proposal['approvals'].push(approval);
+    console.log('##### approveSpendProposal - proposal now has ' + proposal['approvals'].length + ' of the ' + proposal['requiredApprovals'] +
+      ' approvals needed: ' + JSON.stringify(proposal));
+
+    let key = spendProposalKey(proposal);
+    if (proposal['approvals'].length < proposal['requiredApprovals']) {
+      await stub.putState(key, Buffer.from(JSON.stringify(proposal)));
+      setEvent(stub, 'SpendProposalApproved', proposal);
+      console.log('============= END : approveSpendProposal ===========');
+      return;
+    }
+    proposal['status'] = 'approved';
+    proposal['approvedDate'] = approval['approvalDate'];
+    if (proposal['grant']) {
+      let recorded = await recordGrant(stub, 'approveSpendProposal', proposal['grant']);
+      await stub.putState(key, Buffer.from(JSON.stringify(proposal)));
+      setEvent(stub, 'GrantCreated', {grant: proposal['grant'], spendAllocations: recorded.spendAllocations, donations: recorded.donations,
+        spendProposal: proposal});
+      console.log('============= END : approveSpendProposal ===========');
+      return;
+    }
+    let spendAllocations = await recordSpend(stub, proposal['spend']);
+    await stub.putState(key, Buffer.from(JSON.stringify(proposal)));
+    setEvent(stub, 'SpendCreated', {spend: proposal['spend'], spendAllocations: spendAllocations, spendProposal: proposal});
+    console.log('============= END : approveSpendProposal ===========');
   }
 
   /**
-   * Retrieves donations for a specfic ngo
+   * Records an approver's rejection of a spend proposal, with the reason. Any one of the proposal's approvers
+   * may reject it, and the spend is then not recorded. The NGO can propose the spend again with a new spendId.
+   * A proposed grant is rejected with its grantId in place of spendId.
    * 
    * @param {*} stub 
-   * @param {*} args 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "ngoRegistrationNumber":"6322",
+   *    "spendId":"2",
+   *    "reason":"Get a second quote first"
+   * }
    */
-  async queryDonationsForNGO(stub, args) {
-    console.log('============= START : queryDonationsForNGO ===========');
-    console.log('##### queryDonationsForNGO arguments: ' + JSON.stringify(args));
+  async rejectSpendProposal(stub, args) {
+    console.log('============= START : rejectSpendProposal ===========');
+    console.log('##### rejectSpendProposal arguments: ' + JSON.stringify(args));
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let queryString = '{"selector": {"docType": "donation", "ngoRegistrationNumber": "' + json['ngoRegistrationNumber'] + '"}}';
-    return queryByString(stub, queryString);
+    schemas.validate('spendProposalRejection', json);
+    let cid = new shim.ClientIdentity(stub);
+    let proposal = await spendProposalAwaitingDecision(stub, 'rejectSpendProposal', json, cid);
+
+    proposal['status'] = 'rejected';
+    proposal['rejection'] = {approverUserName: callerUserName(cid), rejecterId: cid.getID(), mspId: cid.getMSPID(),
+      rejectionDate: txDate(stub).toISOString(), reason: json['reason']};
+    await stub.putState(spendProposalKey(proposal), Buffer.from(JSON.stringify(proposal)));
+    setEvent(stub, 'SpendProposalRejected', proposal);
+    console.log('============= END : rejectSpendProposal ===========');
   }
 
-    /**
-     * Retrieves members for a specfic employer
-     *
-     * @param {*} stub
-     * @param {*} args
-     */
-    async queryMembersForEmployer(stub, args) {
-        console.log('============= START : queryMembersForEmployer ===========');
-        console.log('##### queryMembersForEmployer arguments: ' + JSON.stringify(args));
-
-        // args is passed as a JSON string
-        let json = JSON.parse(args);
-        let queryString = '{"selector": {"docType": "member", "contractNumber": "' + json['contractNumber'] + '"}}';
-        return queryByString(stub, queryString);
-    }
-
-  async queryMembersBySsn(stub, args) {
-    console.log('============= START : queryMembersForEmployer ===========');
-    console.log('##### queryMembersForEmployer arguments: ' + JSON.stringify(args));
+  /**
+   * Retrieves a specfic spend proposal, with its status as of the time of the query. A proposed grant is
+   * retrieved with its grantId in place of spendId.
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "spendId":"2"
+   * }
+   */
+  async querySpendProposal(stub, args) {
+    console.log('============= START : querySpendProposal ===========');
+    console.log('##### querySpendProposal arguments: ' + JSON.stringify(args));
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let queryString = '{"selector": {"docType": "member", "ssn": "' + json['ssn'] + '"}}';
-    return queryByString(stub, queryString);
+    let proposal = await querySpendProposalFor(stub, 'querySpendProposal', json);
+    proposal['status'] = spendProposalStatus(stub, proposal);
+    return Buffer.from(JSON.stringify(proposal));
   }
 
   /**
-   * Retrieves all donations
+   * Retrieves the spend proposals for a specfic ngo, with their status as of the time of the query. status is
+   * optional, and returns only the proposals with that status. approverUserName is optional, and returns only
+   * the proposals naming that user as an approver that they have not yet approved, so with status pending it
+   * lists the proposals awaiting the user's decision.
    * 
    * @param {*} stub 
-   * @param {*} args 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "ngoRegistrationNumber":"6322",
+   *    "status":"pending",
+   *    "approverUserName":"alice"
+   * }
    */
-  async queryAllDonations(stub, args) {
-    console.log('============= START : queryAllDonations ===========');
-    console.log('##### queryAllDonations arguments: ' + JSON.stringify(args)); 
-    let queryString = '{"selector": {"docType": "donation"}}';
-    return queryByString(stub, queryString);
+  async querySpendProposalsForNGO(stub, args) {
+    console.log('============= START : querySpendProposalsForNGO ===========');
+    console.log('##### querySpendProposalsForNGO arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    schemas.validate('spendProposalFilter', json);
+    let results = JSON.parse((await queryByIndex(stub, 'spendProposal~ngo~id', [json['ngoRegistrationNumber']])).toString());
+    results.forEach((result) => result['Record']['status'] = spendProposalStatus(stub, result['Record']));
+    if (json['status']) {
+      results = results.filter((result) => result['Record']['status'] === json['status']);
+    }
+    if (json['approverUserName']) {
+      let userName = json['approverUserName'];
+      results = results.filter((result) => result['Record']['approvers'].indexOf(userName) >= 0 &&
+        !result['Record']['approvals'].some((approval) => approval['approverUserName'] === userName));
+    }
+    return Buffer.from(JSON.stringify(results));
   }
 
   /************************************************************************************************
    * 
-   * Spend functions 
+   * Grant functions 
    * 
    ************************************************************************************************/
 
   /**
-   * Creates a new Spend
+   * Records a grant of part of an NGO's unspent donations to another NGO, e.g. a partner organisation.
+   * 
+   * The grant is funded like spend: it is allocated to the granting NGO's donations using its allocation strategy,
+   * creating SPENDALLOCATION records flagged with the grantId. restriction is optional. A grant with a
+   * restriction is funded by donations restricted to that category and by unrestricted donations, and a grant
+   * without one only by unrestricted donations, so a donor's restriction is never lost.
+   * 
+   * For each spendAllocation, a donation is created for the receiving NGO from the same donor, carrying the grant's
+   * restriction and linked back to the donation and spendAllocation that funded it (see writeGrantDonations). The
+   * receiving NGO's spend is then allocated to these donations like any other, so it can be traced back to the
+   * original donors, through any number of grants.
+   * 
+   * grantAmount is in minor units of the granting NGO's currency, and currency is optional, but if it is given it
+   * must be that currency. If the receiving NGO has a different currency the donations are converted using the FX
+   * rate on the ledger. The receiving NGO must be active.
+   * 
+   * A grant moves an NGO's funds like spend, so it is subject to the NGO's spend approval policy in the same way.
+   * If grantAmount is above the policy's threshold, a spend proposal is created with the grantId and the grant,
+   * and the grant is recorded once the approvers approve it (see approveSpendProposal). The event is then
+   * SpendProposed rather than GrantCreated.
    * 
    * @param {*} stub 
    * @param {*} args - JSON as follows:
    * {
+   *    "grantId":"g1",
    *    "ngoRegistrationNumber":"6322",
-   *    "spendId":"2",
-   *    "spendDescription":"Peter Pipers Poulty Portions for Pets",
-   *    "spendDate":"2018-09-20T12:41:59.582Z",
-   *    "spendAmount":33,
+   *    "recipientNGORegistrationNumber":"6323",
+   *    "grantAmount":5000,
+   *    "currency":"USD",
+   *    "grantDate":"2018-10-01T00:00:00.000Z",
+   *    "grantDescription":"Food for the animal shelter run by our partner",
+   *    "restriction":"food"
    * }
    */
-  async createSpend(stub, args) {
-    console.log('============= START : createSpend ===========');
-    console.log('##### createSpend arguments: ' + JSON.stringify(args));
+  async createGrant(stub, args) {
+    console.log('============= START : createGrant ===========');
+    console.log('##### createGrant arguments: ' + JSON.stringify(args));
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let key = 'spend' + json['spendId'];
-    json['docType'] = 'spend';
+    schemas.validate('grant', json);
+    let key = 'grant' + json['grantId'];
+    json['docType'] = 'grant';
+    if (json['recipientNGORegistrationNumber'] === json['ngoRegistrationNumber']) {
+      throw new Error('##### createGrant - An NGO cannot make a grant to itself: ' + json['ngoRegistrationNumber']);
+    }
 
-    console.log('##### createSpend spend: ' + JSON.stringify(json));
+    // Confirm both NGOs exist, and the receiving NGO can receive funds
+    let ngoQuery = await queryByKey(stub, 'ngo' + json['ngoRegistrationNumber']);
+    checkGrantRecipient('createGrant', json, await queryByKey(stub, 'ngo' + json['recipientNGORegistrationNumber']));
 
-    // Confirm the NGO exists
-    let ngoKey = 'ngo' + json['ngoRegistrationNumber'];
-    let ngoQuery = await stub.getState(ngoKey);
-    if (!ngoQuery.toString()) {
-      throw new Error('##### createDonation - Cannot create spend record as the NGO does not exist: ' + json['ngoRegistrationNumber']);
+    // Check if the Grant already exists, or has been proposed
+    let grantQuery = await stub.getState(key);
+    if (grantQuery.toString()) {
+      throw new Error('##### createGrant - This Grant already exists: ' + json['grantId']);
+    }
+    let proposalQuery = await stub.getState('spendProposal' + json['grantId']);
+    if (proposalQuery.toString()) {
+      throw new Error('##### createGrant - A spend proposal already exists with the ID: ' + json['grantId']);
     }
 
-    // Check if the Spend already exists
-    let spendQuery = await stub.getState(key);
-    if (spendQuery.toString()) {
-      throw new Error('##### createSpend - This Spend already exists: ' + json['spendId']);
+    let ngoCurrency = currencyForNGO(ngoQuery);
+    if (!json['currency']) {
+      json['currency'] = ngoCurrency;
+    }
+    if (json['currency'] !== ngoCurrency) {
+      throw new Error('##### createGrant - The grant must be in the NGO\'s currency: ' + ngoCurrency + ', not: ' + json['currency']);
     }
 
-    await allocateSpend(stub, json);
+    let policy = JSON.parse(ngoQuery.toString())['spendApprovalPolicy'];
+    if (policy && json['grantAmount'] > policy['threshold']) {
+      await proposeSpend(stub, 'createGrant', json, grantSpend(json), policy);
+      console.log('============= END : createGrant ===========');
+      return;
+    }
 
-    await stub.putState(key, Buffer.from(JSON.stringify(json)));
-    console.log('============= END : createSpend ===========');
+    let recorded = await recordGrant(stub, 'createGrant', json);
+    setEvent(stub, 'GrantCreated', {grant: json, spendAllocations: recorded.spendAllocations, donations: recorded.donations});
+    console.log('============= END : createGrant ===========');
   }
 
   /**
-   * Retrieves a specfic spend
+   * Retrieves a specfic grant, with the spendAllocations that funded it at the granting NGO and the donations
+   * it created for the receiving NGO
    * 
    * @param {*} stub 
-   * @param {*} args 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "grantId":"g1"
+   * }
+   * @returns JSON as follows:
+   * {
+   *    "docType":"grant",
+   *    "grantId":"g1",
+   *    ...
+   *    "spendAllocations":[{"docType":"spendAllocation","spendAllocationId":"c5b39e93...-0","grantId":"g1",...}],
+   *    "donations":[{"docType":"donation","donationId":"g1-1","sourceDonationId":"2211",...}]
+   * }
    */
-  async querySpend(stub, args) {
-    console.log('============= START : querySpend ===========');
-    console.log('##### querySpend arguments: ' + JSON.stringify(args));
+  async queryGrant(stub, args) {
+    console.log('============= START : queryGrant ===========');
+    console.log('##### queryGrant arguments: ' + JSON.stringify(args));
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let key = 'spend' + json['spendId'];
-    console.log('##### querySpend key: ' + key);
-    return queryByKey(stub, key);
+    let grant = JSON.parse((await queryByKey(stub, 'grant' + json['grantId'])).toString());
+    let records = async (indexName) => JSON.parse((await queryByIndex(stub, indexName, [json['grantId']])).toString())
+      .map((result) => result['Record']);
+    grant['spendAllocations'] = await records('spendAllocation~grant~id');
+    grant['donations'] = await records('donation~grant~id');
+    return Buffer.from(JSON.stringify(grant));
   }
 
   /**
-   * Retrieves spend for a specfic ngo
+   * Retrieves the grants made by, or to, a specfic ngo
    * 
    * @param {*} stub 
-   * @param {*} args 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "ngoRegistrationNumber":"6322"
+   * }
    */
-  async querySpendForNGO(stub, args) {
-    console.log('============= START : querySpendForNGO ===========');
-    console.log('##### querySpendForNGO arguments: ' + JSON.stringify(args));
+  async queryGrantsForNGO(stub, args) {
+    console.log('============= START : queryGrantsForNGO ===========');
+    console.log('##### queryGrantsForNGO arguments: ' + JSON.stringify(args));
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let queryString = '{"selector": {"docType": "spend", "ngoRegistrationNumber": "' + json['ngoRegistrationNumber'] + '"}}';
-    return queryByString(stub, queryString);
-  }
-
-  /**
-   * Retrieves all spend
-   * 
-   * @param {*} stub 
-   * @param {*} args 
-   */
-  async queryAllSpend(stub, args) {
-    console.log('============= START : queryAllSpends ===========');
-    console.log('##### queryAllSpends arguments: ' + JSON.stringify(args)); 
-    let queryString = '{"selector": {"docType": "spend"}}';
-    return queryByString(stub, queryString);
+    let made = JSON.parse((await queryByIndex(stub, 'grant~ngo~id', [json['ngoRegistrationNumber']])).toString());
+    let received = JSON.parse((await queryByIndex(stub, 'grant~recipient~id', [json['ngoRegistrationNumber']])).toString());
+    return Buffer.from(JSON.stringify(made.concat(received)));
   }
 
   /************************************************************************************************
@@ -1190,8 +5029,7 @@ let Chaincode = class {
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let queryString = '{"selector": {"docType": "spendAllocation", "donationId": "' + json['donationId'] + '"}}';
-    return queryByString(stub, queryString);
+    return queryByIndex(stub, 'spendAllocation~donation~id', [json['donationId']]);
   }
 
   /**
@@ -1206,8 +5044,7 @@ let Chaincode = class {
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let queryString = '{"selector": {"docType": "spendAllocation", "spendId": "' + json['spendId'] + '"}}';
-    return queryByString(stub, queryString);
+    return queryByIndex(stub, 'spendAllocation~spend~id', [json['spendId']]);
   }
 
   /**
@@ -1223,6 +5060,18 @@ let Chaincode = class {
     return queryByString(stub, queryString);
   }
 
+  /**
+   * Retrieves one page of all spendAllocations - see queryAllWithPagination
+   * 
+   * @param {*} stub 
+   * @param {*} args 
+   */
+  async queryAllSpendAllocationsWithPagination(stub, args) {
+    console.log('============= START : queryAllSpendAllocationsWithPagination ===========');
+    console.log('##### queryAllSpendAllocationsWithPagination arguments: ' + JSON.stringify(args));
+    return queryAllWithPagination(stub, 'spendAllocation', args);
+  }
+
   /************************************************************************************************
    * 
    * Ratings functions 
@@ -1230,7 +5079,8 @@ let Chaincode = class {
    ************************************************************************************************/
 
   /**
-   * Creates a new Rating
+   * Creates a new Rating. A donor has one rating for each NGO, which they can revise using updateRating.
+   * review is optional, and at most 500 characters. The NGO's rating summary is updated - see getRatingSummary
    * 
    * @param {*} stub 
    * @param {*} args - JSON as follows:
@@ -1238,6 +5088,7 @@ let Chaincode = class {
    *    "ngoRegistrationNumber":"6322",
    *    "donorUserName":"edge",
    *    "rating":1,
+   *    "review":"Slow to respond"
    * }
    */
   async createRating(stub, args) {
@@ -1246,21 +5097,77 @@ let Chaincode = class {
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
+    schemas.validate('rating', json);
     let key = 'rating' + json['ngoRegistrationNumber'] + json['donorUserName'];
     json['docType'] = 'rating';
 
     console.log('##### createRating payload: ' + JSON.stringify(json));
 
+    // Confirm the NGO exists
+    let ngoQuery = await stub.getState('ngo' + json['ngoRegistrationNumber']);
+    if (!ngoQuery.toString()) {
+      throw new Error('##### createRating - Cannot create rating as the NGO does not exist: ' + json['ngoRegistrationNumber']);
+    }
+
     // Check if the Rating already exists
     let ratingQuery = await stub.getState(key);
     if (ratingQuery.toString()) {
       throw new Error('##### createRating - Rating by donor: ' +  json['donorUserName'] + ' for NGO: ' + json['ngoRegistrationNumber'] + ' already exists');
     }
 
+    let summary = await getRatingSummary(stub, json['ngoRegistrationNumber']);
+    addToRatingSummary(summary, json['rating'], 1);
+    console.log('##### createRating rating summary: ' + JSON.stringify(summary));
+
     await stub.putState(key, Buffer.from(JSON.stringify(json)));
+    await putIndexEntries(stub, 'rating', key, json);
+    await stub.putState('ratingSummary' + json['ngoRegistrationNumber'], Buffer.from(JSON.stringify(summary)));
+    setEvent(stub, 'RatingCreated', {rating: json, ratingSummary: summary});
     console.log('============= END : createRating ===========');
   }
 
+  /**
+   * Revises a donor's Rating for an NGO. The new rating and review replace the old, and the NGO's rating
+   * summary is updated. Each revision of the rating can be seen using queryHistoryForKey
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "ngoRegistrationNumber":"6322",
+   *    "donorUserName":"edge",
+   *    "rating":4,
+   *    "review":"Much better since they hired more staff"
+   * }
+   */
+  async updateRating(stub, args) {
+    console.log('============= START : updateRating ===========');
+    console.log('##### updateRating arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    schemas.validate('rating', json);
+    let key = 'rating' + json['ngoRegistrationNumber'] + json['donorUserName'];
+    json['docType'] = 'rating';
+
+    // Confirm the Rating exists
+    let ratingQuery = await stub.getState(key);
+    if (!ratingQuery.toString()) {
+      throw new Error('##### updateRating - Rating by donor: ' +  json['donorUserName'] + ' for NGO: ' + json['ngoRegistrationNumber'] + ' does not exist');
+    }
+    let previous = JSON.parse(ratingQuery.toString());
+    json['revision'] = (previous['revision'] || 0) + 1;
+
+    let summary = await getRatingSummary(stub, json['ngoRegistrationNumber']);
+    addToRatingSummary(summary, previous['rating'], -1);
+    addToRatingSummary(summary, json['rating'], 1);
+    console.log('##### updateRating payload: ' + JSON.stringify(json) + ' rating summary: ' + JSON.stringify(summary));
+
+    await stub.putState(key, Buffer.from(JSON.stringify(json)));
+    await stub.putState('ratingSummary' + json['ngoRegistrationNumber'], Buffer.from(JSON.stringify(summary)));
+    setEvent(stub, 'RatingUpdated', {rating: json, ratingSummary: summary});
+    console.log('============= END : updateRating ===========');
+  }
+
   /**
    * Retrieves ratings for a specfic ngo
    * 
@@ -1273,8 +5180,7 @@ let Chaincode = class {
 
     // args is passed as a JSON string
     let json = JSON.parse(args);
-    let queryString = '{"selector": {"docType": "rating", "ngoRegistrationNumber": "' + json['ngoRegistrationNumber'] + '"}}';
-    return queryByString(stub, queryString);
+    return queryByIndex(stub, 'rating~ngo~id', [json['ngoRegistrationNumber']]);
   }
 
   /**
@@ -1294,6 +5200,101 @@ let Chaincode = class {
     return queryByKey(stub, key);
   }
 
+  /************************************************************************************************
+   * 
+   * FX rate functions 
+   * 
+   ************************************************************************************************/
+
+  /**
+   * Records the FX rate used to convert donations from one currency to another. There is one rate per
+   * currency pair, so setting a rate replaces the previous one. Donations record the rate used to 
+   * convert them, and earlier rates can be found using queryHistoryForKey, with docType 'fxRate' and
+   * key e.g. 'EUR:USD'.
+   * 
+   * rate is the number of units of quoteCurrency per unit of baseCurrency, given as a decimal string so
+   * it is not rounded.
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "baseCurrency":"EUR",
+   *    "quoteCurrency":"USD",
+   *    "rate":"1.0832",
+   *    "rateDate":"2018-09-20T12:00:00.000Z"
+   * }
+   */
+  async setFxRate(stub, args) {
+    console.log('============= START : setFxRate ===========');
+    console.log('##### setFxRate arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    schemas.validate('fxRate', json);
+    if (json['baseCurrency'] === json['quoteCurrency']) {
+      throw new Error('##### setFxRate - The base and quote currencies must be different: ' + json['baseCurrency']);
+    }
+    // confirm the rate can be used for conversions
+    money.parseDecimal(json['rate']);
+    let key = 'fxRate' + json['baseCurrency'] + ':' + json['quoteCurrency'];
+    json['docType'] = 'fxRate';
+
+    console.log('##### setFxRate payload: ' + JSON.stringify(json));
+    await stub.putState(key, Buffer.from(JSON.stringify(json)));
+    setEvent(stub, 'FxRateSet', json);
+    console.log('============= END : setFxRate ===========');
+  }
+
+  /**
+   * Retrieves the FX rate for a currency pair
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "baseCurrency":"EUR",
+   *    "quoteCurrency":"USD"
+   * }
+   */
+  async queryFxRate(stub, args) {
+    console.log('============= START : queryFxRate ===========');
+    console.log('##### queryFxRate arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    let key = 'fxRate' + json['baseCurrency'] + ':' + json['quoteCurrency'];
+    console.log('##### queryFxRate key: ' + key);
+
+    return queryByKey(stub, key);
+  }
+
+  /************************************************************************************************
+   * 
+   * Rich query functions 
+   * 
+   ************************************************************************************************/
+
+  /**
+   * Retrieves the records matching a CouchDB Mango query. Works with both CouchDB and LevelDB
+   * peers - see queryByString
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows. Only the selector, including its docType, is required:
+   * {
+   *    "selector": {"docType": "donation", "ngoRegistrationNumber": "6322", "donationAmount": {"$gte": 100}},
+   *    "sort": [{"donationDate": "desc"}],
+   *    "fields": ["donationId", "donationAmount"],
+   *    "limit": 10
+   * }
+   */
+  async queryBySelector(stub, args) {
+    console.log('============= START : queryBySelector ===========');
+    console.log('##### queryBySelector arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    return queryByString(stub, JSON.stringify(json));
+  }
+
   /************************************************************************************************
    * 
    * Blockchain related functions 
@@ -1301,14 +5302,27 @@ let Chaincode = class {
    ************************************************************************************************/
 
   /**
-   * Retrieves the Fabric block and transaction details for a key or an array of keys
+   * Retrieves every version of a record, oldest first, with the Fabric transaction that wrote it. Each version has
+   * the Changes from the version before, field by field (see recordChanges). The Changes of the first version list
+   * every field as added.
+   * 
+   * Fabric does not give the chaincode the block holding each transaction, so the REST API adds the BlockNumber of
+   * each version.
+   * 
+   * Versions of donors, members, contributions and withdrawals written before migratePrivateDetails hold personal
+   * details, which are left out, along with their Changes, unless the caller may read them (see hidePrivateFields).
    * 
    * @param {*} stub 
    * @param {*} args - JSON as follows:
+   * {
+   *    "docType":"ngo",
+   *    "key":"6322"
+   * }
+   * @returns JSON as follows:
    * [
-   *    {"key": "a207aa1e124cc7cb350e9261018a9bd05fb4e0f7dcac5839bdcd0266af7e531d-1"}
+   *    {"TxId":"c5b39e93...","Timestamp":{"seconds":...,"nanos":...},"IsDelete":"false","Record":{...},
+   *     "Changes":[{"field":"address","change":"changed","from":"1 Pet street","to":"2 Pet street"}]}, ...
    * ]
-   * 
    */
   async queryHistoryForKey(stub, args) {
     console.log('============= START : queryHistoryForKey ===========');
@@ -1322,31 +5336,180 @@ let Chaincode = class {
     let historyIterator = await stub.getHistoryForKey(docType + key);
     console.log('##### queryHistoryForKey historyIterator: ' + util.inspect(historyIterator));
     let history = [];
+    let previous = null;
+    // the versions of records that may hold personal details are not logged, as the peer's log is not private
+    let logRecords = !legacyPrivateFields[docType];
     while (true) {
       let historyRecord = await historyIterator.next();
-      console.log('##### queryHistoryForKey historyRecord: ' + util.inspect(historyRecord));
       if (historyRecord.value && historyRecord.value.value.toString()) {
         let jsonRes = {};
-        console.log('##### queryHistoryForKey historyRecord.value.value: ' + historyRecord.value.value.toString('utf8'));
+        if (logRecords) {
+          console.log('##### queryHistoryForKey historyRecord.value.value: ' + historyRecord.value.value.toString('utf8'));
+        }
         jsonRes.TxId = historyRecord.value.tx_id;
         jsonRes.Timestamp = historyRecord.value.timestamp;
         jsonRes.IsDelete = historyRecord.value.is_delete.toString();
       try {
-          jsonRes.Record = JSON.parse(historyRecord.value.value.toString('utf8'));
+          jsonRes.Record = hidePrivateFields(stub, docType, JSON.parse(historyRecord.value.value.toString('utf8')));
         } catch (err) {
           console.log('##### queryHistoryForKey error: ' + err);
           jsonRes.Record = historyRecord.value.value.toString('utf8');
         }
-        console.log('##### queryHistoryForKey json: ' + util.inspect(jsonRes));
+        // a record that is not JSON cannot be compared field by field
+        if (typeof jsonRes.Record === 'object') {
+          jsonRes.Changes = recordChanges(previous, jsonRes.Record);
+          previous = jsonRes.Record;
+        }
+        if (logRecords) {
+          console.log('##### queryHistoryForKey json: ' + util.inspect(jsonRes));
+        }
         history.push(jsonRes);
       }
       if (historyRecord.done) {
         await historyIterator.close();
-        console.log('##### queryHistoryForKey all results: ' + JSON.stringify(history));
+        if (logRecords) {
+          console.log('##### queryHistoryForKey all results: ' + JSON.stringify(history));
+        }
         console.log('============= END : queryHistoryForKey ===========');
         return Buffer.from(JSON.stringify(history));
       }
     }
   }
+
+  /**
+   * Rebuilds an NGO, donor or member record as it was at a point in time, from the history of its key. The
+   * version returned is the last one written by a transaction with a timestamp no later than asOf. Members
+   * are as in world state, i.e. with the hashes of their personal details rather than the details. A version
+   * written before migratePrivateDetails holds the details, which are left out unless the caller may read them.
+   * 
+   * To rebuild a record as of a block height, the REST API uses queryHistoryForKey with the block number of
+   * each version, as the chaincode does not know which block holds a transaction.
+   * 
+   * @param {*} stub 
+   * @param {*} args - JSON as follows:
+   * {
+   *    "docType":"ngo",
+   *    "key":"6322",
+   *    "asOf":"2018-10-01T00:00:00.000Z"
+   * }
+   * @returns JSON as follows:
+   * {
+   *    "docType":"ngo",
+   *    "key":"6322",
+   *    "asOf":"2018-10-01T00:00:00.000Z",
+   *    "TxId":"c5b39e93...",
+   *    "Timestamp":"2018-09-20T12:41:59.582Z",
+   *    "Record":{...}
+   * }
+   */
+  async queryRecordAsOf(stub, args) {
+    console.log('============= START : queryRecordAsOf ===========');
+    console.log('##### queryRecordAsOf arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    schemas.validate('recordAsOf', json);
+    let asOf = new Date(json['asOf']);
+    let history = await keyHistory(stub, json['docType'] + json['key']);
+    let version = null;
+    for (let entry of history) {
+      if (new Date(entry['timestamp']) <= asOf) {
+        version = entry;
+      }
+    }
+    if (!version || version['isDelete']) {
+      throw new Error('##### queryRecordAsOf - The ' + json['docType'] + ': ' + json['key'] + ' did not exist at: ' + json['asOf']);
+    }
+    let result = {
+      docType: json['docType'],
+      key: json['key'],
+      asOf: json['asOf'],
+      TxId: version['txId'],
+      Timestamp: version['timestamp'],
+      Record: hidePrivateFields(stub, json['docType'], version['record'])
+    };
+    console.log('============= END : queryRecordAsOf ===========');
+    return Buffer.from(JSON.stringify(result));
+  }
+
+  /**
+   * Retrieves the records an auditor needs to audit an NGO for a period: the donations made to the NGO, the
+   * spend it recorded and its spendAllocations, the grants it made or received, and its spend proposals,
+   * including proposed grants, dated within the period. A spend proposal is dated by the spend or grant it
+   * proposes. fromDate and toDate are inclusive. Reversed spendAllocations, refunded donations and rejected
+   * or expired proposals are included, as they are part of the audit trail. Each record has the ID of the
+   * transaction that last wrote it, and its full history.
+   *
+   * The REST API adds the block number of each transaction, and builds a Merkle tree over the records
+   * so the report can be verified
+   *
+   * @param {*} stub
+   * @param {*} args - JSON as follows:
+   * {
+   *    "ngoRegistrationNumber":"6322",
+   *    "fromDate":"2018-01-01T00:00:00.000Z",
+   *    "toDate":"2018-12-31T23:59:59.999Z"
+   * }
+   * @returns JSON as follows, with the records ordered by docType (donation, spend, spendAllocation, grant,
+   * spendProposal) and key:
+   * {
+   *    "ngoRegistrationNumber":"6322",
+   *    "fromDate":"2018-01-01T00:00:00.000Z",
+   *    "toDate":"2018-12-31T23:59:59.999Z",
+   *    "records":[{"docType":"donation","key":"donation2211","txId":"c5b39e93...","record":{...},
+   *                "history":[{"txId":"c5b39e93...","timestamp":"2018-09-20T12:42:01.211Z","isDelete":false,
+   *                            "record":{...}}]}, ...]
+   * }
+   */
+  async queryAuditRecords(stub, args) {
+    console.log('============= START : queryAuditRecords ===========');
+    console.log('##### queryAuditRecords arguments: ' + JSON.stringify(args));
+
+    // args is passed as a JSON string
+    let json = JSON.parse(args);
+    schemas.validate('auditPeriod', json);
+    let ngo = json['ngoRegistrationNumber'];
+    let fromDate = new Date(json['fromDate']);
+    let toDate = new Date(json['toDate']);
+    if (fromDate > toDate) {
+      throw new Error('##### queryAuditRecords - fromDate must not be after toDate');
+    }
+    await queryByKey(stub, 'ngo' + ngo);
+
+    // the grants made and received are both of docType grant, so they are gathered as one source
+    let sources = [
+      {docType: 'donation', indexes: ['donation~ngo~id'], date: (record) => record['donationDate']},
+      {docType: 'spend', indexes: ['spend~ngo~id'], date: (record) => record['spendDate']},
+      {docType: 'spendAllocation', indexes: ['spendAllocation~ngo~id'], date: (record) => record['spendAllocationDate']},
+      {docType: 'grant', indexes: ['grant~ngo~id', 'grant~recipient~id'], date: (record) => record['grantDate']},
+      {docType: 'spendProposal', indexes: ['spendProposal~ngo~id'],
+        date: (record) => record['grant'] ? record['grant']['grantDate'] : record['spend']['spendDate']}
+    ];
+    let records = [];
+    for (let source of sources) {
+      let results = [];
+      for (let index of source.indexes) {
+        results = results.concat(JSON.parse((await queryByIndex(stub, index, [ngo])).toString()));
+      }
+      let inPeriod = results
+        .filter((result) => new Date(source.date(result['Record'])) >= fromDate && new Date(source.date(result['Record'])) <= toDate)
+        .map((result) => result['Key'])
+        .sort();
+      for (let key of inPeriod) {
+        let history = await keyHistory(stub, key);
+        let latest = history[history.length - 1];
+        records.push({docType: source.docType, key: key, txId: latest.txId, record: latest.record, history: history});
+      }
+    }
+    console.log('============= END : queryAuditRecords ===========');
+    return Buffer.from(JSON.stringify({ngoRegistrationNumber: ngo, fromDate: json['fromDate'], toDate: json['toDate'],
+      records: records}));
+  }
+}
+// the peer starts the chaincode by running this file. The tests require it as a module instead
+if (require.main === module) {
+  shim.start(new Chaincode());
 }
-shim.start(new Chaincode());
+
+module.exports = Chaincode;
+
@@ -0,0 +1,149 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// The schedule of a recurring donation pledge. A pledge is a promise by a donor to give pledgeAmount to an
+// NGO at a frequency, from startDate until endDate or until the pledge is cancelled. Each time a payment falls
+// due is an occurrence. Occurrences are numbered from 1, and occurrence 1 is due on the startDate:
+//
+//    weekly    - every 7 days
+//    monthly   - on the same day each month. If the month is too short, on the last day of the month
+//    quarterly - every 3 months, as for monthly
+//    annually  - every 12 months, as for monthly
+//
+// An occurrence that falls due while the pledge is paused is skipped, and an occurrence that falls due after
+// the pledge is cancelled is never due. Each occurrence is fulfilled by a donation with the ID
+// pledgeId + '-' + occurrence, so an occurrence can only be fulfilled once, however often it is retried. An
+// occurrence whose donation cannot be made, e.g. because the NGO has been suspended, is recorded as failed.
+//
+// The pledge keeps its nextOccurrence, the first occurrence that has not been fulfilled, skipped or failed, and
+// the nextDueDate it falls due, so the occurrences already settled are not worked through again. A pledge that
+// has ended, or been cancelled, has no nextDueDate once its last occurrence is settled.
+//
+// Dates are compared in UTC, and must be deterministic, since every endorsing peer must agree on what is due.
+// The current time is therefore always the transaction timestamp, never the peer's clock.
+
+'use strict';
+
+const frequencies = {
+  weekly: {days: 7},
+  monthly: {months: 1},
+  quarterly: {months: 3},
+  annually: {months: 12}
+};
+
+/**
+ * Returns the date occurrence n of a pledge falls due
+ *
+ * @param {*} pledge - the pledge record
+ * @param {*} n - the occurrence, from 1
+ */
+function occurrenceDate(pledge, n) {
+  let start = new Date(pledge['startDate']);
+  let frequency = frequencies[pledge['frequency']];
+  if (!frequency) {
+    throw new Error('##### pledge - Unknown frequency: ' + pledge['frequency']);
+  }
+  if (frequency.days) {
+    return new Date(start.getTime() + (n - 1) * frequency.days * 24 * 60 * 60 * 1000);
+  }
+  let months = start.getUTCMonth() + (n - 1) * frequency.months;
+  let year = start.getUTCFullYear() + Math.floor(months / 12);
+  let month = months % 12;
+  let lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay),
+    start.getUTCHours(), start.getUTCMinutes(), start.getUTCSeconds(), start.getUTCMilliseconds()));
+}
+
+/**
+ * Returns the donation ID that fulfils occurrence n of a pledge
+ */
+function donationIdFor(pledge, n) {
+  return pledge['pledgeId'] + '-' + n;
+}
+
+/**
+ * Returns true if the date falls while the pledge was paused
+ */
+function isPaused(pledge, date) {
+  return (pledge['pauses'] || []).some((pause) =>
+    date >= new Date(pause['pausedDate']) && (!pause['resumedDate'] || date < new Date(pause['resumedDate'])));
+}
+
+/**
+ * Returns the last date an occurrence of a pledge can fall due, i.e. the earlier of its endDate and
+ * cancelledDate, or null if it has neither
+ */
+function lastDate(pledge) {
+  let dates = [pledge['endDate'], pledge['cancelledDate']].filter((date) => date).map((date) => new Date(date));
+  return dates.length > 0 ? new Date(Math.min(...dates)) : null;
+}
+
+/**
+ * Returns every occurrence of a pledge that has fallen due by a date, as:
+ *
+ *    [{occurrence: 1, dueDate: '2018-10-01T00:00:00.000Z', donationId: 'p1-1', skipped: false}, ...]
+ *
+ * skipped is true for an occurrence that fell due while the pledge was paused
+ *
+ * @param {*} pledge - the pledge record
+ * @param {*} asOf - a Date
+ * @param {*} from - optional, the first occurrence to return. Defaults to 1
+ */
+function dueOccurrences(pledge, asOf, from) {
+  let until = asOf;
+  let last = lastDate(pledge);
+  if (last && last < until) {
+    until = last;
+  }
+  let occurrences = [];
+  for (let n = from || 1; ; n++) {
+    let dueDate = occurrenceDate(pledge, n);
+    if (dueDate > until) {
+      return occurrences;
+    }
+    occurrences.push({
+      occurrence: n,
+      dueDate: dueDate.toISOString(),
+      donationId: donationIdFor(pledge, n),
+      skipped: isPaused(pledge, dueDate)
+    });
+  }
+}
+
+/**
+ * Sets the pledge's nextOccurrence to n, and its nextDueDate to the date n falls due. The nextDueDate is removed
+ * if n falls due after the pledge's last date, as the pledge has no more occurrences
+ *
+ * @param {*} pledge - the pledge record, which is changed
+ * @param {*} n - the first occurrence that has not been fulfilled, skipped or failed
+ */
+function setNextOccurrence(pledge, n) {
+  let dueDate = occurrenceDate(pledge, n);
+  let last = lastDate(pledge);
+  pledge['nextOccurrence'] = n;
+  if (last && dueDate > last) {
+    delete pledge['nextDueDate'];
+  }
+  else {
+    pledge['nextDueDate'] = dueDate.toISOString();
+  }
+}
+
+exports.frequencies = frequencies;
+exports.occurrenceDate = occurrenceDate;
+exports.donationIdFor = donationIdFor;
+exports.dueOccurrences = dueOccurrences;
+exports.setNextOccurrence = setNextOccurrence;
@@ -0,0 +1,137 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// The personal details of donors and members are kept in Fabric private data collections rather than in
+// world state, so only the organisations named in the collection's policy (see collections_config.json)
+// store them. World state holds the rest of the record and a salted hash of each personal detail, e.g.
+// emailHash, so a holder of the detail and its salt can prove the detail was recorded, without the detail
+// being readable by every member of the channel.
+//
+// The private details of a record are stored in the collection under the same key as the record, as:
+//
+//    {"email": "edge@abc.com", "salt": "8f0c..."}
+//
+// Arguments to a transaction are recorded on the ledger, so personal details must be passed in the transient
+// map of the proposal, as JSON under the key privateDetails, along with a random salt of at least
+// minSaltLength characters. The REST API does this. A transaction that passes a personal detail, or the salt,
+// in its arguments is rejected, as is one that writes personal details without a salt.
+
+'use strict';
+const crypto = require('crypto');
+
+/**
+ * The collection and the personal fields for each docType with private details
+ */
+const collections = {
+  donor: {name: 'donorPrivateDetails', fields: ['email']},
+  member: {name: 'memberPrivateDetails', fields: ['ssn', 'dob', 'salary', 'homePhoneNumber', 'electiveDeferral']}
+};
+
+/**
+ * The minimum length of the salt passed with personal details. The salt should be random, e.g. 16 random
+ * bytes in hex, so the hashes in world state cannot be matched against guessed details
+ */
+const minSaltLength = 16;
+
+/**
+ * Returns the salted SHA-256 hash of a value, in hex
+ */
+function saltedHash(salt, value) {
+  return crypto.createHash('sha256').update(salt + String(value)).digest('hex');
+}
+
+/**
+ * Returns the JSON value passed in the transient map under a key, or undefined if there is none
+ */
+function transientValue(stub, name) {
+  let transient = stub.getTransient();
+  let value = transient && transient.get(name);
+  if (!value) {
+    return undefined;
+  }
+  let text = Buffer.from(value.toBuffer ? value.toBuffer() : value).toString('utf8');
+  try {
+    return JSON.parse(text);
+  }
+  catch (err) {
+    throw new Error('##### privatedata - The ' + name + ' in the transient map is not JSON: ' + err);
+  }
+}
+
+/**
+ * Returns the details passed in the transient map under the key privateDetails, or {} if there are none
+ */
+function transientDetails(stub) {
+  return transientValue(stub, 'privateDetails') || {};
+}
+
+/**
+ * Returns the personal fields of a docType passed in the transient map. Only the fields passed are returned,
+ * so an update can tell a field that is not changing from one being removed, i.e. set to null.
+ *
+ * @param {*} fcn - the name of the calling function, for error messages
+ * @param {*} docType - donor or member
+ * @param {*} json - the arguments to the function, which must not hold any of the personal fields or the salt
+ * @param {*} required - true if a salt must be passed even if no personal fields are, e.g. when creating a record
+ * @returns the personal fields and the salt
+ */
+function takePrivateDetails(stub, fcn, docType, json, required) {
+  let fields = collections[docType].fields.concat(['salt']);
+  for (let field of fields) {
+    if (json[field] !== undefined) {
+      throw new Error('##### ' + fcn + ' - The field ' + field + ' cannot be passed in the arguments, which are recorded on the ledger. ' +
+        'Pass it in the transient map under the key privateDetails');
+    }
+  }
+  let transient = transientDetails(stub);
+  let details = {};
+  for (let field of fields) {
+    if (transient[field] !== undefined) {
+      details[field] = transient[field];
+    }
+  }
+  if ((required || Object.keys(details).length > 0) && (typeof details['salt'] !== 'string' || details['salt'].length < minSaltLength)) {
+    throw new Error('##### ' + fcn + ' - The private details need a random salt of at least ' + minSaltLength +
+      ' characters, passed in the transient map under the key privateDetails');
+  }
+  return details;
+}
+
+/**
+ * Sets the hash field of the record for each personal field in details, e.g. emailHash for email, and
+ * removes the hash of any personal field details does not have
+ *
+ * @param {*} docType - donor or member
+ * @param {*} record - the record to be written to world state
+ * @param {*} details - the personal fields and their salt, as stored in the collection
+ */
+function setHashes(docType, record, details) {
+  for (let field of collections[docType].fields) {
+    if (details[field] === undefined || details[field] === null) {
+      delete record[field + 'Hash'];
+    }
+    else {
+      record[field + 'Hash'] = saltedHash(details['salt'], details[field]);
+    }
+  }
+}
+
+exports.collections = collections;
+exports.minSaltLength = minSaltLength;
+exports.saltedHash = saltedHash;
+exports.transientValue = transientValue;
+exports.takePrivateDetails = takePrivateDetails;
+exports.setHashes = setHashes;
@@ -0,0 +1,441 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Schema registry for the records written by the chaincode. There is one schema per docType, and
+// each create function validates its payload against the schema before writing to world state.
+// Functions that change an existing record, such as reverseDonation, have a schema for their payload.
+// The update functions, such as updateNGO, validate the whole record as it will be after the update.
+// The personal details of donors and members are stored in private data collections rather than world state
+// (see privatedata.js), and are validated against their own schemas, donorPrivateDetails and memberPrivateDetails.
+//
+// A schema maps a field name to the rules for that field:
+//
+//    type       - string, number, integer, boolean, object or array. Money is an integer number of minor units (see money.js)
+//    required   - the field must be present
+//    format     - email, date (YYYY-MM-DD), date-time (ISO 8601), decimal (a positive decimal string, e.g. '1.0832')
+//                 or sha256 (a SHA-256 hash as 64 lower case hex digits)
+//    minimum / maximum / exclusiveMinimum - bounds for numbers
+//    minLength / maxLength - bounds for the length of strings
+//    enum       - the list of allowed values
+//    properties - a schema for the fields of an object
+//    items      - a schema for the elements of an array, given as {type, properties, ...}
+//
+// Fields not listed in a schema are allowed and are not validated.
+
+'use strict';
+const allocation = require('./allocation.js');
+const money = require('./money.js');
+const pledge = require('./pledge.js');
+
+const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+const dateTimePattern = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+const decimalPattern = /^\d+(\.\d+)?$/;
+const sha256Pattern = /^[0-9a-f]{64}$/;
+const allocationStrategies = Object.keys(allocation.strategies);
+const currencies = Object.keys(money.currencies);
+const statuses = ['active', 'suspended', 'closed'];
+// an NGO is pending until the verifier organisations approve it, or rejected if one of them refuses it
+const ngoStatuses = ['pending', 'rejected'].concat(statuses);
+const frequencies = Object.keys(pledge.frequencies);
+// a spend proposal is pending until enough approvers approve it or one rejects it, and expires if neither happens in time
+const spendProposalStatuses = ['pending', 'approved', 'rejected', 'expired'];
+// the docTypes whose records can be rebuilt as of a point in time, see queryRecordAsOf
+const asOfDocTypes = ['ngo', 'donor', 'member'];
+
+const schemas = {
+  donor: {
+    donorUserName: {type: 'string', required: true, minLength: 1},
+    emailHash: {type: 'string'},
+    registeredDate: {type: 'string', format: 'date-time'},
+    status: {type: 'string', enum: statuses}
+  },
+  donorPrivateDetails: {
+    email: {type: 'string', required: true, format: 'email'},
+    salt: {type: 'string', required: true, minLength: 1}
+  },
+  ngo: {
+    ngoRegistrationNumber: {type: 'string', required: true, minLength: 1},
+    ngoName: {type: 'string', required: true, minLength: 1},
+    ngoDescription: {type: 'string'},
+    address: {type: 'string'},
+    contactNumber: {type: 'string'},
+    contactEmail: {type: 'string', format: 'email'},
+    allocationStrategy: {type: 'string', enum: allocationStrategies},
+    currency: {type: 'string', enum: currencies},
+    status: {type: 'string', enum: ngoStatuses},
+    registrationDocuments: {type: 'array', items: {type: 'object', properties: {
+      documentType: {type: 'string', required: true, minLength: 1},
+      fileName: {type: 'string', required: true, minLength: 1},
+      sha256: {type: 'string', required: true, format: 'sha256'}
+    }}},
+    spendApprovalPolicy: {type: 'object', properties: {
+      threshold: {type: 'integer', required: true, minimum: 0},
+      approvers: {type: 'array', required: true, items: {type: 'string', minLength: 1}},
+      requiredApprovals: {type: 'integer', required: true, minimum: 1},
+      expiryHours: {type: 'integer', required: true, minimum: 1}
+    }}
+  },
+  ngoFilter: {
+    status: {type: 'string', enum: ngoStatuses}
+  },
+  verificationPolicy: {
+    verifierMSPs: {type: 'array', required: true, items: {type: 'string', minLength: 1}},
+    quorum: {type: 'integer', required: true, minimum: 1}
+  },
+  ngoApproval: {
+    ngoRegistrationNumber: {type: 'string', required: true, minLength: 1},
+    comment: {type: 'string', maxLength: 500}
+  },
+  ngoRejection: {
+    ngoRegistrationNumber: {type: 'string', required: true, minLength: 1},
+    reason: {type: 'string', required: true, minLength: 1, maxLength: 500}
+  },
+  allocationPolicy: {
+    ngoRegistrationNumber: {type: 'string', required: true, minLength: 1},
+    allocationStrategy: {type: 'string', required: true, enum: allocationStrategies}
+  },
+  spendApprovalPolicy: {
+    ngoRegistrationNumber: {type: 'string', required: true, minLength: 1},
+    threshold: {type: 'integer', required: true, minimum: 0},
+    approvers: {type: 'array', required: true, items: {type: 'string', minLength: 1}},
+    requiredApprovals: {type: 'integer', required: true, minimum: 1},
+    expiryHours: {type: 'integer', required: true, minimum: 1, maximum: 8760}
+  },
+  donation: {
+    donationId: {type: 'string', required: true, minLength: 1},
+    donationAmount: {type: 'integer', required: true, exclusiveMinimum: 0},
+    currency: {type: 'string', enum: currencies},
+    donationDate: {type: 'string', required: true, format: 'date-time'},
+    donorUserName: {type: 'string', required: true, minLength: 1},
+    ngoRegistrationNumber: {type: 'string', required: true, minLength: 1},
+    restriction: {type: 'string', minLength: 1},
+    pledgeId: {type: 'string', minLength: 1},
+    pledgeOccurrence: {type: 'integer', minimum: 1},
+    campaignId: {type: 'string', minLength: 1}
+  },
+  anonymousDonation: {
+    donationId: {type: 'string', required: true, minLength: 1},
+    donationAmount: {type: 'integer', required: true, exclusiveMinimum: 0},
+    currency: {type: 'string', enum: currencies},
+    donationDate: {type: 'string', required: true, format: 'date-time'},
+    ngoRegistrationNumber: {type: 'string', required: true, minLength: 1},
+    restriction: {type: 'string', minLength: 1},
+    campaignId: {type: 'string', minLength: 1}
+  },
+  donorStatement: {
+    donorUserName: {type: 'string', required: true, minLength: 1},
+    year: {type: 'integer', required: true, minimum: 1970, maximum: 9999}
+  },
+  recordAsOf: {
+    docType: {type: 'string', required: true, enum: asOfDocTypes},
+    key: {type: 'string', required: true, minLength: 1},
+    asOf: {type: 'string', required: true, format: 'date-time'}
+  },
+  auditPeriod: {
+    ngoRegistrationNumber: {type: 'string', required: true, minLength: 1},
+    fromDate: {type: 'string', required: true, format: 'date-time'},
+    toDate: {type: 'string', required: true, format: 'date-time'}
+  },
+  donationRefund: {
+    donationId: {type: 'string', required: true, minLength: 1},
+    refundDate: {type: 'string', required: true, format: 'date-time'},
+    refundReason: {type: 'string'}
+  },
+  pledge: {
+    pledgeId: {type: 'string', required: true, minLength: 1},
+    donorUserName: {type: 'string', required: true, minLength: 1},
+    ngoRegistrationNumber: {type: 'string', required: true, minLength: 1},
+    pledgeAmount: {type: 'integer', required: true, exclusiveMinimum: 0},
+    currency: {type: 'string', enum: currencies},
+    frequency: {type: 'string', required: true, enum: frequencies},
+    startDate: {type: 'string', required: true, format: 'date-time'},
+    endDate: {type: 'string', format: 'date-time'},
+    restriction: {type: 'string', minLength: 1}
+  },
+  pledgeChange: {
+    pledgeId: {type: 'string', required: true, minLength: 1},
+    donorUserName: {type: 'string', required: true, minLength: 1},
+    changeDate: {type: 'string', required: true, format: 'date-time'}
+  },
+  pledgeFailure: {
+    pledgeId: {type: 'string', required: true, minLength: 1},
+    donorUserName: {type: 'string', required: true, minLength: 1},
+    pledgeOccurrence: {type: 'integer', required: true, minimum: 1},
+    reason: {type: 'string', required: true, minLength: 1, maxLength: 500}
+  },
+  campaign: {
+    campaignId: {type: 'string', required: true, minLength: 1},
+    ngoRegistrationNumber: {type: 'string', required: true, minLength: 1},
+    campaignName: {type: 'string', required: true, minLength: 1},
+    campaignDescription: {type: 'string'},
+    goalAmount: {type: 'integer', required: true, exclusiveMinimum: 0},
+    currency: {type: 'string', enum: currencies},
+    deadline: {type: 'string', required: true, format: 'date-time'}
+  },
+  matchingProgram: {
+    programId: {type: 'string', required: true, minLength: 1},
+    sponsorName: {type: 'string', required: true, minLength: 1},
+    sponsorUserName: {type: 'string', required: true, minLength: 1},
+    matchRatio: {type: 'string', required: true, format: 'decimal'},
+    annualCapPerDonor: {type: 'integer', required: true, exclusiveMinimum: 0},
+    currency: {type: 'string', enum: currencies},
+    eligibleNGOs: {type: 'array', required: true, items: {type: 'string', minLength: 1}}
+  },
+  sponsorLink: {
+    donorUserName: {type: 'string', required: true, minLength: 1},
+    programId: {type: 'string', required: true, minLength: 1}
+  },
+  spend: {
+    spendId: {type: 'string', required: true, minLength: 1},
+    spendAmount: {type: 'integer', required: true, exclusiveMinimum: 0},
+    currency: {type: 'string', enum: currencies},
+    spendDate: {type: 'string', required: true, format: 'date-time'},
+    spendDescription: {type: 'string'},
+    spendCategory: {type: 'string', minLength: 1},
+    ngoRegistrationNumber: {type: 'string', required: true, minLength: 1}
+  },
+  spendEvidence: {
+    evidenceId: {type: 'string', required: true, minLength: 1},
+    spendId: {type: 'string', required: true, minLength: 1},
+    ngoRegistrationNumber: {type: 'string', required: true, minLength: 1},
+    fileName: {type: 'string', required: true, minLength: 1},
+    contentType: {type: 'string'},
+    size: {type: 'integer', required: true, minimum: 0},
+    sha256: {type: 'string', required: true, format: 'sha256'},
+    description: {type: 'string', maxLength: 500}
+  },
+  spendProposalApproval: {
+    ngoRegistrationNumber: {type: 'string', required: true, minLength: 1},
+    spendId: {type: 'string', minLength: 1},
+    grantId: {type: 'string', minLength: 1},
+    comment: {type: 'string', maxLength: 500}
+  },
+  spendProposalRejection: {
+    ngoRegistrationNumber: {type: 'string', required: true, minLength: 1},
+    spendId: {type: 'string', minLength: 1},
+    grantId: {type: 'string', minLength: 1},
+    reason: {type: 'string', required: true, minLength: 1, maxLength: 500}
+  },
+  spendProposalFilter: {
+    ngoRegistrationNumber: {type: 'string', required: true, minLength: 1},
+    status: {type: 'string', enum: spendProposalStatuses},
+    approverUserName: {type: 'string', minLength: 1}
+  },
+  spendPreview: {
+    ngoRegistrationNumber: {type: 'string', required: true, minLength: 1},
+    spendAmount: {type: 'integer', required: true, exclusiveMinimum: 0},
+    spendCategory: {type: 'string', minLength: 1},
+    allocationStrategy: {type: 'string', enum: allocationStrategies}
+  },
+  grant: {
+    grantId: {type: 'string', required: true, minLength: 1},
+    ngoRegistrationNumber: {type: 'string', required: true, minLength: 1},
+    recipientNGORegistrationNumber: {type: 'string', required: true, minLength: 1},
+    grantAmount: {type: 'integer', required: true, exclusiveMinimum: 0},
+    currency: {type: 'string', enum: currencies},
+    grantDate: {type: 'string', required: true, format: 'date-time'},
+    grantDescription: {type: 'string'},
+    restriction: {type: 'string', minLength: 1}
+  },
+  fxRate: {
+    baseCurrency: {type: 'string', required: true, enum: currencies},
+    quoteCurrency: {type: 'string', required: true, enum: currencies},
+    rate: {type: 'string', required: true, format: 'decimal'},
+    rateDate: {type: 'string', required: true, format: 'date-time'}
+  },
+  rating: {
+    ngoRegistrationNumber: {type: 'string', required: true, minLength: 1},
+    donorUserName: {type: 'string', required: true, minLength: 1},
+    rating: {type: 'integer', required: true, minimum: 1, maximum: 5},
+    review: {type: 'string', maxLength: 500}
+  },
+  employer: {
+    contractNumber: {type: 'string', required: true, minLength: 1},
+    status: {type: 'string', enum: statuses}
+  },
+  plan: {
+    planId: {type: 'string', required: true, minLength: 1},
+    status: {type: 'string', enum: statuses}
+  },
+  member: {
+    memberId: {type: 'string', required: true, minLength: 1},
+    contractNumber: {type: 'string', required: true, minLength: 1},
+    firstName: {type: 'string', required: true, minLength: 1},
+    middleName: {type: 'string'},
+    lastName: {type: 'string', required: true, minLength: 1},
+    ssnHash: {type: 'string'},
+    investments: {type: 'array', items: {type: 'object', properties: {
+      dollarVal: {type: 'integer', minimum: 0}
+    }}}
+  },
+  memberPrivateDetails: {
+    ssn: {type: 'string', required: true, minLength: 1},
+    dob: {type: 'string', format: 'date'},
+    homePhoneNumber: {type: 'number'},
+    salary: {type: 'integer', minimum: 0},
+    electiveDeferral: {type: 'number', minimum: 0, maximum: 100},
+    salt: {type: 'string', required: true, minLength: 1}
+  },
+  employerContribution: {
+    contractNumber: {type: 'string', required: true, minLength: 1},
+    contributionAmount: {type: 'integer', required: true, exclusiveMinimum: 0}
+  },
+  withdrawal: {
+    withdrawalKey: {type: 'string', required: true, minLength: 1},
+    memberId: {type: 'string', required: true, minLength: 1},
+    contractNumber: {type: 'string', required: true, minLength: 1},
+    withdrawalDate: {type: 'string', format: 'date-time'},
+    investments: {type: 'array', required: true, items: {type: 'object', properties: {
+      dollarVal: {type: 'integer', minimum: 0}
+    }}}
+  }
+};
+
+/**
+ * Thrown when a record fails validation. The message is JSON, so the caller of the chaincode
+ * can recover the individual errors from the error string returned by Fabric, which will be:
+ *
+ * ValidationError: {"docType":"donation","errors":[{"field":"donationAmount","rule":"type","value":"abc","message":"..."}]}
+ */
+class ValidationError extends Error {
+  constructor(docType, errors) {
+    super(JSON.stringify({docType: docType, errors: errors}));
+    this.name = 'ValidationError';
+    this.docType = docType;
+    this.errors = errors;
+  }
+}
+
+function isType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && isFinite(value);
+    case 'integer':
+      return Number.isSafeInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      throw new Error('##### schemas - Unknown type in schema: ' + type);
+  }
+}
+
+function isFormat(value, format) {
+  switch (format) {
+    case 'email':
+      return emailPattern.test(value);
+    case 'date':
+      return datePattern.test(value) && !isNaN(Date.parse(value));
+    case 'date-time':
+      return dateTimePattern.test(value) && !isNaN(Date.parse(value));
+    case 'decimal':
+      return decimalPattern.test(value) && Number(value) > 0;
+    case 'sha256':
+      return sha256Pattern.test(value);
+    default:
+      throw new Error('##### schemas - Unknown format in schema: ' + format);
+  }
+}
+
+/**
+ * Validates one field against its rules, adding any failures to errors. Returns once the first
+ * rule fails, as the remaining rules usually depend on it (e.g. no point checking the format
+ * of a value that is not a string)
+ */
+function validateField(field, value, rules, errors) {
+  let fail = (rule, message) => errors.push({field: field, rule: rule, value: value, message: field + ' ' + message});
+
+  if (value === undefined || value === null) {
+    if (rules.required) {
+      fail('required', 'is required');
+    }
+    return;
+  }
+  if (rules.type && !isType(value, rules.type)) {
+    return fail('type', 'must be of type ' + rules.type);
+  }
+  if (rules.minLength !== undefined && value.length < rules.minLength) {
+    return fail('minLength', 'must have a length of at least ' + rules.minLength);
+  }
+  if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+    return fail('maxLength', 'must have a length of at most ' + rules.maxLength);
+  }
+  if (rules.format && !isFormat(value, rules.format)) {
+    return fail('format', 'must be a valid ' + rules.format);
+  }
+  if (rules.minimum !== undefined && value < rules.minimum) {
+    return fail('minimum', 'must be at least ' + rules.minimum);
+  }
+  if (rules.exclusiveMinimum !== undefined && value <= rules.exclusiveMinimum) {
+    return fail('exclusiveMinimum', 'must be greater than ' + rules.exclusiveMinimum);
+  }
+  if (rules.maximum !== undefined && value > rules.maximum) {
+    return fail('maximum', 'must be at most ' + rules.maximum);
+  }
+  if (rules.enum && rules.enum.indexOf(value) < 0) {
+    return fail('enum', 'must be one of ' + rules.enum.join(', '));
+  }
+  if (rules.properties) {
+    validateFields(field + '.', value, rules.properties, errors);
+  }
+  if (rules.items) {
+    value.forEach((item, i) => validateField(field + '[' + i + ']', item, rules.items, errors));
+  }
+}
+
+function validateFields(prefix, record, schema, errors) {
+  for (let field in schema) {
+    validateField(prefix + field, record[field], schema[field], errors);
+  }
+}
+
+/**
+ * Validates a record against the schema for its docType, throwing a ValidationError listing
+ * every field that failed
+ *
+ * @param {*} docType - the docType whose schema should be used
+ * @param {*} record - the record as JSON
+ */
+function validate(docType, record) {
+  let schema = schemas[docType];
+  if (!schema) {
+    throw new Error('##### validate - There is no schema for docType: ' + docType);
+  }
+  let errors = [];
+  if (!isType(record, 'object')) {
+    errors.push({field: '', rule: 'type', value: record, message: docType + ' must be a JSON object'});
+  }
+  else {
+    validateFields('', record, schema, errors);
+  }
+  if (errors.length > 0) {
+    console.log('##### validate - ' + docType + ' failed validation: ' + JSON.stringify(errors));
+    throw new ValidationError(docType, errors);
+  }
+}
+
+exports.schemas = schemas;
+exports.statuses = statuses;
+exports.ngoStatuses = ngoStatuses;
+exports.spendProposalStatuses = spendProposalStatuses;
+exports.validate = validate;
+exports.ValidationError = ValidationError;
@@ -0,0 +1,267 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Evaluates CouchDB Mango queries (selector, sort, fields, skip, limit) in process. Used by
+// queryByString when the peer's state database is LevelDB, so the chaincode returns the same
+// results regardless of whether rich queries are available.
+
+'use strict';
+
+// the order CouchDB collates values of different types in
+const typeOrder = ['null', 'boolean', 'number', 'string', 'array', 'object'];
+
+function typeOf(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+/**
+ * Compares two values using (a simplified version of) CouchDB collation. Strings are compared by
+ * code point rather than using ICU collation.
+ */
+function compare(a, b) {
+  let typeA = typeOrder.indexOf(typeOf(a));
+  let typeB = typeOrder.indexOf(typeOf(b));
+  if (typeA !== typeB) {
+    return typeA < typeB ? -1 : 1;
+  }
+  switch (typeOf(a)) {
+    case 'null':
+      return 0;
+    case 'boolean':
+    case 'number':
+    case 'string':
+      return a < b ? -1 : (a > b ? 1 : 0);
+    case 'array':
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        let result = compare(a[i], b[i]);
+        if (result !== 0) {
+          return result;
+        }
+      }
+      return a.length - b.length === 0 ? 0 : (a.length < b.length ? -1 : 1);
+    default:
+      return compare(JSON.stringify(a), JSON.stringify(b));
+  }
+}
+
+/**
+ * Returns the value of a field in a record. Field names may use dot notation to refer to
+ * nested fields, e.g. "spendApprovalPolicy.threshold"
+ */
+function getField(record, field) {
+  let value = record;
+  for (let part of field.split('.')) {
+    if (value === null || typeof value !== 'object' || !(part in value)) {
+      return undefined;
+    }
+    value = value[part];
+  }
+  return value;
+}
+
+function isOperatorObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length > 0 && Object.keys(value).every((key) => key.startsWith('$'));
+}
+
+/**
+ * Evaluates a single condition operator against a field value
+ */
+function matchesOperator(value, operator, operand) {
+  switch (operator) {
+    case '$eq':
+      return value !== undefined && compare(value, operand) === 0;
+    case '$ne':
+      return value !== undefined && compare(value, operand) !== 0;
+    case '$gt':
+      return value !== undefined && compare(value, operand) > 0;
+    case '$gte':
+      return value !== undefined && compare(value, operand) >= 0;
+    case '$lt':
+      return value !== undefined && compare(value, operand) < 0;
+    case '$lte':
+      return value !== undefined && compare(value, operand) <= 0;
+    case '$in':
+      if (!Array.isArray(operand)) {
+        throw new Error('##### selector - $in requires an array: ' + JSON.stringify(operand));
+      }
+      return value !== undefined && operand.some((item) => compare(value, item) === 0);
+    case '$nin':
+      if (!Array.isArray(operand)) {
+        throw new Error('##### selector - $nin requires an array: ' + JSON.stringify(operand));
+      }
+      return value !== undefined && !operand.some((item) => compare(value, item) === 0);
+    case '$exists':
+      return (value !== undefined) === Boolean(operand);
+    case '$regex':
+      return typeof value === 'string' && new RegExp(operand).test(value);
+    case '$size':
+      return Array.isArray(value) && value.length === operand;
+    case '$not':
+      return !matchesCondition(value, operand);
+    case '$all':
+      return Array.isArray(value) && Array.isArray(operand) &&
+        operand.every((item) => value.some((element) => compare(element, item) === 0));
+    case '$elemMatch':
+      return Array.isArray(value) && value.some((element) => matchesCondition(element, operand));
+    default:
+      throw new Error('##### selector - Unsupported operator: ' + operator);
+  }
+}
+
+/**
+ * Evaluates the condition for one field. The condition is either an operator object such as
+ * {"$gt": 10}, a nested selector such as {"electiveDeferral": 5}, or an implicit equality value
+ */
+function matchesCondition(value, condition) {
+  if (isOperatorObject(condition)) {
+    for (let operator in condition) {
+      if (['$and', '$or', '$nor'].indexOf(operator) >= 0) {
+        if (!matches(value, {[operator]: condition[operator]})) {
+          return false;
+        }
+      }
+      else if (!matchesOperator(value, operator, condition[operator])) {
+        return false;
+      }
+    }
+    return true;
+  }
+  if (condition !== null && typeof condition === 'object' && !Array.isArray(condition)) {
+    return value !== null && typeof value === 'object' && matches(value, condition);
+  }
+  return matchesOperator(value, '$eq', condition);
+}
+
+/**
+ * Returns true if the record matches the Mango selector
+ *
+ * @param {*} record - the record as JSON
+ * @param {*} selector - the Mango selector, e.g. {"docType": "donation", "donationAmount": {"$gt": 100}}
+ */
+function matches(record, selector) {
+  for (let key in selector) {
+    let condition = selector[key];
+    if (key === '$and') {
+      if (!condition.every((subSelector) => matches(record, subSelector))) {
+        return false;
+      }
+    }
+    else if (key === '$or') {
+      if (!condition.some((subSelector) => matches(record, subSelector))) {
+        return false;
+      }
+    }
+    else if (key === '$nor') {
+      if (condition.some((subSelector) => matches(record, subSelector))) {
+        return false;
+      }
+    }
+    else if (key === '$not') {
+      if (matches(record, condition)) {
+        return false;
+      }
+    }
+    else if (key.startsWith('$')) {
+      if (!matchesOperator(record, key, condition)) {
+        return false;
+      }
+    }
+    else if (!matchesCondition(getField(record, key), condition)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Sorts the records using a Mango sort specification, e.g. ["donationDate"] or [{"donationAmount": "desc"}]
+ */
+function sortRecords(records, sort) {
+  let sortFields = sort.map((entry) => {
+    if (typeof entry === 'string') {
+      return {field: entry, direction: 1};
+    }
+    let field = Object.keys(entry)[0];
+    return {field: field, direction: entry[field] === 'desc' ? -1 : 1};
+  });
+  return records.slice().sort((a, b) => {
+    for (let sortField of sortFields) {
+      let result = compare(getField(a.Record, sortField.field), getField(b.Record, sortField.field));
+      if (result !== 0) {
+        return result * sortField.direction;
+      }
+    }
+    return a.Key < b.Key ? -1 : (a.Key > b.Key ? 1 : 0);
+  });
+}
+
+/**
+ * Returns a copy of the record containing only the fields listed
+ */
+function projectFields(record, fields) {
+  let projected = {};
+  for (let field of fields) {
+    let value = getField(record, field);
+    if (value === undefined) {
+      continue;
+    }
+    let parts = field.split('.');
+    let target = projected;
+    for (let i = 0; i < parts.length - 1; i++) {
+      target[parts[i]] = target[parts[i]] || {};
+      target = target[parts[i]];
+    }
+    target[parts[parts.length - 1]] = value;
+  }
+  return projected;
+}
+
+/**
+ * Applies the sort, skip, limit and fields elements of a Mango query to records that have already
+ * been filtered using the selector. Records are in the {Key, Record} format used by queryByString.
+ *
+ * @param {*} records - the records matching the selector
+ * @param {*} query - the Mango query as JSON
+ */
+function applyQueryOptions(records, query) {
+  let results = records;
+  if (query['sort']) {
+    results = sortRecords(results, query['sort']);
+  }
+  if (query['skip']) {
+    results = results.slice(query['skip']);
+  }
+  if (query['limit']) {
+    results = results.slice(0, query['limit']);
+  }
+  if (query['fields']) {
+    results = results.map((result) => ({Key: result.Key, Record: projectFields(result.Record, query['fields'])}));
+  }
+  return results;
+}
+
+exports.matches = matches;
+exports.compare = compare;
+exports.sortRecords = sortRecords;
+exports.projectFields = projectFields;
+exports.applyQueryOptions = applyQueryOptions;
@@ -0,0 +1,67 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for access.js, which checks the attributes in the caller's certificate against the permission matrix
+
+'use strict';
+const assert = require('assert');
+const access = require('../src/access.js');
+const Chaincode = require('../src/ngo.js');
+const {identities, createNGO, createDonor, spend, assertFails} = require('./fixtures.js');
+
+module.exports = {
+  'every function that changes state is in the permission matrix': async () => {
+    // initLedger writes nothing, and previewSpendAllocation only reads, as the query functions do
+    let unlisted = Object.getOwnPropertyNames(Chaincode.prototype).filter((fcn) => !access.permissions[fcn] && !fcn.startsWith('query'));
+    assert.deepStrictEqual(unlisted, ['Init', 'Invoke', 'initLedger', 'previewSpendAllocation']);
+    for (let fcn in access.permissions) {
+      assert.strictEqual(typeof Chaincode.prototype[fcn], 'function', fcn);
+    }
+  },
+
+  'a caller without a permitted role may only query': async (stub) => {
+    await createNGO(stub);
+    let nobody = {attrs: {}};
+    assertFails(await stub.invoke('createSpend', {spendId: 's1', ngoRegistrationNumber: '6322'}, {identity: nobody}),
+      'AccessDeniedError: The caller with role null may not call createSpend. Permitted roles are: ngo');
+    assertFails(await stub.invoke('createEmployer', {contractNumber: '1001'}, {identity: identities.pets}),
+      'The caller with role ngo may not call createEmployer. Permitted roles are: admin');
+    assert.strictEqual((await stub.invokeOk('queryNGO', {ngoRegistrationNumber: '6322'}, {identity: nobody})).ngoName, 'Pets In Need');
+  },
+
+  'an attribute must be in the certificate and match the argument of the same name': async (stub) => {
+    await createNGO(stub);
+    assertFails(await spend(stub, 's1', 100, {ngoRegistrationNumber: '6323'}),
+      'The caller with role ngo and ngoRegistrationNumber 6322 may not call createSpend for ngoRegistrationNumber 6323');
+    assertFails(await stub.invoke('createSpend', {spendId: 's1'}, {identity: identities.pets}),
+      'may not call createSpend for ngoRegistrationNumber undefined');
+    assertFails(await stub.invoke('createSpend', {spendId: 's1', ngoRegistrationNumber: '6322'}, {identity: {attrs: {role: 'ngo'}}}),
+      'The caller with role ngo and ngoRegistrationNumber null may not call createSpend');
+  },
+
+  'a caller may not pass the fields their entry excludes': async (stub) => {
+    await createDonor(stub, 'edge');
+    assertFails(await stub.invoke('updateDonor', {donorUserName: 'edge', status: 'active'}, {identity: identities.edge}),
+      'AccessDeniedError: The caller with role donor may not change status using updateDonor');
+    await stub.invokeOk('updateDonor', {donorUserName: 'edge', status: 'suspended'}, {identity: identities.admin});
+    assert.strictEqual((await stub.invokeOk('queryDonor', {donorUserName: 'edge'})).status, 'suspended');
+  },
+
+  'the arguments must be JSON to check an attribute against them': async (stub) => {
+    assertFails(await stub.invoke('createSpend', 'not json', {identity: identities.pets}),
+      'Unable to check access to createSpend as its arguments are not JSON');
+  }
+};
@@ -0,0 +1,70 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for allocation.js, which splits a spend between the donations that can fund it using the NGO's strategy
+
+'use strict';
+const assert = require('assert');
+const allocation = require('../src/allocation.js');
+
+function candidate(donationId, donationDate, available) {
+  return {donationId: donationId, donationDate: '2018-09-' + donationDate + 'T12:00:00.000Z', available: available};
+}
+
+function total(allocations) {
+  return allocations.reduce((sum, entry) => sum + entry.amount, 0);
+}
+
+module.exports = {
+  'the ordered strategies sort by date, then by donationId, whatever order the candidates are given in': async () => {
+    let candidates = [candidate('b', '02', 30), candidate('a', '02', 50), candidate('c', '01', 100)];
+    let reversed = candidates.slice().reverse();
+    for (let given of [candidates, reversed]) {
+      assert.deepStrictEqual(allocation.allocate('fifo', given, 120), [{donationId: 'c', amount: 100}, {donationId: 'a', amount: 20}]);
+      assert.deepStrictEqual(allocation.allocate('lifo', given, 120),
+        [{donationId: 'b', amount: 30}, {donationId: 'a', amount: 50}, {donationId: 'c', amount: 40}]);
+    }
+    // donations with the same funds available are used oldest first
+    let equal = [candidate('x', '03', 100), candidate('y', '02', 100), candidate('z', '01', 20)];
+    assert.deepStrictEqual(allocation.allocate('largestFirst', equal, 150), [{donationId: 'y', amount: 100}, {donationId: 'x', amount: 50}]);
+  },
+
+  'a donation without funds available is not allocated anything': async () => {
+    let candidates = [candidate('a', '01', 0), candidate('b', '02', 100), candidate('c', '03', 200), candidate('d', '04', 300)];
+    for (let strategy of Object.keys(allocation.strategies)) {
+      let allocations = allocation.allocate(strategy, candidates, 100);
+      assert.ok(allocations.every((entry) => entry.donationId !== 'a' && entry.amount > 0), strategy);
+      assert.strictEqual(total(allocations), 100, strategy);
+    }
+    assert.deepStrictEqual(allocation.allocate('proRata', candidates, 100),
+      [{donationId: 'b', amount: 17}, {donationId: 'c', amount: 33}, {donationId: 'd', amount: 50}]);
+  },
+
+  'the even strategy splits again what a small donation could not cover, without changing the candidates': async () => {
+    let candidates = [candidate('a', '01', 1), candidate('b', '02', 10), candidate('c', '03', 10)];
+    assert.deepStrictEqual(allocation.allocate('even', candidates, 8),
+      [{donationId: 'a', amount: 1}, {donationId: 'b', amount: 4}, {donationId: 'c', amount: 3}]);
+    assert.deepStrictEqual(candidates.map((entry) => entry.available), [1, 10, 10]);
+    assert.throws(() => allocation.allocate('even', candidates, 22), /The donations do not have sufficient funds to allocate: 1/);
+  },
+
+  'an unknown strategy is rejected, and the default strategy is a known one': async () => {
+    assert.throws(() => allocation.allocate('random', [candidate('a', '01', 10)], 5),
+      /Unknown allocation strategy: random. Valid strategies are: even, proRata, fifo, lifo, largestFirst/);
+    assert.throws(() => allocation.allocate('constructor', [candidate('a', '01', 10)], 5), /Unknown allocation strategy/);
+    assert.strictEqual(typeof allocation.strategies[allocation.defaultStrategy], 'function');
+  }
+};
@@ -0,0 +1,141 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for anonymous donations, which record a commitment to the donor in place of their user name
+
+'use strict';
+const assert = require('assert');
+const crypto = require('crypto');
+const {identities, createNGO, createDonor, donate, spend, assertFails} = require('./fixtures.js');
+
+const secrets = {
+  first: 'a'.repeat(64),
+  second: 'b'.repeat(64)
+};
+
+const donation = {
+  donationId: 'a1',
+  donationAmount: 2000,
+  donationDate: '2018-09-20T12:41:59.582Z',
+  ngoRegistrationNumber: '6322'
+};
+
+async function setUp(stub) {
+  await createNGO(stub);
+  await createDonor(stub, 'edge');
+  await createDonor(stub, 'braendle');
+}
+
+async function donateAnonymously(stub, secret, fields, donorUserName, identity) {
+  return stub.invoke('createAnonymousDonation', Object.assign({}, donation, fields),
+    {identity: identity || identities.relay, transient: {donorUserName: donorUserName || 'edge', donorSecret: secret}});
+}
+
+function commitment(donorUserName, secret) {
+  return crypto.createHash('sha256').update(secret + donorUserName).digest('hex');
+}
+
+module.exports = {
+  'createAnonymousDonation records a commitment in place of the donor, and funds spend as any donation': async (stub) => {
+    await setUp(stub);
+    assert.strictEqual((await donateAnonymously(stub, secrets.first)).status, 200);
+    let recorded = await stub.invokeOk('queryDonation', {donationId: 'a1'});
+    assert.deepStrictEqual(recorded, Object.assign({docType: 'donation', currency: 'USD', anonymous: true,
+      donorCommitment: commitment('edge', secrets.first)}, donation));
+    assert.deepStrictEqual(stub.events.pop(), {name: 'DonationCreated', payload: recorded});
+
+    // nothing the NGO can query names the donor
+    let forNGO = await stub.invokeOk('queryDonationsForNGO', {ngoRegistrationNumber: '6322'});
+    assert.ok(forNGO.every((result) => result.Record.donorUserName === undefined));
+    assert.deepStrictEqual(await stub.invokeOk('queryDonationsForDonor', {donorUserName: 'edge'}), []);
+
+    assert.strictEqual((await spend(stub, 's1', 1500)).status, 200);
+    let allocations = await stub.invokeOk('querySpendAllocationForDonation', {donationId: 'a1'});
+    assert.deepStrictEqual(allocations.map((result) => result.Record.spendAllocationAmount), [1500]);
+  },
+
+  'the donor finds their anonymous donations and tax receipts with their secrets': async (stub) => {
+    await setUp(stub);
+    await donate(stub, 'edge', 'd1', 1000);
+    await donateAnonymously(stub, secrets.first);
+    await donateAnonymously(stub, secrets.second, {donationId: 'a2'});
+    await donateAnonymously(stub, secrets.first, {donationId: 'a3'}, 'braendle');
+
+    let donationIds = async (donorUserName, donorSecrets) => (await stub.invokeOk('queryDonationsForDonor', {donorUserName: donorUserName},
+      {transient: {donorSecrets: donorSecrets}})).map((result) => result.Record.donationId);
+    assert.deepStrictEqual(await donationIds('edge', [secrets.first]), ['d1', 'a1']);
+    assert.deepStrictEqual(await donationIds('edge', [secrets.first, secrets.second, secrets.first]), ['d1', 'a1', 'a2']);
+    // the secret alone does not find another donor's donations
+    assert.deepStrictEqual(await donationIds('braendle', [secrets.second]), []);
+    assert.deepStrictEqual(await donationIds('braendle', [secrets.first]), ['a3']);
+    assertFails(await stub.invoke('queryDonationsForDonor', {donorUserName: 'edge'}, {transient: {donorSecrets: secrets.first}}),
+      'must be an array of strings');
+
+    let statement = await stub.invokeOk('queryDonorStatement', {donorUserName: 'edge', year: 2018},
+      {transient: {donorSecrets: [secrets.first, secrets.second]}});
+    assert.deepStrictEqual(statement.ngos[0].donations.map((line) => [line.donationId, line.anonymous]),
+      [['a1', true], ['a2', true], ['d1', undefined]]);
+    assert.deepStrictEqual([statement.donationCount, statement.totals], [3, {USD: 5000}]);
+    statement = await stub.invokeOk('queryDonorStatement', {donorUserName: 'edge', year: 2018});
+    assert.deepStrictEqual([statement.donationCount, statement.totals], [1, {USD: 1000}]);
+  },
+
+  'createAnonymousDonation does not read the donor, as the keys it reads are recorded in the block': async (stub) => {
+    await setUp(stub);
+    let getState = stub.getState;
+    let keys = [];
+    stub.getState = async (key) => {
+      keys.push(key);
+      return getState.call(stub, key);
+    };
+    assert.strictEqual((await donateAnonymously(stub, secrets.first)).status, 200);
+    stub.getState = getState;
+    assert.ok(keys.length > 0);
+    assert.ok(keys.every((key) => !key.includes('edge')), keys.join(', '));
+  },
+
+  'a grant of an anonymous donation keeps the donor anonymous at the receiving NGO': async (stub) => {
+    await setUp(stub);
+    await createNGO(stub, {ngoRegistrationNumber: '6323', ngoName: 'Kids In Need'});
+    await donateAnonymously(stub, secrets.first);
+    await stub.invokeOk('createGrant', {grantId: 'g1', ngoRegistrationNumber: '6322', recipientNGORegistrationNumber: '6323', grantAmount: 500,
+      grantDate: '2018-10-01T00:00:00.000Z', grantDescription: 'Winter coats'}, {identity: identities.pets});
+    let granted = await stub.invokeOk('queryDonation', {donationId: 'g1-1'});
+    assert.deepStrictEqual([granted.donorUserName, granted.anonymous, granted.donorCommitment, granted.sourceDonationId],
+      [undefined, true, commitment('edge', secrets.first), 'a1']);
+  },
+
+  'createAnonymousDonation requires a long secret, and does not accept fields naming the donor': async (stub) => {
+    await setUp(stub);
+    assertFails(await stub.invoke('createAnonymousDonation', donation, {identity: identities.relay, transient: {donorUserName: 'edge'}}),
+      'needs a donorSecret of at least 32 characters');
+    assertFails(await stub.invoke('createAnonymousDonation', donation, {identity: identities.relay, transient: {donorSecret: secrets.first}}),
+      'needs the donorUserName in the transient map');
+    assertFails(await donateAnonymously(stub, 'short'), 'needs a donorSecret of at least 32 characters');
+    assertFails(await donateAnonymously(stub, secrets.first, {donorUserName: 'edge'}), 'The field donorUserName cannot be passed');
+    assertFails(await donateAnonymously(stub, secrets.first, {donorCommitment: 'abc'}), 'The field donorCommitment cannot be passed');
+    assertFails(await donateAnonymously(stub, secrets.first, {matchingGift: true}), 'The field matchingGift cannot be passed');
+    assertFails(await donateAnonymously(stub, secrets.first, {pledgeId: 'p1'}), 'The field pledgeId cannot be passed');
+    assertFails(await donateAnonymously(stub, secrets.first, {ngoRegistrationNumber: '9999'}), 'Cannot create donation as the NGO does not exist');
+    // the donor's own certificate would name them in the block
+    assertFails(await donateAnonymously(stub, secrets.first, {}, 'edge', identities.edge), 'Permitted roles are: relay');
+    assertFails(await donateAnonymously(stub, secrets.first, {}, 'edge', identities.pets), 'Permitted roles are: relay');
+    await donateAnonymously(stub, secrets.first);
+    assertFails(await donateAnonymously(stub, secrets.second), 'This Donation already exists');
+    assertFails(await stub.invoke('createDonation', Object.assign({}, donation, {donationId: 'd1', donorUserName: 'braendle',
+      donorCommitment: commitment('edge', secrets.first)}), {identity: identities.braendle}), 'is set by createAnonymousDonation');
+  }
+};
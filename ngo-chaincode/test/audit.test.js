@@ -0,0 +1,90 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for the records gathered for an NGO's audit report
+
+'use strict';
+const assert = require('assert');
+const {identities, createNGO, createDonor, donate, spend, assertFails} = require('./fixtures.js');
+
+const period = {ngoRegistrationNumber: '6322', fromDate: '2018-09-01T00:00:00.000Z', toDate: '2018-09-30T23:59:59.999Z'};
+
+async function setUp(stub) {
+  await createNGO(stub);
+  await createNGO(stub, {ngoRegistrationNumber: '6323', ngoName: 'Kids In Need'});
+  await createDonor(stub, 'edge');
+  await donate(stub, 'edge', 'd1', 1000);
+  await donate(stub, 'edge', 'd2', 1000, {donationDate: '2018-08-31T23:59:59.999Z'});
+  await donate(stub, 'edge', 'd3', 1000, {ngoRegistrationNumber: '6323'});
+  await spend(stub, 's1', 1500);
+  await spend(stub, 's2', 100, {spendDate: '2018-10-01T00:00:00.000Z'});
+}
+
+module.exports = {
+  'queryAuditRecords gathers the NGO\'s donations, spend and spendAllocations in the period': async (stub) => {
+    await setUp(stub);
+    let audit = await stub.invokeOk('queryAuditRecords', period);
+    assert.deepStrictEqual([audit.ngoRegistrationNumber, audit.fromDate, audit.toDate], ['6322', period.fromDate, period.toDate]);
+    let allocations = await stub.invokeOk('querySpendAllocationForSpend', {spendId: 's1'});
+    assert.deepStrictEqual(audit.records.map((entry) => entry.key),
+      ['donationd1', 'spends1'].concat(allocations.map((result) => 'spendAllocation' + result.Record.spendAllocationId).sort()));
+
+    let donation = audit.records[0];
+    assert.strictEqual(donation.docType, 'donation');
+    assert.deepStrictEqual(donation.record, await stub.invokeOk('queryDonation', {donationId: 'd1'}));
+    assert.deepStrictEqual(donation.history, [{txId: donation.txId, timestamp: '2019-01-01T00:00:07.000Z', isDelete: false,
+      record: donation.record}]);
+  },
+
+  'queryAuditRecords includes the history of records changed since they were created': async (stub) => {
+    await setUp(stub);
+    await stub.invokeOk('reverseDonation', {donationId: 'd1', refundDate: '2018-10-02T00:00:00.000Z'}, {identity: identities.admin});
+    let audit = await stub.invokeOk('queryAuditRecords', period);
+    let donation = audit.records[0];
+    assert.deepStrictEqual(donation.history.map((version) => version.record.donationStatus), [undefined, 'refunded']);
+    assert.strictEqual(donation.txId, donation.history[1].txId);
+    assert.notStrictEqual(donation.history[0].txId, donation.history[1].txId);
+    assert.strictEqual(audit.records.filter((entry) => entry.record.spendAllocationStatus === 'reversed').length, 1);
+
+    assertFails(await stub.invoke('queryAuditRecords', Object.assign({}, period, {ngoRegistrationNumber: '9999'})), 'does not exist');
+    assertFails(await stub.invoke('queryAuditRecords', Object.assign({}, period, {fromDate: '2018-10-01T00:00:00.000Z'})),
+      'fromDate must not be after toDate');
+    assertFails(await stub.invoke('queryAuditRecords', Object.assign({}, period, {toDate: 'yesterday'})), 'toDate');
+  },
+
+  'queryAuditRecords includes the grants the NGO made or received, and its proposals dated by what they propose': async (stub) => {
+    await setUp(stub);
+    let grant = {grantId: 'g1', ngoRegistrationNumber: '6323', recipientNGORegistrationNumber: '6322', grantAmount: 500,
+      grantDate: '2018-09-15T00:00:00.000Z', grantDescription: 'Shared vet costs'};
+    await stub.invokeOk('createGrant', grant, {identity: {attrs: {role: 'ngo', ngoRegistrationNumber: '6323'}}});
+    await stub.invokeOk('setSpendApprovalPolicy', {ngoRegistrationNumber: '6322', threshold: 100, approvers: ['alice', 'bob'],
+      requiredApprovals: 1, expiryHours: 24}, {identity: identities.admin});
+    await stub.invokeOk('createGrant', Object.assign({}, grant, {grantId: 'g2', ngoRegistrationNumber: '6322',
+      recipientNGORegistrationNumber: '6323', grantAmount: 200, grantDate: '2018-09-16T00:00:00.000Z'}), {identity: identities.pets});
+    await spend(stub, 's3', 300);
+    await spend(stub, 's4', 300, {spendDate: '2018-10-01T00:00:00.000Z'});
+
+    let audit = await stub.invokeOk('queryAuditRecords', period);
+    let keys = (docType) => audit.records.filter((entry) => entry.docType === docType).map((entry) => entry.key);
+    assert.deepStrictEqual(keys('grant'), ['grantg1']);
+    assert.deepStrictEqual(keys('spendProposal'), ['spendProposalg2', 'spendProposals3']);
+    assert.deepStrictEqual(audit.records.slice(-3).map((entry) => entry.docType), ['grant', 'spendProposal', 'spendProposal']);
+    // the grant is audited at the NGO that made it as well as the one that received it
+    audit = await stub.invokeOk('queryAuditRecords', Object.assign({}, period, {ngoRegistrationNumber: '6323'}));
+    let granted = audit.records.filter((entry) => entry.docType === 'grant');
+    assert.deepStrictEqual(granted.map((entry) => [entry.key, entry.record.grantAmount, entry.history.length]), [['grantg1', 500, 1]]);
+  }
+};
@@ -0,0 +1,109 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for fundraising campaigns, the donations made towards them and their progress towards their goal
+
+'use strict';
+const assert = require('assert');
+const {identities, createNGO, createDonor, donate, assertFails} = require('./fixtures.js');
+
+const campaign = {
+  campaignId: 'c1',
+  ngoRegistrationNumber: '6322',
+  campaignName: 'Winter shelter',
+  goalAmount: 10000,
+  deadline: '2019-03-31T00:00:00.000Z'
+};
+
+async function setUp(stub) {
+  await createNGO(stub);
+  await createNGO(stub, {ngoRegistrationNumber: '6323', ngoName: 'Kids In Need'});
+  await createDonor(stub, 'edge');
+  await createDonor(stub, 'braendle');
+  await stub.invokeOk('createCampaign', campaign, {identity: identities.pets});
+}
+
+module.exports = {
+  'createCampaign records a campaign in the NGO\'s currency': async (stub) => {
+    await setUp(stub);
+    let created = await stub.invokeOk('queryCampaign', {campaignId: 'c1'});
+    assert.strictEqual(created.currency, 'USD');
+    assert.strictEqual(created.docType, 'campaign');
+    assert.deepStrictEqual(created.progress, {raised: 0, donationCount: 0, donorCount: 0, percentOfGoal: 0, open: true});
+    let event = stub.events.pop();
+    assert.strictEqual(event.name, 'CampaignCreated');
+    assert.strictEqual(event.payload.progress, undefined);
+
+    await stub.invokeOk('createCampaign', Object.assign({}, campaign, {campaignId: 'c2'}), {identity: identities.admin});
+    let campaigns = await stub.invokeOk('queryCampaignsForNGO', {ngoRegistrationNumber: '6322'});
+    assert.deepStrictEqual(campaigns.map((result) => result.Record.campaignId), ['c1', 'c2']);
+    assert.deepStrictEqual(await stub.invokeOk('queryCampaignsForNGO', {ngoRegistrationNumber: '6323'}), []);
+    assertFails(await stub.invoke('queryCampaign', {campaignId: 'c9'}), 'does not exist');
+  },
+
+  'createCampaign rejects invalid campaigns': async (stub) => {
+    await setUp(stub);
+    assertFails(await stub.invoke('createCampaign', campaign, {identity: identities.pets}), 'already exists');
+    assertFails(await stub.invoke('createCampaign', Object.assign({}, campaign, {campaignId: 'c2', goalAmount: 0})), 'goalAmount');
+    assertFails(await stub.invoke('createCampaign', Object.assign({}, campaign, {campaignId: 'c2', deadline: '2018-12-31T00:00:00.000Z'})),
+      'has already passed');
+    assertFails(await stub.invoke('createCampaign', Object.assign({}, campaign, {campaignId: 'c2', currency: 'EUR'})),
+      'must be in the NGO\'s currency');
+    assertFails(await stub.invoke('createCampaign', Object.assign({}, campaign, {campaignId: 'c2', ngoRegistrationNumber: '6323'})),
+      'AccessDeniedError');
+    assertFails(await stub.invoke('createCampaign', Object.assign({}, campaign, {campaignId: 'c2'}), {identity: identities.edge}),
+      'Permitted roles are: admin, ngo');
+    await stub.invokeOk('updateNGO', {ngoRegistrationNumber: '6323', status: 'suspended'}, {identity: identities.admin});
+    assertFails(await stub.invoke('createCampaign', Object.assign({}, campaign, {campaignId: 'c2', ngoRegistrationNumber: '6323'})),
+      'the NGO is suspended');
+  },
+
+  'the progress of a campaign counts the donations towards it that have not been refunded': async (stub) => {
+    await setUp(stub);
+    await donate(stub, 'edge', 'd1', 2500, {campaignId: 'c1'});
+    await donate(stub, 'edge', 'd2', 1000, {campaignId: 'c1'});
+    await donate(stub, 'braendle', 'd3', 3333, {campaignId: 'c1'});
+    await donate(stub, 'braendle', 'd4', 5000);
+    await stub.invokeOk('reverseDonation', {donationId: 'd2', refundDate: '2018-09-25T12:41:59.582Z'}, {identity: identities.admin});
+
+    let progress = (await stub.invokeOk('queryCampaign', {campaignId: 'c1'})).progress;
+    assert.deepStrictEqual(progress, {raised: 5833, donationCount: 2, donorCount: 2, percentOfGoal: 58.33, open: true});
+    let campaigns = await stub.invokeOk('queryCampaignsForNGO', {ngoRegistrationNumber: '6322'});
+    assert.deepStrictEqual(campaigns[0].Record.progress, progress);
+
+    let donations = await stub.invokeOk('queryDonationsForCampaign', {campaignId: 'c1'});
+    assert.deepStrictEqual(donations.map((result) => result.Record.donationId), ['d1', 'd2', 'd3']);
+  },
+
+  'a donation towards a campaign must be to its NGO, before its deadline': async (stub) => {
+    await setUp(stub);
+    let donation = {donationId: 'd1', donationAmount: 100, donationDate: '2019-03-30T00:00:00.000Z', donorUserName: 'edge',
+      ngoRegistrationNumber: '6322', campaignId: 'c1'};
+    let options = {identity: identities.edge};
+    assertFails(await stub.invoke('createDonation', Object.assign({}, donation, {campaignId: 'c9'}), options), 'Campaign does not exist');
+    assertFails(await stub.invoke('createDonation', Object.assign({}, donation, {ngoRegistrationNumber: '6323'}), options),
+      'is run by NGO: 6322, not: 6323');
+
+    // the deadline is checked against the transaction time, not the donationDate
+    let afterDeadline = {identity: identities.edge, txTime: '2019-03-31T00:00:01.000Z'};
+    assertFails(await stub.invoke('createDonation', donation, afterDeadline), 'closed to new donations at its deadline');
+    await stub.invokeOk('createDonation', donation, {txTime: '2019-03-31T00:00:00.000Z'});
+
+    let closed = await stub.invokeOk('queryCampaign', {campaignId: 'c1'}, afterDeadline);
+    assert.strictEqual(closed.progress.open, false);
+    assert.strictEqual(closed.progress.percentOfGoal, 1);
+  }
+};
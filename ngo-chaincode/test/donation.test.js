@@ -0,0 +1,148 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for donations, refunds and the conversion of donations made in other currencies
+
+'use strict';
+const assert = require('assert');
+const {identities, createNGO, createDonor, donate, assertFails} = require('./fixtures.js');
+
+async function setUp(stub) {
+  await createNGO(stub);
+  await createDonor(stub, 'edge');
+  await createDonor(stub, 'braendle');
+}
+
+module.exports = {
+  'createDonation records the donation in the NGO\'s currency': async (stub) => {
+    await setUp(stub);
+    await donate(stub, 'edge', 'd1', 10000);
+    let donation = await stub.invokeOk('queryDonation', {donationId: 'd1'});
+    assert.strictEqual(donation.currency, 'USD');
+    assert.strictEqual(donation.docType, 'donation');
+    assert.deepStrictEqual(stub.events.pop(), {name: 'DonationCreated', payload: donation});
+  },
+
+  'createDonation rejects invalid donations': async (stub) => {
+    await setUp(stub);
+    let donation = {donationId: 'd1', donationAmount: 100, donationDate: '2018-09-20T12:41:59.582Z',
+      donorUserName: 'edge', ngoRegistrationNumber: '6322'};
+    for (let amount of [0, -100, 10.5, '100']) {
+      assertFails(await stub.invoke('createDonation', Object.assign({}, donation, {donationAmount: amount}), {identity: identities.edge}),
+        'donationAmount');
+    }
+    assertFails(await stub.invoke('createDonation', Object.assign({}, donation, {ngoRegistrationNumber: '9999'})), 'NGO does not exist');
+    assertFails(await stub.invoke('createDonation', Object.assign({}, donation, {currency: 'XYZ'})), 'currency');
+
+    await stub.invokeOk('createDonation', donation);
+    assertFails(await stub.invoke('createDonation', donation), 'already exists');
+  },
+
+  'a donor may only donate as themselves': async (stub) => {
+    await setUp(stub);
+    let donation = {donationId: 'd1', donationAmount: 100, donationDate: '2018-09-20T12:41:59.582Z',
+      donorUserName: 'braendle', ngoRegistrationNumber: '6322'};
+    assertFails(await stub.invoke('createDonation', donation, {identity: identities.edge}), 'may not call createDonation for donorUserName braendle');
+    assertFails(await stub.invoke('createDonation', donation, {identity: identities.admin}), 'Permitted roles are: donor');
+    assertFails(await stub.invoke('createDonation', Object.assign({}, donation, {donorUserName: 'nobody'}),
+      {identity: {attrs: {role: 'donor', donorUserName: 'nobody'}}}), 'Donor does not exist');
+  },
+
+  'donations can be queried by donor, by NGO and a page at a time': async (stub) => {
+    await setUp(stub);
+    await createNGO(stub, {ngoRegistrationNumber: '6323', ngoName: 'Kids In Need'});
+    await donate(stub, 'edge', 'd1', 100);
+    await donate(stub, 'braendle', 'd2', 200);
+    await donate(stub, 'edge', 'd3', 300, {ngoRegistrationNumber: '6323'});
+
+    let forDonor = await stub.invokeOk('queryDonationsForDonor', {donorUserName: 'edge'});
+    assert.deepStrictEqual(forDonor.map((donation) => donation.Record.donationId), ['d1', 'd3']);
+    let forNGO = await stub.invokeOk('queryDonationsForNGO', {ngoRegistrationNumber: '6322'});
+    assert.deepStrictEqual(forNGO.map((donation) => donation.Record.donationId), ['d1', 'd2']);
+    let all = await stub.invokeOk('queryAllDonations', {});
+    assert.deepStrictEqual(all.map((donation) => donation.Key), ['donationd1', 'donationd2', 'donationd3']);
+
+    let page = await stub.invokeOk('queryAllDonationsWithPagination', {pageSize: 2});
+    assert.deepStrictEqual(page.records.map((donation) => donation.Key), ['donationd1', 'donationd2']);
+    page = await stub.invokeOk('queryAllDonationsWithPagination', {pageSize: 2, bookmark: page.bookmark});
+    assert.deepStrictEqual(page.records.map((donation) => donation.Key), ['donationd3']);
+    assertFails(await stub.invoke('queryAllDonationsWithPagination', {pageSize: 0}), 'pageSize');
+  },
+
+  'reverseDonation marks the donation as refunded, once': async (stub) => {
+    await setUp(stub);
+    await donate(stub, 'edge', 'd1', 10000);
+    let refund = {donationId: 'd1', refundDate: '2018-09-25T12:41:59.582Z', refundReason: 'Chargeback'};
+    assertFails(await stub.invoke('reverseDonation', refund, {identity: identities.edge}), 'AccessDeniedError');
+    await stub.invokeOk('reverseDonation', refund, {identity: identities.admin});
+
+    let donation = await stub.invokeOk('queryDonation', {donationId: 'd1'});
+    assert.strictEqual(donation.donationStatus, 'refunded');
+    assert.strictEqual(donation.refundReason, 'Chargeback');
+    let event = stub.events.pop();
+    assert.strictEqual(event.name, 'DonationRefunded');
+    assert.deepStrictEqual(event.payload.reversedSpendAllocationIds, []);
+
+    assertFails(await stub.invoke('reverseDonation', refund), 'already been refunded');
+    assertFails(await stub.invoke('reverseDonation', Object.assign({}, refund, {donationId: 'd2'})), 'does not exist');
+    // the refunded donation no longer counts towards the NGO's funds
+    let ngo = await stub.invokeOk('queryNGO', {ngoRegistrationNumber: '6322'});
+    assert.strictEqual(ngo.availableBalances.unrestricted, 0);
+  },
+
+  'setFxRate records one rate per currency pair': async (stub) => {
+    let rate = {baseCurrency: 'EUR', quoteCurrency: 'USD', rate: '1.0832', rateDate: '2018-09-20T12:00:00.000Z'};
+    assertFails(await stub.invoke('setFxRate', rate, {identity: identities.edge}), 'AccessDeniedError');
+    await stub.invokeOk('setFxRate', rate, {identity: identities.admin});
+    await stub.invokeOk('setFxRate', Object.assign({}, rate, {rate: '1.1', rateDate: '2018-09-21T12:00:00.000Z'}));
+    assert.strictEqual((await stub.invokeOk('queryFxRate', {baseCurrency: 'EUR', quoteCurrency: 'USD'})).rate, '1.1');
+    assert.strictEqual(stub.events.pop().name, 'FxRateSet');
+
+    assertFails(await stub.invoke('setFxRate', Object.assign({}, rate, {quoteCurrency: 'EUR'})), 'must be different');
+    assertFails(await stub.invoke('setFxRate', Object.assign({}, rate, {rate: '1,08'})), 'rate');
+    assertFails(await stub.invoke('queryFxRate', {baseCurrency: 'USD', quoteCurrency: 'EUR'}), 'does not exist');
+  },
+
+  'a donation in another currency is converted using the FX rate': async (stub) => {
+    await setUp(stub);
+    let donation = {donationId: 'd1', donationAmount: 10000, currency: 'EUR', donationDate: '2018-09-20T12:41:59.582Z',
+      donorUserName: 'edge', ngoRegistrationNumber: '6322'};
+    assertFails(await stub.invoke('createDonation', donation, {identity: identities.edge}), 'no FX rate');
+
+    await stub.invokeOk('setFxRate', {baseCurrency: 'EUR', quoteCurrency: 'USD', rate: '1.0832', rateDate: '2018-09-20T12:00:00.000Z'},
+      {identity: identities.admin});
+    await stub.invokeOk('createDonation', donation, {identity: identities.edge});
+    let converted = await stub.invokeOk('queryDonation', {donationId: 'd1'});
+    assert.strictEqual(converted.donationAmount, 10832);
+    assert.strictEqual(converted.currency, 'USD');
+    assert.strictEqual(converted.originalDonationAmount, 10000);
+    assert.strictEqual(converted.originalCurrency, 'EUR');
+    assert.strictEqual(converted.fxRate, '1.0832');
+  },
+
+  'a conversion between currencies with different minor units rounds to the nearest unit': async (stub) => {
+    await setUp(stub);
+    await stub.invokeOk('setFxRate', {baseCurrency: 'JPY', quoteCurrency: 'USD', rate: '0.0043', rateDate: '2018-09-20T12:00:00.000Z'},
+      {identity: identities.admin});
+    // 1001 JPY is 4.3043 USD, which rounds to 4.30
+    await donate(stub, 'edge', 'd1', 1001, {currency: 'JPY'});
+    assert.strictEqual((await stub.invokeOk('queryDonation', {donationId: 'd1'})).donationAmount, 430);
+    // 1 JPY is worth less than half a cent, so cannot be donated
+    let response = await stub.invoke('createDonation', {donationId: 'd2', donationAmount: 1, currency: 'JPY',
+      donationDate: '2018-09-20T12:41:59.582Z', donorUserName: 'edge', ngoRegistrationNumber: '6322'});
+    assertFails(response, 'worth nothing');
+  }
+};
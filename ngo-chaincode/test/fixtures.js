@@ -0,0 +1,130 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Identities and records shared by the tests. Each helper invokes the chaincode as a caller permitted
+// to make the change, so the tests only need to pass an identity when access is what is being tested.
+
+'use strict';
+const assert = require('assert');
+
+const identities = {
+  admin: {attrs: {role: 'admin'}},
+  edge: {attrs: {role: 'donor', donorUserName: 'edge'}},
+  braendle: {attrs: {role: 'donor', donorUserName: 'braendle'}},
+  pets: {attrs: {role: 'ngo', ngoRegistrationNumber: '6322'}},
+  employer: {attrs: {role: 'employer', contractNumber: '1001'}},
+  verifier: {mspId: 'Org1MSP', attrs: {role: 'verifier'}},
+  relay: {attrs: {role: 'relay'}}
+};
+
+const registrationDocuments = [{
+  documentType: 'certificateOfRegistration',
+  fileName: 'registration.pdf',
+  sha256: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08'
+}];
+
+/**
+ * Submits the NGO 6322, Pets In Need, for verification. fields are added to, or replace, the NGO's fields
+ */
+async function submitNGO(stub, fields) {
+  let ngo = Object.assign({ngoRegistrationNumber: '6322', ngoName: 'Pets In Need', registrationDocuments: registrationDocuments}, fields);
+  await stub.invokeOk('createNGO', ngo, {identity: identities.admin});
+  return ngo;
+}
+
+/**
+ * Creates the NGO 6322, Pets In Need, and verifies it so it can receive donations. The first NGO created sets
+ * the verification policy, with the verifier's organisation as the only verifier organisation. fields are
+ * added to, or replace, the NGO's fields
+ */
+async function createNGO(stub, fields) {
+  let ngo = await submitNGO(stub, fields);
+  if (!stub.state.has('verificationPolicy')) {
+    await stub.invokeOk('setVerificationPolicy', {verifierMSPs: [identities.verifier.mspId], quorum: 1});
+  }
+  await stub.invokeOk('approveNGO', {ngoRegistrationNumber: ngo.ngoRegistrationNumber}, {identity: identities.verifier});
+  return ngo;
+}
+
+/**
+ * Creates a donor, who may donate to any NGO. The donor's email is passed in the transient map
+ */
+async function createDonor(stub, donorUserName) {
+  await stub.invokeOk('createDonor', {donorUserName: donorUserName},
+    {identity: identities.admin, transient: {privateDetails: {email: donorUserName + '@abc.com', salt: donorUserName + '-salt-0123456789'}}});
+}
+
+/**
+ * Makes a donation to NGO 6322 as the donor. fields are added to, or replace, the donation's fields
+ */
+async function donate(stub, donorUserName, donationId, donationAmount, fields) {
+  let donation = Object.assign({
+    donationId: donationId,
+    donationAmount: donationAmount,
+    donationDate: '2018-09-20T12:41:59.582Z',
+    donorUserName: donorUserName,
+    ngoRegistrationNumber: '6322'
+  }, fields);
+  await stub.invokeOk('createDonation', donation, {identity: {attrs: {role: 'donor', donorUserName: donorUserName}}});
+  return donation;
+}
+
+/**
+ * Records spend for NGO 6322. fields are added to, or replace, the spend's fields
+ */
+async function spend(stub, spendId, spendAmount, fields) {
+  let spendRecord = Object.assign({
+    spendId: spendId,
+    spendAmount: spendAmount,
+    spendDate: '2018-09-21T12:41:59.582Z',
+    spendDescription: 'Peter Pipers Poulty Portions for Pets',
+    ngoRegistrationNumber: '6322'
+  }, fields);
+  return stub.invoke('createSpend', spendRecord, {identity: identities.pets});
+}
+
+/**
+ * Returns the amount allocated to each donation by a spend, as {donationId: amount}, ignoring reversed allocations
+ */
+async function allocationsForSpend(stub, spendId) {
+  let allocations = await stub.invokeOk('querySpendAllocationForSpend', {spendId: spendId});
+  let amounts = {};
+  for (let allocation of allocations) {
+    if (allocation.Record.spendAllocationStatus !== 'reversed') {
+      let donationId = allocation.Record.donationId;
+      amounts[donationId] = (amounts[donationId] || 0) + allocation.Record.spendAllocationAmount;
+    }
+  }
+  return amounts;
+}
+
+/**
+ * Asserts a transaction failed with a message containing the text
+ */
+function assertFails(response, text) {
+  assert.strictEqual(response.status, 500, 'expected the transaction to fail, but it succeeded');
+  assert.ok(response.message.indexOf(text) >= 0, 'expected the message to contain: ' + text + ', but it was: ' + response.message);
+}
+
+exports.identities = identities;
+exports.registrationDocuments = registrationDocuments;
+exports.submitNGO = submitNGO;
+exports.createNGO = createNGO;
+exports.createDonor = createDonor;
+exports.donate = donate;
+exports.spend = spend;
+exports.allocationsForSpend = allocationsForSpend;
+exports.assertFails = assertFails;
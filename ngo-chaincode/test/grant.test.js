@@ -0,0 +1,132 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for grants of an NGO's unspent donations to another NGO, and tracing the receiving NGO's spend to the donors
+
+'use strict';
+const assert = require('assert');
+const {identities, submitNGO, createNGO, createDonor, donate, spend, allocationsForSpend, assertFails} = require('./fixtures.js');
+
+const kids = {attrs: {role: 'ngo', ngoRegistrationNumber: '6323'}};
+
+const grant = {
+  grantId: 'g1',
+  ngoRegistrationNumber: '6322',
+  recipientNGORegistrationNumber: '6323',
+  grantAmount: 4000,
+  grantDate: '2018-10-01T00:00:00.000Z',
+  grantDescription: 'Food for the shelter run by our partner',
+  restriction: 'food'
+};
+
+async function setUp(stub) {
+  await createNGO(stub);
+  await createNGO(stub, {ngoRegistrationNumber: '6323', ngoName: 'Kids In Need'});
+  await createDonor(stub, 'edge');
+  await createDonor(stub, 'braendle');
+  await donate(stub, 'edge', 'd1', 3000, {restriction: 'food'});
+  await donate(stub, 'braendle', 'd2', 5000);
+}
+
+async function createGrant(stub, fields) {
+  return stub.invoke('createGrant', Object.assign({}, grant, fields), {identity: identities.pets});
+}
+
+module.exports = {
+  'createGrant allocates the grant to the NGO\'s donations and creates linked donations for the receiving NGO': async (stub) => {
+    await setUp(stub);
+    assert.strictEqual((await createGrant(stub)).status, 200);
+    let recorded = await stub.invokeOk('queryGrant', {grantId: 'g1'});
+    assert.deepStrictEqual([recorded.currency, recorded.grantAmount], ['USD', 4000]);
+
+    // restricted donations fund the grant first, and the restriction is kept on the receiving NGO's donations
+    assert.deepStrictEqual(recorded.spendAllocations.map((allocation) => [allocation.donationId, allocation.spendAllocationAmount]),
+      [['d1', 3000], ['d2', 1000]]);
+    assert.ok(recorded.spendAllocations.every((allocation) => allocation.grantId === 'g1' && allocation.spendId === undefined));
+    assert.deepStrictEqual(recorded.donations[0], {docType: 'donation', donationId: 'g1-1', donationAmount: 3000, currency: 'USD',
+      donationDate: grant.grantDate, donorUserName: 'edge', ngoRegistrationNumber: '6323', restriction: 'food', grantId: 'g1',
+      sourceDonationId: 'd1', sourceNGORegistrationNumber: '6322', sourceSpendAllocationId: recorded.spendAllocations[0].spendAllocationId});
+    assert.deepStrictEqual([recorded.donations[1].donorUserName, recorded.donations[1].donationAmount, recorded.donations[1].restriction],
+      ['braendle', 1000, 'food']);
+    let event = stub.events.pop();
+    assert.strictEqual(event.name, 'GrantCreated');
+    assert.deepStrictEqual(event.payload.donations, recorded.donations);
+
+    // the granted funds are no longer available to the granting NGO
+    assertFails(await spend(stub, 's1', 4001), 'does not have sufficient funds');
+    assert.strictEqual((await spend(stub, 's1', 4000)).status, 200);
+
+    // the receiving NGO's spend is traced back through the grant to the original donations
+    await stub.invokeOk('createSpend', {spendId: 's2', spendAmount: 3500, spendCategory: 'food', spendDate: '2018-10-02T00:00:00.000Z',
+      ngoRegistrationNumber: '6323'}, {identity: kids});
+    let allocated = await allocationsForSpend(stub, 's2');
+    assert.strictEqual(allocated['g1-1'] + allocated['g1-2'], 3500);
+    let traced = await stub.invokeOk('queryDonation', {donationId: 'g1-1'});
+    assert.deepStrictEqual(await stub.invokeOk('queryDonation', {donationId: traced.sourceDonationId}),
+      await stub.invokeOk('queryDonation', {donationId: 'd1'}));
+    assertFails(await stub.invoke('createSpend', {spendId: 's3', spendAmount: 600, spendCategory: 'food', spendDate: '2018-10-02T00:00:00.000Z',
+      ngoRegistrationNumber: '6323'}), 'does not have sufficient funds');
+  },
+
+  'a grant without a restriction is only funded by unrestricted donations, and can be converted': async (stub) => {
+    await setUp(stub);
+    assertFails(await createGrant(stub, {restriction: undefined, grantAmount: 5001}), 'does not have sufficient funds');
+    await createNGO(stub, {ngoRegistrationNumber: '6325', ngoName: 'Tiere in Not', currency: 'EUR'});
+    await stub.invokeOk('setFxRate', {baseCurrency: 'USD', quoteCurrency: 'EUR', rate: '0.9', rateDate: '2018-09-30T00:00:00.000Z'},
+      {identity: identities.admin});
+    await stub.invokeOk('createGrant', Object.assign({}, grant, {restriction: undefined, grantAmount: 1000, recipientNGORegistrationNumber: '6325'}),
+      {identity: identities.pets});
+    let donation = (await stub.invokeOk('queryGrant', {grantId: 'g1'})).donations[0];
+    assert.deepStrictEqual([donation.sourceDonationId, donation.donationAmount, donation.currency, donation.originalDonationAmount,
+      donation.restriction], ['d2', 900, 'EUR', 1000, undefined]);
+
+    let grantIds = async (ngoRegistrationNumber) => (await stub.invokeOk('queryGrantsForNGO', {ngoRegistrationNumber: ngoRegistrationNumber}))
+      .map((result) => result.Record.grantId);
+    assert.deepStrictEqual(await grantIds('6322'), ['g1']);
+    assert.deepStrictEqual(await grantIds('6325'), ['g1']);
+    assert.deepStrictEqual(await grantIds('6323'), []);
+  },
+
+  'createGrant rejects invalid grants': async (stub) => {
+    await setUp(stub);
+    await submitNGO(stub, {ngoRegistrationNumber: '6324', ngoName: 'Birds In Need'});
+    assertFails(await createGrant(stub, {recipientNGORegistrationNumber: '6322'}), 'cannot make a grant to itself');
+    assertFails(await createGrant(stub, {recipientNGORegistrationNumber: '6324'}), 'Cannot make a grant to the NGO as it is pending');
+    assertFails(await createGrant(stub, {recipientNGORegistrationNumber: '9999'}), 'does not exist');
+    assertFails(await createGrant(stub, {currency: 'EUR'}), 'must be in the NGO\'s currency: USD');
+    assertFails(await createGrant(stub, {grantAmount: 0}), 'grantAmount');
+    assertFails(await stub.invoke('createGrant', Object.assign({}, grant, {ngoRegistrationNumber: '6323', recipientNGORegistrationNumber: '6322'})),
+      'may not call createGrant for ngoRegistrationNumber 6323');
+    await createGrant(stub);
+    assertFails(await createGrant(stub), 'This Grant already exists');
+  },
+
+  'granted donations are not refunded or given again on the donor\'s statement': async (stub) => {
+    await setUp(stub);
+    await createGrant(stub);
+    assertFails(await stub.invoke('reverseDonation', {donationId: 'd1', refundDate: '2018-10-02T00:00:00.000Z'}, {identity: identities.admin}),
+      'has been granted to another NGO in the grant: g1');
+    assertFails(await stub.invoke('reverseDonation', {donationId: 'g1-1', refundDate: '2018-10-02T00:00:00.000Z'}),
+      'is part of the grant: g1 from NGO: 6322');
+    assertFails(await stub.invoke('createDonation', {donationId: 'd3', donationAmount: 100, donationDate: '2018-09-20T12:41:59.582Z',
+      donorUserName: 'edge', ngoRegistrationNumber: '6323', grantId: 'g1'}, {identity: identities.edge}), 'is set by createGrant');
+
+    let statement = await stub.invokeOk('queryDonorStatement', {donorUserName: 'edge', year: 2018});
+    assert.deepStrictEqual(statement.ngos.map((ngo) => ngo.donations.map((donation) => donation.donationId)), [['d1']]);
+    let donations = await stub.invokeOk('queryDonationsForDonor', {donorUserName: 'edge'});
+    assert.deepStrictEqual(donations.map((result) => result.Record.donationId), ['d1', 'g1-1']);
+  }
+};
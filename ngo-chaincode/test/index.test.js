@@ -0,0 +1,75 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for the composite-key indexes that the queries for an NGO, donor, spend or donation use in place of
+// range scanning every record of the docType
+
+'use strict';
+const assert = require('assert');
+const {createNGO, createDonor, donate, spend} = require('./fixtures.js');
+
+async function setUp(stub) {
+  await createNGO(stub);
+  await createNGO(stub, {ngoRegistrationNumber: '6323', ngoName: 'Kids In Need'});
+  await createDonor(stub, 'edge');
+  await createDonor(stub, 'braendle');
+  await donate(stub, 'edge', 'd1', 1000);
+  await donate(stub, 'braendle', 'd2', 2000);
+  await donate(stub, 'edge', 'd3', 3000, {ngoRegistrationNumber: '6323'});
+  await spend(stub, 's1', 1500);
+}
+
+function indexKey(stub, indexName, attributes) {
+  return stub.createCompositeKey(indexName, attributes);
+}
+
+module.exports = {
+  'an index entry is written for each indexed attribute a record has': async (stub) => {
+    await setUp(stub);
+    assert.ok(stub.state.has(indexKey(stub, 'donation~ngo~id', ['6322', 'donationd1'])));
+    assert.ok(stub.state.has(indexKey(stub, 'donation~donor~id', ['edge', 'donationd1'])));
+    assert.ok(stub.state.has(indexKey(stub, 'spend~ngo~id', ['6322', 'spends1'])));
+    assert.deepStrictEqual(stub.state.get(indexKey(stub, 'donation~ngo~id', ['6322', 'donationd1'])), Buffer.from('\u0000'));
+    // a donation without a pledge has no entry in the pledge index
+    assert.ok(!Array.from(stub.state.keys()).some((key) => key.startsWith('\u0000donation~pledge~id\u0000')));
+  },
+
+  'queries by NGO, donor, spend and donation read their index, not every record of the docType': async (stub) => {
+    await setUp(stub);
+    let rangeScans = [];
+    let getStateByRange = stub.getStateByRange;
+    stub.getStateByRange = function(startKey, endKey) {
+      rangeScans.push(startKey);
+      return getStateByRange.apply(this, arguments);
+    };
+    let keys = (results) => results.map((result) => result.Key);
+    assert.deepStrictEqual(keys(await stub.invokeOk('queryDonationsForNGO', {ngoRegistrationNumber: '6322'})), ['donationd1', 'donationd2']);
+    assert.deepStrictEqual(keys(await stub.invokeOk('queryDonationsForNGO', {ngoRegistrationNumber: '6323'})), ['donationd3']);
+    assert.deepStrictEqual(keys(await stub.invokeOk('queryDonationsForDonor', {donorUserName: 'edge'})), ['donationd1', 'donationd3']);
+    assert.deepStrictEqual(keys(await stub.invokeOk('querySpendForNGO', {ngoRegistrationNumber: '6322'})), ['spends1']);
+    assert.strictEqual((await stub.invokeOk('querySpendAllocationForSpend', {spendId: 's1'})).length, 2);
+    assert.strictEqual((await stub.invokeOk('querySpendAllocationForDonation', {donationId: 'd1'})).length, 1);
+    assert.deepStrictEqual(await stub.invokeOk('queryDonationsForNGO', {ngoRegistrationNumber: '9999'}), []);
+    assert.deepStrictEqual(rangeScans, []);
+  },
+
+  'an index entry whose record no longer exists is skipped': async (stub) => {
+    await setUp(stub);
+    stub.state.delete('donationd2');
+    let results = await stub.invokeOk('queryDonationsForNGO', {ngoRegistrationNumber: '6322'});
+    assert.deepStrictEqual(results.map((result) => result.Key), ['donationd1']);
+  }
+};
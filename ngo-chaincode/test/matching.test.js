@@ -0,0 +1,188 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for corporate matching-gift programmes, and the matching donations made by sponsors
+
+'use strict';
+const assert = require('assert');
+const {identities, createNGO, createDonor, donate, spend, assertFails} = require('./fixtures.js');
+
+const program = {
+  programId: 'acme-match',
+  sponsorName: 'Acme Corporation',
+  sponsorUserName: 'acme',
+  matchRatio: '1',
+  annualCapPerDonor: 1500,
+  eligibleNGOs: ['6322']
+};
+
+async function setUp(stub) {
+  await createNGO(stub);
+  await createNGO(stub, {ngoRegistrationNumber: '6323', ngoName: 'Kids In Need'});
+  await createDonor(stub, 'edge');
+  await createDonor(stub, 'braendle');
+  await createDonor(stub, 'acme');
+  await stub.invokeOk('createMatchingProgram', program, {identity: identities.admin});
+  await stub.invokeOk('linkDonorToSponsor', {donorUserName: 'edge', programId: 'acme-match'}, {identity: identities.edge});
+}
+
+async function queryDonation(stub, donationId) {
+  return stub.invokeOk('queryDonation', {donationId: donationId});
+}
+
+module.exports = {
+  'createMatchingProgram and linkDonorToSponsor validate the programme and the link': async (stub) => {
+    await setUp(stub);
+    let created = await stub.invokeOk('queryMatchingProgram', {programId: 'acme-match'});
+    assert.strictEqual(created.currency, 'USD');
+    assertFails(await stub.invoke('createMatchingProgram', program, {identity: identities.admin}), 'already exists');
+    assertFails(await stub.invoke('createMatchingProgram', Object.assign({}, program, {programId: 'p2', matchRatio: '-1'})), 'matchRatio');
+    assertFails(await stub.invoke('createMatchingProgram', Object.assign({}, program, {programId: 'p2', sponsorUserName: 'globex'})),
+      'the sponsor is not a Donor');
+    assertFails(await stub.invoke('createMatchingProgram', Object.assign({}, program, {programId: 'p2', eligibleNGOs: ['9999']})),
+      'NGO does not exist');
+    assertFails(await stub.invoke('createMatchingProgram', Object.assign({}, program, {programId: 'p2'}), {identity: identities.edge}),
+      'Permitted roles are: admin');
+
+    assertFails(await stub.invoke('linkDonorToSponsor', {donorUserName: 'edge', programId: 'p9'}), 'matching programme does not exist');
+    assertFails(await stub.invoke('linkDonorToSponsor', {donorUserName: 'acme', programId: 'acme-match'}, {identity: identities.admin}),
+      'cannot match its own donations');
+    assertFails(await stub.invoke('linkDonorToSponsor', {donorUserName: 'braendle', programId: 'acme-match'}, {identity: identities.edge}),
+      'AccessDeniedError');
+    assert.strictEqual(stub.events.pop().name, 'DonorLinkedToSponsor');
+  },
+
+  'a linked donor\'s donation is matched by the sponsor up to the annual cap': async (stub) => {
+    await setUp(stub);
+    await donate(stub, 'edge', 'd1', 1000);
+    let match = await queryDonation(stub, 'd1-match');
+    assert.deepStrictEqual(match, {docType: 'donation', donationId: 'd1-match', donationAmount: 1000, currency: 'USD',
+      donationDate: '2018-09-20T12:41:59.582Z', donorUserName: 'acme', ngoRegistrationNumber: '6322', matchingGift: true,
+      matchingProgramId: 'acme-match', matchingYear: 2019, matchedDonationId: 'd1', matchedDonorUserName: 'edge'});
+    assert.strictEqual((await queryDonation(stub, 'd1')).matchingDonationId, 'd1-match');
+    let event = stub.events.pop();
+    assert.strictEqual(event.name, 'DonationCreated');
+    assert.strictEqual(event.payload.donationId, 'd1');
+    assert.deepStrictEqual(event.payload.matchingDonation, match);
+
+    // the second donation reaches the cap, and the third is not matched
+    await donate(stub, 'edge', 'd2', 1000);
+    await donate(stub, 'edge', 'd3', 100);
+    assert.strictEqual((await queryDonation(stub, 'd2-match')).donationAmount, 500);
+    assertFails(await stub.invoke('queryDonation', {donationId: 'd3-match'}), 'does not exist');
+    let matching = await stub.invokeOk('queryMatchingForDonor', {donorUserName: 'edge', year: 2019});
+    assert.deepStrictEqual(matching, {donorUserName: 'edge', programId: 'acme-match', sponsorName: 'Acme Corporation', year: 2019,
+      annualCapPerDonor: 1500, matchedAmount: 1500, remaining: 0, currency: 'USD'});
+
+    // the cap is for each calendar year of the transaction, so dating a donation into another year does not escape it
+    await donate(stub, 'edge', 'd4', 200, {donationDate: '2020-01-02T00:00:00.000Z'});
+    assertFails(await stub.invoke('queryDonation', {donationId: 'd4-match'}), 'does not exist');
+    await stub.invokeOk('createDonation', {donationId: 'd5', donationAmount: 200, donationDate: '2018-09-20T12:41:59.582Z', donorUserName: 'edge',
+      ngoRegistrationNumber: '6322', restriction: 'food'}, {identity: identities.edge, txTime: '2020-01-02T00:00:00.000Z'});
+    let nextYear = await queryDonation(stub, 'd5-match');
+    assert.deepStrictEqual([nextYear.donationAmount, nextYear.restriction, nextYear.matchingYear], [200, 'food', 2020]);
+    assert.strictEqual((await stub.invokeOk('queryMatchingForDonor', {donorUserName: 'edge', year: 2020})).remaining, 1300);
+
+    let matches = await stub.invokeOk('queryMatchingDonationsForDonor', {donorUserName: 'edge'});
+    assert.deepStrictEqual(matches.map((result) => result.Record.donationId), ['d1-match', 'd2-match', 'd5-match']);
+    let own = await stub.invokeOk('queryDonationsForDonor', {donorUserName: 'edge'});
+    assert.deepStrictEqual(own.map((result) => result.Record.donationId), ['d1', 'd2', 'd3', 'd4', 'd5']);
+  },
+
+  'only eligible donations by linked donors are matched, rounding down': async (stub) => {
+    await setUp(stub);
+    await donate(stub, 'braendle', 'd1', 1000);
+    await donate(stub, 'edge', 'd2', 1000, {ngoRegistrationNumber: '6323'});
+    assert.strictEqual(Array.from(stub.state.keys()).filter((key) => key.startsWith('donation') && key.endsWith('-match')).length, 0);
+    assert.deepStrictEqual(await stub.invokeOk('queryMatchingForDonor', {donorUserName: 'braendle'}), {donorUserName: 'braendle', programId: null});
+
+    await stub.invokeOk('createMatchingProgram', Object.assign({}, program, {programId: 'half', matchRatio: '0.5'}), {identity: identities.admin});
+    await stub.invokeOk('linkDonorToSponsor', {donorUserName: 'edge', programId: 'half'});
+    await donate(stub, 'edge', 'd3', 333);
+    assert.strictEqual((await queryDonation(stub, 'd3-match')).donationAmount, 166);
+
+    // a sponsor that is not active does not match
+    await stub.invokeOk('updateDonor', {donorUserName: 'acme', status: 'suspended'}, {identity: identities.admin});
+    await donate(stub, 'edge', 'd4', 100);
+    assert.strictEqual((await queryDonation(stub, 'd4')).matchingDonationId, undefined);
+
+    let response = await stub.invoke('createDonation', {donationId: 'd5', donationAmount: 100, donationDate: '2018-09-20T12:41:59.582Z',
+      donorUserName: 'edge', ngoRegistrationNumber: '6322', matchingGift: true}, {identity: identities.edge});
+    assertFails(response, 'The field matchingGift is set by matching');
+  },
+
+  'reversing a matched donation reverses the match and gives it back to the cap': async (stub) => {
+    await setUp(stub);
+    await donate(stub, 'edge', 'd1', 1000);
+    await donate(stub, 'edge', 'd2', 1000);
+    assert.strictEqual((await spend(stub, 's1', 2400)).status, 200);
+    await stub.invokeOk('reverseDonation', {donationId: 'd1', refundDate: '2018-09-25T12:41:59.582Z', refundReason: 'Chargeback'},
+      {identity: identities.admin});
+
+    let match = await queryDonation(stub, 'd1-match');
+    assert.deepStrictEqual([match.donationStatus, match.refundReason], ['refunded', 'Chargeback']);
+    let event = stub.events.pop();
+    assert.strictEqual(event.name, 'DonationRefunded');
+    assert.strictEqual(event.payload.matchingDonation.donationId, 'd1-match');
+    // the spend of both refunded donations is re-allocated to the others, as far as their funds go
+    let allocations = await stub.invokeOk('querySpendAllocationForSpend', {spendId: 's1'});
+    let active = allocations.filter((allocation) => allocation.Record.spendAllocationStatus !== 'reversed');
+    assert.ok(active.every((allocation) => ['d2', 'd2-match'].indexOf(allocation.Record.donationId) >= 0));
+    assert.strictEqual((await stub.invokeOk('querySpend', {spendId: 's1'})).underfundedAmount, 900);
+
+    let matching = await stub.invokeOk('queryMatchingForDonor', {donorUserName: 'edge', year: 2019});
+    assert.deepStrictEqual([matching.matchedAmount, matching.remaining], [500, 1000]);
+    await donate(stub, 'edge', 'd3', 2000);
+    assert.strictEqual((await queryDonation(stub, 'd3-match')).donationAmount, 1000);
+
+    // reversing a matching donation on its own gives it back to the cap, and leaves the donor's donation
+    await stub.invokeOk('reverseDonation', {donationId: 'd3-match', refundDate: '2018-09-25T12:41:59.582Z', refundReason: 'Sponsor error'},
+      {identity: identities.admin});
+    assert.strictEqual((await queryDonation(stub, 'd3')).donationStatus, undefined);
+    assert.strictEqual((await stub.invokeOk('queryMatchingForDonor', {donorUserName: 'edge', year: 2019})).remaining, 1000);
+    await stub.invokeOk('reverseDonation', {donationId: 'd3', refundDate: '2018-09-25T12:41:59.582Z', refundReason: 'Chargeback'},
+      {identity: identities.admin});
+    assert.strictEqual((await stub.invokeOk('queryMatchingForDonor', {donorUserName: 'edge', year: 2019})).remaining, 1000);
+  },
+
+  'donation IDs ending with -match are kept for matching donations': async (stub) => {
+    await setUp(stub);
+    let response = await stub.invoke('createDonation', {donationId: 'd1-match', donationAmount: 100, donationDate: '2018-09-20T12:41:59.582Z',
+      donorUserName: 'braendle', ngoRegistrationNumber: '6322'}, {identity: identities.braendle});
+    assertFails(response, 'The donationId cannot end with -match');
+
+    // a donation recorded with the ID before it was kept stops the match, but not the donor's donation
+    let existing = {docType: 'donation', donationId: 'd1-match', donationAmount: 100, currency: 'USD', donationDate: '2018-09-20T12:41:59.582Z',
+      donorUserName: 'braendle', ngoRegistrationNumber: '6322'};
+    stub.state.set('donationd1-match', Buffer.from(JSON.stringify(existing)));
+    await donate(stub, 'edge', 'd1', 1000);
+    assert.strictEqual((await queryDonation(stub, 'd1')).matchingDonationId, undefined);
+    assert.deepStrictEqual(await queryDonation(stub, 'd1-match'), existing);
+    assert.strictEqual((await stub.invokeOk('queryMatchingForDonor', {donorUserName: 'edge', year: 2019})).matchedAmount, 0);
+  },
+
+  'spend funded by matching donations is flagged': async (stub) => {
+    await setUp(stub);
+    await donate(stub, 'edge', 'd1', 1000);
+    assert.strictEqual((await spend(stub, 's1', 2000)).status, 200);
+    let allocations = await stub.invokeOk('querySpendAllocationForSpend', {spendId: 's1'});
+    let flags = {};
+    for (let allocation of allocations) {
+      flags[allocation.Record.donationId] = allocation.Record.matchingGift;
+    }
+    assert.deepStrictEqual(flags, {'d1': undefined, 'd1-match': true});
+  }
+};
@@ -0,0 +1,154 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for members, employer contributions and withdrawals. The privacy of the members' personal details
+// is tested in privatedata.test.js
+
+'use strict';
+const assert = require('assert');
+const {identities, assertFails} = require('./fixtures.js');
+
+/**
+ * Creates a member of contract 1001, with a salary of 60,000.00 and a 5% deferral split between two funds
+ */
+async function createMember(stub, ssn, electiveDeferral) {
+  let member = {
+    firstName: 'John',
+    lastName: 'Doe',
+    contractNumber: '1001',
+    investments: [{fundName: 'A'}, {fundName: 'B'}]
+  };
+  let details = {ssn: ssn, dob: '1993-01-07', salary: 6000000, electiveDeferral: electiveDeferral || 5, salt: 'salt-0123456789-' + ssn};
+  let created = await stub.invokeOk('createMember', member,
+    {identity: identities.employer, transient: {privateDetails: details}});
+  return created.memberId;
+}
+
+async function setUp(stub) {
+  await stub.invokeOk('createEmployer', {contractNumber: '1001'}, {identity: identities.admin});
+  await stub.invokeOk('createEmployer', {contractNumber: '1002'});
+}
+
+module.exports = {
+  'createMember validates the member and may only be called by the contract\'s employer': async (stub) => {
+    await setUp(stub);
+    let member = {firstName: 'John', lastName: 'Doe', contractNumber: '1001'};
+    let transient = {privateDetails: {ssn: '111', salt: 'salt-0123456789-111'}};
+    assertFails(await stub.invoke('createMember', member, {identity: identities.employer,
+      transient: {privateDetails: {ssn: '111', electiveDeferral: 101, salt: 'salt-0123456789-111'}}}), 'electiveDeferral');
+    assertFails(await stub.invoke('createMember', Object.assign({}, member, {firstName: ''}), {transient: transient}), 'firstName');
+    assertFails(await stub.invoke('createMember', member, {transient: {privateDetails: {salt: 'salt-0123456789-111'}}}), 'ssn');
+    let response = await stub.invoke('createMember', Object.assign({}, member, {contractNumber: '1002'}), {transient: transient});
+    assertFails(response, 'AccessDeniedError');
+    assertFails(await stub.invoke('createMember', member, {identity: identities.admin, transient: transient}), 'Permitted roles are: employer');
+  },
+
+  'a member has a different memberId for each contract': async (stub) => {
+    await setUp(stub);
+    let first = await createMember(stub, '111');
+    let second = await stub.invokeOk('createMember', {firstName: 'John', lastName: 'Doe', contractNumber: '1002'},
+      {identity: {attrs: {role: 'employer', contractNumber: '1002'}}, transient: {privateDetails: {ssn: '111', salt: 'salt-0123456789-111'}}});
+    assert.notStrictEqual(first, second.memberId);
+    assert.deepStrictEqual(stub.events.pop(), {name: 'MemberCreated', payload: {memberId: second.memberId, contractNumber: '1002',
+      createDate: JSON.parse(stub.state.get('member' + second.memberId).toString()).createDate}});
+
+    let members = await stub.invokeOk('queryMembersBySsn', {ssn: '111'}, {identity: identities.admin});
+    assert.deepStrictEqual(members.map((member) => member.Record.contractNumber).sort(), ['1001', '1002']);
+    let member = await stub.invokeOk('queryMember', {ssn: '111', contractNumber: '1002'});
+    assert.strictEqual(member.memberId, second.memberId);
+    assertFails(await stub.invoke('queryMember', {ssn: '222', contractNumber: '1002'}), 'no member with this SSN');
+  },
+
+  'members can be queried a page at a time': async (stub) => {
+    await setUp(stub);
+    for (let ssn of ['111', '222', '333']) {
+      await createMember(stub, ssn);
+    }
+    let page = await stub.invokeOk('queryAllMembersWithPagination', {pageSize: 2}, {identity: identities.employer});
+    assert.strictEqual(page.fetchedCount, 2);
+    assert.ok(page.records.every((member) => member.Record.salary === 6000000));
+    page = await stub.invokeOk('queryAllMembersWithPagination', {pageSize: 2, bookmark: page.bookmark});
+    assert.strictEqual(page.fetchedCount, 1);
+    assert.strictEqual(page.bookmark, '');
+    assert.strictEqual((await stub.invokeOk('queryMembersForEmployer', {contractNumber: '1001'})).length, 3);
+    assert.deepStrictEqual(await stub.invokeOk('queryMembersForEmployer', {contractNumber: '1002'}), []);
+  },
+
+  'a contribution is recorded for each member of the contract': async (stub) => {
+    await setUp(stub);
+    let ids = [await createMember(stub, '111'), await createMember(stub, '222', 2.5)];
+    await stub.invokeOk('createContributionEmployer', {contractNumber: '1001', contributionAmount: 500000}, {identity: identities.employer});
+    // 5% and 2.5% of 60,000.00
+    let amounts = [300000, 150000];
+    for (let n = 0; n < ids.length; n++) {
+      let contributions = await stub.invokeOk('queryContributionsByMember', {memberId: ids[n]});
+      assert.strictEqual(contributions.length, 1);
+      let investments = contributions[0].Record.investments;
+      assert.strictEqual(investments[0].dollarVal + investments[1].dollarVal, amounts[n]);
+      assert.strictEqual(contributions[0].Record.contributionDate, '2019-01-01T00:00:05.000Z');
+    }
+    assert.deepStrictEqual(stub.events.pop(), {name: 'ContributionsCreated', payload: {contractNumber: '1001',
+      contributionAmount: 500000, grossAmount: 450000, memberCount: 2}});
+  },
+
+  'a contribution is rejected if it does not cover every member': async (stub) => {
+    await setUp(stub);
+    await createMember(stub, '111');
+    await createMember(stub, '222');
+    let response = await stub.invoke('createContributionEmployer', {contractNumber: '1001', contributionAmount: 599999},
+      {identity: identities.employer});
+    assertFails(response, 'Gross amount exceeds employer contrib amount');
+    response = await stub.invoke('createContributionEmployer', {contractNumber: '1001', contributionAmount: 300000});
+    assertFails(response, 'Contribution fund exhausted');
+    assert.strictEqual(Array.from(stub.state.keys()).filter((key) => key.startsWith('contribution')).length, 0);
+  },
+
+  'a contribution requires an active employer with members': async (stub) => {
+    await setUp(stub);
+    let response = await stub.invoke('createContributionEmployer', {contractNumber: '1001', contributionAmount: 100},
+      {identity: identities.employer});
+    assertFails(response, 'No members exist');
+    await createMember(stub, '111');
+    await stub.invokeOk('updateEmployer', {contractNumber: '1001', status: 'suspended'}, {identity: identities.admin});
+    response = await stub.invoke('createContributionEmployer', {contractNumber: '1001', contributionAmount: 1000000},
+      {identity: identities.employer});
+    assertFails(response, 'the Employer is suspended');
+    assertFails(await stub.invoke('createContributionEmployer', {contractNumber: '1001', contributionAmount: 0}), 'contributionAmount');
+    response = await stub.invoke('createContributionEmployer', {contractNumber: '1003', contributionAmount: 100},
+      {identity: {attrs: {role: 'employer', contractNumber: '1003'}}});
+    assertFails(response, 'Employer does not exist');
+  },
+
+  'a withdrawal must be for a member of the contract': async (stub) => {
+    await setUp(stub);
+    let memberId = await createMember(stub, '111');
+    let withdrawal = {withdrawalKey: 'w1', memberId: memberId, contractNumber: '1001', investments: [{fundName: 'A', dollarVal: 1000}]};
+    await stub.invokeOk('createWithdrawal', withdrawal);
+    assertFails(await stub.invoke('createWithdrawal', withdrawal), 'already exists');
+    assert.strictEqual(stub.events.pop().name, 'WithdrawalCreated');
+
+    let response = await stub.invoke('createWithdrawal', Object.assign({}, withdrawal, {withdrawalKey: 'w2', contractNumber: '1002'}),
+      {identity: {attrs: {role: 'employer', contractNumber: '1002'}}});
+    assertFails(response, 'Member does not exist');
+    response = await stub.invoke('createWithdrawal', Object.assign({}, withdrawal, {withdrawalKey: 'w2', memberId: undefined, ssn: '222'}),
+      {identity: identities.employer});
+    assertFails(response, 'memberId');
+    assertFails(await stub.invoke('createWithdrawal', Object.assign({}, withdrawal, {withdrawalKey: 'w2', investments: undefined})), 'investments');
+
+    let withdrawals = await stub.invokeOk('queryWithdrawalByMember', {ssn: '111'});
+    assert.deepStrictEqual(withdrawals.map((result) => result.Record.withdrawalKey), ['w1']);
+  }
+};
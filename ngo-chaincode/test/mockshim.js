@@ -0,0 +1,60 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// The parts of fabric-shim used by the chaincode, for running the chaincode in the tests without a peer.
+// The caller's identity comes from the MockStub rather than from a certificate (see mockstub.js).
+
+'use strict';
+
+/**
+ * Reads the caller's identity from MockStub.identity, which is set as follows:
+ * {
+ *    "mspId": "Org1MSP",
+ *    "id": "x509::CN=edge",
+ *    "attrs": {"role": "donor", "donorUserName": "edge"}
+ * }
+ */
+class ClientIdentity {
+  constructor(stub) {
+    this.identity = stub.identity || {};
+  }
+
+  getMSPID() {
+    return this.identity.mspId || 'Org1MSP';
+  }
+
+  getID() {
+    return this.identity.id || 'x509::CN=test';
+  }
+
+  getAttributeValue(name) {
+    let attrs = this.identity.attrs || {};
+    return attrs[name] === undefined ? null : attrs[name];
+  }
+
+  assertAttributeValue(name, value) {
+    return this.getAttributeValue(name) === value;
+  }
+}
+
+module.exports = {
+  ClientIdentity: ClientIdentity,
+  success: (payload) => ({status: 200, payload: payload}),
+  error: (err) => ({status: 500, message: err.toString()}),
+  start: () => {
+    throw new Error('The chaincode cannot be started in the tests. Use MockStub.invoke');
+  }
+};
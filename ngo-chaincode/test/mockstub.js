@@ -0,0 +1,324 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// An in-memory stand-in for the ChaincodeStub a peer passes to the chaincode, so the chaincode can be
+// tested with plain node. It emulates a LevelDB peer:
+//
+//    - world state, with range, partial composite key and history queries. Rich queries are rejected, as
+//      LevelDB rejects them, so the chaincode uses its LevelDB fallbacks
+//    - private data collections, and the transient map of the proposal. A peer that is not a member of a
+//      collection does not hold its data, so reads return nothing
+//    - transactions. Writes are only visible once the transaction commits, which it does if the function
+//      succeeds, and the last event set by the function is kept
+//
+// Requiring this module also makes require('fabric-shim') return mockshim.js.
+
+'use strict';
+const Module = require('module');
+const path = require('path');
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function(request) {
+  if (request === 'fabric-shim') {
+    return path.join(__dirname, 'mockshim.js');
+  }
+  return resolveFilename.apply(this, arguments);
+};
+
+// the time of the first transaction. Each transaction is one second after the previous one
+const startTime = Date.UTC(2019, 0, 1);
+
+// the names of the chaincode functions invoked by any MockStub, so run.js can report functions without tests
+const invokedFunctions = new Set();
+
+/**
+ * Iterates over an array of {key, value}, as a state query iterator does
+ */
+class MockIterator {
+  constructor(results) {
+    this.results = results;
+    this.index = 0;
+  }
+
+  async next() {
+    if (this.index >= this.results.length) {
+      return {done: true};
+    }
+    let value = this.results[this.index++];
+    return {value: value, done: this.index >= this.results.length};
+  }
+
+  async close() {
+  }
+}
+
+class MockStub {
+  /**
+   * @param {*} chaincode - an instance of the chaincode
+   */
+  constructor(chaincode) {
+    this.chaincode = chaincode;
+    this.state = new Map();
+    this.privateState = new Map();
+    this.history = new Map();
+    this.events = [];
+    this.txCount = 0;
+    // the caller's identity - see mockshim.ClientIdentity
+    this.identity = {};
+    // the collections the peer is a member of, or null for every collection
+    this.peerCollections = null;
+  }
+
+  /**
+   * Invokes a chaincode function as a transaction, committing its writes if it succeeds
+   *
+   * @param {*} fcn - the name of the function
+   * @param {*} args - the arguments, as JSON or as a string. Left out, the function is passed no arguments, as
+   * for a transaction invoked with only the function name, e.g. {"Args":["queryAllNGOs"]}
+   * @param {*} options - optional, as follows. The identity is kept for later transactions:
+   * {
+   *    "identity": {"attrs": {"role": "admin"}},
+   *    "transient": {"privateDetails": {"email": "edge@abc.com", "salt": "1a2b"}},
+   *    "txTime": "2019-06-01T00:00:00.000Z"
+   * }
+   * @returns {status, message, payload}, with the payload parsed as JSON where it is JSON
+   */
+  async invoke(fcn, args, options) {
+    options = options || {};
+    if (options.identity) {
+      this.identity = options.identity;
+    }
+    this.txCount++;
+    this.txId = 'tx' + this.txCount;
+    this.txTime = options.txTime ? Date.parse(options.txTime) : startTime + this.txCount * 1000;
+    this.fcn = fcn;
+    invokedFunctions.add(fcn);
+    this.params = args === undefined ? [] : [typeof args === 'string' ? args : JSON.stringify(args)];
+    this.transient = new Map();
+    for (let name in options.transient || {}) {
+      this.transient.set(name, Buffer.from(JSON.stringify(options.transient[name])));
+    }
+    this.writes = new Map();
+    this.privateWrites = new Map();
+    this.event = null;
+
+    let response = await this.chaincode.Invoke(this);
+    if (response.status === 200) {
+      this.commit();
+    }
+    let payload = response.payload;
+    if (payload && payload.toString()) {
+      try {
+        payload = JSON.parse(payload.toString());
+      }
+      catch (err) {
+        payload = payload.toString();
+      }
+    }
+    return {status: response.status, message: response.message, payload: payload};
+  }
+
+  /**
+   * Invokes a chaincode function as for invoke, throwing an Error if it fails
+   *
+   * @returns the payload
+   */
+  async invokeOk(fcn, args, options) {
+    let response = await this.invoke(fcn, args, options);
+    if (response.status !== 200) {
+      throw new Error(fcn + ' failed: ' + response.message);
+    }
+    return response.payload;
+  }
+
+  /**
+   * Writes a record to world state in a transaction of its own, without invoking the chaincode, e.g. a record
+   * as written by an earlier version of the chaincode
+   *
+   * @param {*} key - the world state key
+   * @param {*} record - the record, as JSON
+   */
+  putRecord(key, record) {
+    this.txCount++;
+    this.txId = 'tx' + this.txCount;
+    this.txTime = startTime + this.txCount * 1000;
+    this.writes = new Map([[key, Buffer.from(JSON.stringify(record))]]);
+    this.privateWrites = new Map();
+    this.event = null;
+    this.commit();
+  }
+
+  commit() {
+    for (let [key, value] of this.writes) {
+      if (value === null) {
+        this.state.delete(key);
+      }
+      else {
+        this.state.set(key, value);
+      }
+      let history = this.history.get(key) || [];
+      history.push({
+        tx_id: this.txId,
+        timestamp: this.getTxTimestamp(),
+        is_delete: value === null,
+        value: value || Buffer.from('')
+      });
+      this.history.set(key, history);
+    }
+    for (let [collection, writes] of this.privateWrites) {
+      let collectionState = this.privateState.get(collection) || new Map();
+      for (let [key, value] of writes) {
+        if (value === null) {
+          collectionState.delete(key);
+        }
+        else {
+          collectionState.set(key, value);
+        }
+      }
+      this.privateState.set(collection, collectionState);
+    }
+    if (this.event) {
+      this.events.push(this.event);
+    }
+  }
+
+  getFunctionAndParameters() {
+    return {fcn: this.fcn, params: this.params};
+  }
+
+  getTxID() {
+    return this.txId;
+  }
+
+  getTxTimestamp() {
+    let seconds = Math.floor(this.txTime / 1000);
+    return {seconds: {low: seconds, high: 0, toNumber: () => seconds}, nanos: (this.txTime % 1000) * 1000000};
+  }
+
+  getTransient() {
+    return this.transient;
+  }
+
+  setEvent(name, payload) {
+    this.event = {name: name, payload: JSON.parse(payload.toString())};
+  }
+
+  // World state
+
+  async getState(key) {
+    return this.state.get(key) || Buffer.from('');
+  }
+
+  async putState(key, value) {
+    this.writes.set(key, Buffer.from(value));
+  }
+
+  async deleteState(key) {
+    this.writes.set(key, null);
+  }
+
+  rangeResults(store, startKey, endKey) {
+    return Array.from(store.keys()).sort()
+      .filter((key) => !key.startsWith('\u0000') && key >= startKey && (!endKey || key < endKey))
+      .map((key) => ({key: key, value: store.get(key)}));
+  }
+
+  async getStateByRange(startKey, endKey) {
+    return new MockIterator(this.rangeResults(this.state, startKey, endKey));
+  }
+
+  async getStateByRangeWithPagination(startKey, endKey, pageSize, bookmark) {
+    let results = this.rangeResults(this.state, bookmark || startKey, endKey);
+    let page = results.slice(0, pageSize);
+    return {
+      iterator: new MockIterator(page),
+      metadata: {fetched_records_count: page.length, bookmark: results.length > pageSize ? results[pageSize].key : ''}
+    };
+  }
+
+  createCompositeKey(objectType, attributes) {
+    return '\u0000' + objectType + '\u0000' + attributes.map((attribute) => attribute + '\u0000').join('');
+  }
+
+  splitCompositeKey(compositeKey) {
+    let parts = compositeKey.split('\u0000');
+    return {objectType: parts[1], attributes: parts.slice(2, -1)};
+  }
+
+  async getStateByPartialCompositeKey(objectType, attributes) {
+    let prefix = this.createCompositeKey(objectType, attributes);
+    let keys = Array.from(this.state.keys()).sort().filter((key) => key.startsWith(prefix));
+    return new MockIterator(keys.map((key) => ({key: key, value: this.state.get(key)})));
+  }
+
+  async getQueryResult(query) {
+    throw new Error('ExecuteQuery not supported for leveldb');
+  }
+
+  async getQueryResultWithPagination(query, pageSize, bookmark) {
+    throw new Error('ExecuteQuery not supported for leveldb');
+  }
+
+  async getHistoryForKey(key) {
+    return new MockIterator(this.history.get(key) || []);
+  }
+
+  // Private data
+
+  isPeerMemberOf(collection) {
+    return this.peerCollections === null || this.peerCollections.indexOf(collection) >= 0;
+  }
+
+  async getPrivateData(collection, key) {
+    let collectionState = this.privateState.get(collection);
+    if (!this.isPeerMemberOf(collection) || !collectionState) {
+      return Buffer.from('');
+    }
+    return collectionState.get(key) || Buffer.from('');
+  }
+
+  async putPrivateData(collection, key, value) {
+    let writes = this.privateWrites.get(collection) || new Map();
+    writes.set(key, Buffer.from(value));
+    this.privateWrites.set(collection, writes);
+  }
+
+  async deletePrivateData(collection, key) {
+    let writes = this.privateWrites.get(collection) || new Map();
+    writes.set(key, null);
+    this.privateWrites.set(collection, writes);
+  }
+
+  async getPrivateDataByRange(collection, startKey, endKey) {
+    let collectionState = this.privateState.get(collection);
+    if (!this.isPeerMemberOf(collection) || !collectionState) {
+      return new MockIterator([]);
+    }
+    return new MockIterator(this.rangeResults(collectionState, startKey, endKey));
+  }
+}
+
+/**
+ * Returns a MockStub for a new instance of the chaincode, with an empty ledger
+ */
+function newStub() {
+  const Chaincode = require('../src/ngo.js');
+  return new MockStub(new Chaincode());
+}
+
+exports.MockStub = MockStub;
+exports.newStub = newStub;
+exports.invokedFunctions = invokedFunctions;
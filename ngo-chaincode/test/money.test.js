@@ -0,0 +1,63 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for money.js, which does the exact integer arithmetic on amounts in minor units
+
+'use strict';
+const assert = require('assert');
+const money = require('../src/money.js');
+
+module.exports = {
+  'mulDiv is exact when the product is too large for a safe integer': async () => {
+    // 9007199254740991 * 3 = 27021597764222973, which a double cannot hold exactly
+    assert.deepStrictEqual(money.mulDiv(Number.MAX_SAFE_INTEGER, 3, 4), {quotient: 6755399441055743, remainder: 1});
+    assert.deepStrictEqual(money.mulDiv(123456789012, 987654321, 1000000007), {quotient: 121932630270, remainder: 958708962});
+    assert.throws(() => money.mulDiv(Number.MAX_SAFE_INTEGER, 2, 1), /The result is too large/);
+    for (let args of [[1, 1, 0], [1.5, 1, 1], [-1, 1, 1], [1, 1, Math.pow(2, 52)]]) {
+      assert.throws(() => money.mulDiv.apply(null, args), /Invalid arguments/, args.join(', '));
+    }
+  },
+
+  'mulDivRound rounds halves up': async () => {
+    assert.deepStrictEqual([money.mulDivRound(5, 1, 2), money.mulDivRound(7, 1, 3), money.mulDivRound(8, 1, 3)], [3, 2, 3]);
+  },
+
+  'an amount is split into parts that add up to it, with the remainder given to the first parts': async () => {
+    assert.deepStrictEqual(money.splitEvenly(100, 3), [34, 33, 33]);
+    assert.deepStrictEqual(money.splitEvenly(2, 4), [1, 1, 0, 0]);
+    assert.deepStrictEqual(money.splitProportionally(10, [1, 1, 1]), [4, 3, 3]);
+    // the largest remainders are rounded up, here those of 1/7 * 6 = 0.857 and 2/7 * 6 = 1.714
+    assert.deepStrictEqual(money.splitProportionally(6, [1, 2, 4]), [1, 2, 3]);
+    assert.throws(() => money.splitProportionally(5, [0, 0]), /The weights add up to 0/);
+  },
+
+  'a rate must be a plain decimal': async () => {
+    assert.deepStrictEqual(money.parseDecimal('1.0832'), {numerator: 10832, denominator: 10000});
+    assert.deepStrictEqual(money.parseDecimal('350'), {numerator: 350, denominator: 1});
+    for (let value of ['1,08', '-1', '.5', '1e3', '1.00000000000000000001']) {
+      assert.throws(() => money.parseDecimal(value), /parseDecimal/, value);
+    }
+  },
+
+  'a conversion accounts for the minor units of each currency': async () => {
+    assert.strictEqual(money.currencies[money.defaultCurrency], 2);
+    // 1.500 KWD at 350.25 is 525.375 JPY
+    assert.strictEqual(money.convert(1500, 'KWD', 'JPY', '350.25'), 525);
+    // 0.01 USD at 0.3 is 0.003 KWD
+    assert.strictEqual(money.convert(1, 'USD', 'KWD', '0.3'), 3);
+    assert.strictEqual(money.convert(10000, 'EUR', 'USD', '1.0832'), 10832);
+  }
+};
@@ -0,0 +1,221 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for the NGO, employer and plan functions, and for the functions that manage the ledger itself
+
+'use strict';
+const assert = require('assert');
+const {identities, registrationDocuments, submitNGO, createNGO, createDonor, donate, assertFails} = require('./fixtures.js');
+
+module.exports = {
+  'Init succeeds without changing the ledger': async (stub) => {
+    let response = await stub.chaincode.Init(stub);
+    assert.strictEqual(response.status, 200);
+    await stub.invokeOk('initLedger', '');
+    assert.strictEqual(stub.state.size, 0);
+  },
+
+  'an unknown function is rejected': async (stub) => {
+    await assert.rejects(stub.invoke('noSuchFunction', {}), /No chaincode function with name: noSuchFunction/);
+  },
+
+  'createNGO submits the NGO pending verification, and defaults the strategy and currency': async (stub) => {
+    await submitNGO(stub, {contactEmail: 'pets@petco.com'});
+    let ngo = await stub.invokeOk('queryNGO', {ngoRegistrationNumber: '6322'});
+    assert.strictEqual(ngo.status, 'pending');
+    assert.strictEqual(ngo.allocationStrategy, undefined);
+    assert.deepStrictEqual(ngo.availableBalances, {currency: 'USD', unrestricted: 0, restricted: {}});
+    assert.strictEqual(ngo.ratingSummary.ratingCount, 0);
+    assert.deepStrictEqual(stub.events.pop(), {name: 'NGOCreated', payload: {ngoRegistrationNumber: '6322',
+      ngoName: 'Pets In Need', contactEmail: 'pets@petco.com', registrationDocuments: registrationDocuments, docType: 'ngo',
+      status: 'pending', submittedDate: '2019-01-01T00:00:01.000Z', approvals: []}});
+
+    assertFails(await stub.invoke('createNGO', {ngoRegistrationNumber: '6322', ngoName: 'Again', registrationDocuments: registrationDocuments}),
+      'already exists');
+    assertFails(await stub.invoke('createNGO', {ngoRegistrationNumber: '6323'}), 'ngoName');
+    assertFails(await stub.invoke('queryNGO', {ngoRegistrationNumber: '9999'}), 'does not exist');
+  },
+
+  'only an admin, or a user of the NGO itself, may submit an NGO': async (stub) => {
+    let response = await stub.invoke('createNGO', {ngoRegistrationNumber: '6323', ngoName: 'Kids In Need',
+      registrationDocuments: registrationDocuments}, {identity: identities.pets});
+    assertFails(response, 'AccessDeniedError');
+    assert.strictEqual(stub.state.size, 0);
+    await stub.invokeOk('createNGO', {ngoRegistrationNumber: '6322', ngoName: 'Pets In Need', registrationDocuments: registrationDocuments});
+  },
+
+  'queryNGO shows the funds available in each category': async (stub) => {
+    await createNGO(stub);
+    await createDonor(stub, 'edge');
+    await donate(stub, 'edge', 'd1', 10000);
+    await donate(stub, 'edge', 'd2', 2500, {restriction: 'medical'});
+    await donate(stub, 'edge', 'd3', 500, {restriction: 'medical'});
+    let ngo = await stub.invokeOk('queryNGO', {ngoRegistrationNumber: '6322'});
+    assert.deepStrictEqual(ngo.availableBalances, {currency: 'USD', unrestricted: 10000, restricted: {medical: 3000}});
+  },
+
+  'an NGO user may update their NGO, but not its status': async (stub) => {
+    await createNGO(stub);
+    await stub.invokeOk('updateNGO', {ngoRegistrationNumber: '6322', address: '2 Pet street'}, {identity: identities.pets});
+    assert.strictEqual((await stub.invokeOk('queryNGO', {ngoRegistrationNumber: '6322'})).address, '2 Pet street');
+    assertFails(await stub.invoke('updateNGO', {ngoRegistrationNumber: '6322', status: 'closed'}), 'may not change status');
+    assertFails(await stub.invoke('updateNGO', {ngoRegistrationNumber: '6322', currency: 'EUR'}, {identity: identities.admin}),
+      'cannot be changed');
+
+    // a field set to null is removed
+    await stub.invokeOk('updateNGO', {ngoRegistrationNumber: '6322', address: null});
+    assert.strictEqual((await stub.invokeOk('queryNGO', {ngoRegistrationNumber: '6322'})).address, undefined);
+    assert.strictEqual(stub.events.pop().name, 'NGOUpdated');
+  },
+
+  'a suspended NGO cannot receive donations, and a closed NGO cannot be changed': async (stub) => {
+    await createNGO(stub);
+    await createDonor(stub, 'edge');
+    await stub.invokeOk('updateNGO', {ngoRegistrationNumber: '6322', status: 'suspended'}, {identity: identities.admin});
+    let donation = {donationId: 'd1', donationAmount: 100, donationDate: '2018-09-20T12:41:59.582Z',
+      donorUserName: 'edge', ngoRegistrationNumber: '6322'};
+    assertFails(await stub.invoke('createDonation', donation, {identity: identities.edge}), 'the NGO is suspended');
+
+    await stub.invokeOk('updateNGO', {ngoRegistrationNumber: '6322', status: 'closed'}, {identity: identities.admin});
+    assertFails(await stub.invoke('updateNGO', {ngoRegistrationNumber: '6322', status: 'active'}), 'is closed');
+  },
+
+  'setAllocationStrategy changes the NGO\'s strategy': async (stub) => {
+    await createNGO(stub);
+    await stub.invokeOk('setAllocationStrategy', {ngoRegistrationNumber: '6322', allocationStrategy: 'fifo'}, {identity: identities.pets});
+    assert.strictEqual((await stub.invokeOk('queryNGO', {ngoRegistrationNumber: '6322'})).allocationStrategy, 'fifo');
+    assert.deepStrictEqual(stub.events.pop(), {name: 'AllocationStrategySet', payload: {ngoRegistrationNumber: '6322', allocationStrategy: 'fifo'}});
+
+    assertFails(await stub.invoke('setAllocationStrategy', {ngoRegistrationNumber: '6322', allocationStrategy: 'random'}), 'allocationStrategy');
+    assertFails(await stub.invoke('setAllocationStrategy', {ngoRegistrationNumber: '6323', allocationStrategy: 'fifo'},
+      {identity: identities.admin}), 'does not exist');
+  },
+
+  'queryAllNGOs returns every NGO with its rating summary, a page at a time': async (stub) => {
+    for (let n of ['1', '2', '3']) {
+      await createNGO(stub, {ngoRegistrationNumber: n, ngoName: 'NGO ' + n});
+    }
+    let ngos = await stub.invokeOk('queryAllNGOs', {});
+    assert.deepStrictEqual(ngos.map((ngo) => ngo.Record.ngoName), ['NGO 1', 'NGO 2', 'NGO 3']);
+    assert.ok(ngos.every((ngo) => ngo.Record.ratingSummary.ratingCount === 0));
+
+    let page = await stub.invokeOk('queryAllNGOsWithPagination', {pageSize: 2});
+    assert.deepStrictEqual(page.records.map((ngo) => ngo.Key), ['ngo1', 'ngo2']);
+    assert.strictEqual(page.fetchedCount, 2);
+    assert.ok(page.records[0].Record.ratingSummary);
+    page = await stub.invokeOk('queryAllNGOsWithPagination', {pageSize: 2, bookmark: page.bookmark});
+    assert.deepStrictEqual(page.records.map((ngo) => ngo.Key), ['ngo3']);
+    assert.strictEqual(page.bookmark, '');
+  },
+
+  'employers can be created, updated and queried by an admin': async (stub) => {
+    await stub.invokeOk('createEmployer', {contractNumber: '1001'}, {identity: identities.admin});
+    await stub.invokeOk('createEmployer', {contractNumber: '1002'});
+    assertFails(await stub.invoke('createEmployer', {contractNumber: '1001'}), 'already exists');
+    await stub.invokeOk('updateEmployer', {contractNumber: '1001', status: 'suspended'});
+    assert.strictEqual((await stub.invokeOk('queryEmployer', {contractNumber: '1001'})).status, 'suspended');
+    assertFails(await stub.invoke('updateEmployer', {contractNumber: '1003', status: 'active'}), 'does not exist');
+
+    let employers = await stub.invokeOk('queryAllEmployers', {});
+    assert.deepStrictEqual(employers.map((employer) => employer.Record.contractNumber), ['1001', '1002']);
+    let page = await stub.invokeOk('queryAllEmployersWithPagination', {pageSize: 1});
+    assert.deepStrictEqual(page.records.map((employer) => employer.Key), ['employer1001']);
+    assert.strictEqual(page.bookmark, 'employer1002');
+
+    assertFails(await stub.invoke('updateEmployer', {contractNumber: '1002', status: 'closed'}, {identity: identities.employer}),
+      'AccessDeniedError');
+  },
+
+  'plans can be created, updated and queried': async (stub) => {
+    await stub.invokeOk('createPlan', {planId: 'p1', funds: ['Growth fund']}, {identity: identities.admin});
+    await stub.invokeOk('updatePlan', {planId: 'p1', funds: ['Growth fund', 'Bond fund']});
+    assert.deepStrictEqual((await stub.invokeOk('queryPlan', {planId: 'p1'})).funds, ['Growth fund', 'Bond fund']);
+    assertFails(await stub.invoke('updatePlan', {planId: 'p1', status: 'dormant'}), 'status');
+    assertFails(await stub.invoke('createPlan', {planId: 'p1'}), 'already exists');
+
+    await stub.invokeOk('createPlan', {planId: 'p2'});
+    assert.strictEqual((await stub.invokeOk('queryAllPlans', {})).length, 2);
+    let page = await stub.invokeOk('queryAllPlansWithPagination', {pageSize: 5});
+    assert.strictEqual(page.fetchedCount, 2);
+    assert.strictEqual(stub.events.pop().name, 'PlanCreated');
+  },
+
+  'a closed donor cannot donate': async (stub) => {
+    await createNGO(stub);
+    await createDonor(stub, 'edge');
+    await stub.invokeOk('updateDonor', {donorUserName: 'edge', status: 'closed'}, {identity: identities.admin});
+    let donation = {donationId: 'd1', donationAmount: 100, donationDate: '2018-09-20T12:41:59.582Z',
+      donorUserName: 'edge', ngoRegistrationNumber: '6322'};
+    assertFails(await stub.invoke('createDonation', donation, {identity: identities.edge}), 'the Donor is closed');
+    assertFails(await stub.invoke('updateDonor', {donorUserName: 'edge', status: 'active'}), 'may not change status');
+  },
+
+  'a suspended donor may be reactivated, and every version of the donor is kept': async (stub) => {
+    await createNGO(stub);
+    await createDonor(stub, 'edge');
+    let donation = {donationId: 'd1', donationAmount: 100, donationDate: '2018-09-20T12:41:59.582Z',
+      donorUserName: 'edge', ngoRegistrationNumber: '6322'};
+    await stub.invokeOk('updateDonor', {donorUserName: 'edge', status: 'suspended'}, {identity: identities.admin});
+    assertFails(await stub.invoke('createDonation', donation, {identity: identities.edge}), 'Cannot create donation as the Donor is suspended: edge');
+    await stub.invokeOk('updateDonor', {donorUserName: 'edge', status: 'active'}, {identity: identities.admin});
+    await stub.invokeOk('createDonation', donation, {identity: identities.edge});
+
+    let written = stub.state.get('donoredge');
+    assertFails(await stub.invoke('updateDonor', {donorUserName: 'edge', status: 'dormant'}, {identity: identities.admin}), 'status');
+    assertFails(await stub.invoke('updateDonor', {donorUserName: 'edge', registeredDate: '2018-10-22T11:52:20.182Z'}),
+      'The field registeredDate cannot be changed');
+    assert.strictEqual(stub.state.get('donoredge'), written);
+    let history = await stub.invokeOk('queryHistoryForKey', {docType: 'donor', key: 'edge'});
+    assert.deepStrictEqual(history.map((entry) => entry.Record.status), ['active', 'suspended', 'active']);
+  },
+
+  'a closed employer or plan cannot be changed, though its key may be passed unchanged': async (stub) => {
+    await stub.invokeOk('createEmployer', {contractNumber: '1001'}, {identity: identities.admin});
+    await stub.invokeOk('createPlan', {planId: 'p1'});
+    assertFails(await stub.invoke('updatePlan', {planId: 'p2', status: 'closed'}), 'Cannot update the plan as it does not exist: planp2');
+    await stub.invokeOk('updateEmployer', {contractNumber: '1001', status: 'closed'});
+    await stub.invokeOk('updatePlan', {planId: 'p1', status: 'closed'});
+    assertFails(await stub.invoke('updateEmployer', {contractNumber: '1001', status: 'active'}),
+      'The employer is closed and cannot be changed: employer1001');
+    assertFails(await stub.invoke('updatePlan', {planId: 'p1', funds: ['Growth fund']}), 'The plan is closed and cannot be changed: planp1');
+    assert.strictEqual((await stub.invokeOk('queryPlan', {planId: 'p1'})).funds, undefined);
+  },
+
+  'reindex rebuilds the index entries of the records': async (stub) => {
+    await createNGO(stub);
+    await createDonor(stub, 'edge');
+    await donate(stub, 'edge', 'd1', 100);
+    await donate(stub, 'edge', 'd2', 200);
+    // remove the index entries, as on a ledger created before the indexes were introduced
+    for (let key of Array.from(stub.state.keys())) {
+      if (key.startsWith('\u0000')) {
+        stub.state.delete(key);
+      }
+    }
+    assert.deepStrictEqual(await stub.invokeOk('queryDonationsForNGO', {ngoRegistrationNumber: '6322'}), []);
+
+    assertFails(await stub.invoke('reindex', {}, {identity: identities.edge}), 'AccessDeniedError');
+    let counts = await stub.invokeOk('reindex', {docType: 'donation'}, {identity: identities.admin});
+    assert.deepStrictEqual(counts, {donation: 2});
+    assert.strictEqual((await stub.invokeOk('queryDonationsForNGO', {ngoRegistrationNumber: '6322'})).length, 2);
+
+    // the spend range includes the spendAllocation keys, which are not counted as spend
+    counts = await stub.invokeOk('reindex', '');
+    assert.strictEqual(counts.donation, 2);
+    assert.strictEqual(counts.spend, 0);
+    assertFails(await stub.invoke('reindex', {docType: 'ngo'}), 'no indexes defined');
+  }
+};
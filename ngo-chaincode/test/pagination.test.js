@@ -0,0 +1,94 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for the paginated list queries, which return a page of records and the bookmark of the next page
+
+'use strict';
+const assert = require('assert');
+const {submitNGO, createNGO, createDonor, donate, assertFails} = require('./fixtures.js');
+const {MockStub} = require('./mockstub.js');
+
+async function pages(stub, fcn, args) {
+  let keys = [];
+  let bookmark = '';
+  do {
+    let page = await stub.invokeOk(fcn, Object.assign({bookmark: bookmark}, args));
+    assert.strictEqual(page.fetchedCount, page.records.length);
+    keys.push(page.records.map((record) => record.Key));
+    bookmark = page.bookmark;
+  } while (bookmark);
+  return keys;
+}
+
+module.exports = {
+  'paging through every page returns each record once, and the last page has no bookmark': async (stub) => {
+    await createNGO(stub);
+    await createDonor(stub, 'edge');
+    for (let i = 1; i <= 5; i++) {
+      await donate(stub, 'edge', 'd' + i, 100 * i);
+    }
+    assert.deepStrictEqual(await pages(stub, 'queryAllDonationsWithPagination', {pageSize: 2}),
+      [['donationd1', 'donationd2'], ['donationd3', 'donationd4'], ['donationd5']]);
+    assert.deepStrictEqual(await pages(stub, 'queryAllDonationsWithPagination', {pageSize: 5}),
+      [['donationd1', 'donationd2', 'donationd3', 'donationd4', 'donationd5']]);
+    assert.deepStrictEqual(await pages(stub, 'queryAllDonationsWithPagination', {pageSize: '10'}),
+      [['donationd1', 'donationd2', 'donationd3', 'donationd4', 'donationd5']]);
+  },
+
+  'a page of records filtered by a selector keeps reading until it is full': async (stub) => {
+    await createNGO(stub);
+    await submitNGO(stub, {ngoRegistrationNumber: '6323'});
+    await createNGO(stub, {ngoRegistrationNumber: '6324'});
+    await submitNGO(stub, {ngoRegistrationNumber: '6325'});
+    await createNGO(stub, {ngoRegistrationNumber: '6326'});
+    assert.deepStrictEqual(await pages(stub, 'queryAllNGOsWithPagination', {pageSize: 2, status: 'active'}),
+      [['ngo6322', 'ngo6324'], ['ngo6326']]);
+    // a full page has a bookmark if there are records left to read, even if none of them match
+    assert.deepStrictEqual(await pages(stub, 'queryAllNGOsWithPagination', {pageSize: 2, status: 'pending'}),
+      [['ngo6323', 'ngo6325'], []]);
+  },
+
+  'pageSize must be a positive integer': async (stub) => {
+    for (let pageSize of [undefined, 'ten', 1.5, -1]) {
+      assertFails(await stub.invoke('queryAllDonationsWithPagination', {pageSize: pageSize}), 'pageSize must be a positive integer');
+    }
+  },
+
+  'a CouchDB peer is passed the page size and bookmark, and returns the next bookmark': async () => {
+    // the chaincode remembers whether the peer supports rich queries, so a new instance of the module is needed
+    let modulePath = require.resolve('../src/ngo.js');
+    let cached = require.cache[modulePath];
+    delete require.cache[modulePath];
+    let Chaincode = require('../src/ngo.js');
+    require.cache[modulePath] = cached;
+
+    let stub = new MockStub(new Chaincode());
+    let requests = [];
+    let records = [{key: 'donationd3', value: Buffer.from(JSON.stringify({docType: 'donation', donationId: 'd3'}))}];
+    stub.getQueryResultWithPagination = async (query, pageSize, bookmark) => {
+      requests.push([JSON.parse(query), pageSize, bookmark]);
+      let i = 0;
+      return {
+        iterator: {next: async () => (i < records.length ? {value: records[i++], done: false} : {done: true}), close: async () => {}},
+        metadata: {fetched_records_count: 1, bookmark: 'g1AAAAA'}
+      };
+    };
+    let page = await stub.invokeOk('queryAllDonationsWithPagination', {pageSize: 1, bookmark: 'g1AAAA'});
+    assert.deepStrictEqual(page, {records: [{Key: 'donationd3', Record: {docType: 'donation', donationId: 'd3'}}], bookmark: 'g1AAAAA',
+      fetchedCount: 1});
+    assert.deepStrictEqual(requests, [[{selector: {docType: 'donation'}}, 1, 'g1AAAA']]);
+  }
+};
@@ -0,0 +1,257 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for recurring donation pledges, their schedule, and the donations that fulfil them
+
+'use strict';
+const assert = require('assert');
+const schedule = require('../src/pledge.js');
+const {identities, createNGO, createDonor, assertFails} = require('./fixtures.js');
+
+const pledge = {
+  pledgeId: 'p1',
+  donorUserName: 'edge',
+  ngoRegistrationNumber: '6322',
+  pledgeAmount: 2500,
+  frequency: 'monthly',
+  startDate: '2018-10-01T00:00:00.000Z'
+};
+
+// the transaction time used to check what is due, after three occurrences have fallen due
+const december = {txTime: '2018-12-15T00:00:00.000Z'};
+
+async function setUp(stub) {
+  await createNGO(stub);
+  await createDonor(stub, 'edge');
+  await createDonor(stub, 'braendle');
+  await stub.invokeOk('createPledge', pledge, {identity: identities.edge});
+}
+
+async function changePledge(stub, fcn, changeDate) {
+  return stub.invoke(fcn, {pledgeId: 'p1', donorUserName: 'edge', changeDate: changeDate}, {identity: identities.edge});
+}
+
+module.exports = {
+  'an occurrence falls on the same day of the month, or the last day of a shorter month': async () => {
+    let dates = (frequency, startDate, occurrences) => occurrences.map((n) =>
+      schedule.occurrenceDate({frequency: frequency, startDate: startDate}, n).toISOString());
+    assert.deepStrictEqual(dates('monthly', '2019-01-31T09:30:00.000Z', [2, 3, 13]),
+      ['2019-02-28T09:30:00.000Z', '2019-03-31T09:30:00.000Z', '2020-01-31T09:30:00.000Z']);
+    assert.deepStrictEqual(dates('quarterly', '2018-11-30T00:00:00.000Z', [2, 3]), ['2019-02-28T00:00:00.000Z', '2019-05-30T00:00:00.000Z']);
+    assert.deepStrictEqual(dates('annually', '2020-02-29T00:00:00.000Z', [2, 5]), ['2021-02-28T00:00:00.000Z', '2024-02-29T00:00:00.000Z']);
+    assert.deepStrictEqual(dates('weekly', '2018-10-01T00:00:00.000Z', [1, 3]), ['2018-10-01T00:00:00.000Z', '2018-10-15T00:00:00.000Z']);
+    assert.throws(() => dates('daily', '2018-10-01T00:00:00.000Z', [1]), /Unknown frequency: daily/);
+  },
+
+  'occurrences are due up to and including the endDate, and skipped while a pledge is paused': async () => {
+    let ended = Object.assign({}, pledge, {endDate: '2018-12-01T00:00:00.000Z', pauses: [{pausedDate: '2018-10-15T00:00:00.000Z'}]});
+    assert.deepStrictEqual(schedule.dueOccurrences(ended, new Date('2019-06-01T00:00:00.000Z')), [
+      {occurrence: 1, dueDate: '2018-10-01T00:00:00.000Z', donationId: 'p1-1', skipped: false},
+      {occurrence: 2, dueDate: '2018-11-01T00:00:00.000Z', donationId: 'p1-2', skipped: true},
+      {occurrence: 3, dueDate: '2018-12-01T00:00:00.000Z', donationId: 'p1-3', skipped: true}
+    ]);
+    assert.deepStrictEqual(schedule.dueOccurrences(pledge, new Date('2018-09-30T23:59:59.999Z')), []);
+  },
+
+  'createPledge records an active pledge in the NGO\'s currency': async (stub) => {
+    await setUp(stub);
+    let created = await stub.invokeOk('queryPledge', {pledgeId: 'p1'});
+    assert.strictEqual(created.pledgeStatus, 'active');
+    assert.strictEqual(created.currency, 'USD');
+    assert.deepStrictEqual(created.pauses, []);
+    assert.deepStrictEqual(stub.events.pop(), {name: 'PledgeCreated', payload: created});
+
+    await stub.invokeOk('createPledge', Object.assign({}, pledge, {pledgeId: 'p2', frequency: 'weekly'}));
+    let pledges = await stub.invokeOk('queryPledgesForDonor', {donorUserName: 'edge'});
+    assert.deepStrictEqual(pledges.map((result) => result.Record.pledgeId), ['p1', 'p2']);
+    assert.deepStrictEqual(await stub.invokeOk('queryPledgesForDonor', {donorUserName: 'braendle'}), []);
+  },
+
+  'createPledge rejects invalid pledges': async (stub) => {
+    await setUp(stub);
+    assertFails(await stub.invoke('createPledge', pledge), 'already exists');
+    assertFails(await stub.invoke('createPledge', Object.assign({}, pledge, {pledgeId: 'p2', frequency: 'daily'})), 'frequency');
+    assertFails(await stub.invoke('createPledge', Object.assign({}, pledge, {pledgeId: 'p2', endDate: '2018-09-01T00:00:00.000Z'})),
+      'is before the startDate');
+    assertFails(await stub.invoke('createPledge', Object.assign({}, pledge, {pledgeId: 'p2', ngoRegistrationNumber: '9999'})),
+      'NGO does not exist');
+    assertFails(await stub.invoke('createPledge', Object.assign({}, pledge, {pledgeId: 'p2'}), {identity: identities.braendle}),
+      'AccessDeniedError');
+  },
+
+  'queryDuePledgeDonations lists the donations that fulfil the occurrences due': async (stub) => {
+    await setUp(stub);
+    let due = await stub.invokeOk('queryDuePledgeDonations', '', december);
+    assert.deepStrictEqual(due.map((donation) => donation.donationId), ['p1-1', 'p1-2', 'p1-3']);
+    assert.deepStrictEqual(due[1], {donationId: 'p1-2', donationAmount: 2500, currency: 'USD', donationDate: '2018-11-01T00:00:00.000Z',
+      donorUserName: 'edge', ngoRegistrationNumber: '6322', pledgeId: 'p1', pledgeOccurrence: 2});
+    // asOf can only bring the date forward from the transaction time
+    due = await stub.invokeOk('queryDuePledgeDonations', {asOf: '2018-10-15T00:00:00.000Z'}, december);
+    assert.deepStrictEqual(due.map((donation) => donation.donationId), ['p1-1']);
+    due = await stub.invokeOk('queryDuePledgeDonations', {asOf: '2019-06-01T00:00:00.000Z'}, december);
+    assert.strictEqual(due.length, 3);
+
+    await stub.invokeOk('createDonation', due[0], Object.assign({identity: identities.edge}, december));
+    due = await stub.invokeOk('queryDuePledgeDonations', '', december);
+    assert.deepStrictEqual(due.map((donation) => donation.donationId), ['p1-2', 'p1-3']);
+  },
+
+  'a donation must match the pledge and an occurrence that is due': async (stub) => {
+    await setUp(stub);
+    let donation = {donationId: 'p1-1', donationAmount: 2500, donationDate: '2018-10-01T00:00:00.000Z', donorUserName: 'edge',
+      ngoRegistrationNumber: '6322', pledgeId: 'p1', pledgeOccurrence: 1};
+    let options = Object.assign({identity: identities.edge}, december);
+    assertFails(await stub.invoke('createDonation', Object.assign({}, donation, {donationAmount: 2000}), options), 'does not match the Pledge amount');
+    assertFails(await stub.invoke('createDonation', Object.assign({}, donation, {donationId: 'x'}), options), 'the donationId p1-1');
+    assertFails(await stub.invoke('createDonation', Object.assign({}, donation, {donationId: 'p1-4', pledgeOccurrence: 4}), options), 'is not due');
+    assertFails(await stub.invoke('createDonation', Object.assign({}, donation, {pledgeId: 'p9'}), options), 'Pledge does not exist');
+
+    await stub.invokeOk('createDonation', donation, options);
+    assertFails(await stub.invoke('createDonation', donation, options), 'already exists');
+
+    // the donation takes the pledge's restriction
+    await stub.invokeOk('createPledge', Object.assign({}, pledge, {pledgeId: 'p2', restriction: 'food'}));
+    await stub.invokeOk('createDonation', Object.assign({}, donation, {donationId: 'p2-1', pledgeId: 'p2'}), options);
+    assert.strictEqual((await stub.invokeOk('queryDonation', {donationId: 'p2-1'})).restriction, 'food');
+  },
+
+  'queryPledgeFulfilments shows the donation that fulfilled each occurrence': async (stub) => {
+    await setUp(stub);
+    let due = await stub.invokeOk('queryDuePledgeDonations', '', december);
+    await stub.invokeOk('createDonation', due[1], Object.assign({identity: identities.edge}, december));
+    let fulfilments = await stub.invokeOk('queryPledgeFulfilments', {pledgeId: 'p1'}, december);
+    assert.deepStrictEqual(fulfilments.map((fulfilment) => fulfilment.status), ['due', 'fulfilled', 'due']);
+    assert.strictEqual(fulfilments[1].donation.donationId, 'p1-2');
+    assertFails(await stub.invoke('queryPledgeFulfilments', {pledgeId: 'p9'}), 'does not exist');
+  },
+
+  'occurrences falling due while a pledge is paused are skipped': async (stub) => {
+    await setUp(stub);
+    assertFails(await changePledge(stub, 'resumePledge', '2018-10-10T00:00:00.000Z'), 'is active. It must be paused');
+    assert.strictEqual((await changePledge(stub, 'pausePledge', '2018-10-15T00:00:00.000Z')).status, 200);
+    assert.strictEqual(stub.events.pop().name, 'PledgePaused');
+    assertFails(await changePledge(stub, 'pausePledge', '2018-10-16T00:00:00.000Z'), 'is paused');
+    assert.strictEqual((await changePledge(stub, 'resumePledge', '2018-11-15T00:00:00.000Z')).status, 200);
+    assert.strictEqual(stub.events.pop().name, 'PledgeResumed');
+
+    let fulfilments = await stub.invokeOk('queryPledgeFulfilments', {pledgeId: 'p1'}, december);
+    assert.deepStrictEqual(fulfilments.map((fulfilment) => fulfilment.status), ['due', 'skipped', 'due']);
+    let due = await stub.invokeOk('queryDuePledgeDonations', '', december);
+    assert.deepStrictEqual(due.map((donation) => donation.donationId), ['p1-1', 'p1-3']);
+    let skipped = {donationId: 'p1-2', donationAmount: 2500, donationDate: '2018-11-01T00:00:00.000Z', donorUserName: 'edge',
+      ngoRegistrationNumber: '6322', pledgeId: 'p1', pledgeOccurrence: 2};
+    assertFails(await stub.invoke('createDonation', skipped, december), 'was skipped');
+  },
+
+  'a cancelled pledge has no more occurrences, and cannot be resumed': async (stub) => {
+    await setUp(stub);
+    let response = await stub.invoke('cancelPledge', {pledgeId: 'p1', donorUserName: 'edge', changeDate: '2018-11-15T00:00:00.000Z'},
+      {identity: identities.braendle});
+    assertFails(response, 'AccessDeniedError');
+    response = await stub.invoke('cancelPledge', {pledgeId: 'p1', donorUserName: 'braendle', changeDate: '2018-11-15T00:00:00.000Z'});
+    assertFails(response, 'was not made by donor: braendle');
+
+    assert.strictEqual((await changePledge(stub, 'cancelPledge', '2018-11-15T00:00:00.000Z')).status, 200);
+    assert.strictEqual(stub.events.pop().name, 'PledgeCancelled');
+    let due = await stub.invokeOk('queryDuePledgeDonations', '', {txTime: '2019-06-01T00:00:00.000Z'});
+    assert.deepStrictEqual(due.map((donation) => donation.donationId), ['p1-1', 'p1-2']);
+    assertFails(await changePledge(stub, 'resumePledge', '2018-12-01T00:00:00.000Z'), 'is cancelled');
+    assertFails(await changePledge(stub, 'cancelPledge', '2018-12-01T00:00:00.000Z'), 'is cancelled');
+
+    // an admin may change any donor's pledge
+    await stub.invokeOk('createPledge', Object.assign({}, pledge, {pledgeId: 'p2'}), {identity: identities.edge});
+    await stub.invokeOk('pausePledge', {pledgeId: 'p2', donorUserName: 'edge', changeDate: '2018-11-15T00:00:00.000Z'}, {identity: identities.admin});
+    assert.strictEqual((await stub.invokeOk('queryPledge', {pledgeId: 'p2'})).pledgeStatus, 'paused');
+  },
+
+  'the pledge keeps its next due occurrence as occurrences are fulfilled': async (stub) => {
+    await setUp(stub);
+    let created = await stub.invokeOk('queryPledge', {pledgeId: 'p1'});
+    assert.deepStrictEqual([created.nextOccurrence, created.nextDueDate], [1, '2018-10-01T00:00:00.000Z']);
+    assertFails(await stub.invoke('createPledge', Object.assign({}, pledge, {pledgeId: 'p2', nextOccurrence: 3})),
+      'The field nextOccurrence is set');
+
+    // fulfilling an occurrence out of order leaves the pledge's next occurrence where it is, until the earlier one is fulfilled
+    let due = await stub.invokeOk('queryDuePledgeDonations', '', december);
+    let options = Object.assign({identity: identities.edge}, december);
+    await stub.invokeOk('createDonation', due[1], options);
+    assert.strictEqual((await stub.invokeOk('queryPledge', {pledgeId: 'p1'})).nextOccurrence, 1);
+    await stub.invokeOk('createDonation', due[0], options);
+    let updated = await stub.invokeOk('queryPledge', {pledgeId: 'p1'});
+    assert.deepStrictEqual([updated.nextOccurrence, updated.nextDueDate], [3, '2018-12-01T00:00:00.000Z']);
+
+    // only the donations from the next occurrence on are read
+    let reads = [];
+    let getState = stub.getState.bind(stub);
+    stub.getState = async (key) => {
+      reads.push(key);
+      return getState(key);
+    };
+    due = await stub.invokeOk('queryDuePledgeDonations', '', december);
+    assert.deepStrictEqual(due.map((donation) => donation.donationId), ['p1-3']);
+    assert.deepStrictEqual(reads, ['donationp1-3']);
+  },
+
+  'a pledge that has ended has no next due date once its last occurrence is settled': async (stub) => {
+    await setUp(stub);
+    let ended = Object.assign({}, pledge, {pledgeId: 'p2', endDate: '2018-11-15T00:00:00.000Z'});
+    await stub.invokeOk('createPledge', ended, {identity: identities.edge});
+    let options = Object.assign({identity: identities.edge}, december);
+    for (let donation of (await stub.invokeOk('queryDuePledgeDonations', '', december)).filter((due) => due.pledgeId === 'p2')) {
+      await stub.invokeOk('createDonation', donation, options);
+    }
+    assert.strictEqual((await stub.invokeOk('queryPledge', {pledgeId: 'p2'})).nextDueDate, undefined);
+    let due = await stub.invokeOk('queryDuePledgeDonations', {asOf: '2019-06-01T00:00:00.000Z'}, december);
+    assert.ok(due.every((donation) => donation.pledgeId === 'p1'));
+
+    // resuming a paused pledge moves past the occurrences it skipped
+    await changePledge(stub, 'pausePledge', '2018-09-15T00:00:00.000Z');
+    await stub.invokeOk('resumePledge', {pledgeId: 'p1', donorUserName: 'edge', changeDate: '2018-11-15T00:00:00.000Z'}, options);
+    let resumed = await stub.invokeOk('queryPledge', {pledgeId: 'p1'});
+    assert.deepStrictEqual([resumed.nextOccurrence, resumed.nextDueDate], [3, '2018-12-01T00:00:00.000Z']);
+  },
+
+  'a failed occurrence is recorded, and is neither due nor fulfilled later': async (stub) => {
+    await setUp(stub);
+    let failure = {pledgeId: 'p1', donorUserName: 'edge', pledgeOccurrence: 1, reason: 'Cannot create donation as the NGO is suspended: 6322'};
+    let options = Object.assign({identity: identities.edge}, december);
+    await stub.invokeOk('recordPledgeFailure', failure, options);
+    let event = stub.events.pop();
+    assert.strictEqual(event.name, 'PledgeOccurrenceFailed');
+    assert.deepStrictEqual(event.payload.failedOccurrences, [{occurrence: 1, failedDate: '2018-12-15T00:00:00.000Z', reason: failure.reason}]);
+    assert.strictEqual(event.payload.nextOccurrence, 2);
+
+    let due = await stub.invokeOk('queryDuePledgeDonations', '', december);
+    assert.deepStrictEqual(due.map((donation) => donation.donationId), ['p1-2', 'p1-3']);
+    let fulfilments = await stub.invokeOk('queryPledgeFulfilments', {pledgeId: 'p1'}, december);
+    assert.deepStrictEqual(fulfilments.map((fulfilment) => fulfilment.status), ['failed', 'due', 'due']);
+    assert.strictEqual(fulfilments[0].failure.reason, failure.reason);
+    let donation = {donationId: 'p1-1', donationAmount: 2500, donationDate: '2018-10-01T00:00:00.000Z', donorUserName: 'edge',
+      ngoRegistrationNumber: '6322', pledgeId: 'p1', pledgeOccurrence: 1};
+    assertFails(await stub.invoke('createDonation', donation, options), 'has been recorded as failed');
+
+    assertFails(await stub.invoke('recordPledgeFailure', failure, options), 'has already failed');
+    await stub.invokeOk('createDonation', due[0], options);
+    assertFails(await stub.invoke('recordPledgeFailure', Object.assign({}, failure, {pledgeOccurrence: 2}), options), 'has been fulfilled');
+    assertFails(await stub.invoke('recordPledgeFailure', Object.assign({}, failure, {pledgeOccurrence: 4}), options), 'is not due');
+    assertFails(await stub.invoke('recordPledgeFailure', Object.assign({}, failure, {reason: ''}), options), 'reason');
+    assertFails(await stub.invoke('recordPledgeFailure', Object.assign({}, failure, {donorUserName: 'braendle'}),
+      Object.assign({identity: identities.braendle}, december)), 'was not made by donor: braendle');
+    assertFails(await stub.invoke('recordPledgeFailure', Object.assign({}, failure, {pledgeOccurrence: 3}),
+      Object.assign({identity: identities.braendle}, december)), 'AccessDeniedError');
+    assert.strictEqual((await stub.invokeOk('queryPledge', {pledgeId: 'p1'})).nextOccurrence, 3);
+  }
+};
@@ -0,0 +1,272 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests that the personal details of donors and members are kept in private data collections
+
+'use strict';
+const assert = require('assert');
+const privateData = require('../src/privatedata.js');
+const {assertFails} = require('./fixtures.js');
+
+const admin = {attrs: {role: 'admin'}};
+const edge = {attrs: {role: 'donor', donorUserName: 'edge'}};
+const braendle = {attrs: {role: 'donor', donorUserName: 'braendle'}};
+const employer = {attrs: {role: 'employer', contractNumber: '1001'}};
+
+const member = {
+  firstName: 'John',
+  lastName: 'Doe',
+  contractNumber: '1001',
+  investments: [{fundName: 'A'}, {fundName: 'B'}]
+};
+const memberDetails = {ssn: '123456789', dob: '1993-01-07', salary: 6000000, homePhoneNumber: 1234567895, electiveDeferral: 5,
+  salt: 'member-salt-0123456789'};
+
+// true if any key or value in world state contains the text
+function stateContains(stub, text) {
+  return Array.from(stub.state).some(([key, value]) => key.indexOf(text) >= 0 || value.toString().indexOf(text) >= 0);
+}
+
+async function createDonor(stub) {
+  await stub.invokeOk('createDonor', {donorUserName: 'edge', registeredDate: '2018-10-22T11:52:20.182Z'},
+    {identity: edge, transient: {privateDetails: {email: 'edge@abc.com', salt: 'edge-salt-0123456789'}}});
+}
+
+// a donor and a member as written before the private data collections were introduced, and a contribution and a
+// withdrawal that name the member by SSN
+async function createLegacyRecords(stub) {
+  await stub.invokeOk('createEmployer', {contractNumber: '1001'}, {identity: admin});
+  stub.putRecord('donoredge', {docType: 'donor', donorUserName: 'edge', email: 'edge@abc.com', registeredDate: '2018-10-22T11:52:20.182Z'});
+  stub.putRecord('member123456789:1001', Object.assign({docType: 'member', ssn: '123456789', dob: '01/07/1993', salary: 6000000,
+    homePhoneNumber: 1234567895, contribAndDeferral: {electiveDeferral: 5}, createDate: '2018-10-01T00:00:00.000Z'}, member));
+  stub.putRecord('contribution:10:42', {docType: 'contribution', ssn: '123456789', contractNumber: '1001',
+    contributionDate: '2018-10-02T10:42:00.000Z', investments: [{fundName: 'A', dollarVal: 150000}]});
+  stub.putRecord('withdrawalw1', {docType: 'withdrawal', withdrawalKey: 'w1', ssn: '123456789', contractNumber: '1001',
+    investments: [{fundName: 'A', dollarVal: 1000}]});
+}
+
+const migrationSalt = {migrationSalt: 'migration-salt-0123456789'};
+
+async function createMember(stub) {
+  await stub.invokeOk('createEmployer', {contractNumber: '1001'}, {identity: admin});
+  return stub.invokeOk('createMember', member, {identity: employer, transient: {privateDetails: memberDetails}});
+}
+
+module.exports = {
+  'createDonor keeps the email in the collection and its salted hash in world state': async (stub) => {
+    await createDonor(stub);
+    let donor = JSON.parse(stub.state.get('donoredge').toString());
+    assert.strictEqual(donor.email, undefined);
+    assert.strictEqual(donor.emailHash, privateData.saltedHash('edge-salt-0123456789', 'edge@abc.com'));
+    assert.ok(!stateContains(stub, 'edge@abc.com'));
+    let details = JSON.parse(stub.privateState.get('donorPrivateDetails').get('donoredge').toString());
+    assert.deepStrictEqual(details, {email: 'edge@abc.com', salt: 'edge-salt-0123456789'});
+  },
+
+  'personal details and the salt are rejected in the arguments, and a random salt is required': async (stub) => {
+    assertFails(await stub.invoke('createDonor', {donorUserName: 'edge', email: 'edge@abc.com'}, {identity: edge,
+      transient: {privateDetails: {salt: 'edge-salt-0123456789'}}}), 'The field email cannot be passed in the arguments');
+    assertFails(await stub.invoke('createDonor', {donorUserName: 'edge', salt: 'edge-salt-0123456789'}, {identity: edge,
+      transient: {privateDetails: {email: 'edge@abc.com'}}}), 'The field salt cannot be passed in the arguments');
+    assertFails(await stub.invoke('createDonor', {donorUserName: 'edge'}, {identity: edge,
+      transient: {privateDetails: {email: 'edge@abc.com'}}}), 'need a random salt of at least 16 characters');
+    assertFails(await stub.invoke('createDonor', {donorUserName: 'edge'}, {identity: edge,
+      transient: {privateDetails: {email: 'edge@abc.com', salt: 'short'}}}), 'need a random salt of at least 16 characters');
+    assertFails(await stub.invoke('createMember', Object.assign({salary: 6000000}, member), {identity: employer,
+      transient: {privateDetails: memberDetails}}), 'The field salary cannot be passed in the arguments');
+    assertFails(await stub.invoke('createMember', Object.assign({contribAndDeferral: {electiveDeferral: 5}}, member), {identity: employer,
+      transient: {privateDetails: memberDetails}}), 'The field contribAndDeferral cannot be passed in the arguments');
+    assert.strictEqual(stub.state.size, 0);
+  },
+
+  'createDonor validates the private details': async (stub) => {
+    let response = await stub.invoke('createDonor', {donorUserName: 'edge'},
+      {identity: edge, transient: {privateDetails: {email: 'not an email', salt: 'edge-salt-0123456789'}}});
+    assert.strictEqual(response.status, 500);
+    assert.ok(response.message.indexOf('donorPrivateDetails') >= 0);
+  },
+
+  'the email is merged into queries for the donor and an admin only': async (stub) => {
+    await createDonor(stub);
+    await stub.invokeOk('createDonor', {donorUserName: 'braendle'},
+      {identity: braendle, transient: {privateDetails: {email: 'braendle@def.com', salt: 'braendle-salt-0123456789'}}});
+
+    assert.strictEqual((await stub.invokeOk('queryDonor', {donorUserName: 'edge'}, {identity: edge})).email, 'edge@abc.com');
+    assert.strictEqual((await stub.invokeOk('queryDonor', {donorUserName: 'edge'}, {identity: admin})).email, 'edge@abc.com');
+    assert.strictEqual((await stub.invokeOk('queryDonor', {donorUserName: 'edge'}, {identity: braendle})).email, undefined);
+
+    let donors = await stub.invokeOk('queryAllDonors', {}, {identity: braendle});
+    assert.deepStrictEqual(donors.map((donor) => donor.Record.email), ['braendle@def.com', undefined]);
+    let page = await stub.invokeOk('queryAllDonorsWithPagination', {pageSize: 10}, {identity: admin});
+    assert.deepStrictEqual(page.records.map((donor) => donor.Record.email), ['braendle@def.com', 'edge@abc.com']);
+  },
+
+  'a peer outside the collection returns the donor without the email': async (stub) => {
+    await createDonor(stub);
+    stub.peerCollections = ['memberPrivateDetails'];
+    let donor = await stub.invokeOk('queryDonor', {donorUserName: 'edge'}, {identity: admin});
+    assert.strictEqual(donor.email, undefined);
+    assert.ok(donor.emailHash);
+  },
+
+  'updateDonor changes the email and its hash, with a new salt': async (stub) => {
+    await createDonor(stub);
+    assertFails(await stub.invoke('updateDonor', {donorUserName: 'edge'},
+      {identity: edge, transient: {privateDetails: {email: 'edge@xyz.com'}}}), 'need a random salt');
+    await stub.invokeOk('updateDonor', {donorUserName: 'edge'},
+      {identity: edge, transient: {privateDetails: {email: 'edge@xyz.com', salt: 'edge-salt-9876543210'}}});
+    let donor = JSON.parse(stub.state.get('donoredge').toString());
+    assert.strictEqual(donor.emailHash, privateData.saltedHash('edge-salt-9876543210', 'edge@xyz.com'));
+    assert.strictEqual((await stub.invokeOk('queryDonor', {donorUserName: 'edge'})).email, 'edge@xyz.com');
+
+    // a closed donor cannot be changed, so its details are not changed either
+    await stub.invokeOk('updateDonor', {donorUserName: 'edge', status: 'closed'}, {identity: admin});
+    let response = await stub.invoke('updateDonor', {donorUserName: 'edge'},
+      {transient: {privateDetails: {email: 'edge@new.com', salt: 'edge-salt-0000000000'}}});
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual((await stub.invokeOk('queryDonor', {donorUserName: 'edge'})).email, 'edge@xyz.com');
+  },
+
+  'createMember keeps the SSN, dob, salary, home phone and elective deferral out of world state': async (stub) => {
+    let created = await createMember(stub);
+    let key = 'member' + created.memberId;
+    let record = JSON.parse(stub.state.get(key).toString());
+    assert.strictEqual(record.memberId, created.memberId);
+    for (let field of ['ssn', 'dob', 'salary', 'homePhoneNumber', 'electiveDeferral']) {
+      assert.strictEqual(record[field], undefined);
+      assert.strictEqual(record[field + 'Hash'], privateData.saltedHash('member-salt-0123456789', memberDetails[field]));
+    }
+    assert.ok(!stateContains(stub, '123456789'));
+    assert.ok(!stateContains(stub, '1993-01-07'));
+    assert.ok(!JSON.stringify(stub.events).includes('123456789'));
+  },
+
+  'a member can only be created once for each contract': async (stub) => {
+    await createMember(stub);
+    let response = await stub.invoke('createMember', member,
+      {identity: employer, transient: {privateDetails: Object.assign({}, memberDetails, {salt: 'another-salt-0123456789'})}});
+    assert.strictEqual(response.status, 500);
+    assert.ok(response.message.indexOf('already exists') >= 0);
+  },
+
+  'member queries merge the private details for the employer only': async (stub) => {
+    let created = await createMember(stub);
+    let bySsn = await stub.invokeOk('queryMembersBySsn', {ssn: '123456789'}, {identity: employer});
+    assert.strictEqual(bySsn.length, 1);
+    assert.strictEqual(bySsn[0].Record.salary, 6000000);
+    let byId = await stub.invokeOk('queryMember', {memberId: created.memberId});
+    assert.strictEqual(byId.ssn, '123456789');
+    let forEmployer = await stub.invokeOk('queryMembersForEmployer', {contractNumber: '1001'});
+    assert.strictEqual(forEmployer[0].Record.dob, '1993-01-07');
+
+    // other callers cannot read the details, nor find a member by SSN
+    assert.strictEqual((await stub.invokeOk('queryMember', {memberId: created.memberId}, {identity: edge})).ssn, undefined);
+    assert.deepStrictEqual(await stub.invokeOk('queryMembersBySsn', {ssn: '123456789'}), []);
+    let all = await stub.invokeOk('queryAllMembers', {});
+    assert.strictEqual(all[0].Record.ssn, undefined);
+  },
+
+  'contributions use the private salary and are recorded against the memberId': async (stub) => {
+    let created = await createMember(stub);
+    await stub.invokeOk('createContributionEmployer', {contractNumber: '1001', contributionAmount: 1000000}, {identity: employer});
+    let contributions = await stub.invokeOk('queryContributionsByMember', {ssn: '123456789'});
+    assert.strictEqual(contributions.length, 1);
+    assert.strictEqual(contributions[0].Record.memberId, created.memberId);
+    assert.strictEqual(contributions[0].Record.ssn, undefined);
+    // 5% of 6000000, split between the two investments
+    assert.deepStrictEqual(contributions[0].Record.investments.map((investment) => investment.dollarVal), [150000, 150000]);
+
+    await stub.invokeOk('createWithdrawal', {withdrawalKey: 'w1', ssn: '123456789', contractNumber: '1001',
+      investments: [{fundName: 'A', dollarVal: 1000}]});
+    let withdrawals = await stub.invokeOk('queryWithdrawalByMember', {memberId: created.memberId});
+    assert.strictEqual(withdrawals.length, 1);
+    assert.strictEqual(withdrawals[0].Record.ssn, undefined);
+    assert.ok(!stateContains(stub, '123456789'));
+  },
+
+  'migratePrivateDetails moves the personal details of older records into the collections': async (stub) => {
+    await createLegacyRecords(stub);
+    assertFails(await stub.invoke('migratePrivateDetails', {}, {identity: employer, transient: migrationSalt}), 'AccessDeniedError');
+    assertFails(await stub.invoke('migratePrivateDetails', {}, {identity: admin, transient: {migrationSalt: 'short'}}), 'migrationSalt');
+    assertFails(await stub.invoke('migratePrivateDetails', {docType: 'ngo'}, {transient: migrationSalt}), 'no personal details to migrate');
+    let counts = await stub.invokeOk('migratePrivateDetails', {}, {transient: migrationSalt});
+    assert.deepStrictEqual(counts, {donor: 1, member: 1, contribution: 1, withdrawal: 1});
+    assert.ok(!stateContains(stub, '123456789'));
+    assert.ok(!stateContains(stub, 'edge@abc.com'));
+    assert.ok(!stateContains(stub, '01/07/1993'));
+
+    let donor = await stub.invokeOk('queryDonor', {donorUserName: 'edge'}, {identity: edge});
+    assert.strictEqual(donor.email, 'edge@abc.com');
+    assert.strictEqual(donor.emailHash, privateData.saltedHash(donor.salt, 'edge@abc.com'));
+    assert.strictEqual((await stub.invokeOk('queryDonor', {donorUserName: 'edge'}, {identity: braendle})).email, undefined);
+
+    let migrated = await stub.invokeOk('queryMember', {ssn: '123456789', contractNumber: '1001'}, {identity: employer});
+    assert.deepStrictEqual([migrated.dob, migrated.salary, migrated.electiveDeferral, migrated.contribAndDeferral],
+      ['01/07/1993', 6000000, 5, undefined]);
+    assert.strictEqual(stub.state.get('member123456789:1001'), undefined);
+    let forEmployer = await stub.invokeOk('queryMembersForEmployer', {contractNumber: '1001'});
+    assert.deepStrictEqual(forEmployer.map((result) => result.Record.memberId), [migrated.memberId]);
+
+    // the contribution and withdrawal are found by the member's memberId
+    let contributions = await stub.invokeOk('queryContributionsByMember', {memberId: migrated.memberId});
+    assert.deepStrictEqual(contributions.map((result) => result.Key), ['contribution:10:42']);
+    assert.strictEqual(contributions[0].Record.ssn, undefined);
+    let withdrawals = await stub.invokeOk('queryWithdrawalByMember', {ssn: '123456789'});
+    assert.deepStrictEqual(withdrawals.map((result) => result.Record.memberId), [migrated.memberId]);
+
+    // a second run finds nothing left to migrate
+    assert.deepStrictEqual(await stub.invokeOk('migratePrivateDetails', '', {identity: admin, transient: migrationSalt}),
+      {donor: 0, member: 0, contribution: 0, withdrawal: 0});
+  },
+
+  'contributions and withdrawals can be migrated after their members': async (stub) => {
+    await createLegacyRecords(stub);
+    let options = {identity: admin, transient: migrationSalt};
+    assertFails(await stub.invoke('migratePrivateDetails', {docType: 'contribution'}, options), 'has not been migrated');
+    assert.deepStrictEqual(await stub.invokeOk('migratePrivateDetails', {docType: 'member'}, options), {member: 1});
+    assert.deepStrictEqual(await stub.invokeOk('migratePrivateDetails', {docType: 'contribution'}, options), {contribution: 1});
+    let contributions = await stub.invokeOk('queryContributionsByMember', {ssn: '123456789'}, {identity: employer});
+    assert.strictEqual(contributions.length, 1);
+  },
+
+  'the history of a record leaves out the personal details it held, unless the caller may read them': async (stub) => {
+    await createLegacyRecords(stub);
+    await stub.invokeOk('migratePrivateDetails', {}, {identity: admin, transient: migrationSalt});
+
+    let history = await stub.invokeOk('queryHistoryForKey', {docType: 'donor', key: 'edge'}, {identity: braendle});
+    assert.strictEqual(history.length, 2);
+    assert.ok(!JSON.stringify(history).includes('edge@abc.com'));
+    assert.ok(history[1].Changes.some((change) => change.field === 'emailHash'));
+    history = await stub.invokeOk('queryHistoryForKey', {docType: 'donor', key: 'edge'}, {identity: edge});
+    assert.strictEqual(history[0].Record.email, 'edge@abc.com');
+    assert.deepStrictEqual(history[1].Changes.filter((change) => change.field === 'email'),
+      [{field: 'email', change: 'removed', from: 'edge@abc.com'}]);
+
+    history = await stub.invokeOk('queryHistoryForKey', {docType: 'contribution', key: ':10:42'}, {identity: edge});
+    assert.ok(!JSON.stringify(history).includes('123456789'));
+    history = await stub.invokeOk('queryHistoryForKey', {docType: 'member', key: '123456789:1001'});
+    assert.deepStrictEqual(history.map((entry) => entry.IsDelete), ['false']);
+    assert.ok(!JSON.stringify(history).includes('01/07/1993'));
+    history = await stub.invokeOk('queryHistoryForKey', {docType: 'member', key: '123456789:1001'}, {identity: employer});
+    assert.strictEqual(history[0].Record.dob, '01/07/1993');
+
+    let asOf = {docType: 'member', key: '123456789:1001', asOf: '2019-01-01T00:00:03.000Z'};
+    let version = await stub.invokeOk('queryRecordAsOf', asOf, {identity: edge});
+    assert.deepStrictEqual([version.Record.ssn, version.Record.salary, version.Record.contribAndDeferral, version.Record.firstName],
+      [undefined, undefined, undefined, 'John']);
+    assert.strictEqual((await stub.invokeOk('queryRecordAsOf', asOf, {identity: admin})).Record.ssn, '123456789');
+  }
+};
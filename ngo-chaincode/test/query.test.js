@@ -0,0 +1,201 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for the rich queries, which the mock stub answers as a LevelDB peer does, the history of keys,
+// and the events published for transactions
+
+'use strict';
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const {identities, createNGO, createDonor, donate, spend, assertFails} = require('./fixtures.js');
+const {MockStub} = require('./mockstub.js');
+
+async function setUp(stub) {
+  await createNGO(stub);
+  await createNGO(stub, {ngoRegistrationNumber: '6323', ngoName: 'Kids In Need'});
+  await createDonor(stub, 'edge');
+  await createDonor(stub, 'braendle');
+  await donate(stub, 'edge', 'd1', 100, {donationDate: '2018-09-01T12:00:00.000Z'});
+  await donate(stub, 'braendle', 'd2', 200, {donationDate: '2018-09-03T12:00:00.000Z'});
+  await donate(stub, 'edge', 'd3', 300, {donationDate: '2018-09-02T12:00:00.000Z', ngoRegistrationNumber: '6323'});
+  await donate(stub, 'edge', 'd4', 400, {donationDate: '2018-09-04T12:00:00.000Z'});
+}
+
+function donationIds(results) {
+  return results.map((result) => result.Record.donationId);
+}
+
+module.exports = {
+  'a selector with several fields returns each record matching every field once': async (stub) => {
+    await setUp(stub);
+    // each record used to be returned once for every field it matched, so d1 and d4 were returned three times,
+    // and d2 and d3, which only match some of the fields, were returned too
+    let results = await stub.invokeOk('queryBySelector', {selector: {docType: 'donation', ngoRegistrationNumber: '6322', donorUserName: 'edge'}});
+    assert.deepStrictEqual(donationIds(results), ['d1', 'd4']);
+
+    results = await stub.invokeOk('queryBySelector', {selector: {docType: 'donation', ngoRegistrationNumber: '6323', donorUserName: 'braendle'}});
+    assert.deepStrictEqual(results, []);
+    results = await stub.invokeOk('queryBySelector', {selector: {docType: 'donation', donorUserName: 'edge', donationAmount: {$gte: 300}}});
+    assert.deepStrictEqual(donationIds(results), ['d3', 'd4']);
+  },
+
+  'the selector operators, sort, skip, limit and fields are applied': async (stub) => {
+    await setUp(stub);
+    let results = await stub.invokeOk('queryBySelector', {selector: {docType: 'donation', donationAmount: {$in: [100, 400]}}});
+    assert.deepStrictEqual(donationIds(results), ['d1', 'd4']);
+    results = await stub.invokeOk('queryBySelector', {selector: {docType: 'donation',
+      $or: [{donorUserName: 'braendle'}, {ngoRegistrationNumber: '6323'}]}});
+    assert.deepStrictEqual(donationIds(results), ['d2', 'd3']);
+    results = await stub.invokeOk('queryBySelector', {selector: {docType: 'donation', restriction: {$exists: false}},
+      sort: [{donationDate: 'desc'}], skip: 1, limit: 2, fields: ['donationId', 'donationDate']});
+    assert.deepStrictEqual(results.map((result) => result.Record), [
+      {donationId: 'd2', donationDate: '2018-09-03T12:00:00.000Z'},
+      {donationId: 'd3', donationDate: '2018-09-02T12:00:00.000Z'}
+    ]);
+  },
+
+  'a CouchDB peer is passed the query as a rich query, and evaluates it itself': async () => {
+    // the chaincode remembers whether the peer supports rich queries, so a new instance of the module is needed
+    let modulePath = require.resolve('../src/ngo.js');
+    let cached = require.cache[modulePath];
+    delete require.cache[modulePath];
+    let Chaincode = require('../src/ngo.js');
+    require.cache[modulePath] = cached;
+
+    let stub = new MockStub(new Chaincode());
+    let queries = [];
+    let records = [{key: 'donationd1', value: Buffer.from(JSON.stringify({docType: 'donation', donationId: 'd1'}))}];
+    stub.getQueryResult = async (query) => {
+      queries.push(JSON.parse(query));
+      let i = 0;
+      return {next: async () => (i < records.length ? {value: records[i++], done: false} : {done: true}), close: async () => {}};
+    };
+    let query = {selector: {docType: 'donation', donationAmount: {$gt: 100}}, sort: [{donationDate: 'desc'}], limit: 10};
+    assert.deepStrictEqual(await stub.invokeOk('queryBySelector', query),
+      [{Key: 'donationd1', Record: {docType: 'donation', donationId: 'd1'}}]);
+    assert.deepStrictEqual(queries, [query]);
+  },
+
+  'a query must name a docType': async (stub) => {
+    await setUp(stub);
+    assertFails(await stub.invoke('queryBySelector', {selector: {donorUserName: 'edge'}}), 'without a docType');
+    assertFails(await stub.invoke('queryBySelector', {selector: {docType: {$in: ['donation', 'spend']}}}), 'must be a string');
+  },
+
+  'the chaincode ships a CouchDB index for each field it documents as sortable, and for pledges\' next due date': async () => {
+    let dir = path.join(__dirname, '../src/META-INF/statedb/couchdb/indexes');
+    let indexes = fs.readdirSync(dir).map((file) => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+    assert.deepStrictEqual(indexes.map((index) => index.index.fields).sort(),
+      [['donationAmount'], ['donationDate'], ['nextDueDate'], ['spendAmount'], ['spendDate']]);
+    assert.ok(indexes.every((index) => index.type === 'json' && index.ddoc === index.name + 'Doc'));
+  },
+
+  'queryHistoryForKey returns every version of a record': async (stub) => {
+    await setUp(stub);
+    await stub.invokeOk('updateNGO', {ngoRegistrationNumber: '6322', address: '1 Pet street'}, {identity: identities.pets});
+    await stub.invokeOk('updateNGO', {ngoRegistrationNumber: '6322', address: '2 Pet street'});
+    let history = await stub.invokeOk('queryHistoryForKey', {docType: 'ngo', key: '6322'});
+    assert.deepStrictEqual(history.map((entry) => entry.Record.address), [undefined, undefined, '1 Pet street', '2 Pet street']);
+    assert.deepStrictEqual(history.map((entry) => entry.Record.status), ['pending', 'active', 'active', 'active']);
+    assert.deepStrictEqual(history.map((entry) => entry.IsDelete), ['false', 'false', 'false', 'false']);
+    assert.strictEqual(history[0].TxId, 'tx1');
+    assert.deepStrictEqual(await stub.invokeOk('queryHistoryForKey', {docType: 'ngo', key: '9999'}), []);
+  },
+
+  'queryHistoryForKey lists the changes from each version of a record to the one before': async (stub) => {
+    await setUp(stub);
+    let policy = {ngoRegistrationNumber: '6322', threshold: 1000, approvers: ['alice', 'bob'], requiredApprovals: 1, expiryHours: 24};
+    await stub.invokeOk('updateNGO', {ngoRegistrationNumber: '6322', address: '1 Pet street'}, {identity: identities.pets});
+    await stub.invokeOk('updateNGO', {ngoRegistrationNumber: '6322', address: '2 Pet street'});
+    await stub.invokeOk('setSpendApprovalPolicy', policy, {identity: identities.admin});
+    await stub.invokeOk('setSpendApprovalPolicy', Object.assign({}, policy, {threshold: 2000}));
+    await stub.invokeOk('updateNGO', {ngoRegistrationNumber: '6322', address: null});
+    let history = await stub.invokeOk('queryHistoryForKey', {docType: 'ngo', key: '6322'});
+
+    assert.ok(history[0].Changes.every((change) => change.change === 'added'));
+    assert.deepStrictEqual(history[0].Changes.find((change) => change.field === 'ngoName'), {field: 'ngoName', change: 'added', to: 'Pets In Need'});
+    assert.deepStrictEqual(history[1].Changes.find((change) => change.field === 'status'),
+      {field: 'status', change: 'changed', from: 'pending', to: 'active'});
+    assert.deepStrictEqual(history.slice(2).map((entry) => entry.Changes), [
+      [{field: 'address', change: 'added', to: '1 Pet street'}],
+      [{field: 'address', change: 'changed', from: '1 Pet street', to: '2 Pet street'}],
+      [{field: 'spendApprovalPolicy', change: 'added', to: {threshold: 1000, approvers: ['alice', 'bob'], requiredApprovals: 1, expiryHours: 24}}],
+      [{field: 'spendApprovalPolicy.threshold', change: 'changed', from: 1000, to: 2000}],
+      [{field: 'address', change: 'removed', from: '2 Pet street'}]
+    ]);
+  },
+
+  'queryRecordAsOf rebuilds a record as it was at a point in time': async (stub) => {
+    await setUp(stub);
+    await stub.invokeOk('updateNGO', {ngoRegistrationNumber: '6322', address: '1 Pet street'}, {identity: identities.pets});
+    await stub.invokeOk('updateNGO', {ngoRegistrationNumber: '6322', address: '2 Pet street'});
+    let asOf = (docType, key, time) => stub.invokeOk('queryRecordAsOf', {docType: docType, key: key, asOf: time});
+    let history = await stub.invokeOk('queryHistoryForKey', {docType: 'ngo', key: '6322'});
+
+    assert.strictEqual((await asOf('ngo', '6322', '2019-01-01T00:00:02.000Z')).Record.status, 'pending');
+    let version = await asOf('ngo', '6322', '2019-01-01T00:00:12.500Z');
+    assert.deepStrictEqual([version.TxId, version.Timestamp, version.Record], [history[2].TxId, '2019-01-01T00:00:12.000Z', history[2].Record]);
+    assert.strictEqual((await asOf('ngo', '6322', '2020-01-01T00:00:00.000Z')).Record.address, '2 Pet street');
+    let donor = (await asOf('donor', 'edge', '2020-01-01T00:00:00.000Z')).Record;
+    assert.deepStrictEqual([donor.donorUserName, donor.email, typeof donor.emailHash], ['edge', undefined, 'string']);
+
+    assertFails(await stub.invoke('queryRecordAsOf', {docType: 'ngo', key: '6322', asOf: '2018-12-31T23:59:59.999Z'}),
+      'The ngo: 6322 did not exist at: 2018-12-31T23:59:59.999Z');
+    assertFails(await stub.invoke('queryRecordAsOf', {docType: 'donation', key: 'd1', asOf: '2020-01-01T00:00:00.000Z'}), 'docType must be one of');
+    assertFails(await stub.invoke('queryRecordAsOf', {docType: 'ngo', key: '6322', asOf: 'yesterday'}), 'asOf');
+  },
+
+  'each committed transaction publishes one event, and a failed transaction none': async (stub) => {
+    await setUp(stub);
+    assert.deepStrictEqual(stub.events.map((event) => event.name), ['NGOCreated', 'VerificationPolicySet', 'NGOVerified',
+      'NGOCreated', 'NGOVerified', 'DonorCreated', 'DonorCreated', 'DonationCreated', 'DonationCreated', 'DonationCreated',
+      'DonationCreated']);
+    await donate(stub, 'edge', 'd5', 100);
+    assertFails(await stub.invoke('createDonation', {donationId: 'd5', donationAmount: 100, donationDate: '2018-09-01T12:00:00.000Z',
+      donorUserName: 'edge', ngoRegistrationNumber: '6322'}), 'already exists');
+    assert.strictEqual(stub.events.length, 12);
+
+    // donor events leave out the personal details
+    let donorEvent = stub.events.find((event) => event.name === 'DonorCreated');
+    assert.deepStrictEqual(donorEvent.payload, {donorUserName: 'edge', status: 'active'});
+  },
+
+  'an event carries every record the transaction wrote': async (stub) => {
+    await setUp(stub);
+    await spend(stub, 's1', 150);
+    let event = stub.events.pop();
+    assert.deepStrictEqual([event.name, event.payload.spend.spendId, event.payload.spend.spendAmount], ['SpendCreated', 's1', 150]);
+    assert.deepStrictEqual(event.payload.spendAllocations.map((allocation) => [allocation.donationId, allocation.spendAllocationAmount]),
+      [['d1', 50], ['d2', 50], ['d4', 50]]);
+    assert.ok(event.payload.spendAllocations.every((allocation) => allocation.spendId === 's1'));
+
+    await stub.invokeOk('reverseDonation', {donationId: 'd4', refundDate: '2018-09-25T12:00:00.000Z'}, {identity: identities.admin});
+    event = stub.events.pop();
+    assert.strictEqual(event.name, 'DonationRefunded');
+    assert.deepStrictEqual([event.payload.donation.donationId, event.payload.donation.donationStatus], ['d4', 'refunded']);
+    assert.strictEqual(event.payload.reversedSpendAllocationIds.length, 1);
+    assert.deepStrictEqual(event.payload.underfundedSpend, []);
+
+    await stub.invokeOk('updateDonor', {donorUserName: 'edge', status: 'suspended'});
+    assert.deepStrictEqual(stub.events.pop(), {name: 'DonorUpdated', payload: {donorUserName: 'edge', status: 'suspended'}});
+    await stub.invokeOk('createEmployer', {contractNumber: '1001'});
+    assert.deepStrictEqual(stub.events.pop(), {name: 'EmployerCreated', payload: {contractNumber: '1001', docType: 'employer', status: 'active'}});
+    await stub.invokeOk('createPlan', {planId: 'p1'});
+    await stub.invokeOk('updatePlan', {planId: 'p1', funds: ['Growth fund']});
+    assert.deepStrictEqual(stub.events.pop(), {name: 'PlanUpdated', payload: {planId: 'p1', docType: 'plan', status: 'active', funds: ['Growth fund']}});
+  }
+};
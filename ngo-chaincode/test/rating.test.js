@@ -0,0 +1,120 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for donors' ratings of NGOs, and the rating summary kept for each NGO
+
+'use strict';
+const assert = require('assert');
+const {identities, createNGO, assertFails} = require('./fixtures.js');
+
+async function rate(stub, fcn, donorUserName, rating, review) {
+  let json = {ngoRegistrationNumber: '6322', donorUserName: donorUserName, rating: rating};
+  if (review !== undefined) {
+    json['review'] = review;
+  }
+  return stub.invoke(fcn, json, {identity: {attrs: {role: 'donor', donorUserName: donorUserName}}});
+}
+
+module.exports = {
+  'createRating records one rating per donor and updates the summary': async (stub) => {
+    await createNGO(stub);
+    assert.strictEqual((await rate(stub, 'createRating', 'edge', 5, 'Great')).status, 200);
+    assert.strictEqual((await rate(stub, 'createRating', 'braendle', 2)).status, 200);
+    assertFails(await rate(stub, 'createRating', 'edge', 4), 'already exists');
+
+    let event = stub.events.pop();
+    assert.strictEqual(event.name, 'RatingCreated');
+    assert.deepStrictEqual(event.payload.ratingSummary, {docType: 'ratingSummary', ngoRegistrationNumber: '6322', ratingCount: 2,
+      ratingTotal: 7, meanRating: 3.5, histogram: {1: 0, 2: 1, 3: 0, 4: 0, 5: 1}});
+    assert.deepStrictEqual((await stub.invokeOk('queryNGO', {ngoRegistrationNumber: '6322'})).ratingSummary, event.payload.ratingSummary);
+    assert.strictEqual((await stub.invokeOk('queryAllNGOs', {}))[0].Record.ratingSummary.ratingCount, 2);
+
+    let ratings = await stub.invokeOk('queryRatingsForNGO', {ngoRegistrationNumber: '6322'});
+    assert.deepStrictEqual(ratings.map((rating) => rating.Record.donorUserName), ['braendle', 'edge']);
+    let rating = await stub.invokeOk('queryDonorRatingsForNGO', {ngoRegistrationNumber: '6322', donorUserName: 'edge'});
+    assert.strictEqual(rating.review, 'Great');
+  },
+
+  'createRating rejects invalid ratings': async (stub) => {
+    await createNGO(stub);
+    assertFails(await rate(stub, 'createRating', 'edge', 0), 'rating');
+    assertFails(await rate(stub, 'createRating', 'edge', 6), 'rating');
+    assertFails(await rate(stub, 'createRating', 'edge', 4.5), 'rating');
+    assertFails(await rate(stub, 'createRating', 'edge', 4, 'x'.repeat(501)), 'review');
+    let response = await stub.invoke('createRating', {ngoRegistrationNumber: '9999', donorUserName: 'edge', rating: 3});
+    assertFails(response, 'NGO does not exist');
+    response = await stub.invoke('createRating', {ngoRegistrationNumber: '6322', donorUserName: 'braendle', rating: 1});
+    assertFails(response, 'AccessDeniedError');
+  },
+
+  'updateRating revises the rating and the summary': async (stub) => {
+    await createNGO(stub);
+    assertFails(await rate(stub, 'updateRating', 'edge', 4), 'does not exist');
+    await rate(stub, 'createRating', 'edge', 1, 'Slow to respond');
+    await rate(stub, 'createRating', 'braendle', 4);
+    assert.strictEqual((await rate(stub, 'updateRating', 'edge', 4, 'Much better')).status, 200);
+
+    let rating = await stub.invokeOk('queryDonorRatingsForNGO', {ngoRegistrationNumber: '6322', donorUserName: 'edge'});
+    assert.strictEqual(rating.rating, 4);
+    assert.strictEqual(rating.revision, 1);
+    let event = stub.events.pop();
+    assert.strictEqual(event.name, 'RatingUpdated');
+    assert.deepStrictEqual(event.payload.ratingSummary.histogram, {1: 0, 2: 0, 3: 0, 4: 2, 5: 0});
+    assert.strictEqual(event.payload.ratingSummary.meanRating, 4);
+
+    // every revision is kept in the history
+    let history = await stub.invokeOk('queryHistoryForKey', {docType: 'rating', key: '6322edge'});
+    assert.deepStrictEqual(history.map((entry) => entry.Record.review), ['Slow to respond', 'Much better']);
+  },
+
+  'each NGO has its own summary, and only the donor who rated an NGO may revise the rating': async (stub) => {
+    await createNGO(stub);
+    await createNGO(stub, {ngoRegistrationNumber: '6323', ngoName: 'Kids In Need'});
+    await rate(stub, 'createRating', 'edge', 2, 'x'.repeat(500));
+    let other = {ngoRegistrationNumber: '6323', donorUserName: 'edge', rating: 5};
+    await stub.invokeOk('createRating', other, {identity: identities.edge});
+    assert.strictEqual((await stub.invokeOk('queryNGO', {ngoRegistrationNumber: '6322'})).ratingSummary.meanRating, 2);
+    assert.strictEqual((await stub.invokeOk('queryNGO', {ngoRegistrationNumber: '6323'})).ratingSummary.meanRating, 5);
+
+    let response = await stub.invoke('updateRating', {ngoRegistrationNumber: '6322', donorUserName: 'edge', rating: 1},
+      {identity: identities.braendle});
+    assertFails(response, 'AccessDeniedError');
+    // the revision replaces the rating, so a review left out of it is removed
+    await rate(stub, 'updateRating', 'edge', 3);
+    let rating = await stub.invokeOk('queryDonorRatingsForNGO', {ngoRegistrationNumber: '6322', donorUserName: 'edge'});
+    assert.deepStrictEqual([rating.rating, rating.review], [3, undefined]);
+    assert.deepStrictEqual((await stub.invokeOk('queryNGO', {ngoRegistrationNumber: '6322'})).ratingSummary.histogram,
+      {1: 0, 2: 0, 3: 1, 4: 0, 5: 0});
+    assert.strictEqual((await stub.invokeOk('queryNGO', {ngoRegistrationNumber: '6323'})).ratingSummary.ratingTotal, 5);
+  },
+
+  'the summary is built from the ratings on a ledger that does not have one': async (stub) => {
+    await createNGO(stub);
+    await rate(stub, 'createRating', 'edge', 5);
+    await rate(stub, 'createRating', 'braendle', 4);
+    await rate(stub, 'createRating', 'alice', 4);
+    stub.state.delete('ratingSummary6322');
+    let summary = (await stub.invokeOk('queryNGO', {ngoRegistrationNumber: '6322'})).ratingSummary;
+    assert.strictEqual(summary.ratingCount, 3);
+    // 13 / 3, rounded to 2 decimal places
+    assert.strictEqual(summary.meanRating, 4.33);
+
+    await rate(stub, 'updateRating', 'alice', 1);
+    summary = (await stub.invokeOk('queryNGO', {ngoRegistrationNumber: '6322'})).ratingSummary;
+    assert.strictEqual(summary.ratingTotal, 10);
+    assert.ok(stub.state.has('ratingSummary6322'));
+  }
+};
@@ -0,0 +1,79 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Runs the chaincode tests with plain node:
+//
+//    node ngo-chaincode/test/run.js [name filter]
+//
+// Each *.test.js file exports its tests as an object mapping the test name to an async function, which is
+// passed a new MockStub (see mockstub.js). The chaincode's logging is hidden unless VERBOSE is set.
+//
+// When every test is run, the run also fails if a chaincode function was not invoked by any test, so a
+// new function cannot be added without tests. Init is called by the peer rather than through Invoke, and
+// is tested by calling it directly.
+
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const mockstub = require('./mockstub.js');
+
+async function run() {
+  let filter = process.argv[2];
+  let log = console.log;
+  let error = console.error;
+  let passed = 0;
+  let failed = 0;
+  let files = fs.readdirSync(__dirname).filter((file) => file.endsWith('.test.js')).sort();
+  for (let file of files) {
+    let tests = require(path.join(__dirname, file));
+    for (let name in tests) {
+      let fullName = file.replace('.test.js', '') + ' - ' + name;
+      if (filter && fullName.indexOf(filter) < 0) {
+        continue;
+      }
+      if (!process.env.VERBOSE) {
+        console.log = () => {};
+        console.error = () => {};
+      }
+      try {
+        await tests[name](mockstub.newStub());
+        console.log = log;
+        console.error = error;
+        console.log('ok - ' + fullName);
+        passed++;
+      }
+      catch (err) {
+        console.log = log;
+        console.error = error;
+        console.log('not ok - ' + fullName + '\n' + err.stack);
+        failed++;
+      }
+    }
+  }
+  if (!filter) {
+    const Chaincode = require('../src/ngo.js');
+    let untested = Object.getOwnPropertyNames(Chaincode.prototype).filter((fcn) =>
+      ['constructor', 'Init', 'Invoke'].indexOf(fcn) < 0 && !mockstub.invokedFunctions.has(fcn));
+    if (untested.length > 0) {
+      console.log('not ok - no test invokes the chaincode functions: ' + untested.join(', '));
+      failed++;
+    }
+  }
+  console.log('\n' + passed + ' passed, ' + failed + ' failed');
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+run();
@@ -0,0 +1,86 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for schemas.js, which validates the payload of each chaincode function before anything is written
+
+'use strict';
+const assert = require('assert');
+const schemas = require('../src/schemas.js');
+const {identities, createNGO, createDonor, registrationDocuments, assertFails} = require('./fixtures.js');
+
+/**
+ * Returns the field and rule of each error validating the record, or [] if it is valid
+ */
+function failures(docType, record) {
+  try {
+    schemas.validate(docType, record);
+    return [];
+  }
+  catch (err) {
+    assert.ok(err instanceof schemas.ValidationError, err);
+    assert.deepStrictEqual(JSON.parse(err.message), JSON.parse(JSON.stringify({docType: docType, errors: err.errors})));
+    return err.errors.map((error) => error.field + ' ' + error.rule);
+  }
+}
+
+module.exports = {
+  'every field that fails is listed, with the first rule it broke': async () => {
+    assert.deepStrictEqual(failures('donation', {donationId: '', donationAmount: 10.5, currency: 'XXX', donationDate: '2018-09-20',
+      ngoRegistrationNumber: '6322', pledgeOccurrence: 0}), [
+      'donationId minLength', 'donationAmount type', 'currency enum', 'donationDate format', 'donorUserName required', 'pledgeOccurrence minimum'
+    ]);
+    assert.deepStrictEqual(failures('donation', {donationId: 'd1', donationAmount: 100, donationDate: '2018-09-20T12:41:59.582Z',
+      donorUserName: 'edge', ngoRegistrationNumber: '6322', notInTheSchema: 'allowed'}), []);
+  },
+
+  'the formats reject values that only look right': async () => {
+    let ngo = {ngoRegistrationNumber: '6322', ngoName: 'Pets In Need'};
+    assert.deepStrictEqual(failures('ngo', Object.assign({contactEmail: 'pets@localhost'}, ngo)), ['contactEmail format']);
+    assert.deepStrictEqual(failures('ngo', Object.assign({contactEmail: 'pets@pets.org'}, ngo)), []);
+    assert.deepStrictEqual(failures('auditPeriod', {ngoRegistrationNumber: '6322', fromDate: '2018-13-01T00:00:00Z', toDate: '2018-12-31T23:59:59+01:00'}),
+      ['fromDate format']);
+    assert.deepStrictEqual(failures('fxRate', {baseCurrency: 'EUR', quoteCurrency: 'USD', rate: '-1.08', rateDate: '2018-09-20T00:00:00Z'}),
+      ['rate format']);
+    assert.deepStrictEqual(failures('fxRate', {baseCurrency: 'EUR', quoteCurrency: 'USD', rate: '0', rateDate: '2018-09-20T00:00:00Z'}),
+      ['rate format']);
+  },
+
+  'nested objects and the elements of arrays are validated, and named by their path': async () => {
+    let ngo = {ngoRegistrationNumber: '6322', ngoName: 'Pets In Need', registrationDocuments: [registrationDocuments[0],
+      {documentType: 'charterDocument', sha256: 'ABC'}], spendApprovalPolicy: {threshold: 100, approvers: ['alice', ''], requiredApprovals: 0}};
+    assert.deepStrictEqual(failures('ngo', ngo), [
+      'registrationDocuments[1].fileName required', 'registrationDocuments[1].sha256 format', 'spendApprovalPolicy.approvers[1] minLength',
+      'spendApprovalPolicy.requiredApprovals minimum', 'spendApprovalPolicy.expiryHours required'
+    ]);
+  },
+
+  'a payload that is not a JSON object fails, and an unknown schema is an error': async () => {
+    assert.deepStrictEqual(failures('donation', [1, 2]), [' type']);
+    assert.deepStrictEqual(failures('donation', null), [' type']);
+    assert.throws(() => schemas.validate('unknown', {}), /There is no schema for docType: unknown/);
+  },
+
+  'the chaincode returns a ValidationError, and writes nothing, when a payload is invalid': async (stub) => {
+    await createNGO(stub);
+    await createDonor(stub, 'edge');
+    let written = stub.state.size;
+    let response = await stub.invoke('createDonation', {donationId: 'd1', donationAmount: '100', donationDate: '2018-09-20T12:41:59.582Z',
+      donorUserName: 'edge', ngoRegistrationNumber: '6322'}, {identity: identities.edge});
+    assertFails(response, 'ValidationError: {"docType":"donation","errors":[{"field":"donationAmount","rule":"type","value":"100"');
+    assertFails(await stub.invoke('createRating', {ngoRegistrationNumber: '6322', donorUserName: 'edge', rating: 6}), 'rating must be at most 5');
+    assert.strictEqual(stub.state.size, written);
+  }
+};
@@ -0,0 +1,79 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for selector.js, which evaluates Mango queries in the chaincode when the peer uses LevelDB
+
+'use strict';
+const assert = require('assert');
+const selector = require('../src/selector.js');
+
+const member = {
+  docType: 'member',
+  memberId: 'm1',
+  contribAndDeferral: {electiveDeferral: 5, employerMatch: 3},
+  funds: ['bonds', 'equities'],
+  allocations: [{fund: 'bonds', percent: 40}, {fund: 'equities', percent: 60}]
+};
+
+function records(values) {
+  return values.map((value, i) => ({Key: 'donation' + i, Record: value}));
+}
+
+module.exports = {
+  'values of different types are compared in the order CouchDB collates them': async () => {
+    let values = [{a: 1}, ['a'], 'a', 10, 2, true, false, null];
+    assert.deepStrictEqual(values.slice().sort(selector.compare), [null, false, true, 2, 10, 'a', ['a'], {a: 1}]);
+    assert.strictEqual(selector.compare(['a', 'b'], ['a']), 1);
+    assert.strictEqual(selector.compare(undefined, null), 0);
+  },
+
+  'nested fields, arrays and the logical operators are matched': async () => {
+    assert.ok(selector.matches(member, {'contribAndDeferral.electiveDeferral': {$gte: 5}}));
+    assert.ok(selector.matches(member, {contribAndDeferral: {employerMatch: 3}}));
+    assert.ok(!selector.matches(member, {'contribAndDeferral.missing': {$exists: true}}));
+    assert.ok(selector.matches(member, {funds: {$all: ['equities', 'bonds'], $size: 2}}));
+    assert.ok(selector.matches(member, {allocations: {$elemMatch: {fund: 'equities', percent: {$gt: 50}}}}));
+    assert.ok(!selector.matches(member, {allocations: {$elemMatch: {fund: 'bonds', percent: {$gt: 50}}}}));
+    assert.ok(selector.matches(member, {memberId: {$regex: '^m[0-9]+$'}, docType: {$nin: ['donation', 'spend']}}));
+    assert.ok(selector.matches(member, {$and: [{docType: 'member'}, {memberId: 'm1'}]}));
+    assert.ok(!selector.matches(member, {$nor: [{memberId: 'm2'}, {docType: 'member'}]}));
+    assert.ok(selector.matches(member, {memberId: {$not: {$eq: 'm2'}}}));
+    assert.ok(!selector.matches(member, {memberId: {$ne: 'm1'}}));
+    // a missing field only matches $exists: false
+    assert.ok(!selector.matches(member, {restriction: {$ne: 'food'}}));
+    assert.ok(selector.matches(member, {restriction: {$exists: false}}));
+  },
+
+  'an unsupported operator, or $in without an array, is an error': async () => {
+    assert.throws(() => selector.matches(member, {memberId: {$mod: [2, 0]}}), /Unsupported operator: \$mod/);
+    assert.throws(() => selector.matches(member, {memberId: {$in: 'm1'}}), /\$in requires an array/);
+  },
+
+  'sort orders by each field in turn, then by key, and fields keeps nested fields': async () => {
+    let results = selector.applyQueryOptions(records([
+      {donationAmount: 100, donationDate: '2018-09-02', donor: {name: 'edge', email: 'edge@abc.com'}},
+      {donationAmount: 300, donationDate: '2018-09-01', donor: {name: 'braendle'}},
+      {donationAmount: 100, donationDate: '2018-09-03', donor: {name: 'edge'}},
+      {donationAmount: 100, donationDate: '2018-09-02'}
+    ]), {sort: [{donationAmount: 'desc'}, 'donationDate'], fields: ['donationDate', 'donor.name']});
+    assert.deepStrictEqual(results, [
+      {Key: 'donation1', Record: {donationDate: '2018-09-01', donor: {name: 'braendle'}}},
+      {Key: 'donation0', Record: {donationDate: '2018-09-02', donor: {name: 'edge'}}},
+      {Key: 'donation3', Record: {donationDate: '2018-09-02'}},
+      {Key: 'donation2', Record: {donationDate: '2018-09-03', donor: {name: 'edge'}}}
+    ]);
+  }
+};
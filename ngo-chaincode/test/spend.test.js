@@ -0,0 +1,284 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for spend and its allocation to donations, including the allocation strategies, restricted donations
+// and the re-allocation of spend when a donation is refunded
+
+'use strict';
+const assert = require('assert');
+const {identities, createNGO, createDonor, donate, spend, allocationsForSpend, assertFails} = require('./fixtures.js');
+
+/**
+ * Creates NGO 6322 using the strategy, and a donation from edge for each amount, made a day apart
+ */
+async function setUp(stub, strategy, amounts) {
+  await createNGO(stub, strategy ? {allocationStrategy: strategy} : {});
+  await createDonor(stub, 'edge');
+  for (let n = 0; n < amounts.length; n++) {
+    await donate(stub, 'edge', 'd' + (n + 1), amounts[n], {donationDate: '2018-09-0' + (n + 1) + 'T12:00:00.000Z'});
+  }
+}
+
+module.exports = {
+  'spend equal to the funds available uses every donation up': async (stub) => {
+    await setUp(stub, 'even', [6000, 4000]);
+    let response = await spend(stub, 's1', 10000);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's1'), {d1: 6000, d2: 4000});
+    assertFails(await spend(stub, 's2', 1), 'does not have sufficient funds');
+  },
+
+  'spend exceeding the funds available is rejected without writing anything': async (stub) => {
+    await setUp(stub, 'even', [6000, 4000]);
+    let keys = Array.from(stub.state.keys());
+    assertFails(await spend(stub, 's1', 10001), 'Available funds are currently: 10000');
+    assert.deepStrictEqual(Array.from(stub.state.keys()), keys);
+    assertFails(await stub.invoke('querySpend', {spendId: 's1'}), 'does not exist');
+  },
+
+  'createSpend validates the spend': async (stub) => {
+    await setUp(stub, 'even', [6000]);
+    assertFails(await spend(stub, 's1', 0), 'spendAmount');
+    assertFails(await spend(stub, 's1', 10.5), 'spendAmount');
+    assertFails(await spend(stub, 's1', 100, {currency: 'EUR'}), 'must be in the NGO\'s currency');
+    assertFails(await spend(stub, 's1', 100, {spendDate: 'yesterday'}), 'spendDate');
+    let response = await stub.invoke('createSpend', {spendId: 's1', spendAmount: 100, spendDate: '2018-09-21T12:41:59.582Z',
+      ngoRegistrationNumber: '9999'}, {identity: {attrs: {role: 'ngo', ngoRegistrationNumber: '9999'}}});
+    assertFails(response, 'NGO does not exist');
+
+    assert.strictEqual((await spend(stub, 's1', 100)).status, 200);
+    assertFails(await spend(stub, 's1', 100), 'already exists');
+  },
+
+  'an NGO user may only record spend for their own NGO': async (stub) => {
+    await setUp(stub, 'even', [6000]);
+    let response = await stub.invoke('createSpend', {spendId: 's1', spendAmount: 100, spendDate: '2018-09-21T12:41:59.582Z',
+      ngoRegistrationNumber: '6322'}, {identity: {attrs: {role: 'ngo', ngoRegistrationNumber: '6323'}}});
+    assertFails(response, 'AccessDeniedError');
+    response = await stub.invoke('createSpend', {spendId: 's1', spendAmount: 100, spendDate: '2018-09-21T12:41:59.582Z',
+      ngoRegistrationNumber: '6322'}, {identity: identities.admin});
+    assertFails(response, 'Permitted roles are: ngo');
+  },
+
+  'the even strategy gives the remainder to the first donations': async (stub) => {
+    await setUp(stub, 'even', [10000, 10000, 10000]);
+    await spend(stub, 's1', 100);
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's1'), {d1: 34, d2: 33, d3: 33});
+  },
+
+  'the even strategy uses up a small donation and splits the rest between the others': async (stub) => {
+    await setUp(stub, 'even', [10, 1000, 1000]);
+    await spend(stub, 's1', 301);
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's1'), {d1: 10, d2: 146, d3: 145});
+  },
+
+  'the proRata strategy splits in proportion to the funds available, without losing a unit': async (stub) => {
+    await setUp(stub, 'proRata', [100, 200, 300]);
+    await spend(stub, 's1', 100);
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's1'), {d1: 17, d2: 33, d3: 50});
+    // the next spend is split in proportion to what is left, i.e. 83, 167 and 250
+    await spend(stub, 's2', 500);
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's2'), {d1: 83, d2: 167, d3: 250});
+  },
+
+  'the fifo, lifo and largestFirst strategies use the donations in order': async (stub) => {
+    await setUp(stub, 'fifo', [300, 500, 400]);
+    await spend(stub, 's1', 600);
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's1'), {d1: 300, d2: 300});
+
+    await stub.invokeOk('setAllocationStrategy', {ngoRegistrationNumber: '6322', allocationStrategy: 'lifo'}, {identity: identities.pets});
+    await spend(stub, 's2', 450);
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's2'), {d3: 400, d2: 50});
+
+    await stub.invokeOk('setAllocationStrategy', {ngoRegistrationNumber: '6322', allocationStrategy: 'largestFirst'}, {identity: identities.pets});
+    await donate(stub, 'edge', 'd4', 100);
+    await donate(stub, 'edge', 'd5', 200);
+    // d2 has 150 left, d4 100 and d5 200
+    await spend(stub, 's3', 300);
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's3'), {d5: 200, d2: 100});
+    let allocations = await stub.invokeOk('querySpendAllocationForSpend', {spendId: 's3'});
+    assert.ok(allocations.every((allocation) => allocation.Record.allocationStrategy === 'largestFirst'));
+  },
+
+  'restricted donations only fund spend in their category, and are used first': async (stub) => {
+    await setUp(stub, 'even', [1000]);
+    await donate(stub, 'edge', 'medical', 500, {restriction: 'medical'});
+    await donate(stub, 'edge', 'food', 500, {restriction: 'food'});
+
+    await spend(stub, 's1', 700, {spendCategory: 'medical'});
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's1'), {medical: 500, d1: 200});
+    // spend without a category can only use the 800 of unrestricted funds left
+    assertFails(await spend(stub, 's2', 900), 'Available funds are currently: 800');
+    assertFails(await spend(stub, 's2', 1301, {spendCategory: 'food'}), 'in category food');
+    await spend(stub, 's2', 1300, {spendCategory: 'food'});
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's2'), {food: 500, d1: 800});
+
+    let ngo = await stub.invokeOk('queryNGO', {ngoRegistrationNumber: '6322'});
+    assert.deepStrictEqual(ngo.availableBalances, {currency: 'USD', unrestricted: 0, restricted: {medical: 0, food: 0}});
+  },
+
+  'spend in a category no donation is restricted to is funded by unrestricted donations alone': async (stub) => {
+    await setUp(stub, 'fifo', [300]);
+    await donate(stub, 'edge', 'medical', 500, {restriction: 'medical'});
+    assert.strictEqual((await stub.invokeOk('queryDonation', {donationId: 'medical'})).restriction, 'medical');
+
+    let keys = Array.from(stub.state.keys());
+    assertFails(await spend(stub, 's1', 301, {spendCategory: 'food'}),
+      'in category food. Spend amount is: 301. Available funds are currently: 300, of which 0 is restricted to this category');
+    assert.deepStrictEqual(Array.from(stub.state.keys()), keys);
+    await spend(stub, 's1', 300, {spendCategory: 'food'});
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's1'), {d1: 300});
+    assertFails(await spend(stub, 's2', 1), 'Available funds are currently: 0');
+    assertFails(await stub.invoke('createDonation', {donationId: 'd2', donationAmount: 100, donationDate: '2018-09-20T12:41:59.582Z',
+      donorUserName: 'edge', ngoRegistrationNumber: '6322', restriction: ''}, {identity: identities.edge}), 'restriction');
+  },
+
+  'refunded donations are not allocated any spend': async (stub) => {
+    await setUp(stub, 'even', [1000, 1000]);
+    await stub.invokeOk('reverseDonation', {donationId: 'd1', refundDate: '2018-09-25T12:41:59.582Z'}, {identity: identities.admin});
+    await spend(stub, 's1', 600);
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's1'), {d2: 600});
+    assertFails(await spend(stub, 's2', 401), 'Available funds are currently: 400');
+  },
+
+  'previewSpendAllocation matches the allocation made by createSpend, without writing anything': async (stub) => {
+    await setUp(stub, 'even', [10000, 250, 10000]);
+    await donate(stub, 'edge', 'medical', 99, {restriction: 'medical'});
+    let request = {ngoRegistrationNumber: '6322', spendAmount: 1001, spendCategory: 'medical'};
+    let keys = Array.from(stub.state.keys());
+    let preview = await stub.invokeOk('previewSpendAllocation', request);
+    assert.deepStrictEqual(Array.from(stub.state.keys()), keys);
+    assert.strictEqual(preview.allocationStrategy, 'even');
+    assert.strictEqual(preview.currency, 'USD');
+
+    await spend(stub, 's1', 1001, {spendCategory: 'medical'});
+    let allocated = await allocationsForSpend(stub, 's1');
+    let previewed = {};
+    for (let allocation of preview.spendAllocations) {
+      previewed[allocation.donationId] = allocation.spendAllocationAmount;
+    }
+    assert.deepStrictEqual(previewed, allocated);
+    assert.deepStrictEqual(allocated, {medical: 99, d1: 327, d2: 250, d3: 325});
+
+    // a different strategy can be previewed, and the preview fails as createSpend would
+    preview = await stub.invokeOk('previewSpendAllocation', Object.assign({}, request, {allocationStrategy: 'largestFirst'}));
+    assert.deepStrictEqual(preview.spendAllocations, [{donationId: 'd3', spendAllocationAmount: 1001}]);
+    assertFails(await stub.invoke('previewSpendAllocation', {ngoRegistrationNumber: '6322', spendAmount: 20000}), 'does not have sufficient funds');
+    assertFails(await stub.invoke('previewSpendAllocation', Object.assign({}, request, {allocationStrategy: 'random'})), 'allocationStrategy');
+  },
+
+  'reversing a donation re-allocates its spend to the other donations': async (stub) => {
+    await setUp(stub, 'fifo', [1000, 2000]);
+    await spend(stub, 's1', 1500);
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's1'), {d1: 1000, d2: 500});
+
+    await stub.invokeOk('reverseDonation', {donationId: 'd1', refundDate: '2018-09-25T12:41:59.582Z'}, {identity: identities.admin});
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's1'), {d2: 1500});
+    let allocations = await stub.invokeOk('querySpendAllocationForDonation', {donationId: 'd1'});
+    assert.strictEqual(allocations.length, 1);
+    assert.strictEqual(allocations[0].Record.spendAllocationStatus, 'reversed');
+    assert.strictEqual(allocations[0].Record.reversalDate, '2018-09-25T12:41:59.582Z');
+    let reallocated = (await stub.invokeOk('querySpendAllocationForDonation', {donationId: 'd2'}))
+      .filter((allocation) => allocation.Record.reallocatedFromDonationId === 'd1');
+    assert.strictEqual(reallocated.length, 1);
+    assert.strictEqual(reallocated[0].Record.spendAllocationAmount, 1000);
+
+    let event = stub.events.pop();
+    assert.deepStrictEqual(event.payload.reversedSpendAllocationIds, [allocations[0].Record.spendAllocationId]);
+    assert.deepStrictEqual(event.payload.underfundedSpend, []);
+    assert.strictEqual((await stub.invokeOk('querySpend', {spendId: 's1'})).underfunded, undefined);
+  },
+
+  'spend that cannot be re-allocated is flagged as underfunded': async (stub) => {
+    await setUp(stub, 'fifo', [1000, 700]);
+    await donate(stub, 'edge', 'food', 1000, {restriction: 'food'});
+    await spend(stub, 's1', 1500);
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's1'), {d1: 1000, d2: 500});
+
+    // d2 has 200 left, and the food donation cannot fund spend without a category
+    await stub.invokeOk('reverseDonation', {donationId: 'd1', refundDate: '2018-09-25T12:41:59.582Z'}, {identity: identities.admin});
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's1'), {d2: 700});
+    let spendRecord = await stub.invokeOk('querySpend', {spendId: 's1'});
+    assert.strictEqual(spendRecord.underfunded, true);
+    assert.strictEqual(spendRecord.underfundedAmount, 800);
+    assert.deepStrictEqual(stub.events.pop().payload.underfundedSpend, [{spendId: 's1', underfundedAmount: 800}]);
+  },
+
+  'a refund re-allocates each spend the donation funded, to donations that can fund its category': async (stub) => {
+    await setUp(stub, 'fifo', [1000]);
+    await donate(stub, 'edge', 'food', 1000, {restriction: 'food', donationDate: '2018-09-02T12:00:00.000Z'});
+    await donate(stub, 'edge', 'medical', 1000, {restriction: 'medical', donationDate: '2018-09-03T12:00:00.000Z'});
+    await donate(stub, 'edge', 'd2', 1000, {donationDate: '2018-09-04T12:00:00.000Z'});
+    await spend(stub, 's1', 1500, {spendCategory: 'food'});
+    await spend(stub, 's2', 300);
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's1'), {food: 1000, d1: 500});
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's2'), {d1: 300});
+
+    await stub.invokeOk('reverseDonation', {donationId: 'd1', refundDate: '2018-09-25T12:41:59.582Z'}, {identity: identities.admin});
+    // the medical donation cannot fund either spend
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's1'), {food: 1000, d2: 500});
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's2'), {d2: 300});
+    assert.strictEqual(stub.events.pop().payload.reversedSpendAllocationIds.length, 2);
+  },
+
+  'a reversed spendAllocation keeps its history, and a refund needs a refundDate': async (stub) => {
+    await setUp(stub, 'fifo', [1000, 1000]);
+    await spend(stub, 's1', 500);
+    let allocation = (await stub.invokeOk('querySpendAllocationForDonation', {donationId: 'd1'}))[0].Record;
+    assertFails(await stub.invoke('reverseDonation', {donationId: 'd1'}, {identity: identities.admin}), 'refundDate is required');
+    assertFails(await stub.invoke('reverseDonation', {donationId: 'd1', refundDate: 'today'}), 'refundDate must be a valid date-time');
+
+    await stub.invokeOk('reverseDonation', {donationId: 'd1', refundDate: '2018-09-25T12:41:59.582Z', refundReason: 'Wrong amount'});
+    let history = await stub.invokeOk('queryHistoryForKey', {docType: 'spendAllocation', key: allocation.spendAllocationId});
+    assert.deepStrictEqual(history.map((entry) => entry.Record.spendAllocationStatus), [undefined, 'reversed']);
+    assert.deepStrictEqual(history[1].Changes, [
+      {field: 'reversalDate', change: 'added', to: '2018-09-25T12:41:59.582Z'},
+      {field: 'spendAllocationStatus', change: 'added', to: 'reversed'}
+    ]);
+    let donation = await stub.invokeOk('queryDonation', {donationId: 'd1'});
+    assert.deepStrictEqual([donation.donationStatus, donation.refundDate, donation.refundReason],
+      ['refunded', '2018-09-25T12:41:59.582Z', 'Wrong amount']);
+  },
+
+  'spend and its allocations can be queried': async (stub) => {
+    await setUp(stub, 'even', [1000, 1000]);
+    await spend(stub, 's1', 300);
+    await spend(stub, 's2', 100);
+    let event = stub.events.pop();
+    assert.strictEqual(event.name, 'SpendCreated');
+    assert.strictEqual(event.payload.spendAllocations.length, 2);
+
+    assert.strictEqual((await stub.invokeOk('querySpend', {spendId: 's1'})).spendAmount, 300);
+    assert.deepStrictEqual((await stub.invokeOk('querySpendForNGO', {ngoRegistrationNumber: '6322'})).map((s) => s.Key), ['spends1', 'spends2']);
+    // spendAllocation keys fall in the spend key range, but are not spend
+    assert.deepStrictEqual((await stub.invokeOk('queryAllSpend', {})).map((s) => s.Key), ['spends1', 'spends2']);
+    let page = await stub.invokeOk('queryAllSpendWithPagination', {pageSize: 1});
+    assert.deepStrictEqual(page.records.map((s) => s.Key), ['spends1']);
+    page = await stub.invokeOk('queryAllSpendWithPagination', {pageSize: 1, bookmark: page.bookmark});
+    assert.deepStrictEqual(page.records.map((s) => s.Key), ['spends2']);
+
+    let allocations = await stub.invokeOk('queryAllSpendAllocations', {});
+    assert.strictEqual(allocations.length, 4);
+    assert.strictEqual(allocations.reduce((sum, allocation) => sum + allocation.Record.spendAllocationAmount, 0), 400);
+    let id = allocations[0].Record.spendAllocationId;
+    assert.strictEqual((await stub.invokeOk('querySpendAllocation', {spendAllocationId: id})).spendAllocationId, id);
+    page = await stub.invokeOk('queryAllSpendAllocationsWithPagination', {pageSize: 3});
+    assert.strictEqual(page.fetchedCount, 3);
+    page = await stub.invokeOk('queryAllSpendAllocationsWithPagination', {pageSize: 3, bookmark: page.bookmark});
+    assert.strictEqual(page.fetchedCount, 1);
+    assert.strictEqual((await stub.invokeOk('querySpendAllocationForDonation', {donationId: 'd1'})).length, 2);
+  }
+};
@@ -0,0 +1,76 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for the evidence recorded for spend, i.e. the hashes of invoices and receipts kept off-chain
+
+'use strict';
+const assert = require('assert');
+const crypto = require('crypto');
+const {identities, createNGO, createDonor, donate, spend, assertFails} = require('./fixtures.js');
+
+const invoice = Buffer.from('Invoice 2: 33 portions of pet food');
+
+const evidence = {
+  evidenceId: 'e1',
+  spendId: 's1',
+  ngoRegistrationNumber: '6322',
+  fileName: 'invoice-2.pdf',
+  contentType: 'application/pdf',
+  size: invoice.length,
+  sha256: crypto.createHash('sha256').update(invoice).digest('hex')
+};
+
+async function setUp(stub) {
+  await createNGO(stub);
+  await createNGO(stub, {ngoRegistrationNumber: '6323', ngoName: 'Kids In Need'});
+  await createDonor(stub, 'edge');
+  await donate(stub, 'edge', 'd1', 1000);
+  await spend(stub, 's1', 500);
+}
+
+module.exports = {
+  'addSpendEvidence records the hash and metadata of the file': async (stub) => {
+    await setUp(stub);
+    await stub.invokeOk('addSpendEvidence', evidence, {identity: identities.pets});
+    await stub.invokeOk('addSpendEvidence', Object.assign({}, evidence, {evidenceId: 'e2', fileName: 'receipt-2.png'}));
+    let recorded = await stub.invokeOk('querySpendEvidence', {spendId: 's1'});
+    assert.deepStrictEqual(recorded.map((result) => result.Record.fileName), ['invoice-2.pdf', 'receipt-2.png']);
+    assert.strictEqual(recorded[0].Record.sha256, evidence.sha256);
+    assert.strictEqual(recorded[0].Record.recordedDate, '2019-01-01T00:00:09.000Z');
+    assert.deepStrictEqual(stub.events.pop(), {name: 'SpendEvidenceAdded', payload: recorded[1].Record});
+    assert.deepStrictEqual(await stub.invokeOk('querySpendEvidence', {spendId: 's2'}), []);
+
+    // the evidence is not returned as spend
+    let allSpend = await stub.invokeOk('queryAllSpend', {});
+    assert.deepStrictEqual(allSpend.map((result) => result.Record.docType), ['spend']);
+  },
+
+  'addSpendEvidence rejects invalid evidence': async (stub) => {
+    await setUp(stub);
+    await stub.invokeOk('addSpendEvidence', evidence, {identity: identities.pets});
+    assertFails(await stub.invoke('addSpendEvidence', evidence), 'already exists');
+    assertFails(await stub.invoke('addSpendEvidence', Object.assign({}, evidence, {evidenceId: 'e2', sha256: 'abc'})), 'sha256');
+    assertFails(await stub.invoke('addSpendEvidence', Object.assign({}, evidence, {evidenceId: 'e2', sha256: evidence.sha256.toUpperCase()})),
+      'must be a valid sha256');
+    assertFails(await stub.invoke('addSpendEvidence', Object.assign({}, evidence, {evidenceId: 'e2', fileName: undefined})), 'fileName');
+    assertFails(await stub.invoke('addSpendEvidence', Object.assign({}, evidence, {evidenceId: 'e2', spendId: 's9'})),
+      'Spend does not exist');
+    assertFails(await stub.invoke('addSpendEvidence', Object.assign({}, evidence, {evidenceId: 'e2', ngoRegistrationNumber: '6323'}),
+      {identity: {attrs: {role: 'ngo', ngoRegistrationNumber: '6323'}}}), 'was not recorded by NGO: 6323');
+    assertFails(await stub.invoke('addSpendEvidence', Object.assign({}, evidence, {evidenceId: 'e2'}), {identity: identities.edge}),
+      'Permitted roles are: ngo');
+  }
+};
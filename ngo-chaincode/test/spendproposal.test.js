@@ -0,0 +1,188 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for spend above an NGO's approval threshold, which is proposed and recorded once the approvers approve it
+
+'use strict';
+const assert = require('assert');
+const {identities, createNGO, createDonor, donate, spend, allocationsForSpend, assertFails} = require('./fixtures.js');
+
+// members of the NGO's board, who approve its larger spend
+const board = {
+  alice: {id: 'x509::CN=alice', attrs: {role: 'ngo', ngoRegistrationNumber: '6322', 'hf.EnrollmentID': 'alice'}},
+  bob: {id: 'x509::CN=bob', attrs: {role: 'ngo', ngoRegistrationNumber: '6322', 'hf.EnrollmentID': 'bob'}},
+  carol: {id: 'x509::CN=carol', attrs: {role: 'ngo', ngoRegistrationNumber: '6322', 'hf.EnrollmentID': 'carol'}},
+  dave: {id: 'x509::CN=dave', attrs: {role: 'ngo', ngoRegistrationNumber: '6322', 'hf.EnrollmentID': 'dave'}}
+};
+
+const policy = {ngoRegistrationNumber: '6322', threshold: 1000, approvers: ['alice', 'bob', 'carol'], requiredApprovals: 2, expiryHours: 24};
+
+async function setUp(stub) {
+  await createNGO(stub);
+  await createNGO(stub, {ngoRegistrationNumber: '6323', ngoName: 'Kids In Need'});
+  await createDonor(stub, 'edge');
+  await donate(stub, 'edge', 'd1', 5000);
+  await stub.invokeOk('setSpendApprovalPolicy', policy, {identity: identities.admin});
+}
+
+async function queryProposal(stub, spendId, options) {
+  return stub.invokeOk('querySpendProposal', {spendId: spendId}, options);
+}
+
+module.exports = {
+  'setSpendApprovalPolicy validates the approvers and is kept on the NGO': async (stub) => {
+    await setUp(stub);
+    let ngo = await stub.invokeOk('queryNGO', {ngoRegistrationNumber: '6322'});
+    assert.deepStrictEqual(ngo.spendApprovalPolicy, {threshold: 1000, approvers: ['alice', 'bob', 'carol'], requiredApprovals: 2, expiryHours: 24});
+    assert.deepStrictEqual(stub.events.pop(), {name: 'SpendApprovalPolicySet', payload: policy});
+
+    assertFails(await stub.invoke('setSpendApprovalPolicy', Object.assign({}, policy, {requiredApprovals: 4})), 'is more than the number of approvers');
+    assertFails(await stub.invoke('setSpendApprovalPolicy', Object.assign({}, policy, {approvers: ['alice', 'alice']})), 'more than once');
+    assertFails(await stub.invoke('setSpendApprovalPolicy', Object.assign({}, policy, {threshold: -1})), 'threshold');
+    assertFails(await stub.invoke('setSpendApprovalPolicy', Object.assign({}, policy, {expiryHours: 0})), 'expiryHours');
+    assertFails(await stub.invoke('updateNGO', {ngoRegistrationNumber: '6322', spendApprovalPolicy: null}),
+      'The field spendApprovalPolicy cannot be changed');
+    assertFails(await stub.invoke('setSpendApprovalPolicy', Object.assign({}, policy, {ngoRegistrationNumber: '9999'})), 'does not exist');
+    // the NGO's users cannot change the policy that constrains them
+    assertFails(await stub.invoke('setSpendApprovalPolicy', Object.assign({}, policy, {threshold: 1000000}), {identity: identities.pets}),
+      'Permitted roles are: admin');
+  },
+
+  'spend above the threshold is proposed, and recorded once enough approvers approve it': async (stub) => {
+    await setUp(stub);
+    assert.strictEqual((await spend(stub, 's1', 1000)).status, 200);
+    assert.strictEqual(stub.events.pop().name, 'SpendCreated');
+
+    assert.strictEqual((await spend(stub, 's2', 3000, {spendCategory: 'food'})).status, 200);
+    let proposal = await queryProposal(stub, 's2');
+    assert.deepStrictEqual([proposal.status, proposal.proposedDate, proposal.expiryDate, proposal.requiredApprovals],
+      ['pending', '2019-01-01T00:00:10.000Z', '2019-01-02T00:00:10.000Z', 2]);
+    assert.strictEqual(proposal.spend.spendAmount, 3000);
+    assert.deepStrictEqual(stub.events.pop(), {name: 'SpendProposed', payload: proposal});
+    assertFails(await stub.invoke('querySpend', {spendId: 's2'}), 'does not exist');
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's2'), {});
+    assertFails(await spend(stub, 's2', 3000), 'already been proposed');
+    assertFails(await spend(stub, 's3', 9000), 'does not have sufficient funds');
+
+    await stub.invokeOk('approveSpendProposal', {ngoRegistrationNumber: '6322', spendId: 's2', comment: 'Approved by the board'},
+      {identity: board.alice});
+    assert.strictEqual((await queryProposal(stub, 's2')).status, 'pending');
+    assert.strictEqual(stub.events.pop().name, 'SpendProposalApproved');
+    assertFails(await stub.invoke('approveSpendProposal', {ngoRegistrationNumber: '6322', spendId: 's2'}, {identity: board.alice}),
+      'alice has already approved');
+    assertFails(await stub.invoke('approveSpendProposal', {ngoRegistrationNumber: '6322', spendId: 's2'}, {identity: board.dave}),
+      'dave is not an approver');
+    assertFails(await stub.invoke('approveSpendProposal', {ngoRegistrationNumber: '6322', spendId: 's2'}, {identity: identities.edge}),
+      'Permitted roles are: ngo');
+
+    await stub.invokeOk('approveSpendProposal', {ngoRegistrationNumber: '6322', spendId: 's2'}, {identity: board.bob});
+    proposal = await queryProposal(stub, 's2');
+    assert.strictEqual(proposal.status, 'approved');
+    assert.deepStrictEqual(proposal.approvals, [
+      {approverUserName: 'alice', approverId: 'x509::CN=alice', mspId: 'Org1MSP', approvalDate: '2019-01-01T00:00:16.000Z',
+        comment: 'Approved by the board'},
+      {approverUserName: 'bob', approverId: 'x509::CN=bob', mspId: 'Org1MSP', approvalDate: '2019-01-01T00:00:21.000Z'}
+    ]);
+    assert.strictEqual(proposal.approvedDate, '2019-01-01T00:00:21.000Z');
+    assert.deepStrictEqual(await stub.invokeOk('querySpend', {spendId: 's2'}), proposal.spend);
+    assert.deepStrictEqual(await allocationsForSpend(stub, 's2'), {d1: 3000});
+    let event = stub.events.pop();
+    assert.strictEqual(event.name, 'SpendCreated');
+    assert.deepStrictEqual(event.payload.spendProposal, proposal);
+    assertFails(await stub.invoke('approveSpendProposal', {ngoRegistrationNumber: '6322', spendId: 's2'}, {identity: board.carol}),
+      'is not awaiting approval, as it is approved');
+  },
+
+  'an approver cannot approve spend they proposed, and any approver can reject it': async (stub) => {
+    await setUp(stub);
+    await stub.invokeOk('createSpend', {spendId: 's1', spendAmount: 2000, spendDate: '2018-09-21T12:41:59.582Z', ngoRegistrationNumber: '6322'},
+      {identity: board.alice});
+    assertFails(await stub.invoke('approveSpendProposal', {ngoRegistrationNumber: '6322', spendId: 's1'}), 'alice proposed the spend');
+    assertFails(await stub.invoke('approveSpendProposal', {ngoRegistrationNumber: '6323', spendId: 's1'},
+      {identity: {attrs: {role: 'ngo', ngoRegistrationNumber: '6323', 'hf.EnrollmentID': 'bob'}}}), 'was not made by NGO: 6323');
+
+    assertFails(await stub.invoke('rejectSpendProposal', {ngoRegistrationNumber: '6322', spendId: 's1'}, {identity: board.carol}), 'reason');
+    await stub.invokeOk('rejectSpendProposal', {ngoRegistrationNumber: '6322', spendId: 's1', reason: 'Get a second quote first'});
+    let proposal = await queryProposal(stub, 's1');
+    assert.strictEqual(proposal.status, 'rejected');
+    assert.deepStrictEqual(proposal.rejection, {approverUserName: 'carol', rejecterId: 'x509::CN=carol', mspId: 'Org1MSP',
+      rejectionDate: '2019-01-01T00:00:13.000Z', reason: 'Get a second quote first'});
+    assert.strictEqual(stub.events.pop().name, 'SpendProposalRejected');
+    assertFails(await stub.invoke('approveSpendProposal', {ngoRegistrationNumber: '6322', spendId: 's1'}, {identity: board.bob}),
+      'as it is rejected');
+    assertFails(await stub.invoke('querySpend', {spendId: 's1'}), 'does not exist');
+  },
+
+  'a proposal expires if it is not approved in time, and approvers can list the proposals awaiting them': async (stub) => {
+    await setUp(stub);
+    await spend(stub, 's1', 2000);
+    await spend(stub, 's2', 2000);
+    await stub.invokeOk('approveSpendProposal', {ngoRegistrationNumber: '6322', spendId: 's2'}, {identity: board.alice});
+    let spendIds = (results) => results.map((result) => result.Record.spendId);
+    let pendingFor = async (approverUserName) => spendIds(await stub.invokeOk('querySpendProposalsForNGO',
+      {ngoRegistrationNumber: '6322', status: 'pending', approverUserName: approverUserName}));
+    assert.deepStrictEqual(await pendingFor('alice'), ['s1']);
+    assert.deepStrictEqual(await pendingFor('bob'), ['s1', 's2']);
+    assert.deepStrictEqual(await pendingFor('dave'), []);
+
+    // the proposals expire a day after they are made
+    let nextDay = {txTime: '2019-01-02T00:00:10.000Z'};
+    assert.strictEqual((await queryProposal(stub, 's1', nextDay)).status, 'expired');
+    assert.strictEqual((await queryProposal(stub, 's2', nextDay)).status, 'pending');
+    assertFails(await stub.invoke('approveSpendProposal', {ngoRegistrationNumber: '6322', spendId: 's1'},
+      {identity: board.bob, txTime: nextDay.txTime}), 'as it is expired');
+    let expired = await stub.invokeOk('querySpendProposalsForNGO', {ngoRegistrationNumber: '6322', status: 'expired'}, nextDay);
+    assert.deepStrictEqual(spendIds(expired), ['s1']);
+    assert.deepStrictEqual(spendIds(await stub.invokeOk('querySpendProposalsForNGO', {ngoRegistrationNumber: '6322'})), ['s1', 's2']);
+    assertFails(await stub.invoke('querySpendProposalsForNGO', {ngoRegistrationNumber: '6322', status: 'open'}), 'status must be one of');
+  },
+
+  'a grant above the threshold is proposed like spend, and recorded once enough approvers approve it': async (stub) => {
+    await setUp(stub);
+    let grant = {grantId: 'g1', ngoRegistrationNumber: '6322', recipientNGORegistrationNumber: '6323', grantAmount: 3000,
+      grantDate: '2018-10-01T00:00:00.000Z'};
+    await stub.invokeOk('createGrant', grant, {identity: identities.pets});
+    let proposal = await stub.invokeOk('querySpendProposal', {grantId: 'g1'});
+    assert.deepStrictEqual([proposal.grantId, proposal.spendId, proposal.status, proposal.grant.grantAmount], ['g1', undefined, 'pending', 3000]);
+    assert.deepStrictEqual(stub.events.pop(), {name: 'SpendProposed', payload: proposal});
+    assertFails(await stub.invoke('queryGrant', {grantId: 'g1'}), 'does not exist');
+    assertFails(await stub.invoke('queryDonation', {donationId: 'g1-1'}), 'does not exist');
+    assertFails(await stub.invoke('createGrant', grant, {identity: identities.pets}), 'A spend proposal already exists with the ID: g1');
+    assertFails(await stub.invoke('createGrant', Object.assign({}, grant, {grantId: 'g2', grantAmount: 9000})), 'does not have sufficient funds');
+    assertFails(await stub.invoke('querySpendProposal', {spendId: 'g1'}), 'No spend has been proposed with spendId: g1');
+    assertFails(await stub.invoke('approveSpendProposal', {ngoRegistrationNumber: '6322', spendId: 'g1', grantId: 'g1'}, {identity: board.alice}),
+      'Pass either the spendId of a spend proposal or the grantId of a proposed grant');
+
+    await stub.invokeOk('approveSpendProposal', {ngoRegistrationNumber: '6322', grantId: 'g1'}, {identity: board.alice});
+    assert.strictEqual(stub.events.pop().name, 'SpendProposalApproved');
+    await stub.invokeOk('approveSpendProposal', {ngoRegistrationNumber: '6322', grantId: 'g1'}, {identity: board.bob});
+    proposal = await stub.invokeOk('querySpendProposal', {grantId: 'g1'});
+    assert.strictEqual(proposal.status, 'approved');
+    let recorded = await stub.invokeOk('queryGrant', {grantId: 'g1'});
+    assert.deepStrictEqual(recorded.donations.map((donation) => [donation.donationId, donation.donationAmount]), [['g1-1', 3000]]);
+    let event = stub.events.pop();
+    assert.strictEqual(event.name, 'GrantCreated');
+    assert.deepStrictEqual(event.payload.spendProposal, proposal);
+
+    // a grant at or below the threshold needs no approval, and a rejected grant is not recorded
+    await stub.invokeOk('createGrant', Object.assign({}, grant, {grantId: 'g3', grantAmount: 500}), {identity: identities.pets});
+    assert.strictEqual(stub.events.pop().name, 'GrantCreated');
+    await stub.invokeOk('createGrant', Object.assign({}, grant, {grantId: 'g4', grantAmount: 1001}));
+    await stub.invokeOk('rejectSpendProposal', {ngoRegistrationNumber: '6322', grantId: 'g4', reason: 'Not this year'}, {identity: board.carol});
+    assert.strictEqual((await stub.invokeOk('querySpendProposal', {grantId: 'g4'})).status, 'rejected');
+    assertFails(await stub.invoke('queryGrant', {grantId: 'g4'}), 'does not exist');
+  }
+};
@@ -0,0 +1,61 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for donors' annual giving statements
+
+'use strict';
+const assert = require('assert');
+const {identities, createNGO, createDonor, donate, assertFails} = require('./fixtures.js');
+
+async function setUp(stub) {
+  await createNGO(stub);
+  await createNGO(stub, {ngoRegistrationNumber: '6323', ngoName: 'Kids In Need', currency: 'EUR'});
+  await createDonor(stub, 'edge');
+  await createDonor(stub, 'braendle');
+  await donate(stub, 'edge', 'd1', 1000, {donationDate: '2018-11-01T00:00:00.000Z'});
+  await donate(stub, 'edge', 'd2', 2000, {donationDate: '2018-12-01T00:00:00.000Z', ngoRegistrationNumber: '6323', currency: 'EUR'});
+  await donate(stub, 'edge', 'd3', 3000, {donationDate: '2018-02-01T00:00:00.000Z'});
+  await donate(stub, 'edge', 'd4', 4000, {donationDate: '2019-01-01T00:00:00.000Z'});
+  await donate(stub, 'edge', 'd5', 5000, {donationDate: '2018-03-01T00:00:00.000Z'});
+  await donate(stub, 'braendle', 'd6', 6000, {donationDate: '2018-03-01T00:00:00.000Z'});
+  await stub.invokeOk('reverseDonation', {donationId: 'd5', refundDate: '2018-03-02T00:00:00.000Z'}, {identity: identities.admin});
+}
+
+module.exports = {
+  'queryDonorStatement lists the donor\'s donations in the year by NGO and date': async (stub) => {
+    await setUp(stub);
+    let statement = await stub.invokeOk('queryDonorStatement', {donorUserName: 'edge', year: 2018}, {txTime: '2019-01-15T09:00:00.000Z'});
+    assert.strictEqual(statement.generatedDate, '2019-01-15T09:00:00.000Z');
+    assert.strictEqual(statement.donationCount, 3);
+    assert.deepStrictEqual(statement.totals, {USD: 4000, EUR: 2000});
+    assert.deepStrictEqual(statement.ngos.map((ngo) => [ngo.ngoRegistrationNumber, ngo.ngoName, ngo.currency, ngo.total]),
+      [['6322', 'Pets In Need', 'USD', 4000], ['6323', 'Kids In Need', 'EUR', 2000]]);
+    assert.deepStrictEqual(statement.ngos[0].donations.map((donation) => donation.donationId), ['d3', 'd1']);
+
+    // each donation has the ID of the transaction that created it
+    let history = await stub.invokeOk('queryHistoryForKey', {docType: 'donation', key: 'd1'});
+    assert.deepStrictEqual(statement.ngos[0].donations[1], {donationId: 'd1', donationDate: '2018-11-01T00:00:00.000Z',
+      donationAmount: 1000, currency: 'USD', txId: history[0].TxId});
+  },
+
+  'a statement for a year without donations is empty': async (stub) => {
+    await setUp(stub);
+    let statement = await stub.invokeOk('queryDonorStatement', {donorUserName: 'braendle', year: 2017});
+    assert.deepStrictEqual([statement.donationCount, statement.totals, statement.ngos], [0, {}, []]);
+    assertFails(await stub.invoke('queryDonorStatement', {donorUserName: 'alice', year: 2018}), 'does not exist');
+    assertFails(await stub.invoke('queryDonorStatement', {donorUserName: 'edge', year: '2018'}), 'year');
+  }
+};
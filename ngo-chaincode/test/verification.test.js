@@ -0,0 +1,136 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Tests for the verification of new NGOs by the verifier organisations
+
+'use strict';
+const assert = require('assert');
+const {identities, registrationDocuments, submitNGO, createDonor, assertFails} = require('./fixtures.js');
+
+const verifiers = {
+  org1: {mspId: 'Org1MSP', id: 'x509::CN=alice', attrs: {role: 'verifier'}},
+  org2: {mspId: 'Org2MSP', id: 'x509::CN=bob', attrs: {role: 'verifier'}},
+  org3: {mspId: 'Org3MSP', id: 'x509::CN=carol', attrs: {role: 'verifier'}},
+  other: {mspId: 'Org4MSP', attrs: {role: 'verifier'}}
+};
+
+async function setUp(stub) {
+  await submitNGO(stub);
+  await submitNGO(stub, {ngoRegistrationNumber: '6323', ngoName: 'Kids In Need'});
+  await createDonor(stub, 'edge');
+  await stub.invokeOk('setVerificationPolicy', {verifierMSPs: ['Org1MSP', 'Org2MSP', 'Org3MSP'], quorum: 2});
+}
+
+async function queryNGO(stub, ngoRegistrationNumber) {
+  return stub.invokeOk('queryNGO', {ngoRegistrationNumber: ngoRegistrationNumber});
+}
+
+async function donateTo(stub, ngoRegistrationNumber) {
+  return stub.invoke('createDonation', {donationId: 'd-' + ngoRegistrationNumber, donationAmount: 100,
+    donationDate: '2018-09-20T12:41:59.582Z', donorUserName: 'edge', ngoRegistrationNumber: ngoRegistrationNumber},
+    {identity: identities.edge});
+}
+
+module.exports = {
+  'setVerificationPolicy validates the verifier organisations and quorum': async (stub) => {
+    assertFails(await stub.invoke('queryVerificationPolicy', {}), 'No verification policy has been set');
+    await setUp(stub);
+    assert.deepStrictEqual(await stub.invokeOk('queryVerificationPolicy', {}), {docType: 'verificationPolicy',
+      verifierMSPs: ['Org1MSP', 'Org2MSP', 'Org3MSP'], quorum: 2});
+    assertFails(await stub.invoke('setVerificationPolicy', {verifierMSPs: ['Org1MSP'], quorum: 2}), 'is more than the number');
+    assertFails(await stub.invoke('setVerificationPolicy', {verifierMSPs: ['Org1MSP', 'Org1MSP'], quorum: 1}), 'more than once');
+    assertFails(await stub.invoke('setVerificationPolicy', {verifierMSPs: ['Org1MSP'], quorum: 0}), 'quorum');
+    assertFails(await stub.invoke('setVerificationPolicy', {verifierMSPs: ['Org1MSP'], quorum: 1}, {identity: verifiers.org1}),
+      'Permitted roles are: admin');
+  },
+
+  'an NGO is pending, and cannot receive donations, until a quorum of verifier organisations approves it': async (stub) => {
+    await setUp(stub);
+    assertFails(await donateTo(stub, '6322'), 'Cannot create donation as the NGO is pending');
+
+    await stub.invokeOk('approveNGO', {ngoRegistrationNumber: '6322', comment: 'Registration confirmed'}, {identity: verifiers.org1});
+    assert.strictEqual((await queryNGO(stub, '6322')).status, 'pending');
+    assert.strictEqual(stub.events.pop().name, 'NGOApproved');
+    assertFails(await stub.invoke('approveNGO', {ngoRegistrationNumber: '6322'}, {identity: verifiers.org1}), 'has already approved');
+    assertFails(await stub.invoke('approveNGO', {ngoRegistrationNumber: '6322'}, {identity: verifiers.other}),
+      'Org4MSP is not a verifier organisation');
+    assertFails(await stub.invoke('approveNGO', {ngoRegistrationNumber: '6322'}, {identity: identities.admin}), 'Permitted roles are: verifier');
+
+    await stub.invokeOk('approveNGO', {ngoRegistrationNumber: '6322'}, {identity: verifiers.org2});
+    let ngo = await queryNGO(stub, '6322');
+    assert.strictEqual(ngo.status, 'active');
+    assert.deepStrictEqual(ngo.approvals, [
+      {mspId: 'Org1MSP', approverId: 'x509::CN=alice', approvalDate: '2019-01-01T00:00:06.000Z', comment: 'Registration confirmed'},
+      {mspId: 'Org2MSP', approverId: 'x509::CN=bob', approvalDate: '2019-01-01T00:00:11.000Z'}
+    ]);
+    assert.strictEqual(ngo.verifiedDate, '2019-01-01T00:00:11.000Z');
+    assert.strictEqual(stub.events.pop().name, 'NGOVerified');
+    assert.strictEqual((await donateTo(stub, '6322')).status, 200);
+    assertFails(await stub.invoke('approveNGO', {ngoRegistrationNumber: '6322'}, {identity: verifiers.org3}), 'not awaiting verification');
+  },
+
+  'a rejected NGO cannot receive donations or be made active': async (stub) => {
+    await setUp(stub);
+    await stub.invokeOk('approveNGO', {ngoRegistrationNumber: '6323'}, {identity: verifiers.org1});
+    assertFails(await stub.invoke('rejectNGO', {ngoRegistrationNumber: '6323'}, {identity: verifiers.org2}), 'reason');
+    await stub.invokeOk('rejectNGO', {ngoRegistrationNumber: '6323', reason: 'Not a registered charity'}, {identity: verifiers.org2});
+    let ngo = await queryNGO(stub, '6323');
+    assert.strictEqual(ngo.status, 'rejected');
+    assert.deepStrictEqual(ngo.rejection, {mspId: 'Org2MSP', rejecterId: 'x509::CN=bob', rejectionDate: '2019-01-01T00:00:07.000Z',
+      reason: 'Not a registered charity'});
+    assert.strictEqual(stub.events.pop().name, 'NGORejected');
+    assertFails(await donateTo(stub, '6323'), 'Cannot create donation as the NGO is rejected');
+    assertFails(await stub.invoke('approveNGO', {ngoRegistrationNumber: '6323'}, {identity: verifiers.org3}), 'not awaiting verification');
+
+    // verification cannot be bypassed by updating the NGO
+    assertFails(await stub.invoke('updateNGO', {ngoRegistrationNumber: '6323', status: 'active'}, {identity: identities.admin}),
+      'is set by verification');
+    assertFails(await stub.invoke('updateNGO', {ngoRegistrationNumber: '6322', status: 'active'}), 'is set by verification');
+    assertFails(await stub.invoke('updateNGO', {ngoRegistrationNumber: '6322', approvals: []}), 'The field approvals cannot be changed');
+    await stub.invokeOk('updateNGO', {ngoRegistrationNumber: '6322', address: '1 Pet street'});
+  },
+
+  'createNGO requires registration documents, and does not accept a status or verification': async (stub) => {
+    let ngo = {ngoRegistrationNumber: '6322', ngoName: 'Pets In Need'};
+    assertFails(await stub.invoke('createNGO', ngo, {identity: identities.admin}), 'at least one registration document');
+    assertFails(await stub.invoke('createNGO', Object.assign({registrationDocuments: []}, ngo)), 'at least one registration document');
+    assertFails(await stub.invoke('createNGO', Object.assign({registrationDocuments: [{documentType: 'certificate', fileName: 'c.pdf',
+      sha256: 'abc'}]}, ngo)), 'registrationDocuments[0].sha256 must be a valid sha256');
+    assertFails(await stub.invoke('createNGO', Object.assign({registrationDocuments: registrationDocuments, status: 'active'}, ngo)),
+      'its status cannot be set to: active');
+    assertFails(await stub.invoke('createNGO', Object.assign({registrationDocuments: registrationDocuments, verifiedDate: '2018-01-01T00:00:00.000Z'}, ngo)),
+      'The field verifiedDate is set by verification, in approveNGO');
+    assertFails(await stub.invoke('createNGO', Object.assign({registrationDocuments: registrationDocuments, submittedDate: '2018-01-01T00:00:00.000Z'}, ngo)),
+      'The field submittedDate is set to the time of the transaction');
+    assertFails(await stub.invoke('createNGO', Object.assign({registrationDocuments: registrationDocuments,
+      spendApprovalPolicy: {threshold: 0, approvers: ['x509::CN=bob'], requiredApprovals: 1, expiryHours: 24}}, ngo)), 'The field spendApprovalPolicy is set by setSpendApprovalPolicy');
+    assertFails(await stub.invoke('approveNGO', {ngoRegistrationNumber: '6322'}, {identity: verifiers.org1}), 'No verification policy');
+  },
+
+  'queryAllNGOs filters by status': async (stub) => {
+    await setUp(stub);
+    await stub.invokeOk('approveNGO', {ngoRegistrationNumber: '6322'}, {identity: verifiers.org1});
+    await stub.invokeOk('approveNGO', {ngoRegistrationNumber: '6322'}, {identity: verifiers.org2});
+    let ngoNumbers = (results) => results.map((result) => result.Record.ngoRegistrationNumber);
+    assert.deepStrictEqual(ngoNumbers(await stub.invokeOk('queryAllNGOs', {status: 'pending'})), ['6323']);
+    assert.deepStrictEqual(ngoNumbers(await stub.invokeOk('queryAllNGOs', {status: 'active'})), ['6322']);
+    assert.deepStrictEqual(ngoNumbers(await stub.invokeOk('queryAllNGOs', {})), ['6322', '6323']);
+    assert.deepStrictEqual(ngoNumbers(await stub.invokeOk('queryAllNGOs')), ['6322', '6323']);
+    let page = await stub.invokeOk('queryAllNGOsWithPagination', {pageSize: 10, status: 'pending'});
+    assert.deepStrictEqual(ngoNumbers(page.records), ['6323']);
+    assertFails(await stub.invoke('queryAllNGOs', {status: 'verified'}), 'status must be one of');
+  }
+};
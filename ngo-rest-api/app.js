@@ -35,11 +35,16 @@ var cors = require('cors');
 var hfc = require('fabric-client');
 const rp = require('request-promise');
 const uuidv4 = require('uuid/v4');
+const crypto = require('crypto');
 
 var connection = require('./connection.js');
 var query = require('./query.js');
 var invoke = require('./invoke.js');
 var blockListener = require('./blocklistener.js');
+var eventListener = require('./eventlistener.js');
+var evidenceStore = require('./evidencestore.js');
+var statement = require('./statement.js');
+var audit = require('./audit.js');
 var shell = require('shelljs');
 var queryinfo=require('./queryInfo.js');
 hfc.addConfigFile('config.json');
@@ -50,6 +55,7 @@ var orgName = "";
 var channelName = hfc.getConfigSetting('channelName');
 var chaincodeName = hfc.getConfigSetting('chaincodeName');
 var peers = hfc.getConfigSetting('peers');
+var evidenceMaxSize = hfc.getConfigSetting('evidenceMaxSize') || '10mb';
 ///////////////////////////////////////////////////////////////////////////////
 //////////////////////////////// SET CONFIGURATIONS ///////////////////////////
 ///////////////////////////////////////////////////////////////////////////////
@@ -95,6 +101,74 @@ function getErrorMessage(field) {
 	return response;
 }
 
+// Handles GET requests on the list endpoints that include the pageSize and/or bookmark query
+// parameters, by calling the paginated version of the chaincode query function. Responds with
+// a single page as JSON: {records, bookmark, fetchedCount}. To get the next page, call the
+// endpoint again with the bookmark returned
+async function queryWithPagination(req, res, fcn, filter) {
+	let pageSize = Number(req.query.pageSize);
+	if (!(Number.isInteger(pageSize) && pageSize > 0)) {
+		res.status(400).json(getErrorMessage('pageSize'));
+		return;
+	}
+	let args = Object.assign({
+		pageSize: pageSize,
+		bookmark: req.query.bookmark || ''
+	}, filter);
+
+	logger.info('##### GET with pagination - username : ' + username);
+	logger.info('##### GET with pagination - userOrg : ' + orgName);
+	logger.info('##### GET with pagination - channelName : ' + channelName);
+	logger.info('##### GET with pagination - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET with pagination - fcn : ' + fcn);
+	logger.info('##### GET with pagination - args : ' + JSON.stringify(args));
+	logger.info('##### GET with pagination - peers : ' + peers);
+
+	let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	// queryChaincode wraps the page in an array; it returns a string if the query failed
+	res.send(Array.isArray(message) ? message[0] : message);
+}
+
+// The personal details of donors and members are stored by the chaincode in private data collections. They
+// are passed to the chaincode in the transient map, as the arguments are recorded on the ledger, along with a
+// random salt the chaincode uses to hash them. Moves the personal fields from args to the transient map
+// returned, or returns null if args has none. A member's elective deferral, which with the salary gives its
+// contributions, is private too, and is still accepted in the body as contribAndDeferral.electiveDeferral
+const privateFields = {
+	donor: ['email'],
+	member: ['ssn', 'dob', 'salary', 'homePhoneNumber', 'electiveDeferral']
+};
+
+function takePrivateDetails(docType, args) {
+	let details = {};
+	if (docType === 'member' && args.contribAndDeferral) {
+		args.electiveDeferral = args.contribAndDeferral.electiveDeferral;
+		delete args.contribAndDeferral;
+	}
+	privateFields[docType].forEach((field) => {
+		if (args[field] !== undefined) {
+			details[field] = args[field];
+			delete args[field];
+		}
+	});
+	if (Object.keys(details).length === 0) {
+		return null;
+	}
+	details.salt = crypto.randomBytes(16).toString('hex');
+	return {privateDetails: details};
+}
+
+// A donor finds their anonymous donations using the secrets they made them with (see POST /donations/anonymous).
+// The secrets are passed in the x-donor-secrets header, separated by commas, rather than in the URL, which is
+// logged, and on to the chaincode in the transient map. Returns null if there are none
+function donorSecrets(req) {
+	let header = req.get('x-donor-secrets');
+	if (!header) {
+		return null;
+	}
+	return {donorSecrets: header.split(',').map((secret) => secret.trim()).filter((secret) => secret.length > 0)};
+}
+
 ///////////////////////////////////////////////////////////////////////////////
 //////////////////////////////// START WEBSOCKET SERVER ///////////////////////
 ///////////////////////////////////////////////////////////////////////////////
@@ -103,6 +177,8 @@ wss.on('connection', function connection(ws) {
 	logger.info('****************** WEBSOCKET SERVER - received connection ************************');
 	ws.on('message', function incoming(message) {
 		//console.log('##### Websocket Server received message: %s', message);
+		// clients subscribe to chaincode events, e.g. {"action": "subscribe", "events": ["DonationCreated"]}
+		eventListener.handleSubscription(ws, message);
 	});
 
 	ws.send('something');
@@ -116,27 +192,103 @@ app.get('/health', awaitHandler(async (req, res) => {
 	res.sendStatus(200);
 }));
 
+// Returns the username and secret the request authenticates with using HTTP basic auth, or null if it does not
+function basicAuthCredentials(req) {
+	let match = /^Basic (.+)$/.exec(req.get('authorization') || '');
+	if (!match) {
+		return null;
+	}
+	let credentials = Buffer.from(match[1], 'base64').toString('utf8');
+	let separator = credentials.indexOf(':');
+	if (separator < 0) {
+		return null;
+	}
+	return {username: credentials.substring(0, separator), secret: credentials.substring(separator + 1)};
+}
+
+// Compares hashes, so the comparison takes the same time whatever the values
+function sameSecret(a, b) {
+	let hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+	return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+// Returns true if the request is authenticated as the registrar, i.e. one of the CA admins in config.json, using
+// HTTP basic auth with the admin's enrollment ID and secret
+function isRegistrar(req) {
+	let credentials = basicAuthCredentials(req);
+	if (!credentials) {
+		return false;
+	}
+	return hfc.getConfigSetting('admins').some((admin) =>
+		sameSecret(credentials.username, admin.username) && sameSecret(credentials.secret, admin.secret));
+}
+
+// Returns true if the request is authenticated as the user, using HTTP basic auth with their username and the
+// secret POST /users returned when it registered them
+async function isUser(req, username, userorg) {
+	let credentials = basicAuthCredentials(req);
+	return credentials !== null && credentials.username === username &&
+		await connection.checkUserSecret(username, userorg, credentials.secret);
+}
+
 // Register and enroll user. A user must be registered and enrolled before any queries 
 // or transactions can be invoked
 app.post('/users', awaitHandler(async (req, res) => {
 	logger.info('================ POST on Users');
-	username = req.body.username;
-	orgName = req.body.orgName;
 	logger.info('##### End point : /users');
-	logger.info('##### POST on Users- username : ' + username);
-	logger.info('##### POST on Users - userorg  : ' + orgName);
-	let response = await connection.getRegisteredUser(username, orgName, true);
-	logger.info('##### POST on Users - returned from registering the username %s for organization %s', username, orgName);
-    logger.info('##### POST on Users - getRegisteredUser response secret %s', response.secret);
-    logger.info('##### POST on Users - getRegisteredUser response secret %s', response.message);
+	logger.info('##### POST on Users- username : ' + req.body.username);
+	logger.info('##### POST on Users - userorg  : ' + req.body.orgName);
+	if (!req.body.username) {
+		res.status(400).json(getErrorMessage('username'));
+		return;
+	}
+	if (!req.body.orgName) {
+		res.status(400).json(getErrorMessage('orgName'));
+		return;
+	}
+	// the REST API invokes the chaincode as the user named in the last successful request, so switching to a user
+	// who is already enrolled, whatever their role, needs their own secret or the registrar's
+	let enrolled = await connection.isEnrolled(req.body.username, req.body.orgName);
+	if (enrolled && !isRegistrar(req) && !(await isUser(req, req.body.username, req.body.orgName))) {
+		res.status(401).json({
+			success: false,
+			message: 'The user ' + req.body.username + ' is already enrolled. Authenticate as the user, with their secret, or as the registrar'
+		});
+		return;
+	}
+	// the attributes determine which chaincode functions the user may call. Anyone may register as a donor, who
+	// can only donate and rate as themselves. Only the registrar may register a user with another role, or a
+	// donor under another name, and the scope attributes are only given to the role they apply to
+	let role = req.body.role || 'donor';
+	let donorUserName = role === 'donor' ? (req.body.donorUserName || req.body.username) : undefined;
+	if (!enrolled && (role !== 'donor' || donorUserName !== req.body.username) && !isRegistrar(req)) {
+		res.status(403).json({
+			success: false,
+			message: 'Only the registrar may register a user with the role: ' + role + ', or a donor under another name'
+		});
+		return;
+	}
+	let attributes = {
+		role: role,
+		ngoRegistrationNumber: role === 'ngo' ? req.body.ngoRegistrationNumber : undefined,
+		donorUserName: donorUserName,
+		contractNumber: role === 'employer' ? req.body.contractNumber : undefined
+	};
+	logger.info('##### POST on Users - attributes : ' + JSON.stringify(attributes));
+	let response = await connection.getRegisteredUser(req.body.username, req.body.orgName, true, attributes);
+	logger.info('##### POST on Users - returned from registering the username %s for organization %s', req.body.username, req.body.orgName);
+    logger.info('##### POST on Users - getRegisteredUser response message %s', response.message);
     if (response && typeof response !== 'string') {
-        logger.info('##### POST on Users - Successfully registered the username %s for organization %s', username, orgName);
-		logger.info('##### POST on Users - getRegisteredUser response %s', response);
+        logger.info('##### POST on Users - Successfully registered the username %s for organization %s', req.body.username, req.body.orgName);
+		// only switch to the user once they are enrolled, so a failed request leaves the current user in place
+		username = req.body.username;
+		orgName = req.body.orgName;
 		// Now that we have a username & org, we can start the block listener
 		await blockListener.startBlockListener(channelName, username, orgName, wss);
+		await eventListener.startChaincodeEventListener(channelName, chaincodeName, username, orgName, wss);
 		res.json(response);
 	} else {
-		logger.error('##### POST on Users - Failed to register the username %s for organization %s with::%s', username, orgName, response);
+		logger.error('##### POST on Users - Failed to register the username %s for organization %s with::%s', req.body.username, req.body.orgName, response);
 		res.json({success: false, message: response});
 	}
 }));
@@ -148,6 +300,9 @@ app.post('/users', awaitHandler(async (req, res) => {
 // GET Donor
 app.get('/donors', awaitHandler(async (req, res) => {
 	logger.info('================ GET on Donor');
+	if (req.query.pageSize || req.query.bookmark) {
+		return queryWithPagination(req, res, "queryAllDonorsWithPagination");
+	}
 	let args = {};
 	let fcn = "queryAllDonors";
 
@@ -182,7 +337,8 @@ app.get('/donors/:donorUserName', awaitHandler(async (req, res) => {
  	res.send(message);
 }));
 
-// GET the Donations for a specific Donor
+// GET the Donations for a specific Donor. Their anonymous donations are included for the secrets passed in the
+// x-donor-secrets header
 app.get('/donors/:donorUserName/donations', awaitHandler(async (req, res) => {
 	logger.info('================ GET on Donations for Donor');
 	logger.info('Donor username : ' + req.params);
@@ -197,7 +353,7 @@ app.get('/donors/:donorUserName/donations', awaitHandler(async (req, res) => {
 	logger.info('##### GET on Donations for Donor - args : ' + JSON.stringify(args));
 	logger.info('##### GET on Donations for Donor - peers : ' + peers);
 
-    let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+    let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName, donorSecrets(req));
  	res.send(message);
 }));
 
@@ -207,6 +363,7 @@ app.post('/donors', awaitHandler(async (req, res) => {
 	logger.info('================ POST on Donor');
 	var args = req.body;
 	var fcn = "createDonor";
+	let transientMap = takePrivateDetails('donor', args);
 
     logger.info('##### POST on Donor - username : ' + username);
 	logger.info('##### POST on Donor - userOrg : ' + orgName);
@@ -216,6 +373,43 @@ app.post('/donors', awaitHandler(async (req, res) => {
 	logger.info('##### POST on Donor - args : ' + JSON.stringify(args));
 	logger.info('##### POST on Donor - peers : ' + peers);
 
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName, transientMap);
+	res.send(message);
+}));
+
+// PATCH a specific Donor. Only the fields in the body are changed, and a field set to null is removed
+app.patch('/donors/:donorUserName', awaitHandler(async (req, res) => {
+	logger.info('================ PATCH on Donor');
+	let args = Object.assign({}, req.body, {donorUserName: req.params.donorUserName});
+	let fcn = "updateDonor";
+	let transientMap = takePrivateDetails('donor', args);
+
+	logger.info('##### PATCH on Donor - username : ' + username);
+	logger.info('##### PATCH on Donor - userOrg : ' + orgName);
+	logger.info('##### PATCH on Donor - channelName : ' + channelName);
+	logger.info('##### PATCH on Donor - chaincodeName : ' + chaincodeName);
+	logger.info('##### PATCH on Donor - fcn : ' + fcn);
+	logger.info('##### PATCH on Donor - args : ' + JSON.stringify(args));
+	logger.info('##### PATCH on Donor - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName, transientMap);
+	res.send(message);
+}));
+
+// DELETE a specific Donor. The donor is closed rather than deleted, so its history is kept
+app.delete('/donors/:donorUserName', awaitHandler(async (req, res) => {
+	logger.info('================ DELETE on Donor');
+	let args = {donorUserName: req.params.donorUserName, status: 'closed'};
+	let fcn = "updateDonor";
+
+	logger.info('##### DELETE on Donor - username : ' + username);
+	logger.info('##### DELETE on Donor - userOrg : ' + orgName);
+	logger.info('##### DELETE on Donor - channelName : ' + channelName);
+	logger.info('##### DELETE on Donor - chaincodeName : ' + chaincodeName);
+	logger.info('##### DELETE on Donor - fcn : ' + fcn);
+	logger.info('##### DELETE on Donor - args : ' + JSON.stringify(args));
+	logger.info('##### DELETE on Donor - peers : ' + peers);
+
 	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
 	res.send(message);
 }));
@@ -225,6 +419,7 @@ app.post('/members', awaitHandler(async (req, res) => {
 	logger.info('================ POST on Member');
 	var args = req.body;
 	var fcn = "createMember";
+	let transientMap = takePrivateDetails('member', args);
 
     logger.info('##### POST on Member - username : ' + username);
 	logger.info('##### POST on Member - userOrg : ' + orgName);
@@ -234,7 +429,7 @@ app.post('/members', awaitHandler(async (req, res) => {
 	logger.info('##### POST on Member - args : ' + JSON.stringify(args));
 	logger.info('##### POST on Member - peers : ' + peers);
 
-	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName, transientMap);
 	res.send(message);
 }));
 
@@ -263,7 +458,10 @@ app.post('/members/:ssn/rollover', awaitHandler(async (req, res) => {
     //assuming 0th is the oldest , will not be the case in 3rd or subsequent rollovers may be
     let member = memberA[0];
     member.contractNumber = args.newContractNumber;
-    let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, member, fcn, username, orgName);
+    // the new member gets its own memberId, salt and hashes from the chaincode
+    ['docType', 'memberId', 'createDate', 'salt'].concat(privateFields.member.map((field) => field + 'Hash')).forEach((field) => delete member[field]);
+    let transientMap = takePrivateDetails('member', member);
+    let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, member, fcn, username, orgName, transientMap);
     res.send(message);
 }));
 
@@ -281,8 +479,9 @@ app.post('/members/:ssn/withdrawal', awaitHandler(async (req, res) => {
     logger.info('##### POST on Member - args : ' + JSON.stringify(args));
     logger.info('##### POST on Member - peers : ' + peers);
 
-    if (!args.withdrawalAmount){
-        throw new Error("Not a valid withdrawal amount.");
+    // amounts are integer minor units, e.g. 150000 is $1,500.00
+    if (!Number.isSafeInteger(args.withdrawalAmount) || args.withdrawalAmount <= 0){
+        throw new Error("Not a valid withdrawal amount. The amount must be a whole number of cents.");
     }
 	let fcn2 = "queryContributionsByMember";
 	let allContributions = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn2, username, orgName);
@@ -305,14 +504,18 @@ app.post('/members/:ssn/withdrawal', awaitHandler(async (req, res) => {
     // it will be tricky in case of rollover in different plan
 	let member = memberA[0];
 	logger.info("Member in after post/withdrawal :"+JSON.stringify(member));
+	// split the withdrawal between the investments so the parts add up exactly to the amount. The remainder
+	// is taken one cent at a time from the first investments
+	let share = Math.floor(args.withdrawalAmount / member.investments.length);
+	let remainder = args.withdrawalAmount - share * member.investments.length;
 	for (let i=0; i<member.investments.length; i++){
-		member.investments[i].dollarVal = args.withdrawalAmount / member.investments.length;
+		member.investments[i].dollarVal = share + (i < remainder ? 1 : 0);
 	}
 
 	let memberWithdrawal = {
 		docType: 'withdrawal',
 		withdrawalKey: new Date(),
-		ssn: member['ssn'],
+		memberId: member['memberId'],
 		contractNumber: member['contractNumber'],
 		withdrawalDate: new Date(),
 		investments: member.investments
@@ -341,6 +544,42 @@ app.post('/employers', awaitHandler(async (req, res) => {
 	res.send(message);
 }));
 
+// PATCH a specific Employer. Only the fields in the body are changed, and a field set to null is removed
+app.patch('/employers/:contractNumber', awaitHandler(async (req, res) => {
+	logger.info('================ PATCH on Employer');
+	let args = Object.assign({}, req.body, {contractNumber: req.params.contractNumber});
+	let fcn = "updateEmployer";
+
+	logger.info('##### PATCH on Employer - username : ' + username);
+	logger.info('##### PATCH on Employer - userOrg : ' + orgName);
+	logger.info('##### PATCH on Employer - channelName : ' + channelName);
+	logger.info('##### PATCH on Employer - chaincodeName : ' + chaincodeName);
+	logger.info('##### PATCH on Employer - fcn : ' + fcn);
+	logger.info('##### PATCH on Employer - args : ' + JSON.stringify(args));
+	logger.info('##### PATCH on Employer - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// DELETE a specific Employer. The employer is closed rather than deleted, so its history is kept
+app.delete('/employers/:contractNumber', awaitHandler(async (req, res) => {
+	logger.info('================ DELETE on Employer');
+	let args = {contractNumber: req.params.contractNumber, status: 'closed'};
+	let fcn = "updateEmployer";
+
+	logger.info('##### DELETE on Employer - username : ' + username);
+	logger.info('##### DELETE on Employer - userOrg : ' + orgName);
+	logger.info('##### DELETE on Employer - channelName : ' + channelName);
+	logger.info('##### DELETE on Employer - chaincodeName : ' + chaincodeName);
+	logger.info('##### DELETE on Employer - fcn : ' + fcn);
+	logger.info('##### DELETE on Employer - args : ' + JSON.stringify(args));
+	logger.info('##### DELETE on Employer - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
 // Create contribution transaction
 app.post('/employers/:contractNumber/contribution', awaitHandler(async (req, res) => {
 	logger.info('================ POST on employers');
@@ -379,9 +618,48 @@ app.post('/plans', awaitHandler(async (req, res) => {
 	res.send(message);
 }));
 
+// PATCH a specific Plan. Only the fields in the body are changed, and a field set to null is removed
+app.patch('/plans/:planId', awaitHandler(async (req, res) => {
+	logger.info('================ PATCH on Plan');
+	let args = Object.assign({}, req.body, {planId: req.params.planId});
+	let fcn = "updatePlan";
+
+	logger.info('##### PATCH on Plan - username : ' + username);
+	logger.info('##### PATCH on Plan - userOrg : ' + orgName);
+	logger.info('##### PATCH on Plan - channelName : ' + channelName);
+	logger.info('##### PATCH on Plan - chaincodeName : ' + chaincodeName);
+	logger.info('##### PATCH on Plan - fcn : ' + fcn);
+	logger.info('##### PATCH on Plan - args : ' + JSON.stringify(args));
+	logger.info('##### PATCH on Plan - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// DELETE a specific Plan. The plan is closed rather than deleted, so its history is kept
+app.delete('/plans/:planId', awaitHandler(async (req, res) => {
+	logger.info('================ DELETE on Plan');
+	let args = {planId: req.params.planId, status: 'closed'};
+	let fcn = "updatePlan";
+
+	logger.info('##### DELETE on Plan - username : ' + username);
+	logger.info('##### DELETE on Plan - userOrg : ' + orgName);
+	logger.info('##### DELETE on Plan - channelName : ' + channelName);
+	logger.info('##### DELETE on Plan - chaincodeName : ' + chaincodeName);
+	logger.info('##### DELETE on Plan - fcn : ' + fcn);
+	logger.info('##### DELETE on Plan - args : ' + JSON.stringify(args));
+	logger.info('##### DELETE on Plan - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
 // GET Member
 app.get('/members', awaitHandler(async (req, res) => {
 	logger.info('================ GET on Member');
+	if (req.query.pageSize || req.query.bookmark) {
+		return queryWithPagination(req, res, "queryAllMembersWithPagination");
+	}
 	let args = {};
 	let fcn = "queryAllMembers";
 
@@ -400,6 +678,9 @@ app.get('/members', awaitHandler(async (req, res) => {
 // GET employer
 app.get('/employers', awaitHandler(async (req, res) => {
 	logger.info('================ GET on employer');
+	if (req.query.pageSize || req.query.bookmark) {
+		return queryWithPagination(req, res, "queryAllEmployersWithPagination");
+	}
 	let args = {};
 	let fcn = "queryAllEmployers";
 
@@ -436,6 +717,9 @@ app.get('/employers/:contractNumber/members', awaitHandler(async (req, res) => {
 // GET plan
 app.get('/plans', awaitHandler(async (req, res) => {
 	logger.info('================ GET on plan');
+	if (req.query.pageSize || req.query.bookmark) {
+		return queryWithPagination(req, res, "queryAllPlansWithPagination");
+	}
 	let args = {};
 	//temp changes
 	let fcn = "queryAllPlans";
@@ -589,10 +873,14 @@ app.get('/height', awaitHandler(async (req, res) => {
  * NGO methods
  ************************************************************************************/
 
-// GET NGO
+// GET NGO. status is an optional query parameter, e.g. status=pending returns the NGOs awaiting verification
 app.get('/ngos', awaitHandler(async (req, res) => {
 	logger.info('================ GET on NGO');
-	let args = {};
+	let filter = req.query.status ? {status: req.query.status} : {};
+	if (req.query.pageSize || req.query.bookmark) {
+		return queryWithPagination(req, res, "queryAllNGOsWithPagination", filter);
+	}
+	let args = filter;
 	let fcn = "queryAllNGOs";
 
     logger.info('##### GET on NGO - username : ' + username);
@@ -626,6 +914,111 @@ app.get('/ngos/:ngoRegistrationNumber', awaitHandler(async (req, res) => {
  	res.send(message);
 }));
 
+// PUT the allocation strategy for a specific NGO, i.e. how its spend is allocated to donations
+app.put('/ngos/:ngoRegistrationNumber/allocationstrategy', awaitHandler(async (req, res) => {
+	logger.info('================ PUT on NGO allocation strategy');
+	let args = {
+		ngoRegistrationNumber: req.params.ngoRegistrationNumber,
+		allocationStrategy: req.body.allocationStrategy
+	};
+	let fcn = "setAllocationStrategy";
+
+    logger.info('##### PUT on NGO allocation strategy - username : ' + username);
+	logger.info('##### PUT on NGO allocation strategy - userOrg : ' + orgName);
+	logger.info('##### PUT on NGO allocation strategy - channelName : ' + channelName);
+	logger.info('##### PUT on NGO allocation strategy - chaincodeName : ' + chaincodeName);
+	logger.info('##### PUT on NGO allocation strategy - fcn : ' + fcn);
+	logger.info('##### PUT on NGO allocation strategy - args : ' + JSON.stringify(args));
+	logger.info('##### PUT on NGO allocation strategy - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// PUT the spend approval policy for a specific NGO. Spend above the threshold is proposed, and recorded once
+// requiredApprovals of the approvers, named by user name, approve it within expiryHours
+app.put('/ngos/:ngoRegistrationNumber/spendapprovalpolicy', awaitHandler(async (req, res) => {
+	logger.info('================ PUT on NGO spend approval policy');
+	let args = Object.assign({}, req.body, {ngoRegistrationNumber: req.params.ngoRegistrationNumber});
+	let fcn = "setSpendApprovalPolicy";
+
+	logger.info('##### PUT on NGO spend approval policy - username : ' + username);
+	logger.info('##### PUT on NGO spend approval policy - userOrg : ' + orgName);
+	logger.info('##### PUT on NGO spend approval policy - channelName : ' + channelName);
+	logger.info('##### PUT on NGO spend approval policy - chaincodeName : ' + chaincodeName);
+	logger.info('##### PUT on NGO spend approval policy - fcn : ' + fcn);
+	logger.info('##### PUT on NGO spend approval policy - args : ' + JSON.stringify(args));
+	logger.info('##### PUT on NGO spend approval policy - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// GET the spend proposals for a specific NGO. status is optional, e.g. pending. approverUserName is optional, and
+// lists only the proposals awaiting that approver, so ?status=pending&approverUserName=alice lists those alice
+// has still to approve or reject
+app.get('/ngos/:ngoRegistrationNumber/spendproposals', awaitHandler(async (req, res) => {
+	logger.info('================ GET on Spend proposals for NGO');
+	let args = {
+		ngoRegistrationNumber: req.params.ngoRegistrationNumber,
+		status: req.query.status,
+		approverUserName: req.query.approverUserName
+	};
+	let fcn = "querySpendProposalsForNGO";
+
+	logger.info('##### GET on Spend proposals for NGO - username : ' + username);
+	logger.info('##### GET on Spend proposals for NGO - userOrg : ' + orgName);
+	logger.info('##### GET on Spend proposals for NGO - channelName : ' + channelName);
+	logger.info('##### GET on Spend proposals for NGO - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET on Spend proposals for NGO - fcn : ' + fcn);
+	logger.info('##### GET on Spend proposals for NGO - args : ' + JSON.stringify(args));
+	logger.info('##### GET on Spend proposals for NGO - peers : ' + peers);
+
+	let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// GET the grants made by, or to, a specific NGO
+app.get('/ngos/:ngoRegistrationNumber/grants', awaitHandler(async (req, res) => {
+	logger.info('================ GET on Grants for NGO');
+	let args = req.params;
+	let fcn = "queryGrantsForNGO";
+
+	logger.info('##### GET on Grants for NGO - username : ' + username);
+	logger.info('##### GET on Grants for NGO - userOrg : ' + orgName);
+	logger.info('##### GET on Grants for NGO - channelName : ' + channelName);
+	logger.info('##### GET on Grants for NGO - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET on Grants for NGO - fcn : ' + fcn);
+	logger.info('##### GET on Grants for NGO - args : ' + JSON.stringify(args));
+	logger.info('##### GET on Grants for NGO - peers : ' + peers);
+
+	let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// GET a preview of how a spend would be allocated to the donations for a specific NGO. Nothing is recorded
+app.get('/ngos/:ngoRegistrationNumber/spendpreview', awaitHandler(async (req, res) => {
+	logger.info('================ GET on spend preview for NGO');
+	let args = {
+		ngoRegistrationNumber: req.params.ngoRegistrationNumber,
+		spendAmount: Number(req.query.spendAmount),
+		spendCategory: req.query.spendCategory,
+		allocationStrategy: req.query.allocationStrategy
+	};
+	let fcn = "previewSpendAllocation";
+
+    logger.info('##### GET on spend preview for NGO - username : ' + username);
+	logger.info('##### GET on spend preview for NGO - userOrg : ' + orgName);
+	logger.info('##### GET on spend preview for NGO - channelName : ' + channelName);
+	logger.info('##### GET on spend preview for NGO - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET on spend preview for NGO - fcn : ' + fcn);
+	logger.info('##### GET on spend preview for NGO - args : ' + JSON.stringify(args));
+	logger.info('##### GET on spend preview for NGO - peers : ' + peers);
+
+	let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
 // GET the Donations for a specific NGO
 app.get('/ngos/:ngoRegistrationNumber/donations', awaitHandler(async (req, res) => {
 	logger.info('================ GET on Donations for NGO');
@@ -683,7 +1076,45 @@ app.get('/ngos/:ngoRegistrationNumber/ratings', awaitHandler(async (req, res) =>
  	res.send(message);
 }));
 
-// POST NGO
+// GET a signed audit report for a specific NGO and period, given by the fromDate and toDate query parameters.
+// The report holds the NGO's donations, spend, spendAllocations, grants and spend proposals dated within the
+// period, each with the tx ID and block number of its transactions and its history, and the signed root of a
+// Merkle tree over the records.
+// It can be checked using auditverifier.js
+app.get('/ngos/:ngoRegistrationNumber/audit', awaitHandler(async (req, res) => {
+	logger.info('================ GET on Audit report for NGO');
+	for (let field of ['fromDate', 'toDate']) {
+		if (!req.query[field]) {
+			res.status(400).json(getErrorMessage(field));
+			return;
+		}
+	}
+	let args = {
+		ngoRegistrationNumber: req.params.ngoRegistrationNumber,
+		fromDate: req.query.fromDate,
+		toDate: req.query.toDate
+	};
+	let fcn = "queryAuditRecords";
+
+	logger.info('##### GET on Audit report for NGO - username : ' + username);
+	logger.info('##### GET on Audit report for NGO - userOrg : ' + orgName);
+	logger.info('##### GET on Audit report for NGO - channelName : ' + channelName);
+	logger.info('##### GET on Audit report for NGO - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET on Audit report for NGO - fcn : ' + fcn);
+	logger.info('##### GET on Audit report for NGO - args : ' + JSON.stringify(args));
+	logger.info('##### GET on Audit report for NGO - peers : ' + peers);
+
+	let auditRecords = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	if (!Array.isArray(auditRecords)) {
+		throw new Error(auditRecords);
+	}
+	let client = await connection.getClientForOrg(orgName, username);
+	let channel = client.getChannel(channelName);
+	let message = await audit.buildAuditReport(client, channel, username, auditRecords[0]);
+	res.send(message);
+}));
+
+// POST NGO. The NGO is pending until the verifier organisations approve it
 app.post('/ngos', awaitHandler(async (req, res) => {
 	logger.info('================ POST on NGO');
 	var args = req.body;
@@ -701,6 +1132,125 @@ app.post('/ngos', awaitHandler(async (req, res) => {
 	res.send(message);
 }));
 
+// POST an approval of a pending NGO, by a verifier on behalf of their organisation. comment is optional. The NGO
+// becomes active once the quorum of verifier organisations has approved it
+app.post('/ngos/:ngoRegistrationNumber/approve', awaitHandler(async (req, res) => {
+	logger.info('================ POST on NGO approval');
+	let args = {
+		ngoRegistrationNumber: req.params.ngoRegistrationNumber,
+		comment: req.body.comment
+	};
+	let fcn = "approveNGO";
+
+	logger.info('##### POST on NGO approval - username : ' + username);
+	logger.info('##### POST on NGO approval - userOrg : ' + orgName);
+	logger.info('##### POST on NGO approval - channelName : ' + channelName);
+	logger.info('##### POST on NGO approval - chaincodeName : ' + chaincodeName);
+	logger.info('##### POST on NGO approval - fcn : ' + fcn);
+	logger.info('##### POST on NGO approval - args : ' + JSON.stringify(args));
+	logger.info('##### POST on NGO approval - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// POST a rejection of a pending NGO, by a verifier on behalf of their organisation, with the reason
+app.post('/ngos/:ngoRegistrationNumber/reject', awaitHandler(async (req, res) => {
+	logger.info('================ POST on NGO rejection');
+	if (!req.body.reason) {
+		res.status(400).json(getErrorMessage('reason'));
+		return;
+	}
+	let args = {
+		ngoRegistrationNumber: req.params.ngoRegistrationNumber,
+		reason: req.body.reason
+	};
+	let fcn = "rejectNGO";
+
+	logger.info('##### POST on NGO rejection - username : ' + username);
+	logger.info('##### POST on NGO rejection - userOrg : ' + orgName);
+	logger.info('##### POST on NGO rejection - channelName : ' + channelName);
+	logger.info('##### POST on NGO rejection - chaincodeName : ' + chaincodeName);
+	logger.info('##### POST on NGO rejection - fcn : ' + fcn);
+	logger.info('##### POST on NGO rejection - args : ' + JSON.stringify(args));
+	logger.info('##### POST on NGO rejection - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// GET the verification policy: the verifier organisations, and how many must approve an NGO
+app.get('/verificationpolicy', awaitHandler(async (req, res) => {
+	logger.info('================ GET on Verification policy');
+	let args = {};
+	let fcn = "queryVerificationPolicy";
+
+	logger.info('##### GET on Verification policy - username : ' + username);
+	logger.info('##### GET on Verification policy - userOrg : ' + orgName);
+	logger.info('##### GET on Verification policy - channelName : ' + channelName);
+	logger.info('##### GET on Verification policy - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET on Verification policy - fcn : ' + fcn);
+	logger.info('##### GET on Verification policy - args : ' + JSON.stringify(args));
+	logger.info('##### GET on Verification policy - peers : ' + peers);
+
+	let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// PUT the verification policy. Only an admin may set it
+app.put('/verificationpolicy', awaitHandler(async (req, res) => {
+	logger.info('================ PUT on Verification policy');
+	let args = req.body;
+	let fcn = "setVerificationPolicy";
+
+	logger.info('##### PUT on Verification policy - username : ' + username);
+	logger.info('##### PUT on Verification policy - userOrg : ' + orgName);
+	logger.info('##### PUT on Verification policy - channelName : ' + channelName);
+	logger.info('##### PUT on Verification policy - chaincodeName : ' + chaincodeName);
+	logger.info('##### PUT on Verification policy - fcn : ' + fcn);
+	logger.info('##### PUT on Verification policy - args : ' + JSON.stringify(args));
+	logger.info('##### PUT on Verification policy - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// PATCH a specific NGO. Only the fields in the body are changed, and a field set to null is removed
+app.patch('/ngos/:ngoRegistrationNumber', awaitHandler(async (req, res) => {
+	logger.info('================ PATCH on NGO');
+	let args = Object.assign({}, req.body, {ngoRegistrationNumber: req.params.ngoRegistrationNumber});
+	let fcn = "updateNGO";
+
+	logger.info('##### PATCH on NGO - username : ' + username);
+	logger.info('##### PATCH on NGO - userOrg : ' + orgName);
+	logger.info('##### PATCH on NGO - channelName : ' + channelName);
+	logger.info('##### PATCH on NGO - chaincodeName : ' + chaincodeName);
+	logger.info('##### PATCH on NGO - fcn : ' + fcn);
+	logger.info('##### PATCH on NGO - args : ' + JSON.stringify(args));
+	logger.info('##### PATCH on NGO - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// DELETE a specific NGO. The NGO is closed rather than deleted, so its history is kept
+app.delete('/ngos/:ngoRegistrationNumber', awaitHandler(async (req, res) => {
+	logger.info('================ DELETE on NGO');
+	let args = {ngoRegistrationNumber: req.params.ngoRegistrationNumber, status: 'closed'};
+	let fcn = "updateNGO";
+
+	logger.info('##### DELETE on NGO - username : ' + username);
+	logger.info('##### DELETE on NGO - userOrg : ' + orgName);
+	logger.info('##### DELETE on NGO - channelName : ' + channelName);
+	logger.info('##### DELETE on NGO - chaincodeName : ' + chaincodeName);
+	logger.info('##### DELETE on NGO - fcn : ' + fcn);
+	logger.info('##### DELETE on NGO - args : ' + JSON.stringify(args));
+	logger.info('##### DELETE on NGO - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
 /************************************************************************************
  * Donation methods
  ************************************************************************************/
@@ -708,6 +1258,9 @@ app.post('/ngos', awaitHandler(async (req, res) => {
 // GET Donation
 app.get('/donations', awaitHandler(async (req, res) => {
 	logger.info('================ GET on Donation');
+	if (req.query.pageSize || req.query.bookmark) {
+		return queryWithPagination(req, res, "queryAllDonationsWithPagination");
+	}
 	let args = {};
 	let fcn = "queryAllDonations";
 
@@ -779,6 +1332,465 @@ app.post('/donations', awaitHandler(async (req, res) => {
 	res.send(message);
 }));
 
+// POST an anonymous Donation. The ledger records a commitment to the donor, i.e. the logged in user, in place of
+// their user name. The commitment is made with a secret, which is generated unless donorSecret is passed in the
+// body, and is returned along with the transaction ID. The donor must keep the secret, as it is the only way to
+// find the donation again, e.g. for a tax receipt. The donation is submitted as the relay user in config.json
+// rather than as the donor, whose certificate the block would record, and the donor's user name and secret are
+// passed to the chaincode in the transient map. The username is not logged, so the log does not link the donor
+// to the donation
+app.post('/donations/anonymous', awaitHandler(async (req, res) => {
+	logger.info('================ POST on anonymous Donation');
+	let args = Object.assign({}, req.body);
+	let fcn = "createAnonymousDonation";
+	let relay = hfc.getConfigSetting('anonymousDonationRelay');
+	let secret = args.donorSecret || crypto.randomBytes(32).toString('hex');
+	delete args.donorSecret;
+
+	logger.info('##### POST on anonymous Donation - relay : ' + relay);
+	logger.info('##### POST on anonymous Donation - userOrg : ' + orgName);
+	logger.info('##### POST on anonymous Donation - channelName : ' + channelName);
+	logger.info('##### POST on anonymous Donation - chaincodeName : ' + chaincodeName);
+	logger.info('##### POST on anonymous Donation - fcn : ' + fcn);
+	logger.info('##### POST on anonymous Donation - args : ' + JSON.stringify(args));
+	logger.info('##### POST on anonymous Donation - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, relay, orgName,
+		{donorUserName: username, donorSecret: secret});
+	res.send(Object.assign({donationId: args.donationId, donorSecret: secret}, message));
+}));
+
+// POST a refund for a Donation. This reverses the donation and re-allocates any spend already allocated to it
+app.post('/donations/:donationId/refund', awaitHandler(async (req, res) => {
+	logger.info('================ POST on Donation refund');
+	let args = {
+		donationId: req.params.donationId,
+		refundDate: req.body.refundDate || new Date().toISOString(),
+		refundReason: req.body.refundReason
+	};
+	let fcn = "reverseDonation";
+
+    logger.info('##### POST on Donation refund - username : ' + username);
+	logger.info('##### POST on Donation refund - userOrg : ' + orgName);
+	logger.info('##### POST on Donation refund - channelName : ' + channelName);
+	logger.info('##### POST on Donation refund - chaincodeName : ' + chaincodeName);
+	logger.info('##### POST on Donation refund - fcn : ' + fcn);
+	logger.info('##### POST on Donation refund - args : ' + JSON.stringify(args));
+	logger.info('##### POST on Donation refund - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+/************************************************************************************
+ * Pledge methods
+ ************************************************************************************/
+
+// POST Pledge, i.e. a recurring donation. The pledge scheduler below makes the donations as they fall due
+app.post('/pledges', awaitHandler(async (req, res) => {
+	logger.info('================ POST on Pledge');
+	let args = req.body;
+	let fcn = "createPledge";
+
+	logger.info('##### POST on Pledge - username : ' + username);
+	logger.info('##### POST on Pledge - userOrg : ' + orgName);
+	logger.info('##### POST on Pledge - channelName : ' + channelName);
+	logger.info('##### POST on Pledge - chaincodeName : ' + chaincodeName);
+	logger.info('##### POST on Pledge - fcn : ' + fcn);
+	logger.info('##### POST on Pledge - args : ' + JSON.stringify(args));
+	logger.info('##### POST on Pledge - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// POST to run the pledge scheduler now, rather than waiting for it to run. Responds with the result of each
+// donation made
+app.post('/pledges/fulfil', awaitHandler(async (req, res) => {
+	logger.info('================ POST on Pledge fulfil');
+	let results = await fulfilDuePledges();
+	res.send(results);
+}));
+
+// GET a specific Pledge
+app.get('/pledges/:pledgeId', awaitHandler(async (req, res) => {
+	logger.info('================ GET on Pledge');
+	let args = req.params;
+	let fcn = "queryPledge";
+
+	logger.info('##### GET on Pledge - username : ' + username);
+	logger.info('##### GET on Pledge - userOrg : ' + orgName);
+	logger.info('##### GET on Pledge - channelName : ' + channelName);
+	logger.info('##### GET on Pledge - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET on Pledge - fcn : ' + fcn);
+	logger.info('##### GET on Pledge - args : ' + JSON.stringify(args));
+	logger.info('##### GET on Pledge - peers : ' + peers);
+
+	let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// GET the fulfilment history of a specific Pledge, i.e. each occurrence that has fallen due and the donation
+// that fulfilled it
+app.get('/pledges/:pledgeId/fulfilments', awaitHandler(async (req, res) => {
+	logger.info('================ GET on Pledge fulfilments');
+	let args = req.params;
+	let fcn = "queryPledgeFulfilments";
+
+	logger.info('##### GET on Pledge fulfilments - username : ' + username);
+	logger.info('##### GET on Pledge fulfilments - userOrg : ' + orgName);
+	logger.info('##### GET on Pledge fulfilments - channelName : ' + channelName);
+	logger.info('##### GET on Pledge fulfilments - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET on Pledge fulfilments - fcn : ' + fcn);
+	logger.info('##### GET on Pledge fulfilments - args : ' + JSON.stringify(args));
+	logger.info('##### GET on Pledge fulfilments - peers : ' + peers);
+
+	let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// GET the Pledges for a specific Donor
+app.get('/donors/:donorUserName/pledges', awaitHandler(async (req, res) => {
+	logger.info('================ GET on Pledges for Donor');
+	let args = req.params;
+	let fcn = "queryPledgesForDonor";
+
+	logger.info('##### GET on Pledges for Donor - username : ' + username);
+	logger.info('##### GET on Pledges for Donor - userOrg : ' + orgName);
+	logger.info('##### GET on Pledges for Donor - channelName : ' + channelName);
+	logger.info('##### GET on Pledges for Donor - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET on Pledges for Donor - fcn : ' + fcn);
+	logger.info('##### GET on Pledges for Donor - args : ' + JSON.stringify(args));
+	logger.info('##### GET on Pledges for Donor - peers : ' + peers);
+
+	let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// POST to pause a specific Pledge. donorUserName defaults to the current user, and changeDate to now
+app.post('/pledges/:pledgeId/pause', awaitHandler(async (req, res) => {
+	logger.info('================ POST on Pledge pause');
+	let args = {
+		pledgeId: req.params.pledgeId,
+		donorUserName: req.body.donorUserName || username,
+		changeDate: req.body.changeDate || new Date().toISOString()
+	};
+	let fcn = "pausePledge";
+
+	logger.info('##### POST on Pledge pause - username : ' + username);
+	logger.info('##### POST on Pledge pause - userOrg : ' + orgName);
+	logger.info('##### POST on Pledge pause - channelName : ' + channelName);
+	logger.info('##### POST on Pledge pause - chaincodeName : ' + chaincodeName);
+	logger.info('##### POST on Pledge pause - fcn : ' + fcn);
+	logger.info('##### POST on Pledge pause - args : ' + JSON.stringify(args));
+	logger.info('##### POST on Pledge pause - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// POST to resume a specific Pledge. donorUserName defaults to the current user, and changeDate to now
+app.post('/pledges/:pledgeId/resume', awaitHandler(async (req, res) => {
+	logger.info('================ POST on Pledge resume');
+	let args = {
+		pledgeId: req.params.pledgeId,
+		donorUserName: req.body.donorUserName || username,
+		changeDate: req.body.changeDate || new Date().toISOString()
+	};
+	let fcn = "resumePledge";
+
+	logger.info('##### POST on Pledge resume - username : ' + username);
+	logger.info('##### POST on Pledge resume - userOrg : ' + orgName);
+	logger.info('##### POST on Pledge resume - channelName : ' + channelName);
+	logger.info('##### POST on Pledge resume - chaincodeName : ' + chaincodeName);
+	logger.info('##### POST on Pledge resume - fcn : ' + fcn);
+	logger.info('##### POST on Pledge resume - args : ' + JSON.stringify(args));
+	logger.info('##### POST on Pledge resume - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// POST to cancel a specific Pledge. donorUserName defaults to the current user, and changeDate to now
+app.post('/pledges/:pledgeId/cancel', awaitHandler(async (req, res) => {
+	logger.info('================ POST on Pledge cancel');
+	let args = {
+		pledgeId: req.params.pledgeId,
+		donorUserName: req.body.donorUserName || username,
+		changeDate: req.body.changeDate || new Date().toISOString()
+	};
+	let fcn = "cancelPledge";
+
+	logger.info('##### POST on Pledge cancel - username : ' + username);
+	logger.info('##### POST on Pledge cancel - userOrg : ' + orgName);
+	logger.info('##### POST on Pledge cancel - channelName : ' + channelName);
+	logger.info('##### POST on Pledge cancel - chaincodeName : ' + chaincodeName);
+	logger.info('##### POST on Pledge cancel - fcn : ' + fcn);
+	logger.info('##### POST on Pledge cancel - args : ' + JSON.stringify(args));
+	logger.info('##### POST on Pledge cancel - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+/************************************************************************************
+ * Campaign methods
+ ************************************************************************************/
+
+// POST a fundraising Campaign for a specific NGO
+app.post('/ngos/:ngoRegistrationNumber/campaigns', awaitHandler(async (req, res) => {
+	logger.info('================ POST on Campaign');
+	let args = req.body;
+	args.ngoRegistrationNumber = req.params.ngoRegistrationNumber;
+	let fcn = "createCampaign";
+
+	logger.info('##### POST on Campaign - username : ' + username);
+	logger.info('##### POST on Campaign - userOrg : ' + orgName);
+	logger.info('##### POST on Campaign - channelName : ' + channelName);
+	logger.info('##### POST on Campaign - chaincodeName : ' + chaincodeName);
+	logger.info('##### POST on Campaign - fcn : ' + fcn);
+	logger.info('##### POST on Campaign - args : ' + JSON.stringify(args));
+	logger.info('##### POST on Campaign - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// GET the Campaigns for a specific NGO, each with its progress towards its goal
+app.get('/ngos/:ngoRegistrationNumber/campaigns', awaitHandler(async (req, res) => {
+	logger.info('================ GET on Campaigns for NGO');
+	let args = req.params;
+	let fcn = "queryCampaignsForNGO";
+
+	logger.info('##### GET on Campaigns for NGO - username : ' + username);
+	logger.info('##### GET on Campaigns for NGO - userOrg : ' + orgName);
+	logger.info('##### GET on Campaigns for NGO - channelName : ' + channelName);
+	logger.info('##### GET on Campaigns for NGO - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET on Campaigns for NGO - fcn : ' + fcn);
+	logger.info('##### GET on Campaigns for NGO - args : ' + JSON.stringify(args));
+	logger.info('##### GET on Campaigns for NGO - peers : ' + peers);
+
+	let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// GET a specific Campaign, with the amount raised, the number of donors and the percentage of its goal
+app.get('/campaigns/:campaignId', awaitHandler(async (req, res) => {
+	logger.info('================ GET on Campaign');
+	let args = req.params;
+	let fcn = "queryCampaign";
+
+	logger.info('##### GET on Campaign - username : ' + username);
+	logger.info('##### GET on Campaign - userOrg : ' + orgName);
+	logger.info('##### GET on Campaign - channelName : ' + channelName);
+	logger.info('##### GET on Campaign - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET on Campaign - fcn : ' + fcn);
+	logger.info('##### GET on Campaign - args : ' + JSON.stringify(args));
+	logger.info('##### GET on Campaign - peers : ' + peers);
+
+	let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// GET the Donations towards a specific Campaign
+app.get('/campaigns/:campaignId/donations', awaitHandler(async (req, res) => {
+	logger.info('================ GET on Donations for Campaign');
+	let args = req.params;
+	let fcn = "queryDonationsForCampaign";
+
+	logger.info('##### GET on Donations for Campaign - username : ' + username);
+	logger.info('##### GET on Donations for Campaign - userOrg : ' + orgName);
+	logger.info('##### GET on Donations for Campaign - channelName : ' + channelName);
+	logger.info('##### GET on Donations for Campaign - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET on Donations for Campaign - fcn : ' + fcn);
+	logger.info('##### GET on Donations for Campaign - args : ' + JSON.stringify(args));
+	logger.info('##### GET on Donations for Campaign - peers : ' + peers);
+
+	let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+/************************************************************************************
+ * Matching programme methods
+ ************************************************************************************/
+
+// POST a matching-gift programme, in which a sponsor matches the donations of its linked donors
+app.post('/matchingprograms', awaitHandler(async (req, res) => {
+	logger.info('================ POST on Matching programme');
+	let args = req.body;
+	let fcn = "createMatchingProgram";
+
+	logger.info('##### POST on Matching programme - username : ' + username);
+	logger.info('##### POST on Matching programme - userOrg : ' + orgName);
+	logger.info('##### POST on Matching programme - channelName : ' + channelName);
+	logger.info('##### POST on Matching programme - chaincodeName : ' + chaincodeName);
+	logger.info('##### POST on Matching programme - fcn : ' + fcn);
+	logger.info('##### POST on Matching programme - args : ' + JSON.stringify(args));
+	logger.info('##### POST on Matching programme - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// GET a specific matching-gift programme
+app.get('/matchingprograms/:programId', awaitHandler(async (req, res) => {
+	logger.info('================ GET on Matching programme');
+	let args = req.params;
+	let fcn = "queryMatchingProgram";
+
+	logger.info('##### GET on Matching programme - username : ' + username);
+	logger.info('##### GET on Matching programme - userOrg : ' + orgName);
+	logger.info('##### GET on Matching programme - channelName : ' + channelName);
+	logger.info('##### GET on Matching programme - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET on Matching programme - fcn : ' + fcn);
+	logger.info('##### GET on Matching programme - args : ' + JSON.stringify(args));
+	logger.info('##### GET on Matching programme - peers : ' + peers);
+
+	let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// PUT the sponsor of a specific Donor, i.e. the matching programme that matches their donations
+app.put('/donors/:donorUserName/sponsor', awaitHandler(async (req, res) => {
+	logger.info('================ PUT on Donor sponsor');
+	let args = {
+		donorUserName: req.params.donorUserName,
+		programId: req.body.programId
+	};
+	let fcn = "linkDonorToSponsor";
+
+	logger.info('##### PUT on Donor sponsor - username : ' + username);
+	logger.info('##### PUT on Donor sponsor - userOrg : ' + orgName);
+	logger.info('##### PUT on Donor sponsor - channelName : ' + channelName);
+	logger.info('##### PUT on Donor sponsor - chaincodeName : ' + chaincodeName);
+	logger.info('##### PUT on Donor sponsor - fcn : ' + fcn);
+	logger.info('##### PUT on Donor sponsor - args : ' + JSON.stringify(args));
+	logger.info('##### PUT on Donor sponsor - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// GET the matching programme of a specific Donor, and how much it has matched in a year. year is an optional
+// query parameter, and defaults to the current year
+app.get('/donors/:donorUserName/matching', awaitHandler(async (req, res) => {
+	logger.info('================ GET on Donor matching');
+	let args = {
+		donorUserName: req.params.donorUserName,
+		year: req.query.year
+	};
+	let fcn = "queryMatchingForDonor";
+
+	logger.info('##### GET on Donor matching - username : ' + username);
+	logger.info('##### GET on Donor matching - userOrg : ' + orgName);
+	logger.info('##### GET on Donor matching - channelName : ' + channelName);
+	logger.info('##### GET on Donor matching - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET on Donor matching - fcn : ' + fcn);
+	logger.info('##### GET on Donor matching - args : ' + JSON.stringify(args));
+	logger.info('##### GET on Donor matching - peers : ' + peers);
+
+	let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// GET the matching donations sponsors have made for a specific Donor's donations
+app.get('/donors/:donorUserName/matchingdonations', awaitHandler(async (req, res) => {
+	logger.info('================ GET on Matching donations for Donor');
+	let args = req.params;
+	let fcn = "queryMatchingDonationsForDonor";
+
+	logger.info('##### GET on Matching donations for Donor - username : ' + username);
+	logger.info('##### GET on Matching donations for Donor - userOrg : ' + orgName);
+	logger.info('##### GET on Matching donations for Donor - channelName : ' + channelName);
+	logger.info('##### GET on Matching donations for Donor - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET on Matching donations for Donor - fcn : ' + fcn);
+	logger.info('##### GET on Matching donations for Donor - args : ' + JSON.stringify(args));
+	logger.info('##### GET on Matching donations for Donor - peers : ' + peers);
+
+	let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+/************************************************************************************
+ * Statement methods
+ ************************************************************************************/
+
+// GET the annual giving statement of a specific Donor for a tax year, listing their donations by NGO and date,
+// with the ledger transaction ID of each. format is an optional query parameter: json (the default), pdf or csv.
+// The Donor's anonymous donations are included for the secrets passed in the x-donor-secrets header
+app.get('/donors/:donorUserName/statements/:year', awaitHandler(async (req, res) => {
+	logger.info('================ GET on Donor statement');
+	let format = req.query.format || 'json';
+	if (['json', 'pdf', 'csv'].indexOf(format) === -1) {
+		res.status(400).json(getErrorMessage('format'));
+		return;
+	}
+	let args = {
+		donorUserName: req.params.donorUserName,
+		year: Number(req.params.year)
+	};
+	let fcn = "queryDonorStatement";
+
+	logger.info('##### GET on Donor statement - username : ' + username);
+	logger.info('##### GET on Donor statement - userOrg : ' + orgName);
+	logger.info('##### GET on Donor statement - channelName : ' + channelName);
+	logger.info('##### GET on Donor statement - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET on Donor statement - fcn : ' + fcn);
+	logger.info('##### GET on Donor statement - args : ' + JSON.stringify(args));
+	logger.info('##### GET on Donor statement - peers : ' + peers);
+
+	let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName, donorSecrets(req));
+	if (format === 'json') {
+		res.send(message);
+		return;
+	}
+	if (!Array.isArray(message)) {
+		throw new Error(message);
+	}
+	res.type(format === 'pdf' ? 'application/pdf' : 'text/csv');
+	res.attachment(statement.statementFileName(args.donorUserName, args.year, format));
+	res.send(format === 'pdf' ? statement.toPdf(message[0]) : statement.toCsv(message[0]));
+}));
+
+// POST to generate the annual giving statements of all Donors for a tax year. A PDF and a CSV statement is
+// written for each Donor who donated in the year, to <statementDir>/<year> on the server running this API.
+// statementDir is set in config.json
+app.post('/statements/:year', awaitHandler(async (req, res) => {
+	logger.info('================ POST on Statements');
+	let year = Number(req.params.year);
+	if (!Number.isInteger(year)) {
+		res.status(400).json(getErrorMessage('year'));
+		return;
+	}
+	let fcn = "queryDonorStatement";
+
+	logger.info('##### POST on Statements - username : ' + username);
+	logger.info('##### POST on Statements - userOrg : ' + orgName);
+	logger.info('##### POST on Statements - channelName : ' + channelName);
+	logger.info('##### POST on Statements - chaincodeName : ' + chaincodeName);
+	logger.info('##### POST on Statements - fcn : ' + fcn);
+	logger.info('##### POST on Statements - year : ' + year);
+	logger.info('##### POST on Statements - peers : ' + peers);
+
+	let donors = await query.queryChaincode(peers, channelName, chaincodeName, {}, "queryAllDonors", username, orgName);
+	if (!Array.isArray(donors)) {
+		throw new Error(donors);
+	}
+	let statements = [];
+	for (let donor of donors) {
+		let args = {donorUserName: donor.donorUserName, year: year};
+		let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+		if (!Array.isArray(message)) {
+			throw new Error(message);
+		}
+		if (message[0].donationCount > 0) {
+			statements.push(message[0]);
+		}
+	}
+	let files = await statement.writeStatements(year, statements);
+	res.send({year: year, donorCount: donors.length, statementCount: statements.length, files: files});
+}));
+
 /************************************************************************************
  * Spend methods
  ************************************************************************************/
@@ -786,6 +1798,9 @@ app.post('/donations', awaitHandler(async (req, res) => {
 // GET Spend
 app.get('/spend', awaitHandler(async (req, res) => {
 	logger.info('================ GET on Spend');
+	if (req.query.pageSize || req.query.bookmark) {
+		return queryWithPagination(req, res, "queryAllSpendWithPagination");
+	}
 	let args = {};
 	let fcn = "queryAllSpend";
 
@@ -840,7 +1855,7 @@ app.get('/spend/:spendId/spendallocations', awaitHandler(async (req, res) => {
 }));
 
 
-// POST Spend
+// POST Spend. Spend above the NGO's approval threshold is created as a spend proposal, and recorded once approved
 app.post('/spend', awaitHandler(async (req, res) => {
 	logger.info('================ dummySpend');
 	var args = req.body;
@@ -858,6 +1873,219 @@ app.post('/spend', awaitHandler(async (req, res) => {
 	res.send(message);
 }));
 
+// POST evidence for a specific Spend, such as an invoice or receipt. The body is the file itself, sent with its
+// content type, and the fileName and an optional description are passed as query parameters. The file is kept
+// in the local evidence store and its SHA-256 hash is recorded on the ledger
+app.post('/spend/:spendId/evidence', bodyParser.raw({type: () => true, limit: evidenceMaxSize}), awaitHandler(async (req, res) => {
+	logger.info('================ POST on Spend evidence');
+	if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+		res.status(400).json(getErrorMessage('file'));
+		return;
+	}
+	if (!req.query.fileName) {
+		res.status(400).json(getErrorMessage('fileName'));
+		return;
+	}
+
+	// the NGO that recorded the spend is needed to check the caller may add evidence for it
+	let spend = await query.queryChaincode(peers, channelName, chaincodeName, {spendId: req.params.spendId}, "querySpend", username, orgName);
+	if (!Array.isArray(spend)) {
+		throw new Error(spend);
+	}
+
+	let evidenceId = uuidv4();
+	let stored = await evidenceStore.saveEvidence(req.params.spendId, evidenceId, req.body);
+	let args = {
+		evidenceId: evidenceId,
+		spendId: req.params.spendId,
+		ngoRegistrationNumber: spend[0].ngoRegistrationNumber,
+		fileName: req.query.fileName,
+		contentType: req.get('content-type'),
+		size: stored.size,
+		sha256: stored.sha256,
+		description: req.query.description
+	};
+	let fcn = "addSpendEvidence";
+
+	logger.info('##### POST on Spend evidence - username : ' + username);
+	logger.info('##### POST on Spend evidence - userOrg : ' + orgName);
+	logger.info('##### POST on Spend evidence - channelName : ' + channelName);
+	logger.info('##### POST on Spend evidence - chaincodeName : ' + chaincodeName);
+	logger.info('##### POST on Spend evidence - fcn : ' + fcn);
+	logger.info('##### POST on Spend evidence - args : ' + JSON.stringify(args));
+	logger.info('##### POST on Spend evidence - peers : ' + peers);
+
+	let message;
+	try {
+		message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	}
+	catch (err) {
+		// the evidence was not recorded on the ledger, so its file is not kept
+		await evidenceStore.removeEvidence(req.params.spendId, evidenceId);
+		throw err;
+	}
+	message.evidenceId = evidenceId;
+	message.sha256 = stored.sha256;
+	res.send(message);
+}));
+
+// GET the evidence recorded for a specific Spend
+app.get('/spend/:spendId/evidence', awaitHandler(async (req, res) => {
+	logger.info('================ GET on Spend evidence');
+	let args = req.params;
+	let fcn = "querySpendEvidence";
+
+	logger.info('##### GET on Spend evidence - username : ' + username);
+	logger.info('##### GET on Spend evidence - userOrg : ' + orgName);
+	logger.info('##### GET on Spend evidence - channelName : ' + channelName);
+	logger.info('##### GET on Spend evidence - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET on Spend evidence - fcn : ' + fcn);
+	logger.info('##### GET on Spend evidence - args : ' + JSON.stringify(args));
+	logger.info('##### GET on Spend evidence - peers : ' + peers);
+
+	let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// GET the result of verifying the evidence for a specific Spend. Each stored file is hashed again and the hash
+// compared with the one recorded on the ledger
+app.get('/spend/:spendId/evidence/verify', awaitHandler(async (req, res) => {
+	logger.info('================ GET on Spend evidence verify');
+	let args = req.params;
+	let fcn = "querySpendEvidence";
+
+	logger.info('##### GET on Spend evidence verify - username : ' + username);
+	logger.info('##### GET on Spend evidence verify - userOrg : ' + orgName);
+	logger.info('##### GET on Spend evidence verify - channelName : ' + channelName);
+	logger.info('##### GET on Spend evidence verify - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET on Spend evidence verify - fcn : ' + fcn);
+	logger.info('##### GET on Spend evidence verify - args : ' + JSON.stringify(args));
+	logger.info('##### GET on Spend evidence verify - peers : ' + peers);
+
+	let recordedEvidence = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	if (!Array.isArray(recordedEvidence)) {
+		throw new Error(recordedEvidence);
+	}
+	let message = await evidenceStore.verifyEvidence(req.params.spendId, recordedEvidence);
+	res.send(message);
+}));
+
+/************************************************************************************
+ * Spend proposal methods
+ ************************************************************************************/
+
+// GET a specific spend proposal, with its status: pending, approved, rejected or expired. A proposed grant is
+// at /grantproposals/:grantId
+app.get(['/spendproposals/:spendId', '/grantproposals/:grantId'], awaitHandler(async (req, res) => {
+	logger.info('================ GET on Spend proposal');
+	let args = req.params;
+	let fcn = "querySpendProposal";
+
+	logger.info('##### GET on Spend proposal - username : ' + username);
+	logger.info('##### GET on Spend proposal - userOrg : ' + orgName);
+	logger.info('##### GET on Spend proposal - channelName : ' + channelName);
+	logger.info('##### GET on Spend proposal - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET on Spend proposal - fcn : ' + fcn);
+	logger.info('##### GET on Spend proposal - args : ' + JSON.stringify(args));
+	logger.info('##### GET on Spend proposal - peers : ' + peers);
+
+	let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// POST an approval of a spend proposal, by one of its approvers. comment is optional. Once the proposal has the
+// approvals it needs, the spend, or the grant, is recorded and allocated to the NGO's donations
+app.post(['/spendproposals/:spendId/approve', '/grantproposals/:grantId/approve'], awaitHandler(async (req, res) => {
+	logger.info('================ POST on Spend proposal approval');
+	// the NGO that proposed the spend is needed to check the caller may approve it. req.params holds the
+	// spendId, or the grantId of a proposed grant
+	let proposal = await query.queryChaincode(peers, channelName, chaincodeName, req.params, "querySpendProposal", username, orgName);
+	if (!Array.isArray(proposal)) {
+		throw new Error(proposal);
+	}
+	let args = Object.assign({ngoRegistrationNumber: proposal[0].ngoRegistrationNumber}, req.params, {comment: req.body.comment});
+	let fcn = "approveSpendProposal";
+
+	logger.info('##### POST on Spend proposal approval - username : ' + username);
+	logger.info('##### POST on Spend proposal approval - userOrg : ' + orgName);
+	logger.info('##### POST on Spend proposal approval - channelName : ' + channelName);
+	logger.info('##### POST on Spend proposal approval - chaincodeName : ' + chaincodeName);
+	logger.info('##### POST on Spend proposal approval - fcn : ' + fcn);
+	logger.info('##### POST on Spend proposal approval - args : ' + JSON.stringify(args));
+	logger.info('##### POST on Spend proposal approval - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// POST a rejection of a spend proposal, by one of its approvers, with the reason. The spend, or the grant, is not recorded
+app.post(['/spendproposals/:spendId/reject', '/grantproposals/:grantId/reject'], awaitHandler(async (req, res) => {
+	logger.info('================ POST on Spend proposal rejection');
+	if (!req.body.reason) {
+		res.status(400).json(getErrorMessage('reason'));
+		return;
+	}
+	// the NGO that proposed the spend is needed to check the caller may reject it
+	let proposal = await query.queryChaincode(peers, channelName, chaincodeName, req.params, "querySpendProposal", username, orgName);
+	if (!Array.isArray(proposal)) {
+		throw new Error(proposal);
+	}
+	let args = Object.assign({ngoRegistrationNumber: proposal[0].ngoRegistrationNumber}, req.params, {reason: req.body.reason});
+	let fcn = "rejectSpendProposal";
+
+	logger.info('##### POST on Spend proposal rejection - username : ' + username);
+	logger.info('##### POST on Spend proposal rejection - userOrg : ' + orgName);
+	logger.info('##### POST on Spend proposal rejection - channelName : ' + channelName);
+	logger.info('##### POST on Spend proposal rejection - chaincodeName : ' + chaincodeName);
+	logger.info('##### POST on Spend proposal rejection - fcn : ' + fcn);
+	logger.info('##### POST on Spend proposal rejection - args : ' + JSON.stringify(args));
+	logger.info('##### POST on Spend proposal rejection - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+/************************************************************************************
+ * Grant methods
+ ************************************************************************************/
+
+// GET a specific Grant, with the spend allocations that funded it and the donations it created for the receiving NGO
+app.get('/grants/:grantId', awaitHandler(async (req, res) => {
+	logger.info('================ GET on Grant');
+	let args = req.params;
+	let fcn = "queryGrant";
+
+	logger.info('##### GET on Grant - username : ' + username);
+	logger.info('##### GET on Grant - userOrg : ' + orgName);
+	logger.info('##### GET on Grant - channelName : ' + channelName);
+	logger.info('##### GET on Grant - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET on Grant - fcn : ' + fcn);
+	logger.info('##### GET on Grant - args : ' + JSON.stringify(args));
+	logger.info('##### GET on Grant - peers : ' + peers);
+
+	let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// POST a Grant of part of an NGO's unspent donations to another NGO. The receiving NGO gets a donation from each
+// donor whose donation funded the grant, linked back to that donation
+app.post('/grants', awaitHandler(async (req, res) => {
+	logger.info('================ POST on Grant');
+	let args = req.body;
+	let fcn = "createGrant";
+
+	logger.info('##### POST on Grant - username : ' + username);
+	logger.info('##### POST on Grant - userOrg : ' + orgName);
+	logger.info('##### POST on Grant - channelName : ' + channelName);
+	logger.info('##### POST on Grant - chaincodeName : ' + chaincodeName);
+	logger.info('##### POST on Grant - fcn : ' + fcn);
+	logger.info('##### POST on Grant - args : ' + JSON.stringify(args));
+	logger.info('##### POST on Grant - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
 /************************************************************************************
  * SpendAllocation methods
  ************************************************************************************/
@@ -865,6 +2093,9 @@ app.post('/spend', awaitHandler(async (req, res) => {
 // GET all SpendAllocation records
 app.get('/spendallocations', awaitHandler(async (req, res) => {
 	logger.info('================ GET on spendAllocation');
+	if (req.query.pageSize || req.query.bookmark) {
+		return queryWithPagination(req, res, "queryAllSpendAllocationsWithPagination");
+	}
 	let args = {};
 	let fcn = "queryAllSpendAllocations";
 
@@ -902,6 +2133,24 @@ app.post('/ratings', awaitHandler(async (req, res) => {
 	res.send(message);
 }));
 
+// PUT Rating, i.e. revise the donor's existing rating for an NGO, and its review
+app.put('/ratings', awaitHandler(async (req, res) => {
+	logger.info('================ PUT on Ratings');
+	let args = req.body;
+	let fcn = "updateRating";
+
+	logger.info('##### PUT on Ratings - username : ' + username);
+	logger.info('##### PUT on Ratings - userOrg : ' + orgName);
+	logger.info('##### PUT on Ratings - channelName : ' + channelName);
+	logger.info('##### PUT on Ratings - chaincodeName : ' + chaincodeName);
+	logger.info('##### PUT on Ratings - fcn : ' + fcn);
+	logger.info('##### PUT on Ratings - args : ' + JSON.stringify(args));
+	logger.info('##### PUT on Ratings - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
 // GET a specific Rating
 app.get('/ratings/:ngoRegistrationNumber/:donorUserName', awaitHandler(async (req, res) => {
 	logger.info('================ GET on Rating by ID');
@@ -921,12 +2170,67 @@ app.get('/ratings/:ngoRegistrationNumber/:donorUserName', awaitHandler(async (re
  	res.send(message);
 }));
 
+/************************************************************************************
+ * FX rate methods
+ ************************************************************************************/
+
+// GET the FX rate for a currency pair, e.g. /fxrates/EUR/USD
+app.get('/fxrates/:baseCurrency/:quoteCurrency', awaitHandler(async (req, res) => {
+	logger.info('================ GET on FX rate');
+	let args = req.params;
+	let fcn = "queryFxRate";
+
+    logger.info('##### GET on FX rate - username : ' + username);
+	logger.info('##### GET on FX rate - userOrg : ' + orgName);
+	logger.info('##### GET on FX rate - channelName : ' + channelName);
+	logger.info('##### GET on FX rate - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET on FX rate - fcn : ' + fcn);
+	logger.info('##### GET on FX rate - args : ' + JSON.stringify(args));
+	logger.info('##### GET on FX rate - peers : ' + peers);
+
+	let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
+// PUT the FX rate for a currency pair, replacing the current rate
+app.put('/fxrates/:baseCurrency/:quoteCurrency', awaitHandler(async (req, res) => {
+	logger.info('================ PUT on FX rate');
+	let args = {
+		baseCurrency: req.params.baseCurrency,
+		quoteCurrency: req.params.quoteCurrency,
+		rate: req.body.rate,
+		rateDate: req.body.rateDate || new Date().toISOString()
+	};
+	let fcn = "setFxRate";
+
+    logger.info('##### PUT on FX rate - username : ' + username);
+	logger.info('##### PUT on FX rate - userOrg : ' + orgName);
+	logger.info('##### PUT on FX rate - channelName : ' + channelName);
+	logger.info('##### PUT on FX rate - chaincodeName : ' + chaincodeName);
+	logger.info('##### PUT on FX rate - fcn : ' + fcn);
+	logger.info('##### PUT on FX rate - args : ' + JSON.stringify(args));
+	logger.info('##### PUT on FX rate - peers : ' + peers);
+
+	let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	res.send(message);
+}));
+
 /************************************************************************************
  * Blockchain metadata methods
  ************************************************************************************/
 
+// Adds the number of the block holding each version to the history returned by queryHistoryForKey, as the
+// chaincode cannot see which block holds a transaction
+async function addBlockNumbers(history) {
+	let client = await connection.getClientForOrg(orgName, username);
+	let channel = client.getChannel(channelName);
+	let numbers = await audit.blockNumbers(channel, history.map((version) => version.TxId));
+	return history.map((version) => Object.assign({BlockNumber: numbers.get(version.TxId)}, version));
+}
+
 // GET details of a blockchain transaction using the record key (i.e. the key used to store the transaction
-// in the world state)
+// in the world state). Each version of the record has the BlockNumber of its transaction and the Changes from
+// the version before, field by field
 app.get('/blockinfos/:docType/keys/:key', awaitHandler(async (req, res) => {
 	logger.info('================ GET on blockinfo');
 	logger.info('Key is : ' + req.params);
@@ -942,10 +2246,68 @@ app.get('/blockinfos/:docType/keys/:key', awaitHandler(async (req, res) => {
 	logger.info('##### GET on blockinfo - peers : ' + peers);
 
 	let history = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
-	logger.info('##### GET on blockinfo - queryHistoryForKey : ' + util.inspect(history));
+	// the versions are not logged, as older donors and members hold personal details the user may read
+	logger.info('##### GET on blockinfo - number of versions : ' + (Array.isArray(history) ? history.length : history));
+	if (Array.isArray(history)) {
+		history = await addBlockNumbers(history);
+	}
 	res.send(history);
 }));
 
+// GET an NGO, donor or member record as it was at a point in time, given as either a timestamp, e.g.
+// timestamp=2018-10-01T00:00:00.000Z, or a block height, e.g. blockHeight=20 for the ledger once its first 20
+// blocks (0 to 19) were committed. GET /height returns the current height. The version returned has the TxId and
+// BlockNumber of the transaction that wrote it
+app.get('/blockinfos/:docType/keys/:key/asof', awaitHandler(async (req, res) => {
+	logger.info('================ GET on blockinfo as of');
+	if (['ngo', 'donor', 'member'].indexOf(req.params.docType) === -1) {
+		res.status(400).json(getErrorMessage('docType'));
+		return;
+	}
+	if (!req.query.timestamp === !req.query.blockHeight) {
+		res.status(400).json(getErrorMessage('timestamp or blockHeight'));
+		return;
+	}
+	let blockHeight = Number(req.query.blockHeight);
+	if (req.query.blockHeight && (!Number.isInteger(blockHeight) || blockHeight < 1)) {
+		res.status(400).json(getErrorMessage('blockHeight'));
+		return;
+	}
+	let args = {docType: req.params.docType, key: req.params.key};
+	let fcn = "queryHistoryForKey";
+	if (req.query.timestamp) {
+		args.asOf = req.query.timestamp;
+		fcn = "queryRecordAsOf";
+	}
+
+	logger.info('##### GET on blockinfo as of - username : ' + username);
+	logger.info('##### GET on blockinfo as of - userOrg : ' + orgName);
+	logger.info('##### GET on blockinfo as of - channelName : ' + channelName);
+	logger.info('##### GET on blockinfo as of - chaincodeName : ' + chaincodeName);
+	logger.info('##### GET on blockinfo as of - fcn : ' + fcn);
+	logger.info('##### GET on blockinfo as of - args : ' + JSON.stringify(args));
+	logger.info('##### GET on blockinfo as of - peers : ' + peers);
+
+	let message = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	if (!Array.isArray(message)) {
+		throw new Error(message);
+	}
+	if (req.query.timestamp) {
+		res.send((await addBlockNumbers(message))[0]);
+		return;
+	}
+	// the history is oldest first, so the last version in a block below the height is the one as of the height
+	let versions = (await addBlockNumbers(message)).filter((version) => version.BlockNumber < blockHeight);
+	if (versions.length === 0) {
+		res.status(404).json({
+			success: false,
+			message: util.format('The %s: %s did not exist at block height: %s', args.docType, args.key, blockHeight)
+		});
+		return;
+	}
+	res.send(Object.assign({docType: args.docType, key: args.key, blockHeight: blockHeight}, versions[versions.length - 1]));
+}));
+
 
 /************************************************************************************
  * Utility function for creating dummy spend records. Mimics the behaviour of an NGO
@@ -1014,11 +2376,172 @@ async function dummySpend() {
     }, rand);
 }());*/
 
+/************************************************************************************
+ * Pledge scheduler. Makes the donations for pledges as they fall due. Runs every
+ * pledgeSchedulerInterval milliseconds, as set in config.json. Set it to 0 to turn
+ * the scheduler off
+ ************************************************************************************/
+
+// Each donation is made as the donor who made the pledge, so the donor must be registered with this REST API
+// using POST /users. The chaincode gives each occurrence of a pledge a fixed donation ID, so if a donation is
+// retried after it has been made, e.g. because a previous run timed out, it fails rather than donating twice.
+// A donation the chaincode rejects, e.g. because the NGO has been suspended, is recorded as a failed occurrence
+// of the pledge using recordPledgeFailure, so it is not retried on the next run. Any other error, such as a
+// timeout, leaves the occurrence due, and it is retried.
+async function fulfilDuePledges() {
+	if (!username) {
+		return [];
+	}
+	let args = {};
+	let fcn = "queryDuePledgeDonations";
+
+	logger.info('##### fulfilDuePledges - username : ' + username);
+	logger.info('##### fulfilDuePledges - userOrg : ' + orgName);
+	logger.info('##### fulfilDuePledges - fcn : ' + fcn);
+
+	let dueDonations = await query.queryChaincode(peers, channelName, chaincodeName, args, fcn, username, orgName);
+	if (!Array.isArray(dueDonations)) {
+		logger.error('##### fulfilDuePledges - unable to get the due pledge donations: ' + dueDonations);
+		return [];
+	}
+	logger.info('##### fulfilDuePledges - number of donations due: ' + dueDonations.length);
+
+	let results = [];
+	for (let donation of dueDonations) {
+		try {
+			let message = await invoke.invokeChaincode(peers, channelName, chaincodeName, donation, "createDonation", donation.donorUserName, orgName);
+			results.push({donationId: donation.donationId, success: true, transactionId: message.transactionId});
+		}
+		catch (err) {
+			logger.error('##### fulfilDuePledges - failed to make donation: ' + donation.donationId + ' error: ' + err.message);
+			let result = {donationId: donation.donationId, success: false, message: err.message};
+			if (err.message.indexOf('##### createDonation - ') >= 0 && err.message.indexOf('already exists') < 0) {
+				result.failureRecorded = await recordPledgeFailure(donation, err.message);
+			}
+			results.push(result);
+		}
+	}
+	return results;
+}
+
+// Records that the chaincode rejected the donation for an occurrence of a pledge. Returns true if it was recorded
+async function recordPledgeFailure(donation, reason) {
+	let args = {
+		pledgeId: donation.pledgeId,
+		donorUserName: donation.donorUserName,
+		pledgeOccurrence: donation.pledgeOccurrence,
+		reason: reason.substring(reason.indexOf('##### createDonation - ')).substring(0, 500)
+	};
+	let fcn = "recordPledgeFailure";
+	try {
+		await invoke.invokeChaincode(peers, channelName, chaincodeName, args, fcn, donation.donorUserName, orgName);
+		return true;
+	}
+	catch (err) {
+		logger.error('##### fulfilDuePledges - failed to record the failure of donation: ' + donation.donationId + ' error: ' + err.message);
+		return false;
+	}
+}
+
+let pledgeSchedulerRunning = false;
+let pledgeSchedulerInterval = Number(hfc.getConfigSetting('pledgeSchedulerInterval'));
+if (pledgeSchedulerInterval > 0) {
+	setInterval(async () => {
+		// a run can take longer than the interval if many donations are due
+		if (pledgeSchedulerRunning) {
+			return;
+		}
+		pledgeSchedulerRunning = true;
+		try {
+			await fulfilDuePledges();
+		}
+		catch (err) {
+			logger.error('##### pledge scheduler - error: ' + err.message);
+		}
+		finally {
+			pledgeSchedulerRunning = false;
+		}
+	}, pledgeSchedulerInterval);
+}
+
 /************************************************************************************
  * Error handler
  ************************************************************************************/
 
+// The chaincode rejects invalid records with an error of the form:
+//    ValidationError: {"docType":"donation","errors":[{"field":"donationAmount","rule":"type","value":"abc","message":"..."}]}
+// Fabric wraps this in its own error text, so find the marker and extract the JSON that follows it.
+// Returns null if the error is not a validation error
+function getValidationErrors(error) {
+	let message = error.toString();
+	let marker = 'ValidationError: ';
+	let start = message.indexOf(marker);
+	if (start < 0) {
+		return null;
+	}
+	start += marker.length;
+	// find the end of the JSON object by matching braces, ignoring any braces within strings
+	let depth = 0;
+	let inString = false;
+	for (let i = start; i < message.length; i++) {
+		let c = message[i];
+		if (inString) {
+			if (c === '\\') {
+				i++;
+			} else if (c === '"') {
+				inString = false;
+			}
+		} else if (c === '"') {
+			inString = true;
+		} else if (c === '{') {
+			depth++;
+		} else if (c === '}') {
+			depth--;
+			if (depth === 0) {
+				try {
+					return JSON.parse(message.substring(start, i + 1));
+				} catch (err) {
+					logger.error('##### getValidationErrors - unable to parse validation errors: ' + err);
+					return null;
+				}
+			}
+		}
+	}
+	return null;
+}
+
+// The chaincode rejects callers whose certificate attributes do not permit the function with an error of the form:
+//    AccessDeniedError: The caller with role donor may not call createSpend. Permitted roles are: ngo
+// Returns the reason, or null if the error is not an access denied error
+function getAccessDeniedMessage(error) {
+	let message = error.toString();
+	let marker = 'AccessDeniedError: ';
+	let start = message.indexOf(marker);
+	if (start < 0) {
+		return null;
+	}
+	// Fabric appends its own text after the chaincode message, e.g. a closing parenthesis
+	return message.substring(start + marker.length).split('\n')[0].replace(/\)+$/, '');
+}
+
 app.use(function(error, req, res, next) {
+	let accessDeniedMessage = getAccessDeniedMessage(error);
+	if (accessDeniedMessage) {
+		res.status(403).json({
+			success: false,
+			message: accessDeniedMessage
+		});
+		return;
+	}
+	let validationErrors = getValidationErrors(error);
+	if (validationErrors) {
+		res.status(400).json({
+			success: false,
+			message: 'The ' + validationErrors.docType + ' is invalid',
+			errors: validationErrors.errors
+		});
+		return;
+	}
 	res.status(500).json({ error: error.toString() });
 });
 
@@ -0,0 +1,101 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Builds a signed audit report for an NGO and a period, from the records returned by the chaincode function
+// queryAuditRecords. The block number of every transaction is added to the records, a Merkle tree is built over
+// them, and the header with the Merkle root is signed with the identity of the user calling the REST API.
+//
+// The report can be checked by anyone using auditverifier.js, without access to the Fabric network, against the
+// CA of the signing organisation. See that file for how the Merkle tree is built, and for what a valid report
+// does and does not show
+
+'use strict';
+var util = require('util');
+var helper = require('./connection.js');
+var verifier = require('./auditverifier.js');
+var logger = helper.getLogger('Audit');
+
+// Returns the number of the block holding each transaction, looking each one up only once
+async function blockNumbers(channel, txIds) {
+	let numbers = new Map();
+	for (let txId of txIds) {
+		if (!numbers.has(txId)) {
+			let block = await channel.queryBlockByTxID(txId);
+			numbers.set(txId, Number(block.header.number));
+		}
+	}
+	return numbers;
+}
+
+// Signs the header of the report with the user's Fabric identity. The signature is ECDSA over the SHA-256
+// hash of the header, so it can be checked with the user's certificate, which is included in the report
+async function signHeader(client, username, header) {
+	let user = await client.getUserContext(username, true);
+	if (!user) {
+		throw new Error(util.format('##### signHeader - user %s is not enrolled', username));
+	}
+	let signature = user.getSigningIdentity().sign(Buffer.from(verifier.canonicalJson(header)));
+	return {
+		mspId: user.getIdentity().getMSPId(),
+		certificate: JSON.parse(user.toString()).enrollment.identity.certificate,
+		algorithm: 'ECDSA-SHA256',
+		value: Buffer.from(signature).toString('base64')
+	};
+}
+
+// Returns the signed audit report, as follows:
+//
+// {
+//    "report":{"ngoRegistrationNumber":"6322","fromDate":"...","toDate":"...","generatedDate":"...",
+//              "recordCount":12,"hashAlgorithm":"sha256","merkleRoot":"9f86d081..."},
+//    "signature":{"mspId":"m-...","certificate":"-----BEGIN CERTIFICATE-----...","algorithm":"ECDSA-SHA256",
+//                 "value":"MEUCIQ..."},
+//    "records":[{"docType":"donation","key":"donation2211","txId":"c5b39e93...","blockNumber":7,"record":{...},
+//                "history":[{"txId":"c5b39e93...","blockNumber":7,"timestamp":"...","isDelete":false,"record":{...}}],
+//                "leafHash":"3e23e816..."}, ...]
+// }
+var buildAuditReport = async function(client, channel, username, auditRecords) {
+	let txIds = [];
+	auditRecords.records.forEach((entry) => entry.history.forEach((version) => txIds.push(version.txId)));
+	let numbers = await blockNumbers(channel, txIds);
+
+	let records = auditRecords.records.map((entry) => {
+		let withBlocks = Object.assign({}, entry, {
+			blockNumber: numbers.get(entry.txId),
+			history: entry.history.map((version) => Object.assign({blockNumber: numbers.get(version.txId)}, version))
+		});
+		withBlocks.leafHash = verifier.leafHash(withBlocks);
+		return withBlocks;
+	});
+	let header = {
+		ngoRegistrationNumber: auditRecords.ngoRegistrationNumber,
+		fromDate: auditRecords.fromDate,
+		toDate: auditRecords.toDate,
+		generatedDate: new Date().toISOString(),
+		recordCount: records.length,
+		hashAlgorithm: 'sha256',
+		merkleRoot: verifier.merkleRoot(records.map((entry) => entry.leafHash))
+	};
+	logger.info('##### buildAuditReport - %s records, Merkle root %s', header.recordCount, header.merkleRoot);
+	return {
+		report: header,
+		signature: await signHeader(client, username, header),
+		records: records
+	};
+};
+
+exports.blockNumbers = blockNumbers;
+exports.buildAuditReport = buildAuditReport;
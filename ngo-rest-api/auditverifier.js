@@ -0,0 +1,192 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Verifies an NGO audit report, as returned by GET /ngos/:ngoRegistrationNumber/audit. It uses only the modules
+// built into Node.js 15.6 or later, so an auditor can copy this file and run it without the rest of the application:
+//
+//    node auditverifier.js report.json ca-cert.pem [mspId]
+//
+// It prints the result as JSON, and exits with status 0 if the report is valid and 1 if it is not.
+//
+// The report holds the records, a header with the Merkle root of the records, and a signature over the header.
+// The verifier hashes each record again and rebuilds the Merkle tree, so a record that has been altered, added
+// or removed since the report was signed gives a different root from the signed one.
+//
+// The tree follows RFC 6962: a leaf is the SHA-256 hash of 0x00 followed by the record, a node is the hash of
+// 0x01 followed by its two children, and where a level has an odd number of nodes the last is carried up
+// unchanged. Records are hashed as canonical JSON, i.e. with the keys of every object sorted and no whitespace.
+//
+// The report carries the signer's certificate, so the signature alone only shows the report was signed by whoever
+// holds that certificate. The auditor pins the signer by giving the certificate of the certificate authority of the
+// organisation that should have signed the report, e.g. the CA certificate in the cacerts folder of its MSP, and
+// optionally its MSP ID. The report is only valid if its certificate was issued and signed by that CA.
+//
+// The signer builds the report from the records on the ledger, so a report that leaves out a record, or was built
+// from a stale copy of the ledger, is signed and verifies like any other. Omission can only be found by checking
+// the report against the ledger itself, e.g. by querying the NGO's records on a peer the auditor trusts.
+//
+// The REST API uses the same functions to build the report
+
+'use strict';
+var crypto = require('crypto');
+var fs = require('fs');
+
+// Returns the value as JSON with the keys of every object sorted, so the same value always has the same hash
+function canonicalJson(value) {
+	if (Array.isArray(value)) {
+		return '[' + value.map(canonicalJson).join(',') + ']';
+	}
+	if (value !== null && typeof value === 'object') {
+		return '{' + Object.keys(value).sort().filter((key) => value[key] !== undefined)
+			.map((key) => JSON.stringify(key) + ':' + canonicalJson(value[key])).join(',') + '}';
+	}
+	return JSON.stringify(value);
+}
+
+function sha256(...parts) {
+	let hash = crypto.createHash('sha256');
+	parts.forEach((part) => hash.update(part));
+	return hash.digest();
+}
+
+// Returns the leaf hash of a record in the report, as hex. The leafHash the report gives for it is not hashed
+function leafHash(entry) {
+	let content = Object.assign({}, entry, {leafHash: undefined});
+	return sha256(Buffer.from([0]), Buffer.from(canonicalJson(content))).toString('hex');
+}
+
+// Returns the Merkle root of a list of leaf hashes, as hex. The root of an empty list is the hash of nothing
+function merkleRoot(leafHashes) {
+	if (leafHashes.length === 0) {
+		return sha256().toString('hex');
+	}
+	let level = leafHashes.map((hash) => Buffer.from(hash, 'hex'));
+	while (level.length > 1) {
+		let next = [];
+		for (let i = 0; i < level.length; i += 2) {
+			next.push(i + 1 < level.length ? sha256(Buffer.from([1]), level[i], level[i + 1]) : level[i]);
+		}
+		level = next;
+	}
+	return level[0].toString('hex');
+}
+
+// Checks the signature over the report header, using the certificate in the report. The signature is an ECDSA
+// signature of the SHA-256 hash of the canonical JSON of the header, as made by a Fabric identity. Whether the
+// certificate belongs to the organisation that should have signed the report is checked by verifySigner
+function verifySignature(report) {
+	if (!report.signature || !report.signature.certificate || !report.signature.value) {
+		return false;
+	}
+	try {
+		return crypto.createVerify('SHA256').update(canonicalJson(report.report))
+			.verify(report.signature.certificate, Buffer.from(report.signature.value, 'base64'));
+	}
+	catch (err) {
+		return false;
+	}
+}
+
+// Checks the certificate in the report was issued and signed by the CA the auditor trusts, and, if an MSP ID is
+// given, that the report names that MSP. Returns the problem found, or null if there is none
+//
+// trusted - {caCertificate, mspId}, where caCertificate is the PEM certificate of the signing organisation's CA
+function verifySigner(report, trusted) {
+	if (!trusted || !trusted.caCertificate) {
+		return 'no CA certificate was given to check the signer against, so the signer is not known';
+	}
+	if (!report.signature || !report.signature.certificate) {
+		return 'the report has no certificate';
+	}
+	if (trusted.mspId && report.signature.mspId !== trusted.mspId) {
+		return 'the report was signed by MSP ' + report.signature.mspId + ', not ' + trusted.mspId;
+	}
+	try {
+		let ca = new crypto.X509Certificate(trusted.caCertificate);
+		let certificate = new crypto.X509Certificate(report.signature.certificate);
+		if (!certificate.checkIssued(ca) || !certificate.verify(ca.publicKey)) {
+			return 'the certificate in the report was not issued by the trusted CA';
+		}
+	}
+	catch (err) {
+		return 'the certificate could not be checked against the trusted CA: ' + err.message;
+	}
+	return null;
+}
+
+// Verifies a report against the CA the auditor trusts (see verifySigner). Returns whether it is valid, and the
+// problems found: records whose content does not match their leafHash, records whose value is not the last
+// version in their history, a recordCount that does not match the number of records, a Merkle root that does
+// not match the records, an invalid signature, and a signer the CA did not issue. A valid report has not been
+// changed since it was signed by the trusted organisation, but may still leave out records - see the top of this file
+function verifyReport(report, trusted) {
+	let problems = [];
+	let records = report.records || [];
+	let header = report.report || {};
+	let hashes = records.map(leafHash);
+	records.forEach((entry, i) => {
+		if (entry.leafHash !== hashes[i]) {
+			problems.push({key: entry.key, problem: 'the record does not match its leafHash'});
+		}
+		let history = entry.history || [];
+		let latest = history[history.length - 1];
+		if (!latest || latest.txId !== entry.txId || canonicalJson(latest.record) !== canonicalJson(entry.record)) {
+			problems.push({key: entry.key, problem: 'the record is not the last version in its history'});
+		}
+	});
+	if (header.recordCount !== records.length) {
+		problems.push({problem: 'the report should have ' + header.recordCount + ' records, but has ' + records.length});
+	}
+	let root = merkleRoot(hashes);
+	if (root !== header.merkleRoot) {
+		problems.push({problem: 'the Merkle root of the records does not match the signed root'});
+	}
+	let signatureValid = verifySignature(report);
+	if (!signatureValid) {
+		problems.push({problem: 'the signature is not valid'});
+	}
+	let signerProblem = verifySigner(report, trusted);
+	if (signerProblem) {
+		problems.push({problem: signerProblem});
+	}
+	return {
+		valid: problems.length === 0,
+		merkleRoot: root,
+		signedMerkleRoot: header.merkleRoot,
+		signatureValid: signatureValid,
+		signerTrusted: signerProblem === null,
+		recordCount: records.length,
+		problems: problems
+	};
+}
+
+exports.canonicalJson = canonicalJson;
+exports.leafHash = leafHash;
+exports.merkleRoot = merkleRoot;
+exports.verifySignature = verifySignature;
+exports.verifySigner = verifySigner;
+exports.verifyReport = verifyReport;
+
+if (require.main === module) {
+	if (process.argv.length < 4 || process.argv.length > 5) {
+		console.error('Usage: node auditverifier.js <report.json> <ca-cert.pem> [mspId]');
+		process.exit(2);
+	}
+	let trusted = {caCertificate: fs.readFileSync(process.argv[3], 'utf8'), mspId: process.argv[4]};
+	let result = verifyReport(JSON.parse(fs.readFileSync(process.argv[2], 'utf8')), trusted);
+	console.log(JSON.stringify(result, null, 2));
+	process.exit(result.valid ? 0 : 1);
+}
@@ -65,7 +65,8 @@ var startBlockListener = async function(channelName, username, orgName, websocke
 					logger.info('##### startBlockListener - websocket broadcast msg: %s', JSON.stringify(msg));
 					websocketServer.clients.forEach(function each(client) {
 						logger.info('##### startBlockListener - client.readyState: %s', client.readyState);
-						if (client.readyState === 1) {
+						// clients that subscribed to chaincode events receive those instead of block summaries
+						if (client.readyState === 1 && !(client.subscriptions && client.subscriptions.size > 0)) {
 							logger.info('##### startBlockListener - Websocket is open');
 							client.send(JSON.stringify(msg));
 					  	}
@@ -18,6 +18,7 @@
 var log4js = require('log4js');
 var logger = log4js.getLogger('Connection');
 var util = require('util');
+var crypto = require('crypto');
 var hfc = require('fabric-client');
 hfc.setLogger(logger);
 
@@ -51,9 +52,50 @@ async function getClientForOrg (userorg, username) {
 	return client;
 }
 
-var getRegisteredUser = async function(username, userorg, isJson) {
+// fabric-client does not keep a user's enrollment secret, so the REST API keeps a salted hash of it in the
+// client's state store, next to the user, to check a user who is already enrolled is who they say they are
+const secretHashSuffix = '-secret-hash';
+
+function hashSecret(salt, secret) {
+	return crypto.createHash('sha256').update(salt + ':' + secret).digest();
+}
+
+async function saveSecretHash(client, username, secret) {
+	let salt = crypto.randomBytes(16).toString('hex');
+	let stored = {salt: salt, hash: hashSecret(salt, secret).toString('hex')};
+	await client.getStateStore().setValue(username + secretHashSuffix, JSON.stringify(stored));
+}
+
+// Returns true if the user is registered and enrolled in this REST API's wallet
+var isEnrolled = async function(username, userorg) {
+	let client = await getClientForOrg(userorg);
+	let user = await client.getUserContext(username, true);
+	return Boolean(user && user.isEnrolled());
+};
+
+// Returns true if the secret is the one the user was given when this REST API registered them
+var checkUserSecret = async function(username, userorg, secret) {
+	let client = await getClientForOrg(userorg);
+	let stored = await client.getStateStore().getValue(username + secretHashSuffix);
+	if (!stored) {
+		return false;
+	}
+	stored = JSON.parse(stored);
+	return crypto.timingSafeEqual(hashSecret(stored.salt, secret), Buffer.from(stored.hash, 'hex'));
+};
+
+// The attributes are added to the user's enrollment certificate and are used by the chaincode
+// to decide what the user may do, e.g. {role: 'donor', donorUserName: 'edge'}. The admin registering
+// the user must be permitted to register these attributes, i.e. hf.Registrar.Attributes must include them.
+// Attributes only take effect when the user is first registered; a user who is already enrolled keeps
+// the attributes in their existing certificate
+var getRegisteredUser = async function(username, userorg, isJson, attributes) {
 	try {
 		logger.info('============ START getRegisteredUser - for org %s and user %s', userorg, username);
+		if (username.endsWith(secretHashSuffix)) {
+			throw new Error('##### getRegisteredUser - A username may not end with: ' + secretHashSuffix);
+		}
+		var secret = '';
 		var client = await getClientForOrg(userorg);
 		var user = await client.getUserContext(username, true);
 		if (user && user.isEnrolled()) {
@@ -68,18 +110,27 @@ var getRegisteredUser = async function(username, userorg, isJson) {
 			logger.info('##### getRegisteredUser - Got adminUserObj property %s', util.inspect(admins));
 			let caClient = client.getCertificateAuthority();
 			logger.info('##### getRegisteredUser - Got caClient %s', util.inspect(admins));
-			let secret = await caClient.register({
-				enrollmentID: username
+			let attrs = [];
+			for (let name in (attributes || {})) {
+				if (attributes[name] !== undefined && attributes[name] !== null && attributes[name] !== '') {
+					attrs.push({name: name, value: String(attributes[name]), ecert: true});
+				}
+			}
+			logger.info('##### getRegisteredUser - Registering user %s with attributes %s', username, JSON.stringify(attrs));
+			secret = await caClient.register({
+				enrollmentID: username,
+				attrs: attrs
 			}, adminUserObj);
 			logger.info('##### getRegisteredUser - Successfully got the secret for user %s', username);
 			user = await client.setUserContext({username:username, password:secret});
+			await saveSecretHash(client, username, secret);
 			logger.info('##### getRegisteredUser - Successfully enrolled username %s  and setUserContext on the client object', username);
 		}
 		if(user && user.isEnrolled) {
 			if (isJson && isJson === true) {
 				var response = {
 					success: true,
-					secret: user._enrollmentSecret,
+					secret: secret,
 					message: username + ' enrolled Successfully',
 				};
 				return response;
@@ -101,5 +152,7 @@ var getLogger = function(moduleName) {
 };
 
 exports.getClientForOrg = getClientForOrg;
+exports.isEnrolled = isEnrolled;
+exports.checkUserSecret = checkUserSecret;
 exports.getRegisteredUser = getRegisteredUser;
 exports.getLogger = getLogger;
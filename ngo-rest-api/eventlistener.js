@@ -0,0 +1,142 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+# 
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+# 
+#     http://www.apache.org/licenses/LICENSE-2.0
+# 
+# or in the "license" file accompanying this file. This file is distributed 
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either 
+# express or implied. See the License for the specific language governing 
+# permissions and limitations under the License.
+#
+*/
+
+// Starts a Fabric event hub listener to listen for the events emitted by the NGO chaincode, such as
+// DonationCreated or SpendCreated, and pushes them to the websocket clients that subscribed to them.
+//
+// A websocket client subscribes by sending:
+//
+//    {"action": "subscribe", "events": ["DonationCreated", "SpendCreated"]}
+//
+// and unsubscribes by sending {"action": "unsubscribe", "events": [...]}. The event name '*' subscribes
+// to every event. A client that has subscribed to events no longer receives the block summaries sent
+// by the block listener.
+
+'use strict';
+var util = require('util');
+var helper = require('./connection.js');
+var logger = helper.getLogger('EventListener');
+
+// the listener is started once, however many users register
+var listenerStarted = false;
+
+// each peer in the org with eventSource set to true delivers the same events, so recently
+// forwarded transactions are remembered to send each event once
+var maxRecentTransactions = 1000;
+var recentTransactions = new Set();
+
+function isSubscribed(client, eventName) {
+	return client.subscriptions && (client.subscriptions.has('*') || client.subscriptions.has(eventName));
+}
+
+function forwardEvent(websocketServer, eventMsg) {
+	logger.info('##### startChaincodeEventListener - websocket forwarding event: %s', JSON.stringify(eventMsg));
+	websocketServer.clients.forEach(function each(client) {
+		if (client.readyState === 1 && isSubscribed(client, eventMsg.eventName)) {
+			client.send(JSON.stringify(eventMsg));
+		}
+	});
+}
+
+var startChaincodeEventListener = async function(channelName, chaincodeName, username, orgName, websocketServer) {
+	if (listenerStarted) {
+		logger.info('##### startChaincodeEventListener - listener on channel %s already started', channelName);
+		return;
+	}
+	logger.info(util.format('\n============ START startChaincodeEventListener on channel %s ============\n', channelName));
+	try {
+		// first setup the client for this org
+		var client = await helper.getClientForOrg(orgName, username);
+		logger.info('##### startChaincodeEventListener - Successfully got the fabric client for the organization "%s"', orgName);
+		var channel = client.getChannel(channelName);
+		if(!channel) {
+			let message = util.format('##### startChaincodeEventListener - Channel %s was not defined in the connection profile', channelName);
+			logger.error(message);
+			throw new Error(message);
+		}
+
+		let eventHubs = channel.getChannelEventHubsForOrg();
+		logger.info('##### startChaincodeEventListener - found %s eventhubs for organization %s', eventHubs.length, orgName);
+
+		eventHubs.forEach((eh) => {
+			// match every event name emitted by the chaincode
+			eh.registerChaincodeEvent(chaincodeName, '.*', (event, blockNumber, txId, txStatus) => {
+				let key = txId + event.event_name;
+				if (recentTransactions.has(key)) {
+					return;
+				}
+				recentTransactions.add(key);
+				if (recentTransactions.size > maxRecentTransactions) {
+					recentTransactions.delete(recentTransactions.values().next().value);
+				}
+				logger.info('##### startChaincodeEventListener - Received event %s in transaction %s, block %s, status %s', event.event_name, txId, blockNumber, txStatus);
+				// the payload is only delivered by event hubs connected for full blocks
+				let payload = null;
+				if (event.payload) {
+					try {
+						payload = JSON.parse(event.payload.toString('utf8'));
+					} catch (error) {
+						payload = event.payload.toString('utf8');
+					}
+				}
+				forwardEvent(websocketServer, {
+					type: 'chaincodeEvent',
+					eventName: event.event_name,
+					payload: payload,
+					txId: txId,
+					blockNumber: blockNumber,
+					txStatus: txStatus
+				});
+			}, (error)=> {
+				logger.info('##### startChaincodeEventListener - Failed to receive the chaincode event :: %s', error);
+			});
+			eh.connect(true);
+		})
+		listenerStarted = true;
+		logger.info(util.format('\n============ END startChaincodeEventListener - listener on channel %s started ============\n', channelName));
+
+	} catch (error) {
+		logger.error('##### startChaincodeEventListener - Error setting up client and registering chaincode event listener: ' + (error.stack ? error.stack : error));
+	}
+}
+
+// Handles a subscribe or unsubscribe message received from a websocket client
+var handleSubscription = function(ws, message) {
+	let request;
+	try {
+		request = JSON.parse(message);
+	} catch (error) {
+		return;
+	}
+	if (!request || !Array.isArray(request.events)) {
+		return;
+	}
+	if (!ws.subscriptions) {
+		ws.subscriptions = new Set();
+	}
+	if (request.action === 'subscribe') {
+		request.events.forEach((eventName) => ws.subscriptions.add(eventName));
+	} else if (request.action === 'unsubscribe') {
+		request.events.forEach((eventName) => ws.subscriptions.delete(eventName));
+	} else {
+		return;
+	}
+	logger.info('##### handleSubscription - websocket client subscriptions: %s', JSON.stringify(Array.from(ws.subscriptions)));
+	ws.send(JSON.stringify({type: 'subscriptions', events: Array.from(ws.subscriptions)}));
+}
+
+exports.startChaincodeEventListener = startChaincodeEventListener;
+exports.handleSubscription = handleSubscription;
@@ -0,0 +1,114 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// A local file store for the evidence of spend, such as invoices and receipts. Files are too large to
+// keep on the ledger, so the chaincode records only the SHA-256 hash of each file (see addSpendEvidence),
+// and the file is stored here, under <evidenceDir>/<spendId>/<evidenceId>. evidenceDir is set in config.json.
+//
+// Anyone holding a copy of the file can check it has not been changed since it was recorded, by hashing it
+// and comparing the hash with the one on the ledger.
+
+'use strict';
+var util = require('util');
+var path = require('path');
+var crypto = require('crypto');
+var fs = require('fs-extra');
+var hfc = require('fabric-client');
+var helper = require('./connection.js');
+var logger = helper.getLogger('EvidenceStore');
+
+var outputFile = util.promisify(fs.outputFile);
+var readFile = util.promisify(fs.readFile);
+var remove = util.promisify(fs.remove);
+
+function evidenceDir() {
+	return path.resolve(hfc.getConfigSetting('evidenceDir') || './evidence');
+}
+
+// Returns the path of the file for a piece of evidence. The IDs come from the request, so the path is
+// checked to be inside the store, e.g. a spendId of '..' is rejected
+function evidencePath(spendId, evidenceId) {
+	let dir = evidenceDir();
+	let file = path.resolve(dir, String(spendId), String(evidenceId));
+	if (path.dirname(path.dirname(file)) !== dir) {
+		throw new Error(util.format('##### evidencePath - invalid spendId %s or evidenceId %s', spendId, evidenceId));
+	}
+	return file;
+}
+
+// Returns the SHA-256 hash of the content as lower case hex, as recorded by the chaincode
+function hashEvidence(content) {
+	return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Stores the content of a piece of evidence, and returns its size and hash
+var saveEvidence = async function(spendId, evidenceId, content) {
+	let file = evidencePath(spendId, evidenceId);
+	logger.info('##### saveEvidence - writing %s bytes to %s', content.length, file);
+	await outputFile(file, content);
+	return {size: content.length, sha256: hashEvidence(content)};
+};
+
+// Returns the content of a piece of evidence, or null if it is not in the store
+var readEvidence = async function(spendId, evidenceId) {
+	let file = evidencePath(spendId, evidenceId);
+	try {
+		return await readFile(file);
+	}
+	catch (err) {
+		if (err.code === 'ENOENT') {
+			logger.error('##### readEvidence - evidence file not found: %s', file);
+			return null;
+		}
+		throw err;
+	}
+};
+
+// Removes a piece of evidence from the store, e.g. when it could not be recorded on the ledger
+var removeEvidence = async function(spendId, evidenceId) {
+	let file = evidencePath(spendId, evidenceId);
+	logger.info('##### removeEvidence - removing %s', file);
+	await remove(file);
+};
+
+// Re-hashes the stored file for each piece of evidence recorded on the ledger, and compares it with the
+// recorded hash. The status of each is verified, mismatch (the file has been changed since it was recorded)
+// or missing (the file is not in the store)
+var verifyEvidence = async function(spendId, recordedEvidence) {
+	let results = [];
+	for (let evidence of recordedEvidence) {
+		let content = await readEvidence(spendId, evidence.evidenceId);
+		let fileSha256 = content ? hashEvidence(content) : null;
+		results.push({
+			evidenceId: evidence.evidenceId,
+			fileName: evidence.fileName,
+			recordedSha256: evidence.sha256,
+			fileSha256: fileSha256,
+			status: !content ? 'missing' : (fileSha256 === evidence.sha256 ? 'verified' : 'mismatch')
+		});
+	}
+	return {
+		spendId: spendId,
+		verified: results.length > 0 && results.every((result) => result.status === 'verified'),
+		evidence: results
+	};
+};
+
+exports.hashEvidence = hashEvidence;
+exports.saveEvidence = saveEvidence;
+exports.readEvidence = readEvidence;
+exports.removeEvidence = removeEvidence;
+exports.verifyEvidence = verifyEvidence;
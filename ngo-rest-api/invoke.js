@@ -19,7 +19,9 @@ var util = require('util');
 var helper = require('./connection.js');
 var logger = helper.getLogger('Invoke');
 
-var invokeChaincode = async function(peerNames, channelName, chaincodeName, args, fcn, username, orgName) {
+// transientMap is optional. Its values are passed to the chaincode in the proposal but, unlike args, are not
+// recorded on the ledger, e.g. {privateDetails: {email: 'edge@abc.com', salt: '...'}}
+var invokeChaincode = async function(peerNames, channelName, chaincodeName, args, fcn, username, orgName, transientMap) {
 	logger.info(util.format('\n============ invokeChaincode - chaincode %s, function %s, on the channel \'%s\' for org: %s\n',
 		chaincodeName, fcn, channelName, orgName));
 	var error_message = null;
@@ -47,7 +49,14 @@ var invokeChaincode = async function(peerNames, channelName, chaincodeName, args
 			txId: txId
 		};
 
+		// the transient map is not logged, as it holds private data
 		logger.info('##### invokeChaincode - Invoke transaction request to Fabric %s', JSON.stringify(request));
+		if (transientMap) {
+			request.transientMap = {};
+			for (let name in transientMap) {
+				request.transientMap[name] = Buffer.from(JSON.stringify(transientMap[name]));
+			}
+		}
 		let results = await channel.sendTransactionProposal(request);
 
 		// the returned object has both the endorsement results
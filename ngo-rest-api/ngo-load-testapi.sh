@@ -24,6 +24,9 @@ export ENDPOINT=Fabric-ELB-205962472.us-west-2.elb.amazonaws.com
 export PORT=80
 #export ENDPOINT=localhost
 #export PORT=3000
+export VERIFIER_MSP=${MEMBERID:-Org1MSP}
+# only the registrar, i.e. the CA admin in the REST API's config.json, may register users with a role other than donor
+export REGISTRAR=${REGISTRAR:-admin:Admin-aws1}
 set +e
 echo installing jq
 sudo yum install jq
@@ -34,15 +37,25 @@ RED='\033[0;31m'
 RESTORE='\033[0m'
 echo connecting to server: $ENDPOINT:$PORT
 echo
+# The chaincode checks the role in the caller's certificate before it allows a transaction, e.g. only
+# a donor may donate as themselves, and only an NGO's staff may record spend for that NGO. switch_user
+# registers a new user with the given role and attribute, and the REST API then uses that user
+function switch_user {
+    USERID=$(uuidgen)
+    echo "Switching to user $USERID with role $1 $2"
+    response=$(curl -s -X POST http://${ENDPOINT}:${PORT}/users -u ${REGISTRAR} -H 'content-type: application/x-www-form-urlencoded' -d "username=${USERID}&orgName=Org1&role=$1&$2")
+    echo $response
+}
+
 echo '---------------------------------------'
 echo Registering a user
 echo '---------------------------------------'
 echo 'Register User'
 USERID=$(uuidgen)
 echo
-response=$(curl -s -X POST http://${ENDPOINT}:${PORT}/users -H 'content-type: application/x-www-form-urlencoded' -d "username=${USERID}&orgName=Org1")
+response=$(curl -s -X POST http://${ENDPOINT}:${PORT}/users -u ${REGISTRAR} -H 'content-type: application/x-www-form-urlencoded' -d "username=${USERID}&orgName=Org1&role=admin")
 echo $response
-echo Response should be: {"success":true,"secret":"","message":"$USERID enrolled Successfully"}
+echo Response should be: {"success":true,"secret":"<the new user's secret>","message":"$USERID enrolled Successfully"}
 echo
 echo Checking response:
 echo
@@ -60,6 +73,7 @@ echo '---------------------------------------'
 echo 'Create Donor'
 echo
 DONOR1=$(uuidgen)
+switch_user donor "donorUserName=${DONOR1}"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donors -H 'content-type: application/json' -d '{ 
    "donorUserName": "'"${DONOR1}"'", 
    "email": "abc@def.com", 
@@ -68,6 +82,7 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donors -H 'content-type: app
 echo "Transaction ID is $TRX_ID"
 echo
 DONOR2=$(uuidgen)
+switch_user donor "donorUserName=${DONOR2}"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donors -H 'content-type: application/json' -d '{ 
    "donorUserName": "'"${DONOR2}"'", 
    "email": "abc@def.com", 
@@ -98,13 +113,19 @@ echo '---------------------------------------'
 echo 'Create NGO'
 echo
 NGO1=$(uuidgen)
+switch_user admin
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/ngos -H 'content-type: application/json' -d '{ 
     "ngoRegistrationNumber": "'"${NGO1}"'", 
     "ngoName": "Pets In Need",
     "ngoDescription": "We help pets in need",
     "address": "1 Pet street",
     "contactNumber": "82372837",
-    "contactEmail": "pets@petco.com"
+    "contactEmail": "pets@petco.com",
+    "registrationDocuments": [{
+        "documentType": "certificateOfRegistration",
+        "fileName": "registration.pdf",
+        "sha256": "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08"
+    }]
 }')
 echo "Transaction ID is $TRX_ID"
 echo
@@ -117,9 +138,33 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/ngos -H 'content-type: appli
     "ngoDescription": "We help pets in need",
     "address": "1 Pet street",
     "contactNumber": "82372837",
-    "contactEmail": "pets@petco.com"
+    "contactEmail": "pets@petco.com",
+    "registrationDocuments": [{
+        "documentType": "certificateOfRegistration",
+        "fileName": "registration.pdf",
+        "sha256": "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08"
+    }]
+}')
+echo "Transaction ID is $TRX_ID"
+echo
+echo '---------------------------------------'
+echo NGO verification
+echo '---------------------------------------'
+# NGOs are pending until they are verified. This member is the only verifier organisation, so one approval
+# makes each NGO active. VERIFIER_MSP is the MSP ID of this member, i.e. its member ID
+switch_user admin
+TRX_ID=$(curl -s -X PUT http://${ENDPOINT}:${PORT}/verificationpolicy -H 'content-type: application/json' -d '{
+    "verifierMSPs": ["'"${VERIFIER_MSP}"'"],
+    "quorum": 1
 }')
 echo "Transaction ID is $TRX_ID"
+switch_user verifier
+echo 'Approve NGO - NGO1'
+TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/ngos/${NGO1}/approve -H 'content-type: application/json' -d '{}')
+echo "Transaction ID is $TRX_ID"
+echo 'Approve NGO - NGO2'
+TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/ngos/${NGO2}/approve -H 'content-type: application/json' -d '{}')
+echo "Transaction ID is $TRX_ID"
 echo
 echo 'Query all NGOs'
 echo
@@ -143,6 +188,7 @@ echo '---------------------------------------'
 echo 'Create Rating'
 echo
 RATING1=$(uuidgen)
+switch_user donor "donorUserName=${DONOR1}"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/ratings -H 'content-type: application/json' -d '{ 
    "donorUserName": "'"${DONOR1}"'", 
    "ngoRegistrationNumber": "'"${NGO2}"'", 
@@ -151,6 +197,7 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/ratings -H 'content-type: ap
 echo "Transaction ID is $TRX_ID"
 echo
 RATING2=$(uuidgen)
+switch_user donor "donorUserName=${DONOR2}"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/ratings -H 'content-type: application/json' -d '{ 
    "donorUserName": "'"${DONOR2}"'", 
    "ngoRegistrationNumber": "'"${NGO2}"'", 
@@ -182,6 +229,7 @@ echo
 echo 'Create Donation'
 echo
 DONATION1=$(uuidgen)
+switch_user donor "donorUserName=${DONOR1}"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type: application/json' -d '{ 
         "donationId": "'"${DONATION1}"'",
         "donationAmount": 100,
@@ -192,6 +240,7 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type:
 echo "Transaction ID is $TRX_ID"
 echo
 DONATION2=$(uuidgen)
+switch_user donor "donorUserName=${DONOR2}"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type: application/json' -d '{ 
         "donationId": "'"${DONATION2}"'",
         "donationAmount": 999,
@@ -202,6 +251,7 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type:
 echo "Transaction ID is $TRX_ID"
 echo
 DONATION3=$(uuidgen)
+switch_user donor "donorUserName=${DONOR1}"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type: application/json' -d '{ 
         "donationId": "'"${DONATION3}"'",
         "donationAmount": 75,
@@ -242,6 +292,7 @@ echo '---------------------------------------'
 echo 'Create Spend'
 echo
 SPENDID=$(uuidgen)
+switch_user ngo "ngoRegistrationNumber=${NGO1}"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/spend -H 'content-type: application/json' -d '{ 
         "ngoRegistrationNumber": "'"${NGO1}"'",
         "spendId": "'"${SPENDID}"'",
@@ -252,6 +303,7 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/spend -H 'content-type: appl
 echo "Transaction ID is $TRX_ID"
 echo
 SPENDID=$(uuidgen)
+switch_user ngo "ngoRegistrationNumber=${NGO2}"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/spend -H 'content-type: application/json' -d '{ 
         "ngoRegistrationNumber": "'"${NGO2}"'",
         "spendId": "'"${SPENDID}"'",
@@ -262,6 +314,7 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/spend -H 'content-type: appl
 echo "Transaction ID is $TRX_ID"
 echo
 SPENDID=$(uuidgen)
+switch_user ngo "ngoRegistrationNumber=${NGO1}"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/spend -H 'content-type: application/json' -d '{ 
         "ngoRegistrationNumber": "'"${NGO1}"'",
         "spendId": "'"${SPENDID}"'",
@@ -351,6 +404,7 @@ echo
 echo 'Create Donations & Spends'
 echo
 DONATION1=$(uuidgen)
+switch_user donor "donorUserName=${DONOR1}"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type: application/json' -d '{ 
         "donationId": "'"${DONATION1}"'",
         "donationAmount": 111,
@@ -361,6 +415,7 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type:
 echo "Transaction ID is $TRX_ID"
 echo
 DONATION1=$(uuidgen)
+switch_user donor "donorUserName=${DONOR2}"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type: application/json' -d '{ 
         "donationId": "'"${DONATION1}"'",
         "donationAmount": 222,
@@ -371,6 +426,7 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type:
 echo "Transaction ID is $TRX_ID"
 echo
 DONATION1=$(uuidgen)
+switch_user donor "donorUserName=${DONOR1}"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type: application/json' -d '{ 
         "donationId": "'"${DONATION1}"'",
         "donationAmount": 222,
@@ -381,6 +437,7 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type:
 echo "Transaction ID is $TRX_ID"
 echo
 SPENDID=$(uuidgen)
+switch_user ngo "ngoRegistrationNumber=${NGO1}"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/spend -H 'content-type: application/json' -d '{ 
         "ngoRegistrationNumber": "'"${NGO1}"'",
         "spendId": "'"${SPENDID}"'",
@@ -401,6 +458,7 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/spend -H 'content-type: appl
 echo "Transaction ID is $TRX_ID"
 echo
 SPENDID=$(uuidgen)
+switch_user ngo "ngoRegistrationNumber=${NGO2}"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/spend -H 'content-type: application/json' -d '{ 
         "ngoRegistrationNumber": "'"${NGO2}"'",
         "spendId": "'"${SPENDID}"'",
@@ -421,6 +479,7 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/spend -H 'content-type: appl
 echo "Transaction ID is $TRX_ID"
 echo
 DONATION1=$(uuidgen)
+switch_user donor "donorUserName=${DONOR2}"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type: application/json' -d '{ 
         "donationId": "'"${DONATION1}"'",
         "donationAmount": 875,
@@ -431,6 +490,7 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type:
 echo "Transaction ID is $TRX_ID"
 echo
 DONATION1=$(uuidgen)
+switch_user donor "donorUserName=${DONOR1}"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type: application/json' -d '{ 
         "donationId": "'"${DONATION1}"'",
         "donationAmount": 1,
@@ -441,6 +501,7 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type:
 echo "Transaction ID is $TRX_ID"
 echo
 SPENDID=$(uuidgen)
+switch_user ngo "ngoRegistrationNumber=${NGO2}"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/spend -H 'content-type: application/json' -d '{ 
         "ngoRegistrationNumber": "'"${NGO2}"'",
         "spendId": "'"${SPENDID}"'",
@@ -451,6 +512,7 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/spend -H 'content-type: appl
 echo "Transaction ID is $TRX_ID"
 echo
 DONATION1=$(uuidgen)
+switch_user donor "donorUserName=${DONOR1}"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type: application/json' -d '{ 
         "donationId": "'"${DONATION1}"'",
         "donationAmount": 0,
@@ -25,20 +25,33 @@ export ENDPOINT=ngo10-elb-2090058053.us-east-1.elb.amazonaws.com
 export PORT=80
 #export ENDPOINT=localhost
 #export PORT=3000
+export VERIFIER_MSP=${MEMBERID:-Org1MSP}
+# only the registrar, i.e. the CA admin in the REST API's config.json, may register users with a role other than donor
+export REGISTRAR=${REGISTRAR:-admin:Admin-aws1}
 
 echo '---------------------------------------'
 echo connecting to server: $ENDPOINT:$PORT
 echo '---------------------------------------'
 
+# The chaincode checks the role in the caller's certificate before it allows a transaction, e.g. only
+# a donor may donate as themselves, and only an NGO's staff may record spend for that NGO. switch_user
+# registers a new user with the given role and attribute, and the REST API then uses that user
+function switch_user {
+    USERID=$(uuidgen)
+    echo "Switching to user $USERID with role $1 $2"
+    response=$(curl -s -X POST http://${ENDPOINT}:${PORT}/users -u ${REGISTRAR} -H 'content-type: application/x-www-form-urlencoded' -d "username=${USERID}&orgName=Org1&role=$1&$2")
+    echo $response
+}
+
 echo '---------------------------------------'
 echo Registering a user
 echo '---------------------------------------'
 echo 'Register User'
 USERID=$(uuidgen)
 echo
-response=$(curl -s -X POST http://${ENDPOINT}:${PORT}/users -H 'content-type: application/x-www-form-urlencoded' -d "username=${USERID}&orgName=Org1")
+response=$(curl -s -X POST http://${ENDPOINT}:${PORT}/users -u ${REGISTRAR} -H 'content-type: application/x-www-form-urlencoded' -d "username=${USERID}&orgName=Org1&role=admin")
 echo $response
-echo Response should be: {"success":true,"secret":"","message":"$USERID enrolled Successfully"}
+echo Response should be: {"success":true,"secret":"<the new user's secret>","message":"$USERID enrolled Successfully"}
 
 echo '---------------------------------------'
 echo NGOs
@@ -53,7 +66,12 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/ngos -H 'content-type: appli
     "ngoDescription": "Our Earth is losing an estimated 18 million acres (7.3 million hectares) of forest every year. The impact of deforestation includes declining biodiversity, ecological imbalances and climate changes around the world. If the current rate of deforestaion continues, it will take less than 100 years to destroy all the rainforests on Earth. Making the Earth Green, a non-profit organization, works with governments, companies and communities to educate and promote responsible forest management practices and protect forest areas. We strongly believe that our children and the future generations deserve a better environment than the current state and it is our responsibility to make that happen. Please donate to make the Earth greener!",
     "address": "101 Making the Earth Green",
     "contactNumber": "6304972628",
-    "contactEmail": "makingearth@makingearth.com"
+    "contactEmail": "makingearth@makingearth.com",
+    "registrationDocuments": [{
+        "documentType": "certificateOfRegistration",
+        "fileName": "registration.pdf",
+        "sha256": "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08"
+    }]
 }')
 
 echo "Transaction ID is $TRX_ID"
@@ -67,7 +85,12 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/ngos -H 'content-type: appli
     "ngoDescription": "More than 330 million children, including over 90 percent of primary school age children in low-income countries, and 75 percent of children in lower-middle income countries, are expected not to be able to read by the time they finish primary school. Books Now Fund aims to bring the power of reading to children in these countries, to give them the opportunity to learn, and to encourage them to pursue education. Your donation will help us making the world a better reading place for these children! 1. UNESCO Institute for Statistics. (2017). More Than One-Half of Children and Adolescents Are Not Learning Worldwide. Fact Sheet. Paris: UNESCO. [Accessed 26 January 2018].",
     "address": "201 Books Now Fund",
     "contactNumber": "6305932628",
-    "contactEmail": "booksfund@booksfund.com"
+    "contactEmail": "booksfund@booksfund.com",
+    "registrationDocuments": [{
+        "documentType": "certificateOfRegistration",
+        "fileName": "registration.pdf",
+        "sha256": "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08"
+    }]
 }')
 
 echo "Transaction ID is $TRX_ID"
@@ -82,7 +105,12 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/ngos -H 'content-type: appli
     "ngoDescription": "Animal Rescue Troop is a non-profit organization dedicated to animal welfare and shelter. We are volunteer-run and focus on rescuing, rehabilitating and finding forever homes for stray and abandoned animals. There are many ways that you can help: by adopting an animal, providing temporary shelter, becoming a sponsor or donating to our pet shelter. Step up and show that you care!",
     "address": "301 Animal Rescue Troop",
     "contactNumber": "6309472628",
-    "contactEmail": "animalrescue@animalrescue.com"
+    "contactEmail": "animalrescue@animalrescue.com",
+    "registrationDocuments": [{
+        "documentType": "certificateOfRegistration",
+        "fileName": "registration.pdf",
+        "sha256": "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08"
+    }]
 }')
 
 echo "Transaction ID is $TRX_ID"
@@ -96,7 +124,12 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/ngos -H 'content-type: appli
     "ngoDescription": "Helping Hands is a homeless support group. According to a global survey conducted by the United Nations in 2005, an estimated 100 million people were homeless worldwide. Thousands of people around the United States currently face homelessness. During difficult times, local non-profit organizations like ours are vital in providing shelter and support to those in need. We work with local businesses and non-profit partners delivering life-saving services in the communities such as delivering essential backpacks to homeless shelters, sourcing food donations and job placements. Everyone deserved a place to call home, we appreciate your donation to support local communities in overcoming adversity.",
     "address": "401 Helping Thousands",
     "contactNumber": "6307352628",
-    "contactEmail": "helpinghands@helpinghands.com"
+    "contactEmail": "helpinghands@helpinghands.com",
+    "registrationDocuments": [{
+        "documentType": "certificateOfRegistration",
+        "fileName": "registration.pdf",
+        "sha256": "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08"
+    }]
 }')
 
 echo "Transaction ID is $TRX_ID"
@@ -110,11 +143,44 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/ngos -H 'content-type: appli
     "ngoDescription": "STEM Sprout\u0027s goal is expanding access to Science, Technology, Engineering and Mathematics in schools and increasing participation in these fields of study. Over the next decade, many of the 30+ fastest growing jobs will require STEM skills. We work with schools in our communities to organize activities and develop curricula. We want to ensure that understanding techology become a basic skill for our next generation. Giving children the resources and empowering them to understand even the basics of sciences would open up so many options and opportunities for them down the road. Come and help to open doors to STEM for our children!",
     "address": "1501 STEM",
     "contactNumber": "8574639353",
-    "contactEmail": "stem@stemresearch.com"
+    "contactEmail": "stem@stemresearch.com",
+    "registrationDocuments": [{
+        "documentType": "certificateOfRegistration",
+        "fileName": "registration.pdf",
+        "sha256": "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08"
+    }]
 }')
 
 echo "Transaction ID is $TRX_ID"
 
+echo '---------------------------------------'
+echo NGO verification
+echo '---------------------------------------'
+# NGOs are pending until they are verified. This member is the only verifier organisation, so one approval
+# makes each NGO active. VERIFIER_MSP is the MSP ID of this member, i.e. its member ID
+switch_user admin
+TRX_ID=$(curl -s -X PUT http://${ENDPOINT}:${PORT}/verificationpolicy -H 'content-type: application/json' -d '{
+    "verifierMSPs": ["'"${VERIFIER_MSP}"'"],
+    "quorum": 1
+}')
+echo "Transaction ID is $TRX_ID"
+switch_user verifier
+echo 'Approve NGO - 1101'
+TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/ngos/1101/approve -H 'content-type: application/json' -d '{}')
+echo "Transaction ID is $TRX_ID"
+echo 'Approve NGO - 1102'
+TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/ngos/1102/approve -H 'content-type: application/json' -d '{}')
+echo "Transaction ID is $TRX_ID"
+echo 'Approve NGO - 1103'
+TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/ngos/1103/approve -H 'content-type: application/json' -d '{}')
+echo "Transaction ID is $TRX_ID"
+echo 'Approve NGO - 1104'
+TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/ngos/1104/approve -H 'content-type: application/json' -d '{}')
+echo "Transaction ID is $TRX_ID"
+echo 'Approve NGO - 1105'
+TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/ngos/1105/approve -H 'content-type: application/json' -d '{}')
+echo "Transaction ID is $TRX_ID"
+echo
 echo 'Checking that the data has been loaded'
 
 echo 'Query all NGOs'
@@ -131,6 +197,7 @@ echo '---------------------------------------'
 echo 'Create Rating'
 echo
 RATING1=$(uuidgen)
+switch_user donor "donorUserName=${DONOR1}"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/ratings -H 'content-type: application/json' -d '{ 
    "donorUserName": "'"${DONOR1}"'", 
    "ngoRegistrationNumber": "1103", 
@@ -139,6 +206,7 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/ratings -H 'content-type: ap
 echo "Transaction ID is $TRX_ID"
 echo
 RATING2=$(uuidgen)
+switch_user donor "donorUserName=${DONOR2}"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/ratings -H 'content-type: application/json' -d '{ 
    "donorUserName": "'"${DONOR2}"'", 
    "ngoRegistrationNumber": "1101", 
@@ -159,6 +227,7 @@ echo Donors
 echo '---------------------------------------'
 echo 'Create Donor'
 echo
+switch_user donor "donorUserName=jane"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donors -H 'content-type: application/json' -d '{ 
    "donorUserName": "jane", 
    "email": "jane@abc.com", 
@@ -166,6 +235,7 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donors -H 'content-type: app
 }')
 echo "Transaction ID is $TRX_ID"
 echo
+switch_user donor "donorUserName=louisa"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donors -H 'content-type: application/json' -d '{ 
    "donorUserName": "louisa", 
    "email": "louisa@hij.com", 
@@ -184,9 +254,10 @@ echo
 echo 'Create Donation'
 echo
 DONATION1=$(uuidgen)
+switch_user donor "donorUserName=edge"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type: application/json' -d '{ 
         "donationId": "'"${DONATION1}"'",
-        "donationAmount": 100,
+        "donationAmount": 10000,
         "donationDate": "2018-09-20T12:41:59.582Z",
         "donorUserName": "edge",
         "ngoRegistrationNumber": "1102"
@@ -194,9 +265,10 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type:
 echo "Transaction ID is $TRX_ID"
 echo
 DONATION2=$(uuidgen)
+switch_user donor "donorUserName=jane"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type: application/json' -d '{ 
         "donationId": "'"${DONATION2}"'",
-        "donationAmount": 255,
+        "donationAmount": 25500,
         "donationDate": "2018-09-18T07:41:59.582Z",
         "donorUserName": "jane",
         "ngoRegistrationNumber": "1105"
@@ -204,9 +276,10 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type:
 echo "Transaction ID is $TRX_ID"
 echo
 DONATION3=$(uuidgen)
+switch_user donor "donorUserName=louisa"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type: application/json' -d '{ 
         "donationId": "'"${DONATION3}"'",
-        "donationAmount": 900,
+        "donationAmount": 90000,
         "donationDate": "2018-09-09T06:32:59.582Z",
         "donorUserName": "louisa",
         "ngoRegistrationNumber": "1103"
@@ -214,9 +287,10 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type:
 echo "Transaction ID is $TRX_ID"
 echo
 DONATION4=$(uuidgen)
+switch_user donor "donorUserName=braendle"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type: application/json' -d '{ 
         "donationId": "'"${DONATION4}"'",
-        "donationAmount": 430,
+        "donationAmount": 43000,
         "donationDate": "2018-08-09T09:32:59.582Z",
         "donorUserName": "braendle",
         "ngoRegistrationNumber": "1103"
@@ -224,9 +298,10 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type:
 echo "Transaction ID is $TRX_ID"
 echo
 DONATION5=$(uuidgen)
+switch_user donor "donorUserName=edge"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type: application/json' -d '{ 
         "donationId": "'"${DONATION5}"'",
-        "donationAmount": 200,
+        "donationAmount": 20000,
         "donationDate": "2018-09-18T07:41:59.582Z",
         "donorUserName": "edge",
         "ngoRegistrationNumber": "1103"
@@ -236,7 +311,7 @@ echo
 DONATION6=$(uuidgen)
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type: application/json' -d '{ 
         "donationId": "'"${DONATION6}"'",
-        "donationAmount": 520,
+        "donationAmount": 52000,
         "donationDate": "2018-09-20T12:41:59.582Z",
         "donorUserName": "edge",
         "ngoRegistrationNumber": "1101"
@@ -244,9 +319,10 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type:
 echo "Transaction ID is $TRX_ID"
 echo
 DONATION7=$(uuidgen)
+switch_user donor "donorUserName=jane"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type: application/json' -d '{ 
         "donationId": "'"${DONATION7}"'",
-        "donationAmount": 760,
+        "donationAmount": 76000,
         "donationDate": "2018-09-18T07:41:59.582Z",
         "donorUserName": "jane",
         "ngoRegistrationNumber": "1105"
@@ -254,9 +330,10 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type:
 echo "Transaction ID is $TRX_ID"
 echo
 DONATION8=$(uuidgen)
+switch_user donor "donorUserName=louisa"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type: application/json' -d '{ 
         "donationId": "'"${DONATION8}"'",
-        "donationAmount": 25,
+        "donationAmount": 2500,
         "donationDate": "2018-09-09T06:32:59.582Z",
         "donorUserName": "louisa",
         "ngoRegistrationNumber": "1101"
@@ -264,9 +341,10 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type:
 echo "Transaction ID is $TRX_ID"
 echo
 DONATION9=$(uuidgen)
+switch_user donor "donorUserName=braendle"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type: application/json' -d '{ 
         "donationId": "'"${DONATION9}"'",
-        "donationAmount": 44,
+        "donationAmount": 4400,
         "donationDate": "2018-08-09T09:32:59.582Z",
         "donorUserName": "braendle",
         "ngoRegistrationNumber": "1103"
@@ -274,9 +352,10 @@ TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type:
 echo "Transaction ID is $TRX_ID"
 echo
 DONATION10=$(uuidgen)
+switch_user donor "donorUserName=edge"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/donations -H 'content-type: application/json' -d '{ 
         "donationId": "'"${DONATION10}"'",
-        "donationAmount": 120,
+        "donationAmount": 12000,
         "donationDate": "2018-09-18T07:41:59.582Z",
         "donorUserName": "edge",
         "ngoRegistrationNumber": "1104"
@@ -293,21 +372,23 @@ echo '---------------------------------------'
 echo 'Create Spend'
 echo
 SPENDID=$(uuidgen)
+switch_user ngo "ngoRegistrationNumber=1103"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/spend -H 'content-type: application/json' -d '{ 
         "ngoRegistrationNumber": "1103",
         "spendId": "'"${SPENDID}"'",
         "spendDescription": "Fees for hiring transport for animal delivery",
         "spendDate": "2018-11-19T12:20:59.582Z",
-        "spendAmount": 125
+        "spendAmount": 12500
 }')
 echo "Transaction ID is $TRX_ID"
 echo
 SPENDID=$(uuidgen)
+switch_user ngo "ngoRegistrationNumber=1105"
 TRX_ID=$(curl -s -X POST http://${ENDPOINT}:${PORT}/spend -H 'content-type: application/json' -d '{ 
         "ngoRegistrationNumber": "1105",
         "spendId": "'"${SPENDID}"'",
         "spendDescription": "Purchase test tubes",
         "spendDate": "2018-09-10T22:41:59.582Z",
-        "spendAmount": 99
+        "spendAmount": 9900
 }')
 echo "Transaction ID is $TRX_ID"
@@ -17,7 +17,9 @@ var util = require('util');
 var helper = require('./connection.js');
 var logger = helper.getLogger('Query');
 
-var queryChaincode = async function(peers, channelName, chaincodeName, args, fcn, username, orgName) {
+// transientMap is optional. As in invokeChaincode, its values are passed to the chaincode in the proposal, e.g.
+// {donorSecrets: ['5f1d...']}, and are not logged
+var queryChaincode = async function(peers, channelName, chaincodeName, args, fcn, username, orgName, transientMap) {
 	try {
 		// setup the client for this org
 		var client = await helper.getClientForOrg(orgName, username);
@@ -38,6 +40,12 @@ var queryChaincode = async function(peers, channelName, chaincodeName, args, fcn
 		};
 
 		logger.info('##### queryChaincode - Query request to Fabric %s', JSON.stringify(request));
+		if (transientMap) {
+			request.transientMap = {};
+			for (let name in transientMap) {
+				request.transientMap[name] = Buffer.from(JSON.stringify(transientMap[name]));
+			}
+		}
 		let responses = await channel.queryByChaincode(request);
         let ret = [];
 		if (responses) {
@@ -58,8 +66,9 @@ var queryChaincode = async function(peers, channelName, chaincodeName, args, fcn
             let json = JSON.parse(responses[0].toString('utf8'));
 			logger.info('##### queryChaincode - Query json %s', util.inspect(json));
 			if (Array.isArray(json)) {
+				// only query results, i.e. {Key, Record}, are stripped. Entries in a key's history keep their TxId and Timestamp
 				for (let key in json) {
-					if (json[key]['Record']) {
+					if (json[key]['Key'] !== undefined && json[key]['Record']) {
 						ret.push(json[key]['Record']); 
 					} 
 					else {
@@ -67,8 +76,13 @@ var queryChaincode = async function(peers, channelName, chaincodeName, args, fcn
 					}
 				}
 			}
+			else if (json && Array.isArray(json['records'])) {
+				// a page of results from one of the ...WithPagination functions. Strip the Fabric key from each record
+				json['records'] = json['records'].map((record) => record['Record'] ? record['Record'] : record);
+				ret.push(json);
+			}
 			else {
-				ret.push(json); 
+				ret.push(json);
 			}
  			return ret;
 		} 
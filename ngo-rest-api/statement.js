@@ -0,0 +1,196 @@
+/*
+# Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+#
+# Licensed under the Apache License, Version 2.0 (the "License").
+# You may not use this file except in compliance with the License.
+# A copy of the License is located at
+#
+#     http://www.apache.org/licenses/LICENSE-2.0
+#
+# or in the "license" file accompanying this file. This file is distributed
+# on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either
+# express or implied. See the License for the specific language governing
+# permissions and limitations under the License.
+#
+*/
+
+// Renders a donor's annual giving statement, as returned by the chaincode function queryDonorStatement, as CSV
+// or PDF, for use as a tax receipt. Each donation is listed with the ID of the transaction that recorded it on
+// the ledger, so the donor or a tax authority can check the donation against the ledger.
+//
+// The PDF is a plain text document written directly, so no PDF library is needed. Text is in the standard
+// Helvetica font, which every PDF reader has, so characters outside Latin-1 are replaced with '?'
+
+'use strict';
+var util = require('util');
+var path = require('path');
+var fs = require('fs-extra');
+var hfc = require('fabric-client');
+var helper = require('./connection.js');
+var logger = helper.getLogger('Statement');
+
+var outputFile = util.promisify(fs.outputFile);
+
+const csvColumns = ['ngoRegistrationNumber', 'ngoName', 'donationId', 'donationDate', 'donationAmount', 'currency',
+	'originalDonationAmount', 'originalCurrency', 'restriction', 'campaignId', 'anonymous', 'txId'];
+
+// A4 in points, and the layout of the text on each page
+const pageWidth = 595;
+const pageHeight = 842;
+const margin = 50;
+const fontSize = 9;
+const leading = 13;
+const linesPerPage = Math.floor((pageHeight - 2 * margin) / leading);
+
+function statementDir() {
+	return path.resolve(hfc.getConfigSetting('statementDir') || './statements');
+}
+
+// Returns the name of the file for a donor's statement, e.g. edge-2018.pdf. Characters that are not safe in a
+// file name are percent-encoded as their UTF-8 bytes, e.g. 'a/b' as a%2fb, so a user name cannot write outside
+// the output directory. '%' is always encoded, so two user names never share a file
+function statementFileName(donorUserName, year, format) {
+	let name = String(donorUserName).replace(/[^\w.@-]/gu, (c) => Buffer.from(c, 'utf8').toString('hex').replace(/../g, '%$&'));
+	return util.format('%s-%s.%s', name, year, format);
+}
+
+// Returns an amount in minor units as a decimal in the major unit of its currency, e.g. 2550 USD as 25.50.
+// The number of digits after the decimal point for each currency comes from the ISO 4217 data in Intl
+function formatAmount(amount, currency) {
+	let digits = new Intl.NumberFormat('en', {style: 'currency', currency: currency}).resolvedOptions().maximumFractionDigits;
+	return (amount / Math.pow(10, digits)).toFixed(digits);
+}
+
+// Returns a value as a CSV cell. A value starting with a character a spreadsheet reads as the start of a formula,
+// such as a donationId of '=HYPERLINK(...)', is prefixed with a quote, so the cell is shown as text
+function csvValue(value) {
+	if (value === undefined || value === null) {
+		return '';
+	}
+	let text = String(value);
+	if (/^[=+\-@\t\r]/.test(text)) {
+		text = "'" + text;
+	}
+	return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+// Returns the statement as CSV, with one row for each donation. Amounts are decimals, as in formatAmount
+function toCsv(statement) {
+	let rows = [csvColumns.join(',')];
+	for (let ngo of statement.ngos) {
+		for (let donation of ngo.donations) {
+			let row = Object.assign({ngoRegistrationNumber: ngo.ngoRegistrationNumber, ngoName: ngo.ngoName}, donation);
+			row.donationAmount = formatAmount(donation.donationAmount, donation.currency);
+			if (donation.originalCurrency) {
+				row.originalDonationAmount = formatAmount(donation.originalDonationAmount, donation.originalCurrency);
+			}
+			rows.push(csvColumns.map((column) => csvValue(row[column])).join(','));
+		}
+	}
+	return rows.join('\r\n') + '\r\n';
+}
+
+// Returns the lines of text in the PDF
+function statementLines(statement) {
+	let lines = [
+		util.format('Annual giving statement %s', statement.year),
+		'',
+		util.format('Donor: %s', statement.donorUserName),
+		util.format('Generated: %s', statement.generatedDate),
+		util.format('Donations: %s', statement.donationCount),
+		''
+	];
+	for (let ngo of statement.ngos) {
+		lines.push(util.format('%s (registration number %s)', ngo.ngoName, ngo.ngoRegistrationNumber));
+		for (let donation of ngo.donations) {
+			let line = util.format('  %s  %s  %s %s', donation.donationDate.substring(0, 10), donation.donationId,
+				formatAmount(donation.donationAmount, donation.currency), donation.currency);
+			if (donation.originalCurrency) {
+				line += util.format(' (donated as %s %s)',
+					formatAmount(donation.originalDonationAmount, donation.originalCurrency), donation.originalCurrency);
+			}
+			if (donation.restriction) {
+				line += util.format(' restricted to %s', donation.restriction);
+			}
+			if (donation.anonymous) {
+				line += ' given anonymously';
+			}
+			lines.push(line);
+			lines.push(util.format('      ledger transaction %s', donation.txId));
+		}
+		lines.push(util.format('  Total: %s %s', formatAmount(ngo.total, ngo.currency), ngo.currency));
+		lines.push('');
+	}
+	lines.push('Total donated');
+	let currencies = Object.keys(statement.totals).sort();
+	if (currencies.length === 0) {
+		lines.push(util.format('  No donations in %s', statement.year));
+	}
+	for (let currency of currencies) {
+		lines.push(util.format('  %s %s', formatAmount(statement.totals[currency], currency), currency));
+	}
+	return lines;
+}
+
+// Escapes text for a PDF string
+function pdfString(text) {
+	let latin1 = Array.from(text).map((c) => c.charCodeAt(0) < 256 ? c : '?').join('');
+	return '(' + latin1.replace(/[\\()]/g, '\\$&').replace(/[\r\n]/g, ' ') + ')';
+}
+
+// Returns the statement as a PDF document. There is an object for the catalog, the page tree and the font,
+// and then a page object and a content stream for each page
+function toPdf(statement) {
+	let lines = statementLines(statement);
+	let pages = [];
+	for (let i = 0; i < lines.length; i += linesPerPage) {
+		pages.push(lines.slice(i, i + linesPerPage));
+	}
+
+	let objects = [];
+	let pageIds = pages.map((page, i) => 4 + 2 * i);
+	objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+	objects.push(util.format('<< /Type /Pages /Kids [%s] /Count %d >>', pageIds.map((id) => id + ' 0 R').join(' '), pages.length));
+	objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+	pages.forEach((page, i) => {
+		let content = util.format('BT /F1 %d Tf %d TL %d %d Td\n', fontSize, leading, margin, pageHeight - margin) +
+			page.map((line) => pdfString(line) + " '").join('\n') +
+			util.format('\nET\nBT /F1 8 Tf %d %d Td (Page %d of %d) Tj ET', margin, margin / 2, i + 1, pages.length);
+		objects.push(util.format('<< /Type /Page /Parent 2 0 R /MediaBox [0 0 %d %d] /Resources << /Font << /F1 3 0 R >> >> /Contents %d 0 R >>',
+			pageWidth, pageHeight, pageIds[i] + 1));
+		objects.push(util.format('<< /Length %d >>\nstream\n%s\nendstream', Buffer.byteLength(content, 'latin1'), content));
+	});
+
+	let pdf = '%PDF-1.4\n';
+	let offsets = [];
+	objects.forEach((object, i) => {
+		offsets.push(Buffer.byteLength(pdf, 'latin1'));
+		pdf += util.format('%d 0 obj\n%s\nendobj\n', i + 1, object);
+	});
+	let xref = Buffer.byteLength(pdf, 'latin1');
+	pdf += util.format('xref\n0 %d\n0000000000 65535 f \n', objects.length + 1);
+	pdf += offsets.map((offset) => ('0000000000' + offset).slice(-10) + ' 00000 n \n').join('');
+	pdf += util.format('trailer\n<< /Size %d /Root 1 0 R >>\nstartxref\n%d\n%%EOF\n', objects.length + 1, xref);
+	return Buffer.from(pdf, 'latin1');
+}
+
+// Writes the PDF and CSV for each statement to <statementDir>/<year>, and returns the paths of the files written.
+// statementDir is set in config.json
+var writeStatements = async function(year, statements) {
+	let dir = path.join(statementDir(), String(year));
+	let files = [];
+	for (let statement of statements) {
+		for (let format of ['pdf', 'csv']) {
+			let file = path.join(dir, statementFileName(statement.donorUserName, year, format));
+			await outputFile(file, format === 'pdf' ? toPdf(statement) : toCsv(statement));
+			files.push(file);
+		}
+	}
+	logger.info('##### writeStatements - wrote %s files to %s', files.length, dir);
+	return files;
+};
+
+exports.statementFileName = statementFileName;
+exports.toCsv = toCsv;
+exports.toPdf = toPdf;
+exports.writeStatements = writeStatements;
@@ -24,6 +24,7 @@ class Donation {
     project_id: string = null;
     status: string = null;
     amount = 0;
+    matched_amount = 0;
     utilized = 0;
     transaction_id: string = null;
     date: Date = null;
@@ -37,6 +37,12 @@ export class DashboardService {
     return this.apiService.get(path).pipe(map(data => this.userDonationsJsonAdopter(data)));
   }
 
+  // the donations the user's sponsor made to match the user's donations
+  getUserMatchingDonations() {
+    const path = `donors/${SessionService.getUser().name}/matchingdonations`;
+    return this.apiService.get(path).pipe(map(data => data));
+  }
+
   getDonationsByNGO(ngo_id) {
     const path = `ngos/${ngo_id}/donations`;
     return this.apiService.get(path).pipe(map(data => data));
@@ -85,7 +91,7 @@ export class DashboardService {
         userDonation.Donor_id = data.donorUserName;
         userDonation.ngo_id = data.ngoRegistrationNumber;
         userDonation.date = new Date(data.donationDate);
-        userDonation.amount = data.donationAmount;
+        userDonation.amount = UtilsService.fromMinorUnits(data.donationAmount);
         if (this.ngoMap.get(userDonation.ngo_id)) {
           userDonation.ngo_name = this.ngoMap.get(userDonation.ngo_id).ngo_name;
           userDonation.project_id = this.ngoMap.get(userDonation.ngo_id).ngo_about;
@@ -14,7 +14,7 @@
 #
 */
 import { Injectable } from '@angular/core';
-import { ApiService } from './shared';
+import { ApiService, UtilsService } from './shared';
 import { Donate } from '../models';
 
 @Injectable({
@@ -25,7 +25,7 @@ export class DonateService {
   constructor(private apiService: ApiService) { }
 
   makeDonation(ngoName: string, DonorUserName: string, donationAmount: number) {
-    const donate = new Donate().set(donationAmount, DonorUserName, ngoName);
+    const donate = new Donate().set(UtilsService.toMinorUnits(donationAmount), DonorUserName, ngoName);
     donate.donationDate = new Date().toISOString();
     const path = `donations`;
     return this.apiService.post(path, donate);
@@ -81,7 +81,7 @@ export class NgoService {
         ngo.ngo_phone = data.contactNumber;
         ngo.ngo_email = data.contactEmail;
         ngo.ngo_icon_url = `assets/images/${data.ngoRegistrationNumber}/${data.ngoRegistrationNumber}.png`;
-        ngo.ngo_rating = 0;
+        ngo.ngo_rating = data.ratingSummary ? Math.ceil(data.ratingSummary.meanRating) : 0;
         ngo.ngo_projects = Math.floor(Math.random() * (+40 - +10)) + +10;
         ngos.push(ngo);
       }
@@ -45,6 +45,15 @@ export class UtilsService {
         }
     }
 
+    // The chaincode holds money as an integer number of cents, the UI shows and accepts dollars
+    static toMinorUnits(amount: number) {
+        return Math.round(Number(amount) * 100);
+    }
+
+    static fromMinorUnits(amount: number) {
+        return Number(amount) / 100;
+    }
+
     static formatFloat(floatStr: string, offset: number = 4) {
         floatStr = String(floatStr);
         try {
@@ -37,6 +37,7 @@ export class DashboardComponent implements OnInit {
   submitted = false;
   total_donation = 0.00;
   month_donation = 0.00;
+  total_matched = 0.00;
 
 
   @HostListener('window:resize', ['$event'])
@@ -54,6 +55,7 @@ export class DashboardComponent implements OnInit {
         }
       }
       UtilsService.onHeightChange('.table-responsive', 50);
+      this.addMatchingDonations();
     },
       err => {
         console.error(err);
@@ -63,4 +65,21 @@ export class DashboardComponent implements OnInit {
       donate: new FormControl('', [Validators.required])
     });
   }
+
+  // shows the amount the user's sponsor matched against each donation, kept apart from the user's own donations
+  addMatchingDonations() {
+    this.userDonationsService.getUserMatchingDonations().subscribe((data: any) => {
+      for (const matchingDonation of data || []) {
+        const donation = this.userDonationslist.find(userDonation => userDonation.id === matchingDonation.matchedDonationId);
+        if (donation) {
+          donation.matched_amount = UtilsService.fromMinorUnits(matchingDonation.donationAmount);
+        }
+        this.total_matched = this.total_matched + UtilsService.fromMinorUnits(matchingDonation.donationAmount);
+      }
+    },
+      err => {
+        console.error(err);
+      }
+    );
+  }
 }
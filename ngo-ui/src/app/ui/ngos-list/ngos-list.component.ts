@@ -63,8 +63,11 @@ export class NgosListComponent implements OnInit {
     this.ratingService.ratingClick.subscribe(
       (data: any) => {
         const currentDonor = SessionService.getUser().name;
+        const ratingRequest = this.selectedNGO.ngo_user_rating > 0 ?
+          this.ngoService.updateDonorNGORating(null, data.rating, currentDonor, this.selectedNGO.ngo_reg_no) :
+          this.ngoService.createDonorNGORating(data.rating, currentDonor, this.selectedNGO.ngo_reg_no);
         this.selectedNGO.ngo_user_rating = data.rating;
-        this.ngoService.createDonorNGORating(data.rating, currentDonor, this.selectedNGO.ngo_reg_no).subscribe(
+        ratingRequest.subscribe(
           resp => { }
         );
       });
@@ -105,15 +108,16 @@ export class NgosListComponent implements OnInit {
       const ngo_donors_amounts = new Map();
       for (const i in ngo_data) {
         if (ngo_data[i]) {
-          ngo_total_donation = ngo_total_donation + ngo_data[i].donationAmount;
+          const donationAmount = UtilsService.fromMinorUnits(ngo_data[i].donationAmount);
+          ngo_total_donation = ngo_total_donation + donationAmount;
           if (!ngo_total_donors_set.has(ngo_data[i].donorUserName)) {
             ngo_total_donors_set.add(ngo_data[i].donorUserName);
           }
           const donor_name = ngo_data[i].donorUserName;
           if (!ngo_donors_amounts.has(donor_name)) {
-            ngo_donors_amounts.set(donor_name, ngo_data[i].donationAmount);
+            ngo_donors_amounts.set(donor_name, donationAmount);
           } else {
-            ngo_donors_amounts.set(donor_name, ngo_data[i].donationAmount + ngo_donors_amounts.get(donor_name));
+            ngo_donors_amounts.set(donor_name, donationAmount + ngo_donors_amounts.get(donor_name));
           }
         }
       }
@@ -136,8 +140,10 @@ export class NgosListComponent implements OnInit {
       const ngo_spend_data = [];
       for (const i in ngospenddata) {
         if (ngospenddata[i] && ngospenddata[i].docType === 'spend') {
-          ngo_spend_amount = ngo_spend_amount + ngospenddata[i].spendAmount;
-          ngo_spend_data.push(ngospenddata[i]);
+          const spendAmount = UtilsService.fromMinorUnits(ngospenddata[i].spendAmount);
+          ngo_spend_amount = ngo_spend_amount + spendAmount;
+          // the spend details are shown in dollars
+          ngo_spend_data.push(Object.assign({}, ngospenddata[i], { spendAmount: spendAmount }));
         }
       }
       ngo.ngo_fund_utilized = ngo_spend_amount;
@@ -150,22 +156,13 @@ export class NgosListComponent implements OnInit {
     return ngo;
   }
 
+  // the NGO's overall rating comes from the rating summary returned with the NGO, so only the user's own rating is fetched
   setRatings(ngo: Ngo) {
-    this.ngoService.getNGORating(ngo.id).subscribe(
+    this.ngoService.getDonorNGORating(ngo.id, SessionService.getUser().name).subscribe(
       data => {
-        let rating = 0;
-        for (const i in data) {
-          if (data[i]) {
-            rating = rating + data[i].rating;
-            if (SessionService.getUser().name === data[i].donorUserName) {
-              ngo.ngo_user_rating = data[i].rating;
-            }
-          }
-        }
-        if (rating > 0) {
-          rating = rating / data.length;
+        if (data && data[0] && data[0].rating) {
+          ngo.ngo_user_rating = data[0].rating;
         }
-        ngo.ngo_rating = Math.ceil(rating);
       });
   }
   onNGOSelect(ngo) {
@@ -206,7 +203,7 @@ export class NgosListComponent implements OnInit {
           for (let i = 0; i < data.length; i++) {
             const operation = {
               spendAllocationId: data[i].spendAllocationId,
-              donation: UtilsService.formatFloat(data[i].spendAllocationAmount, 4),
+              donation: UtilsService.formatFloat(String(UtilsService.fromMinorUnits(data[i].spendAllocationAmount)), 4),
               name: 'Donor ' + i
             };
             operations.push(operation);